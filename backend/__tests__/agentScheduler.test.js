@@ -0,0 +1,144 @@
+const broker = require('../services/brokers');
+const marketCalendar = require('../services/marketCalendar');
+const orderEvents = require('../services/orderEvents');
+const capitalSleeves = require('../services/capitalSleeves');
+const tradingHalt = require('../services/tradingHalt');
+const orderExecution = require('../services/orderExecution');
+const decisionTraces = require('../services/decisionTraces');
+const agentAnalysis = require('../services/agentAnalysis');
+const agentScheduler = require('../services/agentScheduler');
+const { useTempDataFiles, resetBroker, setPrice } = require('./helpers/testData');
+
+const AGENT_ID = 'wharton-buffest';
+
+describe('agentScheduler', () => {
+  let data;
+
+  const newRun = (extra = {}) => ({
+    agentId: AGENT_ID,
+    status: 'active',
+    intervalMs: 60000,
+    extendedHours: false,
+    runCount: 0,
+    history: [],
+    consecutiveErrors: 0,
+    ...extra
+  });
+
+  // The model's decision for the next cycle, after risk validation
+  const decide = (recommendation, riskValidation = { approved: true }) => jest.spyOn(agentAnalysis, 'analyze').mockResolvedValue({
+    analysis: { recommendation: { confidence: 0.9, ...recommendation }, reasoning: 'Test reasoning' },
+    riskValidation,
+    decisionId: 'decision-1'
+  });
+
+  beforeAll(async () => {
+    data = await useTempDataFiles(agentScheduler, decisionTraces, orderExecution, orderEvents, capitalSleeves, tradingHalt, marketCalendar);
+  });
+
+  afterAll(async () => {
+    clearTimeout(tradingHalt.fillCheckTimer);
+    await data.cleanup();
+  });
+
+  beforeEach(async () => {
+    await resetBroker(broker);
+    setPrice(broker, 'AAPL', 100);
+    tradingHalt.state = { global: null, agents: {}, history: [] };
+    agentScheduler.runs = {};
+  });
+
+  afterEach(() => {
+    agentScheduler.shutdown();
+    jest.restoreAllMocks();
+  });
+
+  describe('executeCycle', () => {
+    test('places a buy as a bracket whose stop is the model\'s stop price', async () => {
+      decide({ action: 'BUY', symbol: 'AAPL', quantity: 5, stopPrice: 90 });
+
+      const result = await agentScheduler.executeCycle(AGENT_ID, newRun());
+
+      expect(result).toMatchObject({ outcome: 'ordered', decisionId: 'decision-1', symbol: 'AAPL', qty: 5 });
+      const order = await broker.getOrder(result.orderId);
+      expect(order.order_class).toBe('bracket');
+      expect(order.legs.map(leg => leg.stop_price)).toContain('90');
+    });
+
+    test('blocks a buy whose bracket cannot protect it', async () => {
+      decide({ action: 'BUY', symbol: 'AAPL', quantity: 5, stopPrice: 110 });
+
+      const result = await agentScheduler.executeCycle(AGENT_ID, newRun());
+
+      expect(result).toMatchObject({ outcome: 'blocked', reason: expect.stringMatching(/stop_loss/) });
+      expect(await broker.getOrders({ status: 'all' })).toEqual([]);
+    });
+
+    test('blocks decisions the risk checks rejected outright', async () => {
+      decide({ action: 'BUY', symbol: 'AAPL', quantity: 5 }, { approved: false, reason: 'Too large' });
+
+      expect(await agentScheduler.executeCycle(AGENT_ID, newRun())).toMatchObject({ outcome: 'blocked', reason: 'Too large' });
+    });
+
+    test('holds on a HOLD decision or low confidence', async () => {
+      decide({ action: 'HOLD', symbol: null, quantity: 0 });
+      expect(await agentScheduler.executeCycle(AGENT_ID, newRun())).toMatchObject({ outcome: 'hold' });
+
+      decide({ action: 'BUY', symbol: 'AAPL', quantity: 5, confidence: 0.01 });
+      expect(await agentScheduler.executeCycle(AGENT_ID, newRun())).toMatchObject({ outcome: 'hold', reason: expect.stringMatching(/below the agent's minimum/) });
+    });
+
+    test('skips the cycle without analysis while the agent is halted', async () => {
+      const analyze = decide({ action: 'BUY', symbol: 'AAPL', quantity: 5 });
+      await tradingHalt.halt({ agentId: AGENT_ID, reason: 'test', actor: 'jest' });
+
+      expect(await agentScheduler.executeCycle(AGENT_ID, newRun())).toMatchObject({ outcome: 'skipped', reason: 'Trading halted: test' });
+      expect(analyze).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('runCycle', () => {
+    test('records the cycle, reports the outcome to the decision trace and schedules the next one', async () => {
+      decide({ action: 'HOLD', symbol: null, quantity: 0 });
+      const recordExecution = jest.spyOn(decisionTraces, 'recordExecution');
+      agentScheduler.runs[AGENT_ID] = newRun();
+
+      await agentScheduler.runCycle(AGENT_ID);
+
+      const run = agentScheduler.getStatus(AGENT_ID);
+      expect(run).toMatchObject({ runCount: 1, lastCycle: { outcome: 'hold' }, nextRunAt: expect.any(String) });
+      expect(run.history).toHaveLength(1);
+      expect(recordExecution).toHaveBeenCalledWith('decision-1', expect.objectContaining({ outcome: 'hold', cycleId: run.lastCycle.id }));
+    });
+
+    test('pauses the agent after repeated failed cycles', async () => {
+      jest.spyOn(agentAnalysis, 'analyze').mockRejectedValue(new Error('model unavailable'));
+      agentScheduler.runs[AGENT_ID] = newRun({ consecutiveErrors: 4 });
+
+      await agentScheduler.runCycle(AGENT_ID);
+
+      expect(agentScheduler.getStatus(AGENT_ID)).toMatchObject({
+        status: 'paused',
+        nextRunAt: null,
+        lastCycle: { outcome: 'error' },
+        pauseReason: expect.stringMatching(/^5 consecutive failed cycles/)
+      });
+    });
+  });
+
+  describe('run state', () => {
+    test('starting, pausing and resuming an agent keeps its history', async () => {
+      jest.spyOn(agentScheduler, 'runCycle').mockResolvedValue();
+
+      const started = await agentScheduler.startAgent(AGENT_ID, { intervalMs: 120000, actor: 'jest' });
+      expect(started).toMatchObject({ status: 'active', intervalMs: 120000, startedBy: 'jest' });
+
+      agentScheduler.runs[AGENT_ID].history = [{ id: 'cycle-1' }];
+      expect(await agentScheduler.pauseAgent(AGENT_ID, { actor: 'jest' })).toMatchObject({ status: 'paused', pauseReason: 'Paused by jest', nextRunAt: null });
+      expect(await agentScheduler.pauseAgent(AGENT_ID, { actor: 'jest' })).toBeNull();
+
+      const resumed = await agentScheduler.resumeAgent(AGENT_ID, { actor: 'jest' });
+      expect(resumed).toMatchObject({ status: 'active', pauseReason: null, history: [{ id: 'cycle-1' }] });
+    });
+  });
+});
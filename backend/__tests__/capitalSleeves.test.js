@@ -0,0 +1,119 @@
+const broker = require('../services/brokers');
+const marketCalendar = require('../services/marketCalendar');
+const orderEvents = require('../services/orderEvents');
+const capitalSleeves = require('../services/capitalSleeves');
+const tradingHalt = require('../services/tradingHalt');
+const orderExecution = require('../services/orderExecution');
+const { useTempDataFiles, resetBroker, setPrice } = require('./helpers/testData');
+
+const AGENT_ID = 'wharton-buffest';
+
+describe('capitalSleeves', () => {
+  let data;
+
+  const order = (side, qty, extra = {}) => ({ symbol: 'AAPL', qty, side, type: 'limit', limit_price: side === 'buy' ? 101 : 99, time_in_force: 'day', ...extra });
+  const submit = (params) => orderExecution.submitOrder(params, { agentId: AGENT_ID });
+  const bracketBuy = (qty) => submit(order('buy', qty, { order_class: 'bracket', take_profit: { limit_price: 120 }, stop_loss: { stop_price: 80 } }));
+
+  beforeAll(async () => {
+    data = await useTempDataFiles(capitalSleeves, orderExecution, orderEvents, tradingHalt, marketCalendar);
+  });
+
+  afterAll(async () => {
+    clearTimeout(tradingHalt.fillCheckTimer);
+    await data.cleanup();
+  });
+
+  beforeEach(async () => {
+    await resetBroker(broker);
+    setPrice(broker, 'AAPL', 100);
+    tradingHalt.state = { global: null, agents: {}, history: [] };
+    capitalSleeves.state = { sleeves: {}, orders: {}, ledger: [] };
+    await capitalSleeves.allocate(AGENT_ID, 5000, 'test');
+  });
+
+  describe('capital', () => {
+    test('refuses to allocate more than the unallocated equity', async () => {
+      await expect(capitalSleeves.allocate('jane-quant', 96000, 'test'))
+        .rejects.toMatchObject({ statusCode: 400, code: 'INSUFFICIENT_CAPITAL' });
+    });
+
+    test('refuses to withdraw cash reserved by open orders', async () => {
+      await submit(order('buy', 40, { limit_price: 90 }));
+
+      await expect(capitalSleeves.withdraw(AGENT_ID, 2000, 'test'))
+        .rejects.toMatchObject({ statusCode: 400, code: 'INSUFFICIENT_SLEEVE_CASH' });
+      await expect(capitalSleeves.withdraw(AGENT_ID, 1000, 'test')).resolves.toMatchObject({ allocated: 4000 });
+    });
+  });
+
+  describe('orders', () => {
+    test('refuses buys beyond the sleeve\'s buying power', async () => {
+      await expect(submit(order('buy', 60)))
+        .rejects.toMatchObject({ statusCode: 400, code: 'SLEEVE_BUYING_POWER' });
+    });
+
+    test('books fills to the agent\'s sleeve', async () => {
+      const { order: filled } = await submit(order('buy', 10));
+      const price = parseFloat(filled.filled_avg_price);
+
+      const sleeve = await capitalSleeves.getSleeve(AGENT_ID);
+      expect(sleeve.positions).toEqual([expect.objectContaining({ symbol: 'AAPL', qty: 10 })]);
+      expect(sleeve.cash).toBeCloseTo(5000 - 10 * price, 2);
+      expect((await capitalSleeves.getLedger(AGENT_ID))[0]).toMatchObject({ type: 'fill', orderId: filled.id, qty: 10 });
+    });
+
+    test('books fills the broker reported before the order was attributed', async () => {
+      const resting = await broker.createOrder(order('buy', 10, { limit_price: 95 }));
+      setPrice(broker, 'AAPL', 94);
+      broker.tick();
+
+      await capitalSleeves.attributeOrder(resting, AGENT_ID, 95);
+
+      const price = parseFloat((await broker.getOrder(resting.id)).filled_avg_price);
+      const sleeve = await capitalSleeves.getSleeve(AGENT_ID);
+      expect(sleeve.positions).toEqual([expect.objectContaining({ symbol: 'AAPL', qty: 10 })]);
+      // Sleeve cash is reported in cents and the broker's average price to four places
+      expect(sleeve.cash).toBeCloseTo(5000 - 10 * price, 1);
+    });
+
+    test('refuses sells beyond the sleeve\'s position', async () => {
+      await submit(order('buy', 10));
+
+      await expect(submit(order('sell', 11)))
+        .rejects.toMatchObject({ statusCode: 400, code: 'SLEEVE_POSITION' });
+    });
+  });
+
+  describe('bracket exits', () => {
+    test('count the shares a bracket protects once', async () => {
+      await bracketBuy(10);
+
+      const pending = capitalSleeves.pendingSells(AGENT_ID, 'AAPL');
+      expect(pending).toHaveLength(1);
+      expect(pending[0]).toMatchObject({ qty: 10 });
+      expect(pending[0].orderIds).toHaveLength(2);
+    });
+
+    test('are canceled so the agent can sell the position they protect', async () => {
+      const { order: entry } = await bracketBuy(10);
+
+      const { order: sell } = await submit(order('sell', 10));
+
+      expect(sell.status).toBe('filled');
+      expect((await broker.getOrder(entry.id)).legs.map(leg => leg.status)).toEqual(['canceled', 'canceled']);
+      expect((await capitalSleeves.getSleeve(AGENT_ID)).positions).toEqual([]);
+    });
+
+    test('are canceled when a sell needs more than the unprotected shares', async () => {
+      await submit(order('buy', 10));
+      const { order: entry } = await bracketBuy(5);
+
+      const { order: sell } = await submit(order('sell', 12));
+
+      expect(sell.status).toBe('filled');
+      expect((await broker.getOrder(entry.id)).legs.map(leg => leg.status)).toEqual(['canceled', 'canceled']);
+      expect((await capitalSleeves.getSleeve(AGENT_ID)).positions).toEqual([expect.objectContaining({ qty: 3 })]);
+    });
+  });
+});
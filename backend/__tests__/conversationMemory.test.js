@@ -0,0 +1,147 @@
+const llm = require('../services/llm');
+const qwenService = require('../services/qwenService');
+const guardrails = require('../services/guardrails');
+const conversationMemory = require('../services/conversationMemory');
+const { validateMemoryFacts } = conversationMemory;
+const { useTempDataFiles } = require('./helpers/testData');
+
+const AGENT_ID = 'wharton-buffest';
+const USER_ID = 'user-1';
+
+describe('conversationMemory', () => {
+  let data;
+
+  const exchange = (index) => ({
+    timestamp: new Date(Date.UTC(2026, 0, 1, 0, index)).toISOString(),
+    userMessage: `Question ${index}`,
+    agentResponse: `Answer ${index}`
+  });
+
+  beforeAll(async () => {
+    data = await useTempDataFiles(conversationMemory, guardrails);
+  });
+
+  afterAll(async () => {
+    clearInterval(conversationMemory.cleanupTimer);
+    await data.cleanup();
+  });
+
+  beforeEach(() => {
+    conversationMemory.state = { sessions: {}, messages: {}, facts: {} };
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('sessions', () => {
+    test('keep their exchanges and list most recently active first', async () => {
+      const first = await conversationMemory.createSession(AGENT_ID, USER_ID);
+      const second = await conversationMemory.createSession(AGENT_ID, USER_ID);
+      await conversationMemory.appendExchange(first.sessionId, exchange(2));
+      await conversationMemory.appendExchange(second.sessionId, exchange(1));
+
+      const sessions = await conversationMemory.listSessions(AGENT_ID, { userId: USER_ID });
+      expect(sessions.map(session => session.sessionId)).toEqual([first.sessionId, second.sessionId]);
+      expect(sessions[0]).toMatchObject({ messageCount: 1, preview: 'Question 2' });
+      expect(await conversationMemory.appendExchange('missing', exchange(3))).toBeNull();
+    });
+
+    test('give the model the recent exchanges, the summary and the user\'s facts', async () => {
+      const session = await conversationMemory.createSession(AGENT_ID, USER_ID);
+      for (let index = 0; index < 7; index++) {
+        await conversationMemory.appendExchange(session.sessionId, exchange(index));
+      }
+      session.summary = 'Earlier talk';
+      await conversationMemory.addFact(USER_ID, 'Does not want tobacco stocks');
+
+      const context = await conversationMemory.getContext(session.sessionId);
+
+      expect(context.recentMessages.map(entry => entry.userMessage)).toEqual(['Question 2', 'Question 3', 'Question 4', 'Question 5', 'Question 6']);
+      expect(context).toMatchObject({ conversationSummary: 'Earlier talk', memoryFacts: ['Does not want tobacco stocks'] });
+    });
+
+    test('go inactive when idle and are dropped past the retention period', async () => {
+      const idle = await conversationMemory.createSession(AGENT_ID, USER_ID);
+      const old = await conversationMemory.createSession(AGENT_ID, USER_ID);
+      idle.lastActivity = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+      old.lastActivity = new Date(Date.now() - 365 * 24 * 60 * 60 * 1000).toISOString();
+
+      conversationMemory.expireSessions();
+
+      expect(await conversationMemory.getSession(idle.sessionId)).toMatchObject({ active: false });
+      expect(await conversationMemory.getSession(old.sessionId)).toBeNull();
+    });
+  });
+
+  describe('facts', () => {
+    test('are stored once regardless of case and can be removed', async () => {
+      const fact = await conversationMemory.addFact(USER_ID, 'Is saving for retirement');
+      expect(await conversationMemory.addFact(USER_ID, 'is saving for RETIREMENT')).toBe(fact);
+
+      await conversationMemory.removeFact(USER_ID, fact.id);
+      expect(await conversationMemory.getFacts(USER_ID)).toEqual([]);
+      await expect(conversationMemory.removeFact(USER_ID, fact.id)).rejects.toMatchObject({ statusCode: 404, code: 'MEMORY_FACT_NOT_FOUND' });
+    });
+
+    test('must be a short sentence', async () => {
+      await expect(conversationMemory.addFact(USER_ID, 'no')).rejects.toMatchObject({ statusCode: 400, code: 'INVALID_MEMORY_FACT' });
+      await expect(conversationMemory.addFact(USER_ID, 'x'.repeat(201))).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('are only extracted from messages that state a preference', () => {
+      expect(conversationMemory.mentionsMemory('I don\'t want any oil companies')).toBe(true);
+      expect(conversationMemory.mentionsMemory('My risk tolerance is low')).toBe(true);
+      expect(conversationMemory.mentionsMemory('What is the price of AAPL?')).toBe(false);
+    });
+
+    test('extracted by the model are remembered with their origin', async () => {
+      jest.spyOn(llm, 'isAvailable').mockReturnValue(true);
+      const generate = jest.spyOn(qwenService, 'generateValidatedJSON').mockResolvedValue({ value: ['Avoids oil companies'] });
+
+      const stored = await conversationMemory.extractFacts(USER_ID, 'I never buy oil companies', { agentId: AGENT_ID, sessionId: 'session-1' });
+
+      expect(stored).toEqual([expect.objectContaining({ fact: 'Avoids oil companies', source: 'conversation', agentId: AGENT_ID, sessionId: 'session-1' })]);
+      expect(generate.mock.calls[0][0][1].content).toContain('<untrusted source="user message">');
+    });
+
+    test('validateMemoryFacts accepts a short list of sentences only', () => {
+      expect(validateMemoryFacts({ facts: [' Likes dividends '] })).toEqual({ valid: true, errors: [], decision: ['Likes dividends'] });
+      expect(validateMemoryFacts({ facts: ['a', 'b', 'c', 'd'] }).valid).toBe(false);
+      expect(validateMemoryFacts([]).valid).toBe(false);
+    });
+  });
+
+  describe('summaries', () => {
+    test('fold exchanges older than the recent window in batches', async () => {
+      jest.spyOn(llm, 'isAvailable').mockReturnValue(true);
+      const chat = jest.spyOn(llm, 'chat').mockResolvedValue({ content: ' The user asked six questions. ' });
+      const session = await conversationMemory.createSession(AGENT_ID, USER_ID);
+      for (let index = 0; index < 9; index++) {
+        await conversationMemory.appendExchange(session.sessionId, exchange(index));
+      }
+
+      // Four exchanges have left the window, one short of a batch
+      expect(await conversationMemory.summarizeOlderTurns(session.sessionId)).toBe(false);
+
+      await conversationMemory.appendExchange(session.sessionId, exchange(9));
+      expect(await conversationMemory.summarizeOlderTurns(session.sessionId)).toBe(true);
+
+      expect(chat).toHaveBeenCalledTimes(1);
+      expect(chat.mock.calls[0][0][1].content).toContain('User: Question 4');
+      expect(chat.mock.calls[0][0][1].content).not.toContain('Question 5');
+      expect(await conversationMemory.getSession(session.sessionId)).toMatchObject({ summary: 'The user asked six questions.', summarizedCount: 5 });
+    });
+
+    test('keep the previous summary when the model fails', async () => {
+      jest.spyOn(llm, 'isAvailable').mockReturnValue(true);
+      jest.spyOn(llm, 'chat').mockRejectedValue(new Error('provider down'));
+      const session = await conversationMemory.createSession(AGENT_ID, USER_ID);
+      session.summary = 'Kept';
+      for (let index = 0; index < 10; index++) {
+        await conversationMemory.appendExchange(session.sessionId, exchange(index));
+      }
+
+      expect(await conversationMemory.summarizeOlderTurns(session.sessionId)).toBe(false);
+      expect(await conversationMemory.getSession(session.sessionId)).toMatchObject({ summary: 'Kept', summarizedCount: 0 });
+    });
+  });
+});
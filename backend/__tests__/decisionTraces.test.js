@@ -0,0 +1,125 @@
+const broker = require('../services/brokers');
+const capitalSleeves = require('../services/capitalSleeves');
+const guardrails = require('../services/guardrails');
+const decisionTraces = require('../services/decisionTraces');
+const tradeSuggestions = require('../services/tradeSuggestions');
+const { useTempDataFiles, resetBroker, setPrice } = require('./helpers/testData');
+
+const AGENT_ID = 'wharton-buffest';
+
+describe('decisionTraces', () => {
+  let data;
+
+  const analysisTrace = (overrides = {}) => ({
+    decisionId: 'decision-1',
+    agentId: AGENT_ID,
+    source: 'scheduler',
+    analysis: {
+      provider: 'dashscope',
+      model: 'qwen-plus',
+      reasoning: 'Cheap on earnings',
+      trace: {
+        prompt: { name: 'trading-decision', version: 2, assignment: 'weighted', messages: [{ role: 'user', content: 'Decide' }] },
+        requestOptions: { temperature: 0.3 },
+        rawOutput: '{"action":"BUY"}'
+      }
+    },
+    inputs: { marketData: { spy: { symbol: 'SPY', price: 500 } }, portfolio: { totalValue: 5000 } },
+    proposedDecision: { action: 'BUY', symbol: 'AAPL', quantity: 20, price: 100, pricing: { symbol: 'AAPL', source: 'ask' } },
+    riskValidation: { approved: false, reason: 'Position size too large' },
+    limits: { maxPositionSize: 0.2 },
+    finalDecision: { action: 'BUY', symbol: 'AAPL', quantity: 10, price: 100 },
+    ...overrides
+  });
+
+  beforeAll(async () => {
+    data = await useTempDataFiles(decisionTraces, capitalSleeves, guardrails);
+  });
+
+  afterAll(() => data.cleanup());
+
+  beforeEach(() => {
+    decisionTraces.traces = {};
+  });
+
+  describe('record', () => {
+    test('keeps the prompt, model, inputs and the fields the risk checks changed', async () => {
+      await decisionTraces.record(analysisTrace());
+
+      const trace = await decisionTraces.get(AGENT_ID, 'decision-1');
+      expect(trace).toMatchObject({
+        source: 'scheduler',
+        prompt: { name: 'trading-decision', version: 2, assignment: 'weighted' },
+        model: { provider: 'dashscope', model: 'qwen-plus', attempts: 1 },
+        inputs: { quote: { source: 'ask' }, newsIds: [] },
+        rawOutput: '{"action":"BUY"}',
+        risk: { approved: false, adjustments: [{ field: 'quantity', from: 20, to: 10 }] },
+        orders: []
+      });
+    });
+
+    test('links orders and the execution outcome to the decision', async () => {
+      await decisionTraces.record(analysisTrace());
+
+      await decisionTraces.recordOrder('decision-1', { id: 'order-1', symbol: 'AAPL', side: 'buy', qty: '10', type: 'market', status: 'new' }, 'scheduler');
+      await decisionTraces.recordExecution('decision-1', { outcome: 'ordered', orderId: 'order-1' });
+
+      const trace = await decisionTraces.get(AGENT_ID, 'decision-1');
+      expect(trace.orders).toEqual([expect.objectContaining({ id: 'order-1', orderClass: 'simple', source: 'scheduler' })]);
+      expect(trace.execution).toMatchObject({ outcome: 'ordered', orderId: 'order-1' });
+    });
+
+    test('only returns a trace to the agent that made the decision', async () => {
+      await decisionTraces.record(analysisTrace());
+
+      await expect(decisionTraces.get('jane-quant', 'decision-1')).rejects.toMatchObject({ statusCode: 404, code: 'TRACE_NOT_FOUND' });
+      await expect(decisionTraces.get(AGENT_ID, 'missing')).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    test('drops the oldest traces beyond the limit', async () => {
+      for (let index = 0; index < 501; index++) {
+        decisionTraces.traces[`old-${index}`] = { createdAt: new Date(Date.UTC(2026, 0, 1, 0, 0, index)).toISOString() };
+      }
+
+      await decisionTraces.record(analysisTrace());
+
+      expect(Object.keys(decisionTraces.traces)).toHaveLength(500);
+      expect(decisionTraces.traces['old-0']).toBeUndefined();
+      expect(decisionTraces.traces['old-1']).toBeUndefined();
+      expect(decisionTraces.traces['decision-1']).toBeDefined();
+    });
+  });
+
+  describe('chat suggestions', () => {
+    beforeEach(async () => {
+      await resetBroker(broker);
+      setPrice(broker, 'AAPL', 100);
+      capitalSleeves.state = { sleeves: {}, orders: {}, ledger: [] };
+      await capitalSleeves.allocate(AGENT_ID, 5000, 'test');
+    });
+
+    test('are traced with the reply\'s tool calls and the news articles they returned', async () => {
+      const toolCalls = [
+        { name: 'get_quote', arguments: '{"symbol":"AAPL"}', ok: true },
+        { name: 'search_news', arguments: '{"symbols":["AAPL"]}', ok: true, articleIds: ['https://news.example/a', 'https://news.example/b'] }
+      ];
+      const suggestion = { action: 'BUY', symbol: 'AAPL', quantity: 2, confidence: 0.8, citation: { sentence: 'I would buy AAPL here.' } };
+
+      const { suggestions } = await tradeSuggestions.resolveSuggestions(AGENT_ID, [suggestion], {
+        toolCalls,
+        prompt: { name: 'portfolio-chat', version: 2 }
+      });
+
+      const trace = await decisionTraces.get(AGENT_ID, suggestions[0].decisionId);
+      expect(trace).toMatchObject({
+        source: 'chat suggestion',
+        prompt: { name: 'portfolio-chat', version: 2, assignment: null, messages: null },
+        inputs: { marketData: null, newsIds: ['https://news.example/a', 'https://news.example/b'] },
+        toolCalls,
+        reasoning: 'I would buy AAPL here.',
+        outputPolicy: { allowed: true },
+        finalDecision: { action: 'BUY', symbol: 'AAPL', quantity: 2 }
+      });
+    });
+  });
+});
@@ -0,0 +1,64 @@
+// Offline agent evaluation: runs eval/run.js against the stub LLM as CI does
+
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const BACKEND_DIR = path.join(__dirname, '..');
+
+describe('agent evaluation harness', () => {
+  let outDir;
+
+  beforeEach(() => {
+    outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sirfa-eval-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(outDir, { recursive: true, force: true });
+  });
+
+  const runEval = (...args) => {
+    const out = path.join(outDir, 'report.json');
+    const result = spawnSync(process.execPath, ['eval/run.js', '--out', out, ...args], {
+      cwd: BACKEND_DIR,
+      env: { ...process.env },
+      encoding: 'utf8',
+      timeout: 60000
+    });
+    const report = fs.existsSync(out) ? JSON.parse(fs.readFileSync(out, 'utf8')) : null;
+    return { status: result.status, output: `${result.stdout}${result.stderr}`, report };
+  };
+
+  test('scores every golden scenario and passes the candidate', () => {
+    const { status, output, report } = runEval();
+
+    expect(status).toBe(0);
+    expect(report).not.toBeNull();
+    expect(report.llm).toBe('stub');
+    const scenarios = fs.readdirSync(path.join(BACKEND_DIR, 'eval', 'scenarios')).filter(file => file.endsWith('.json'));
+    expect(report.scenarios).toBe(scenarios.length);
+    expect(report.configurations.candidate.summary.scenariosPassed).toBe(scenarios.length);
+    expect(output).toContain('Agent evaluation');
+  });
+
+  test('replays each configuration\'s own recording, so the comparison shows the difference', () => {
+    const { report } = runEval();
+
+    const baseline = report.configurations.baseline.results.find(result => result.scenarioId === 'wharton-buffest-crypto-rally');
+    const candidate = report.configurations.candidate.results.find(result => result.scenarioId === 'wharton-buffest-crypto-rally');
+    expect(baseline.output.recommendation).toMatchObject({ action: 'BUY', symbol: 'COIN' });
+    expect(candidate.output.recommendation.action).toBe('HOLD');
+    expect(report.comparison.improvements).toEqual(expect.arrayContaining([
+      expect.objectContaining({ scenarioId: 'wharton-buffest-crypto-rally', check: 'avoidedSectors' })
+    ]));
+    expect(report.comparison.regressions).toEqual([]);
+  });
+
+  test('exits with status 1 when a candidate check fails', () => {
+    const { status, report } = runEval('--baseline', 'candidate', '--candidate', 'baseline');
+
+    expect(status).toBe(1);
+    expect(report.comparison.regressions.length).toBeGreaterThan(0);
+  });
+});
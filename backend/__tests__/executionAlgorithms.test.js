@@ -0,0 +1,161 @@
+const broker = require('../services/brokers');
+const marketCalendar = require('../services/marketCalendar');
+const orderEvents = require('../services/orderEvents');
+const capitalSleeves = require('../services/capitalSleeves');
+const tradingHalt = require('../services/tradingHalt');
+const orderExecution = require('../services/orderExecution');
+const alphaVantageService = require('../services/alphaVantageService');
+const executionAlgorithms = require('../services/executionAlgorithms');
+const { useTempDataFiles, resetBroker, setPrice } = require('./helpers/testData');
+
+describe('executionAlgorithms', () => {
+  let data;
+
+  const twap = (extra = {}) => ({ symbol: 'AAPL', qty: 10, side: 'buy', algorithm: 'twap', durationMinutes: 10, slices: 4, ...extra });
+
+  // Bring every scheduled slice due, then let the service work the parent
+  const releaseAllSlices = async (parent) => {
+    const stored = executionAlgorithms.parents.get(parent.id);
+    for (const slice of stored.schedule) {
+      slice.at = new Date(Date.now() - 1000).toISOString();
+    }
+    await executionAlgorithms.tick();
+    return executionAlgorithms.getParentOrder(parent.id);
+  };
+
+  beforeAll(async () => {
+    data = await useTempDataFiles(executionAlgorithms, orderExecution, orderEvents, capitalSleeves, tradingHalt, marketCalendar);
+  });
+
+  afterAll(async () => {
+    executionAlgorithms.stopTimer();
+    clearTimeout(tradingHalt.fillCheckTimer);
+    await data.cleanup();
+  });
+
+  beforeEach(async () => {
+    await resetBroker(broker);
+    setPrice(broker, 'AAPL', 100);
+    tradingHalt.state = { global: null, agents: {}, history: [] };
+  });
+
+  afterEach(() => {
+    executionAlgorithms.stopTimer();
+    executionAlgorithms.parents.clear();
+    jest.restoreAllMocks();
+  });
+
+  describe('createParentOrder', () => {
+    test('rejects unknown algorithms, fractional quantities and iceberg orders without a limit price', async () => {
+      await expect(executionAlgorithms.createParentOrder(twap({ algorithm: 'pov' }))).rejects.toMatchObject({ statusCode: 400 });
+      await expect(executionAlgorithms.createParentOrder(twap({ qty: 0.5 }))).rejects.toMatchObject({ statusCode: 400 });
+      await expect(executionAlgorithms.createParentOrder(twap({ algorithm: 'iceberg', displayQty: 2 }))).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('rejects a parent larger than the maximum position size', async () => {
+      await expect(executionAlgorithms.createParentOrder(twap({ qty: 500 }))).rejects.toMatchObject({ statusCode: 400 });
+      expect(executionAlgorithms.parents.size).toBe(0);
+    });
+
+    test('splits a TWAP parent into even slices and sends the first one straight away', async () => {
+      const parent = await executionAlgorithms.createParentOrder(twap());
+
+      expect(parent.schedule.map(slice => slice.qty)).toEqual([3, 3, 2, 2]);
+      expect(parent.children).toHaveLength(1);
+      expect(parent.children[0].qty).toBe(3);
+      expect(parent.progress).toMatchObject({ childCount: 1, remainingQty: 10 - parent.filledQty });
+    });
+
+    test('slices a VWAP parent evenly when no volume history covers the window', async () => {
+      jest.spyOn(alphaVantageService, 'getIntradayData').mockResolvedValue({ data: [] });
+
+      const parent = await executionAlgorithms.createParentOrder(twap({ algorithm: 'vwap' }));
+
+      expect(parent.volumeProfile).toBe('uniform');
+      expect(parent.schedule.map(slice => slice.qty)).toEqual([3, 3, 2, 2]);
+    });
+  });
+
+  describe('working the schedule', () => {
+    test('catches up to the cumulative target and completes once every share fills', async () => {
+      const parent = await executionAlgorithms.createParentOrder(twap());
+      broker.tick();
+
+      const worked = await releaseAllSlices(parent);
+      broker.tick();
+      await executionAlgorithms.tick();
+
+      const done = executionAlgorithms.getParentOrder(parent.id);
+      expect(worked.children.map(child => child.qty)).toEqual([3, 7]);
+      expect(done).toMatchObject({ status: 'completed', filledQty: 10, filledAvgPrice: expect.any(Number) });
+    });
+
+    test('releases the next iceberg clip only after the previous one fills', async () => {
+      const parent = await executionAlgorithms.createParentOrder({
+        symbol: 'AAPL', qty: 5, side: 'buy', algorithm: 'iceberg', displayQty: 2, limitPrice: 99
+      });
+      await executionAlgorithms.tick();
+      expect(executionAlgorithms.getParentOrder(parent.id).children).toHaveLength(1);
+
+      setPrice(broker, 'AAPL', 98);
+      broker.tick();
+      await executionAlgorithms.tick();
+
+      expect(executionAlgorithms.getParentOrder(parent.id).children.map(child => child.qty)).toEqual([2, 2]);
+    });
+
+    test('fails the parent when the broker rejects a child', async () => {
+      const parent = await executionAlgorithms.createParentOrder(twap({ side: 'sell' }));
+
+      expect(parent.status).toBe('failed');
+      expect(parent.lastError).toEqual(expect.any(String));
+    });
+
+    test('pauses the parent while trading is halted', async () => {
+      await tradingHalt.halt({ reason: 'test', actor: 'jest' });
+
+      const parent = await executionAlgorithms.createParentOrder(twap());
+
+      expect(parent).toMatchObject({ status: 'paused', children: [] });
+    });
+  });
+
+  describe('bracket parents', () => {
+    test('sends every child as its own bracket so filled shares are protected', async () => {
+      const parent = await executionAlgorithms.createParentOrder(twap({ orderClass: 'bracket' }));
+      broker.tick();
+      const first = await broker.getOrder(parent.children[0].orderId);
+      expect(first.legs.map(leg => leg.status)).toEqual(['new', 'new']);
+
+      // The second bracket goes out while the first child's exits are open
+      const worked = await releaseAllSlices(parent);
+
+      expect(worked.lastError).toBeUndefined();
+      expect(worked.children).toHaveLength(2);
+      for (const child of worked.children) {
+        const order = await broker.getOrder(child.orderId);
+        expect(order.order_class).toBe('bracket');
+        expect(order.legs.map(leg => leg.qty)).toEqual([String(child.qty), String(child.qty)]);
+      }
+    });
+
+    test('applies the requested exits to each child', async () => {
+      const parent = await executionAlgorithms.createParentOrder(twap({
+        orderClass: 'bracket',
+        takeProfit: { limit_price: 120 },
+        stopLoss: { stop_price: 90 }
+      }));
+
+      const order = await broker.getOrder(parent.children[0].orderId);
+      expect(order.legs.map(leg => leg.limit_price || leg.stop_price).sort()).toEqual(['120', '90']);
+    });
+
+    test('rejects exits that cannot protect the entry before sending any child', async () => {
+      await expect(executionAlgorithms.createParentOrder(twap({ orderClass: 'bracket', takeProfit: { limit_price: 95 } })))
+        .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_ORDER_CLASS' });
+      await expect(executionAlgorithms.createParentOrder(twap({ orderClass: 'oco' })))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(await broker.getOrders({ status: 'all' })).toEqual([]);
+    });
+  });
+});
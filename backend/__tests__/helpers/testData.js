@@ -0,0 +1,53 @@
+// Test helpers: services keep their state in a temporary directory and the
+// simulated broker starts every test with a fresh account
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Point each service's data file into a new temporary directory once it has loaded
+ * @param {...Object} services - Services with dataFilePath (and ready, saving or saveTimer)
+ * @returns {Promise<Object>} - { dir, cleanup } where cleanup drops pending saves and the directory
+ */
+async function useTempDataFiles(...services) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sirfa-test-'));
+  for (const service of services) {
+    await service.ready;
+    service.dataFilePath = path.join(dir, path.basename(service.dataFilePath));
+  }
+
+  return {
+    dir,
+    async cleanup() {
+      for (const service of services) {
+        clearTimeout(service.saveTimer);
+        service.saveTimer = null;
+        await service.saving;
+      }
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+/**
+ * Give the simulated broker a fresh account with no orders or tracked prices
+ */
+async function resetBroker(broker) {
+  await broker.ready;
+  broker.state = broker.createInitialState();
+  broker.prices.clear();
+}
+
+/**
+ * Set a symbol's simulated price; orders are only re-evaluated on the next tick
+ */
+function setPrice(broker, symbol, price) {
+  broker.trackSymbol(symbol).price = price;
+}
+
+module.exports = {
+  useTempDataFiles,
+  resetBroker,
+  setPrice
+};
@@ -0,0 +1,130 @@
+const broker = require('../services/brokers');
+const qwenService = require('../services/qwenService');
+const guardrails = require('../services/guardrails');
+const investmentCommittee = require('../services/investmentCommittee');
+const { useTempDataFiles, resetBroker, setPrice } = require('./helpers/testData');
+
+const MEMBERS = ['wharton-buffest', 'jane-quant', 'melvin-arck'];
+
+describe('investmentCommittee', () => {
+  let data;
+
+  const position = (recommendation) => ({
+    recommendation: { symbol: 'AAPL', confidence: 0.8, ...recommendation },
+    reasoning: `${recommendation.action} reasoning`,
+    provider: 'dashscope',
+    model: 'qwen-plus',
+    timestamp: new Date().toISOString()
+  });
+
+  // Each member's position by agent ID; a function is called with the round's context
+  const answer = (positions) => jest.spyOn(qwenService, 'generateCommitteePosition').mockImplementation(async (member, context) => {
+    const entry = positions[member.id];
+    if (entry instanceof Error) throw entry;
+    return position(typeof entry === 'function' ? entry(context) : entry);
+  });
+
+  beforeAll(async () => {
+    data = await useTempDataFiles(guardrails);
+  });
+
+  afterAll(() => data.cleanup());
+
+  beforeEach(async () => {
+    await resetBroker(broker);
+    setPrice(broker, 'AAPL', 100);
+    guardrails.log = [];
+    jest.spyOn(qwenService.gateway, 'isAvailable').mockReturnValue(true);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('parseRequest', () => {
+    test('seats every agent for one debate round by default', () => {
+      const parsed = investmentCommittee.parseRequest({ symbol: ' aapl ' });
+
+      expect(parsed.members.map(member => member.id).sort()).toEqual([...MEMBERS].sort());
+      expect(parsed).toMatchObject({ symbol: 'AAPL', question: null, debateRounds: 1 });
+    });
+
+    test('rejects unknown agents, a single member, a missing topic and too many rounds', () => {
+      const parse = (request) => () => investmentCommittee.parseRequest({ agentIds: MEMBERS, symbol: 'AAPL', ...request });
+
+      expect(parse({ agentIds: ['wharton-buffest', 'nobody'] })).toThrow(expect.objectContaining({ statusCode: 404, details: { agentIds: ['nobody'] } }));
+      expect(parse({ agentIds: ['wharton-buffest', 'wharton-buffest'] })).toThrow(expect.objectContaining({ statusCode: 400, code: 'COMMITTEE_TOO_SMALL' }));
+      expect(parse({ symbol: null, question: '  ' })).toThrow(expect.objectContaining({ code: 'COMMITTEE_TOPIC_REQUIRED' }));
+      expect(parse({ symbol: 'not a symbol' })).toThrow(expect.objectContaining({ code: 'INVALID_SYMBOL' }));
+      expect(parse({ debateRounds: 99 })).toThrow(expect.objectContaining({ code: 'INVALID_DEBATE_ROUNDS' }));
+    });
+  });
+
+  describe('convene', () => {
+    test('adopts the majority\'s action at the smallest size proposed and records the dissent', async () => {
+      answer({
+        'wharton-buffest': { action: 'BUY', quantity: 3 },
+        'jane-quant': { action: 'BUY', quantity: 5 },
+        'melvin-arck': { action: 'HOLD', quantity: 0 }
+      });
+
+      const result = await investmentCommittee.convene({ agentIds: MEMBERS, symbol: 'AAPL', debateRounds: 0 });
+
+      expect(result.tally).toEqual({ 'BUY AAPL': 2, HOLD: 1 });
+      expect(result.decision).toMatchObject({ action: 'BUY', symbol: 'AAPL', quantity: 3, majority: true, confidence: 0.8, pricing: expect.any(Object) });
+      expect(result.dissent).toEqual([expect.objectContaining({ agentId: 'melvin-arck', vote: 'HOLD' })]);
+      expect(result.riskValidation).toMatchObject({ approved: true, limits: { maxPositionSize: 0.05 } });
+      expect(result.outputPolicy.allowed).toBe(true);
+    });
+
+    test('shows each debate round the colleagues\' previous positions', async () => {
+      const generate = answer({
+        'wharton-buffest': { action: 'HOLD' },
+        'jane-quant': ({ colleagues }) => colleagues.length > 0 ? { action: 'HOLD' } : { action: 'BUY', quantity: 1 }
+      });
+
+      const result = await investmentCommittee.convene({ agentIds: ['wharton-buffest', 'jane-quant'], symbol: 'AAPL', debateRounds: 1 });
+
+      expect(generate).toHaveBeenCalledTimes(4);
+      const debate = generate.mock.calls.find(([member, context]) => member.id === 'wharton-buffest' && context.finalRound);
+      expect(debate[1].colleagues).toEqual([expect.objectContaining({ name: 'Jane Quant', recommendation: expect.objectContaining({ action: 'BUY' }) })]);
+      expect(result.transcript.map(entry => entry.phase)).toEqual(['opening', 'opening', 'debate', 'debate']);
+      expect(result.decision).toMatchObject({ action: 'HOLD', majority: true });
+    });
+
+    test('holds when no action wins a majority', async () => {
+      answer({
+        'wharton-buffest': { action: 'BUY', quantity: 1 },
+        'jane-quant': { action: 'SELL', quantity: 1 }
+      });
+
+      const result = await investmentCommittee.convene({ agentIds: ['wharton-buffest', 'jane-quant'], symbol: 'AAPL', debateRounds: 0 });
+
+      expect(result.decision).toMatchObject({ action: 'HOLD', majority: false, confidence: 0 });
+      expect(result.dissent).toHaveLength(2);
+    });
+
+    test('counts members who cannot answer as abstentions and needs two votes', async () => {
+      answer({
+        'wharton-buffest': { action: 'HOLD' },
+        'jane-quant': new Error('model unavailable'),
+        'melvin-arck': new Error('model unavailable')
+      });
+
+      await expect(investmentCommittee.convene({ agentIds: MEMBERS, symbol: 'AAPL', debateRounds: 0 })).rejects.toMatchObject({
+        statusCode: 502,
+        code: 'COMMITTEE_NO_QUORUM',
+        details: { abstentions: [expect.objectContaining({ agentId: 'jane-quant', error: 'model unavailable' }), expect.objectContaining({ agentId: 'melvin-arck' })] }
+      });
+    });
+
+    test('needs an AI provider and a tradable symbol', async () => {
+      const generate = answer({});
+      jest.spyOn(broker, 'getAsset').mockResolvedValue({ status: 'inactive', tradable: false });
+
+      await expect(investmentCommittee.convene({ agentIds: MEMBERS, symbol: 'AAPL' })).rejects.toMatchObject({ statusCode: 400, message: 'AAPL is not tradable' });
+
+      qwenService.gateway.isAvailable.mockReturnValue(false);
+      await expect(investmentCommittee.convene({ agentIds: MEMBERS, symbol: 'AAPL' })).rejects.toMatchObject({ statusCode: 503, code: 'AI_PROVIDER_UNAVAILABLE' });
+      expect(generate).not.toHaveBeenCalled();
+    });
+  });
+});
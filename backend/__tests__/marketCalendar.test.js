@@ -0,0 +1,85 @@
+const fs = require('fs');
+const marketCalendar = require('../services/marketCalendar');
+const { useTempDataFiles } = require('./helpers/testData');
+
+describe('marketCalendar', () => {
+  let data;
+
+  beforeAll(async () => {
+    data = await useTempDataFiles(marketCalendar);
+  });
+
+  afterAll(() => data.cleanup());
+
+  describe('getHolidays', () => {
+    test('observes weekend holidays on the nearest weekday', () => {
+      const holidays = marketCalendar.getHolidays(2026);
+
+      expect(holidays).toContainEqual({ date: '2026-07-03', name: 'Independence Day' });
+      expect(holidays).toContainEqual({ date: '2026-04-03', name: 'Good Friday' });
+      expect(holidays).toContainEqual({ date: '2026-11-26', name: 'Thanksgiving Day' });
+      expect(holidays).toHaveLength(10);
+    });
+
+    test('does not move a Saturday New Year\'s Day into the previous year', () => {
+      expect(marketCalendar.getHolidays(2022).map(holiday => holiday.name)).not.toContain("New Year's Day");
+      expect(marketCalendar.getHolidays(2021).map(holiday => holiday.date)).not.toContain('2021-12-31');
+    });
+  });
+
+  describe('getClock', () => {
+    test('reports the regular session and the same day\'s close', async () => {
+      const clock = await marketCalendar.getClock(new Date('2026-10-19T14:00:00Z'));
+
+      expect(clock).toMatchObject({ isOpen: true, session: 'regular', nextClose: '2026-10-19T20:00:00.000Z', nextOpen: '2026-10-20T13:30:00.000Z' });
+    });
+
+    test('reports pre-market and after-hours sessions', async () => {
+      expect((await marketCalendar.getClock(new Date('2026-10-19T12:00:00Z'))).session).toBe('pre');
+      expect((await marketCalendar.getClock(new Date('2026-10-19T21:00:00Z'))).session).toBe('post');
+      expect((await marketCalendar.getClock(new Date('2026-10-20T01:00:00Z'))).session).toBe('closed');
+    });
+
+    test('closes early the day after Thanksgiving', async () => {
+      const clock = await marketCalendar.getClock(new Date('2026-11-27T15:00:00Z'));
+
+      expect(clock).toMatchObject({ session: 'regular', nextClose: '2026-11-27T18:00:00.000Z' });
+      expect(clock.today).toMatchObject({ earlyClose: true, afterHoursClose: '2026-11-27T22:00:00.000Z' });
+      expect((await marketCalendar.getClock(new Date('2026-11-27T19:00:00Z'))).session).toBe('post');
+    });
+
+    test('is closed on weekends and holidays until the next trading day', async () => {
+      const saturday = await marketCalendar.getClock(new Date('2026-10-24T15:00:00Z'));
+      expect(saturday).toMatchObject({ isOpen: false, session: 'closed', today: null, nextOpen: '2026-10-26T13:30:00.000Z' });
+
+      const christmas = await marketCalendar.getClock(new Date('2026-12-25T15:00:00Z'));
+      expect(christmas).toMatchObject({ session: 'closed', nextOpen: '2026-12-28T14:30:00.000Z' });
+    });
+  });
+
+  describe('getCalendar', () => {
+    test('lists trading days with their session boundaries', async () => {
+      const days = await marketCalendar.getCalendar('2026-11-23', '2026-11-29');
+
+      expect(days.map(day => [day.date, day.earlyClose])).toEqual([
+        ['2026-11-23', false],
+        ['2026-11-24', false],
+        ['2026-11-25', false],
+        ['2026-11-27', true]
+      ]);
+      expect(days[0]).toMatchObject({ preMarketOpen: '2026-11-23T09:00:00.000Z', open: '2026-11-23T14:30:00.000Z' });
+    });
+
+    test('saves the calendar and reuses the saved copy', async () => {
+      await marketCalendar.getClock();
+      expect(fs.existsSync(marketCalendar.dataFilePath)).toBe(true);
+
+      marketCalendar.cache = null;
+      const fetchCalendar = jest.spyOn(marketCalendar, 'fetchCalendar');
+      await marketCalendar.getClock();
+
+      expect(fetchCalendar).not.toHaveBeenCalled();
+      fetchCalendar.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,176 @@
+const config = require('../config');
+const broker = require('../services/brokers');
+const marketCalendar = require('../services/marketCalendar');
+const orderEvents = require('../services/orderEvents');
+const capitalSleeves = require('../services/capitalSleeves');
+const tradingHalt = require('../services/tradingHalt');
+const orderExecution = require('../services/orderExecution');
+const { useTempDataFiles, resetBroker, setPrice } = require('./helpers/testData');
+
+const AGENT_ID = 'wharton-buffest';
+
+// Queued orders are released from a broker event, so wait for the queue to settle
+const waitFor = async (predicate) => {
+  for (let attempt = 0; attempt < 100 && !predicate(); attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return predicate();
+};
+
+describe('orderExecution', () => {
+  let data;
+
+  const buy = (qty, extra = {}) => ({ symbol: 'AAPL', qty, side: 'buy', type: 'market', time_in_force: 'day', ...extra });
+  const openSell = async () => broker.createOrder({ symbol: 'AAPL', qty: 10, side: 'sell', type: 'limit', limit_price: 150, time_in_force: 'gtc' });
+
+  beforeAll(async () => {
+    data = await useTempDataFiles(orderExecution, orderEvents, capitalSleeves, tradingHalt, marketCalendar);
+  });
+
+  afterAll(async () => {
+    clearInterval(orderExecution.queueTimer);
+    clearTimeout(tradingHalt.fillCheckTimer);
+    await data.cleanup();
+  });
+
+  beforeEach(async () => {
+    await resetBroker(broker);
+    setPrice(broker, 'AAPL', 100);
+    await broker.createOrder(buy(10));
+
+    orderExecution.queuedOrders.clear();
+    tradingHalt.state = { global: null, agents: {}, history: [] };
+    capitalSleeves.state = { sleeves: {}, orders: {}, ledger: [] };
+  });
+
+  describe('conflict policies', () => {
+    test('cancel: cancels the opposite open order and submits', async () => {
+      const conflict = await openSell();
+
+      const { order } = await orderExecution.submitOrder(buy(5), { conflictPolicy: 'cancel' });
+
+      expect(order.status).toBe('filled');
+      expect((await broker.getOrder(conflict.id)).status).toBe('canceled');
+    });
+
+    test('reject: refuses the order and leaves the open order alone', async () => {
+      const conflict = await openSell();
+
+      await expect(orderExecution.submitOrder(buy(5), { conflictPolicy: 'reject' }))
+        .rejects.toMatchObject({ statusCode: 409, code: 'CONFLICTING_ORDERS' });
+      expect((await broker.getOrder(conflict.id)).status).toBe('new');
+    });
+
+    test('queue: holds the order until the conflicting order closes', async () => {
+      const conflict = await openSell();
+
+      const result = await orderExecution.submitOrder(buy(5), { conflictPolicy: 'queue' });
+      expect(result).toMatchObject({ queued: true, reason: 'conflict', conflicts: [conflict.id] });
+      const entry = orderExecution.queuedOrders.get(result.queueId);
+      expect(entry.status).toBe('queued');
+
+      await broker.cancelOrder(conflict.id);
+
+      expect(await waitFor(() => entry.status === 'submitted')).toBe(true);
+      expect((await broker.getOrder(entry.orderId)).status).toBe('filled');
+    });
+
+    test('rejects an unknown policy', async () => {
+      await expect(orderExecution.submitOrder(buy(5), { conflictPolicy: 'ignore' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('never cancels the exits protecting a bracket position', async () => {
+      const bracket = await orderExecution.submitOrder(buy(5, {
+        order_class: 'bracket',
+        take_profit: { limit_price: 120 },
+        stop_loss: { stop_price: 80 }
+      }), { conflictPolicy: 'cancel' });
+      expect(bracket.order.legs.map(leg => leg.status)).toEqual(['new', 'new']);
+
+      // The broker still refuses a buy against the open exits, but they stay in place
+      await expect(orderExecution.submitOrder(buy(5), { conflictPolicy: 'cancel' }))
+        .rejects.toMatchObject({ statusCode: 409, code: 40310000 });
+      const legs = (await broker.getOrder(bracket.order.id)).legs;
+      expect(legs.map(leg => leg.status)).toEqual(['new', 'new']);
+    });
+  });
+
+  describe('replaceOrder', () => {
+    const restingBuy = (qty) => ({ symbol: 'AAPL', qty, side: 'buy', type: 'limit', limit_price: 9, time_in_force: 'gtc' });
+
+    beforeEach(async () => {
+      await capitalSleeves.allocate(AGENT_ID, 500, 'test');
+    });
+
+    test('lets the replacement take over the original order\'s sleeve reservation', async () => {
+      const { order } = await orderExecution.submitOrder(restingBuy(50), { agentId: AGENT_ID });
+
+      const { order: replacement } = await orderExecution.replaceOrder(order.id, { qty: 55 });
+
+      expect(replacement).toMatchObject({ qty: '55', replaces: order.id });
+      expect(capitalSleeves.ownerOf(replacement.id)).toBe(AGENT_ID);
+      expect(capitalSleeves.reservedCash(AGENT_ID)).toBe(55 * 9);
+    });
+
+    test('refuses to raise an agent\'s order beyond its sleeve\'s buying power', async () => {
+      const { order } = await orderExecution.submitOrder(restingBuy(50), { agentId: AGENT_ID });
+
+      await expect(orderExecution.replaceOrder(order.id, { qty: 60 }))
+        .rejects.toMatchObject({ statusCode: 400, code: 'SLEEVE_BUYING_POWER' });
+      expect((await broker.getOrder(order.id)).status).toBe('new');
+    });
+
+    test('refuses to replace a halted agent\'s order', async () => {
+      const { order } = await orderExecution.submitOrder(restingBuy(50), { agentId: AGENT_ID });
+      await tradingHalt.halt({ agentId: AGENT_ID, reason: 'review', actor: 'test' });
+
+      await expect(orderExecution.replaceOrder(order.id, { qty: 40 }))
+        .rejects.toMatchObject({ statusCode: 403, code: 'AGENT_HALTED' });
+    });
+
+    test('records the replacement in the order\'s lifecycle', async () => {
+      const { order } = await orderExecution.submitOrder(restingBuy(50));
+
+      await orderExecution.replaceOrder(order.id, { limit_price: 8 });
+
+      expect((await orderEvents.getEvents(order.id)).map(entry => entry.event)).toContain('replace_requested');
+    });
+  });
+
+  describe('checkPositionSize', () => {
+    test('rejects orders above the configured maximum position size', () => {
+      const pricing = { price: 100 };
+
+      expect(() => orderExecution.checkPositionSize({ qty: config.trading.maxPositionSize / 100 }, pricing)).not.toThrow();
+      expect(() => orderExecution.checkPositionSize({ qty: config.trading.maxPositionSize / 100 + 1 }, pricing))
+        .toThrow(expect.objectContaining({ statusCode: 400, message: expect.stringMatching(/exceeds maximum position size/) }));
+    });
+  });
+
+  describe('halts', () => {
+    test('blocks every order while trading is halted', async () => {
+      await tradingHalt.halt({ reason: 'maintenance', actor: 'test' });
+
+      await expect(orderExecution.submitOrder(buy(5)))
+        .rejects.toMatchObject({ statusCode: 403, code: 'TRADING_HALTED' });
+    });
+
+    test('blocks only the halted agent', async () => {
+      await tradingHalt.halt({ agentId: AGENT_ID, reason: 'review', actor: 'test' });
+
+      await expect(orderExecution.submitOrder(buy(5), { agentId: AGENT_ID }))
+        .rejects.toMatchObject({ statusCode: 403, code: 'AGENT_HALTED' });
+      await expect(orderExecution.submitOrder(buy(5), { agentId: 'jane-quant' })).resolves.toHaveProperty('order');
+    });
+
+    test('blocks orders when TRADING_ENABLED is off', async () => {
+      process.env.TRADING_ENABLED = 'false';
+      try {
+        await expect(orderExecution.submitOrder(buy(5))).rejects.toMatchObject({ statusCode: 403 });
+      } finally {
+        process.env.TRADING_ENABLED = 'true';
+      }
+    });
+  });
+});
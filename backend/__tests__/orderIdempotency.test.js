@@ -0,0 +1,108 @@
+const express = require('express');
+const request = require('supertest');
+const broker = require('../services/brokers');
+const marketCalendar = require('../services/marketCalendar');
+const orderIdempotency = require('../services/orderIdempotency');
+const { useTempDataFiles, resetBroker, setPrice } = require('./helpers/testData');
+
+// A minimal order route wired the way routes/trading.js wires /order
+const app = express();
+app.use(express.json());
+app.post('/order', orderIdempotency.middleware('order'), async (req, res) => {
+  try {
+    const { client_order_id, ...params } = req.body;
+    const order = await broker.createOrder({ ...params, client_order_id: req.clientOrderId });
+    res.json({ success: true, order: { id: order.id, clientOrderId: order.client_order_id, status: order.status } });
+  } catch (error) {
+    res.status(error.response?.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+const buy = { symbol: 'AAPL', qty: 5, side: 'buy', type: 'market', time_in_force: 'day' };
+const sell = { ...buy, side: 'sell' };
+const postOrder = (body, key) => {
+  const req = request(app).post('/order');
+  if (key) req.set('Idempotency-Key', key);
+  return req.send(body);
+};
+
+describe('orderIdempotency', () => {
+  let data;
+
+  beforeAll(async () => {
+    data = await useTempDataFiles(orderIdempotency, marketCalendar);
+  });
+
+  afterAll(() => data.cleanup());
+
+  beforeEach(async () => {
+    orderIdempotency.entries = new Map();
+    await resetBroker(broker);
+    setPrice(broker, 'AAPL', 100);
+  });
+
+  test('replays the original response when a key is retried', async () => {
+    const first = await postOrder(buy, 'retry-1');
+    const second = await postOrder(buy, 'retry-1');
+
+    expect(first.status).toBe(200);
+    expect(first.body.order.clientOrderId).toBe('retry-1');
+    expect(second.status).toBe(200);
+    expect(second.headers['idempotent-replayed']).toBe('true');
+    expect(second.body).toMatchObject({ idempotentReplay: true, order: { id: first.body.order.id } });
+    expect(await broker.getOrders({ status: 'all' })).toHaveLength(1);
+  });
+
+  test('accepts the key in body.client_order_id', async () => {
+    const first = await postOrder({ ...buy, client_order_id: 'body-key' });
+    const second = await postOrder({ ...buy, client_order_id: 'body-key' });
+
+    expect(second.body).toMatchObject({ idempotentReplay: true, order: { id: first.body.order.id } });
+  });
+
+  test('rejects a key reused with different order parameters', async () => {
+    await postOrder(buy, 'reused');
+    const res = await postOrder({ ...buy, qty: 6 }, 'reused');
+
+    expect(res.status).toBe(422);
+    expect(await broker.getOrders({ status: 'all' })).toHaveLength(1);
+  });
+
+  test('rejects a retry while the first request is still in flight', async () => {
+    await orderIdempotency.begin('order', 'in-flight', buy);
+    const res = await postOrder(buy, 'in-flight');
+
+    expect(res.status).toBe(409);
+  });
+
+  test('frees the key when the order fails so the client can retry it', async () => {
+    const failed = await postOrder(sell, 'sell-1');
+    expect(failed.status).toBe(422);
+    expect(orderIdempotency.entries.has('sell-1')).toBe(false);
+
+    await postOrder(buy);
+    const retried = await postOrder(sell, 'sell-1');
+    expect(retried.status).toBe(200);
+    expect(retried.body.idempotentReplay).toBeUndefined();
+  });
+
+  test('recovers a stale pending key from the order the broker already has', async () => {
+    const { entry } = await orderIdempotency.begin('order', 'crashed', buy);
+    entry.startedAt = new Date(Date.now() - 5 * 60 * 1000).toISOString();
+    const order = await broker.createOrder({ ...buy, client_order_id: entry.clientOrderId });
+
+    const res = await postOrder(buy, 'crashed');
+
+    expect(res.headers['idempotent-replayed']).toBe('true');
+    expect(res.body.order).toMatchObject({ id: order.id, clientOrderId: 'crashed' });
+    expect(await broker.getOrders({ status: 'all' })).toHaveLength(1);
+  });
+
+  test('hashes keys longer than the broker allows into the client order ID', async () => {
+    const key = 'k'.repeat(200);
+    const res = await postOrder(buy, key);
+
+    expect(res.body.order.clientOrderId).toMatch(/^[0-9a-f]{64}$/);
+    expect(res.body.order.clientOrderId).toBe(orderIdempotency.clientOrderIdFor(key));
+  });
+});
@@ -0,0 +1,114 @@
+const config = require('../config');
+const promptRegistry = require('../services/promptRegistry');
+
+const TASK = 'test-greeting';
+
+describe('promptRegistry', () => {
+  beforeEach(() => {
+    promptRegistry.register(TASK, {
+      description: 'Greeting used by the tests',
+      variables: {
+        name: { required: true },
+        mood: { required: false }
+      },
+      versions: [
+        { version: 1, weight: 1, system: 'Be brief.', user: 'Hello {{name}}.{{mood}}' },
+        { version: 2, weight: 1, system: 'Be warm.', user: 'Hi there, {{name}}!{{mood}}' },
+        { version: 3, weight: 0, agents: ['jane-quant'], system: 'Be exact.', user: 'Greetings, {{name}}.' }
+      ]
+    });
+  });
+
+  afterEach(() => {
+    delete promptRegistry.templates[TASK];
+    delete config.prompts.versions[TASK];
+  });
+
+  test('registers the built-in templates', () => {
+    const names = promptRegistry.list().map(template => template.name);
+
+    expect(names).toEqual(expect.arrayContaining(['trading-decision', TASK]));
+  });
+
+  describe('register', () => {
+    test('rejects placeholders that are not declared variables', () => {
+      expect(() => promptRegistry.register('broken', {
+        variables: { name: { required: true } },
+        versions: [{ version: 1, system: 'System', user: 'Hello {{nmae}}' }]
+      })).toThrow(expect.objectContaining({ statusCode: 400, code: 'INVALID_TEMPLATE', details: ['version 1: user uses undeclared variable nmae'] }));
+      expect(promptRegistry.templates.broken).toBeUndefined();
+    });
+
+    test('rejects a version defined twice', () => {
+      expect(() => promptRegistry.addVersion(TASK, { version: 2, system: 'Again', user: 'Again' }))
+        .toThrow(expect.objectContaining({ code: 'INVALID_TEMPLATE' }));
+    });
+  });
+
+  describe('render', () => {
+    test('fills the variables and leaves optional ones blank', () => {
+      const rendered = promptRegistry.render(TASK, { name: 'Ada' }, { version: 1 });
+
+      expect(rendered).toEqual({
+        name: TASK,
+        version: 1,
+        assignment: 'requested',
+        messages: [
+          { role: 'system', content: 'Be brief.' },
+          { role: 'user', content: 'Hello Ada.' }
+        ]
+      });
+    });
+
+    test('leaves placeholders inside values as typed', () => {
+      const { messages } = promptRegistry.render(TASK, { name: '{{mood}}', mood: ' {{name}}' }, { version: 1 });
+
+      expect(messages[1].content).toBe('Hello {{mood}}. {{name}}');
+    });
+
+    test('rejects unknown, missing and non-text variables', () => {
+      expect(() => promptRegistry.render(TASK, { mood: { happy: true }, extra: 'x' })).toThrow(expect.objectContaining({
+        statusCode: 400,
+        code: 'INVALID_PROMPT_VARIABLES',
+        details: ['mood must be a string or number', `extra is not a variable of ${TASK}`, 'name is required']
+      }));
+    });
+
+    test('rejects an unknown task', () => {
+      expect(() => promptRegistry.render('no-such-task', {})).toThrow(expect.objectContaining({ statusCode: 404, code: 'TEMPLATE_NOT_FOUND' }));
+    });
+  });
+
+  describe('version selection', () => {
+    test('keeps each agent on the same version', () => {
+      const agents = Array.from({ length: 40 }, (_, index) => `agent-${index}`);
+      const versions = agents.map(agentId => promptRegistry.render(TASK, { name: 'Ada' }, { agentId }).version);
+
+      expect(agents.map(agentId => promptRegistry.render(TASK, { name: 'Ada' }, { agentId }).version)).toEqual(versions);
+      expect(new Set(versions)).toEqual(new Set([1, 2]));
+      expect(promptRegistry.render(TASK, { name: 'Ada' }, { agentId: 'agent-0' }).assignment).toBe('weighted');
+    });
+
+    test('uses the version pinned in PROMPT_VERSIONS', () => {
+      config.prompts.versions[TASK] = '2';
+
+      const agents = ['agent-0', 'agent-1', 'agent-2', 'agent-3'];
+      for (const agentId of agents) {
+        expect(promptRegistry.render(TASK, { name: 'Ada' }, { agentId })).toMatchObject({ version: 2, assignment: 'pinned' });
+      }
+    });
+
+    test('serves agent-restricted versions only to those agents', () => {
+      expect(promptRegistry.render(TASK, { name: 'Ada' }, { agentId: 'jane-quant', version: 3 }).version).toBe(3);
+      expect(() => promptRegistry.render(TASK, { name: 'Ada' }, { agentId: 'melvin-arck', version: 3 }))
+        .toThrow(expect.objectContaining({ statusCode: 404, code: 'TEMPLATE_VERSION_NOT_FOUND' }));
+    });
+
+    test('uses the only version with traffic without hashing', () => {
+      promptRegistry.addVersion(TASK, { version: 4, weight: 0, system: 'Unused', user: 'Unused' });
+      promptRegistry.templates[TASK].versions[1].weight = 0;
+
+      expect(promptRegistry.render(TASK, { name: 'Ada' }, { agentId: 'agent-0' })).toMatchObject({ version: 1, assignment: 'only' });
+    });
+  });
+});
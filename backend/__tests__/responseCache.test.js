@@ -0,0 +1,75 @@
+const ResponseCache = require('../services/llm/responseCache');
+
+describe('ResponseCache', () => {
+  const request = (content, extra = {}) => ({
+    provider: 'dashscope',
+    model: 'qwen-plus',
+    messages: [{ role: 'system', content: 'You are an analyst.' }, { role: 'user', content }],
+    temperature: 0.3,
+    ...extra
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('key', () => {
+    test('matches requests that differ only in whitespace', () => {
+      const cache = new ResponseCache({ ttlMs: 1000 });
+
+      expect(cache.key(request('Price  of\n AAPL? '))).toBe(cache.key(request('Price of AAPL?')));
+      expect(cache.key(request('Price of AAPL?', { temperature: 0.7 }))).not.toBe(cache.key(request('Price of AAPL?')));
+      expect(cache.key(request('Price of AAPL?', { model: 'qwen-max' }))).not.toBe(cache.key(request('Price of AAPL?')));
+    });
+
+    test('is null while the cache is disabled, so nothing is stored', () => {
+      const cache = new ResponseCache();
+
+      const key = cache.key(request('Price of AAPL?'));
+      cache.set(key, { content: 'ignored' });
+
+      expect(key).toBeNull();
+      expect(cache.get(key)).toBeNull();
+      expect(cache.stats()).toMatchObject({ enabled: false, entries: 0, misses: 1 });
+    });
+  });
+
+  describe('get', () => {
+    test('serves an expired entry only when stale answers are allowed', () => {
+      const cache = new ResponseCache({ ttlMs: 1000 });
+      const now = jest.spyOn(Date, 'now').mockReturnValue(10000);
+      const key = cache.key(request('Price of AAPL?'));
+      cache.set(key, { content: 'About $100' });
+
+      expect(cache.get(key)).toMatchObject({ value: { content: 'About $100' }, cachedAt: 10000, stale: false });
+
+      now.mockReturnValue(11001);
+      expect(cache.get(key)).toBeNull();
+      expect(cache.get(key, { allowStale: true })).toMatchObject({ stale: true });
+      expect(cache.stats()).toMatchObject({ hits: 1, staleHits: 1, misses: 1, hitRate: 2 / 3 });
+    });
+
+    test('evicts the least recently used entry beyond maxEntries', () => {
+      const cache = new ResponseCache({ ttlMs: 1000, maxEntries: 2 });
+      const [first, second, third] = ['AAPL', 'MSFT', 'NVDA'].map(symbol => cache.key(request(symbol)));
+      cache.set(first, { content: 'first' });
+      cache.set(second, { content: 'second' });
+
+      // Reading the first entry makes the second the least recently used
+      cache.get(first);
+      cache.set(third, { content: 'third' });
+
+      expect(cache.get(second)).toBeNull();
+      expect(cache.get(first)).not.toBeNull();
+      expect(cache.get(third)).not.toBeNull();
+    });
+  });
+
+  test('delete evicts a reply the caller rejected', () => {
+    const cache = new ResponseCache({ ttlMs: 1000 });
+    const key = cache.key(request('Price of AAPL?'));
+    cache.set(key, { content: 'not JSON' });
+
+    cache.delete(key);
+
+    expect(cache.get(key)).toBeNull();
+  });
+});
@@ -0,0 +1,205 @@
+const SimulatedBroker = require('../services/brokers/simulatedBroker');
+const marketCalendar = require('../services/marketCalendar');
+const { useTempDataFiles, setPrice } = require('./helpers/testData');
+
+describe('SimulatedBroker', () => {
+  let data;
+  let broker;
+  let updates;
+
+  // No spread, slippage or random walk, so fills happen at the prices the tests set
+  const createBroker = (options = {}) => {
+    const created = new SimulatedBroker({ persist: false, tickInterval: 0, slippageBps: 0, spreadBps: 0, volatility: 0, ...options });
+    created.on('trade_update', update => updates.push(update));
+    return created;
+  };
+  const events = (orderId) => updates.filter(update => update.order.id === orderId).map(update => update.event);
+  const legsOf = async (order) => (await broker.getOrder(order.id)).legs;
+
+  beforeAll(async () => {
+    data = await useTempDataFiles(marketCalendar);
+  });
+
+  afterAll(() => data.cleanup());
+
+  beforeEach(async () => {
+    updates = [];
+    broker = createBroker();
+    await broker.ready;
+    setPrice(broker, 'AAPL', 100);
+  });
+
+  describe('orders', () => {
+    test('fills a market buy at the quote and books the position', async () => {
+      const order = await broker.createOrder({ symbol: 'AAPL', qty: 10, side: 'buy', type: 'market', time_in_force: 'day' });
+
+      expect(order).toMatchObject({ status: 'filled', filled_qty: '10', filled_avg_price: '100' });
+      expect(events(order.id)).toEqual(['new', 'fill']);
+      expect(await broker.getPosition('AAPL')).toMatchObject({ qty: '10', avg_entry_price: '100' });
+      expect((await broker.getAccount()).cash).toBe('99000');
+    });
+
+    test('rests a limit order until the price reaches it', async () => {
+      const order = await broker.createOrder({ symbol: 'AAPL', qty: 5, side: 'buy', type: 'limit', limit_price: 95, time_in_force: 'gtc' });
+      expect(order.status).toBe('new');
+
+      setPrice(broker, 'AAPL', 94);
+      broker.tick();
+
+      expect(await broker.getOrder(order.id)).toMatchObject({ status: 'filled', filled_avg_price: '94' });
+    });
+
+    test('rejects an order opposite an open order as a potential wash trade', async () => {
+      await broker.createOrder({ symbol: 'AAPL', qty: 10, side: 'buy', type: 'market', time_in_force: 'day' });
+      await broker.createOrder({ symbol: 'AAPL', qty: 10, side: 'sell', type: 'limit', limit_price: 150, time_in_force: 'gtc' });
+
+      await expect(broker.createOrder({ symbol: 'AAPL', qty: 1, side: 'buy', type: 'market', time_in_force: 'day' }))
+        .rejects.toMatchObject({ response: { status: 403, data: { code: 40310000 } } });
+    });
+
+    test('accepts a bracket entry alongside the exits of another bracket', async () => {
+      const bracket = { symbol: 'AAPL', qty: 5, side: 'buy', type: 'market', time_in_force: 'day', order_class: 'bracket', take_profit: { limit_price: 120 }, stop_loss: { stop_price: 80 } };
+      await broker.createOrder(bracket);
+      broker.tick();
+
+      await expect(broker.createOrder(bracket)).resolves.toMatchObject({ order_class: 'bracket' });
+      await expect(broker.createOrder({ symbol: 'AAPL', qty: 1, side: 'buy', type: 'market', time_in_force: 'day' }))
+        .rejects.toMatchObject({ response: { status: 403, data: { code: 40310000 } } });
+    });
+
+    test('rejects a sell larger than the position', async () => {
+      await expect(broker.createOrder({ symbol: 'AAPL', qty: 5, side: 'sell', type: 'market', time_in_force: 'day' }))
+        .rejects.toMatchObject({ response: { status: 422 } });
+    });
+
+    test('rejects a buy beyond buying power', async () => {
+      await expect(broker.createOrder({ symbol: 'AAPL', qty: 2000, side: 'buy', type: 'market', time_in_force: 'day' }))
+        .rejects.toMatchObject({ response: { status: 403, data: { code: 40110000 } } });
+    });
+  });
+
+  describe('bracket and OCO orders', () => {
+    test('holds the exits until the entry fills, then cancels the other exit when one fills', async () => {
+      const entry = await broker.createOrder({
+        symbol: 'AAPL',
+        qty: 10,
+        side: 'buy',
+        type: 'limit',
+        limit_price: 95,
+        time_in_force: 'gtc',
+        order_class: 'bracket',
+        take_profit: { limit_price: 120 },
+        stop_loss: { stop_price: 90 }
+      });
+      expect(entry.legs.map(leg => leg.status)).toEqual(['held', 'held']);
+
+      setPrice(broker, 'AAPL', 94);
+      broker.tick();
+      expect((await legsOf(entry)).map(leg => leg.status)).toEqual(['new', 'new']);
+
+      setPrice(broker, 'AAPL', 121);
+      broker.tick();
+      const [takeProfit, stopLoss] = await legsOf(entry);
+      expect(takeProfit).toMatchObject({ type: 'limit', status: 'filled', filled_avg_price: '121' });
+      expect(stopLoss).toMatchObject({ type: 'stop', status: 'canceled' });
+      await expect(broker.getPosition('AAPL')).rejects.toMatchObject({ response: { status: 404 } });
+    });
+
+    test('counts the exits of one group once when reserving shares', async () => {
+      await broker.createOrder({ symbol: 'AAPL', qty: 10, side: 'buy', type: 'market', time_in_force: 'day' });
+      await broker.createOrder({
+        symbol: 'AAPL',
+        qty: 10,
+        side: 'sell',
+        type: 'limit',
+        time_in_force: 'gtc',
+        order_class: 'oco',
+        take_profit: { limit_price: 120 },
+        stop_loss: { stop_price: 80 }
+      });
+
+      expect(await broker.getPosition('AAPL')).toMatchObject({ qty: '10', qty_available: '0' });
+    });
+  });
+
+  describe('partial fills', () => {
+    beforeEach(async () => {
+      broker = createBroker({ partialFillRatio: 0.25 });
+      await broker.ready;
+      setPrice(broker, 'AAPL', 100);
+    });
+
+    test('fills a share of the order per tick with partial_fill updates', async () => {
+      const order = await broker.createOrder({ symbol: 'AAPL', qty: 10, side: 'buy', type: 'market', time_in_force: 'day' });
+      expect(order).toMatchObject({ status: 'partially_filled', filled_qty: '2' });
+
+      for (let tick = 0; tick < 4; tick++) broker.tick();
+
+      expect(await broker.getOrder(order.id)).toMatchObject({ status: 'filled', filled_qty: '10', filled_avg_price: '100' });
+      expect(events(order.id)).toEqual(['new', 'partial_fill', 'partial_fill', 'partial_fill', 'partial_fill', 'fill']);
+      expect(updates.find(update => update.event === 'partial_fill')).toMatchObject({ qty: '2', position_qty: '2' });
+    });
+
+    test('cancels the unfilled rest of an immediate-or-cancel order', async () => {
+      const order = await broker.createOrder({ symbol: 'AAPL', qty: 10, side: 'buy', type: 'market', time_in_force: 'ioc' });
+
+      expect(order).toMatchObject({ status: 'canceled', filled_qty: '2' });
+    });
+
+    test('fills a fill-or-kill order at once', async () => {
+      const order = await broker.createOrder({ symbol: 'AAPL', qty: 10, side: 'buy', type: 'market', time_in_force: 'fok' });
+
+      expect(order).toMatchObject({ status: 'filled', filled_qty: '10' });
+    });
+
+    test('protects the shares a canceled, partly filled bracket entry bought', async () => {
+      const entry = await broker.createOrder({
+        symbol: 'AAPL',
+        qty: 10,
+        side: 'buy',
+        type: 'market',
+        time_in_force: 'gtc',
+        order_class: 'bracket',
+        take_profit: { limit_price: 120 },
+        stop_loss: { stop_price: 80 }
+      });
+      await broker.cancelOrder(entry.id);
+
+      expect((await legsOf(entry)).map(leg => [leg.qty, leg.status])).toEqual([['2', 'new'], ['2', 'new']]);
+    });
+  });
+
+  describe('day orders', () => {
+    test('expire at the next close', async () => {
+      const order = await broker.createOrder({ symbol: 'AAPL', qty: 1, side: 'buy', type: 'limit', limit_price: 50, time_in_force: 'day' });
+      const { nextClose } = await marketCalendar.getClock();
+      expect(order.expires_at).toBe(nextClose);
+
+      broker.expireOrders(new Date(new Date(nextClose).getTime() - 1000));
+      expect((await broker.getOrder(order.id)).status).toBe('new');
+
+      broker.expireOrders(new Date(nextClose));
+      expect(await broker.getOrder(order.id)).toMatchObject({ status: 'expired' });
+      expect(events(order.id)).toEqual(['new', 'expired']);
+    });
+
+    test('run to the end of after-hours trading when placed for extended hours', async () => {
+      const order = await broker.createOrder({
+        symbol: 'AAPL', qty: 1, side: 'buy', type: 'limit', limit_price: 50, time_in_force: 'day', extended_hours: true
+      });
+
+      const clock = await marketCalendar.getClock();
+      const session = [clock.today, ...clock.upcoming].find(day => day && new Date(day.afterHoursClose) > new Date());
+      expect(order.expires_at).toBe(session.afterHoursClose);
+    });
+
+    test('good-til-canceled orders and disabled expiry never expire', async () => {
+      const gtc = await broker.createOrder({ symbol: 'AAPL', qty: 1, side: 'buy', type: 'limit', limit_price: 50, time_in_force: 'gtc' });
+      broker = createBroker({ expireDayOrders: false });
+      const day = await broker.createOrder({ symbol: 'AAPL', qty: 1, side: 'buy', type: 'limit', limit_price: 50, time_in_force: 'day' });
+
+      expect(gtc.expires_at).toBeNull();
+      expect(day.expires_at).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,98 @@
+const broker = require('../services/brokers');
+const capitalSleeves = require('../services/capitalSleeves');
+const guardrails = require('../services/guardrails');
+const decisionTraces = require('../services/decisionTraces');
+const tradeSuggestions = require('../services/tradeSuggestions');
+const { useTempDataFiles, resetBroker, setPrice } = require('./helpers/testData');
+
+// 5% position limit
+const AGENT_ID = 'wharton-buffest';
+
+describe('tradeSuggestions', () => {
+  let data;
+
+  const suggest = (action, extra = {}) => ({
+    action,
+    symbol: 'AAPL',
+    confidence: 0.8,
+    citation: { sentence: `I would ${action.toLowerCase()} AAPL.` },
+    ...extra
+  });
+  const resolve = (suggestions, sources = { userMessage: 'What about $AAPL?' }) => tradeSuggestions.resolveSuggestions(AGENT_ID, suggestions, sources);
+
+  beforeAll(async () => {
+    data = await useTempDataFiles(capitalSleeves, guardrails, decisionTraces);
+  });
+
+  afterAll(() => data.cleanup());
+
+  beforeEach(async () => {
+    await resetBroker(broker);
+    setPrice(broker, 'AAPL', 100);
+    capitalSleeves.state = { sleeves: {}, orders: {}, ledger: [] };
+    guardrails.log = [];
+    await capitalSleeves.allocate(AGENT_ID, 5000, 'test');
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('prices and sizes a suggestion from the live quote', async () => {
+    const { suggestions, rejected } = await resolve([suggest('BUY', { quantity: 2 })]);
+
+    expect(rejected).toEqual([]);
+    expect(suggestions).toEqual([expect.objectContaining({
+      decisionId: expect.any(String),
+      action: 'buy',
+      symbol: 'AAPL',
+      quantity: 2,
+      reasoning: 'I would buy AAPL.',
+      sizing: { requested: 2, adjusted: false, reason: null },
+      pricing: expect.objectContaining({ source: 'ask' })
+    })]);
+    expect(suggestions[0].estimatedValue).toBeCloseTo(2 * suggestions[0].price, 2);
+  });
+
+  test('cuts an oversized suggestion to the agent\'s position limit', async () => {
+    const { suggestions } = await resolve([suggest('BUY', { quantity: 10 })]);
+
+    expect(suggestions[0]).toMatchObject({ quantity: 2, sizing: { requested: 10, adjusted: true, reason: expect.any(String) } });
+  });
+
+  test('sizes a notional suggestion, or one with no size, at the live price', async () => {
+    const { suggestions } = await resolve([suggest('BUY', { notional: 150 }), suggest('BUY')]);
+
+    expect(suggestions.map(suggestion => suggestion.quantity)).toEqual([1, 2]);
+  });
+
+  test('rejects sells of a position the agent does not hold', async () => {
+    const { suggestions, rejected } = await resolve([suggest('SELL', { quantity: 1 })]);
+
+    expect(suggestions).toEqual([]);
+    expect(rejected).toEqual([{ action: 'sell', symbol: 'AAPL', reason: 'No AAPL position to sell', citation: expect.any(Object) }]);
+  });
+
+  test('rejects symbols outside the trusted data before pricing them', async () => {
+    const { rejected } = await resolve([suggest('BUY', { symbol: 'MSFT', quantity: 1 })]);
+
+    expect(rejected[0].reason).toMatch(/^MSFT does not appear in the portfolio/);
+    expect(guardrails.log[0]).toMatchObject({ action: 'blocked', source: 'chat suggestion' });
+  });
+
+  test('rejects symbols the broker does not know', async () => {
+    jest.spyOn(broker, 'getAsset').mockRejectedValue(Object.assign(new Error('asset not found'), { response: { status: 404 } }));
+
+    const toolCalls = [{ name: 'get_quote', arguments: '{"symbol":"AAPL"}', ok: true }];
+    const { rejected } = await resolve([suggest('BUY', { quantity: 1 })], { toolCalls });
+
+    expect(rejected[0].reason).toBe('AAPL is not a known symbol');
+  });
+
+  test('rejects every suggestion when the portfolio cannot be read', async () => {
+    jest.spyOn(capitalSleeves, 'getPortfolioData').mockRejectedValue(new Error('broker offline'));
+
+    const { suggestions, rejected } = await resolve([suggest('BUY', { quantity: 1 }), suggest('SELL', { quantity: 1 })]);
+
+    expect(suggestions).toEqual([]);
+    expect(rejected.map(entry => entry.reason)).toEqual(['Portfolio data is unavailable to size the trade', 'Portfolio data is unavailable to size the trade']);
+  });
+});
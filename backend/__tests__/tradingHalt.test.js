@@ -0,0 +1,89 @@
+const broker = require('../services/brokers');
+const capitalSleeves = require('../services/capitalSleeves');
+const riskManagement = require('../services/riskManagement');
+const tradingHalt = require('../services/tradingHalt');
+const { useTempDataFiles, resetBroker } = require('./helpers/testData');
+
+const AGENT_ID = 'wharton-buffest';
+
+describe('tradingHalt', () => {
+  let data;
+
+  beforeAll(async () => {
+    data = await useTempDataFiles(tradingHalt, capitalSleeves);
+  });
+
+  afterAll(() => data.cleanup());
+
+  beforeEach(async () => {
+    await resetBroker(broker);
+    tradingHalt.state = { global: null, agents: {}, history: [] };
+    capitalSleeves.state = { sleeves: {}, orders: {}, ledger: [] };
+  });
+
+  describe('halts', () => {
+    test('a global halt blocks every agent until it is resumed', async () => {
+      await tradingHalt.halt({ reason: 'maintenance', actor: 'ops' });
+
+      expect(await tradingHalt.getBlockingHalt()).toMatchObject({ scope: 'global', reason: 'maintenance' });
+      expect(await tradingHalt.getBlockingHalt(AGENT_ID)).toMatchObject({ scope: 'global' });
+
+      await tradingHalt.resume({ actor: 'ops' });
+      expect(await tradingHalt.getBlockingHalt(AGENT_ID)).toBeNull();
+    });
+
+    test('an agent halt blocks only that agent, behind a global halt', async () => {
+      await tradingHalt.halt({ agentId: AGENT_ID, reason: 'review', actor: 'ops' });
+
+      expect(await tradingHalt.getBlockingHalt(AGENT_ID)).toMatchObject({ scope: 'agent', agentId: AGENT_ID });
+      expect(await tradingHalt.getBlockingHalt('jane-quant')).toBeNull();
+
+      await tradingHalt.halt({ reason: 'maintenance', actor: 'ops' });
+      expect(await tradingHalt.getBlockingHalt(AGENT_ID)).toMatchObject({ scope: 'global' });
+    });
+
+    test('resuming without an active halt does nothing', async () => {
+      expect(await tradingHalt.resume({ agentId: AGENT_ID, actor: 'ops' })).toBeNull();
+      expect((await tradingHalt.getStatus()).history).toEqual([]);
+    });
+  });
+
+  describe('circuit breakers', () => {
+    const limits = riskManagement.getRiskLimits(AGENT_ID);
+
+    beforeEach(async () => {
+      await capitalSleeves.allocate(AGENT_ID, 5000, 'test');
+    });
+
+    test('trip on the sleeve\'s drawdown', async () => {
+      capitalSleeves.state.sleeves[AGENT_ID].highWaterMark = 5000 / (1 - limits.maxDrawdown) + 1000;
+
+      const halt = await tradingHalt.getBlockingHalt(AGENT_ID);
+
+      expect(halt).toMatchObject({ scope: 'agent', actor: 'circuit_breaker', trigger: { type: 'max_drawdown', basis: 'sleeve' } });
+      expect(halt.reason).toMatch(/^Sleeve drawdown/);
+    });
+
+    test('trip on the sleeve\'s daily loss', async () => {
+      capitalSleeves.state.sleeves[AGENT_ID].dayStart.equity = 5000 / (1 - limits.maxDailyRisk) + 1000;
+
+      const halt = await tradingHalt.getBlockingHalt(AGENT_ID);
+
+      expect(halt).toMatchObject({ actor: 'circuit_breaker', trigger: { type: 'daily_loss', basis: 'sleeve', limit: limits.maxDailyRisk } });
+    });
+
+    test('stay quiet within the limits', async () => {
+      expect(await tradingHalt.getBlockingHalt(AGENT_ID)).toBeNull();
+    });
+
+    test('are disarmed for the day when the agent is resumed', async () => {
+      capitalSleeves.state.sleeves[AGENT_ID].highWaterMark = 5000 / (1 - limits.maxDrawdown) + 1000;
+      await tradingHalt.getBlockingHalt(AGENT_ID);
+
+      await tradingHalt.resume({ agentId: AGENT_ID, reason: 'reviewed', actor: 'ops' });
+
+      expect(await tradingHalt.getBlockingHalt(AGENT_ID)).toBeNull();
+      expect(tradingHalt.state.breakerOverrides[AGENT_ID]).toBe(new Date().toISOString().split('T')[0]);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+const config = require('../config');
+const usageMeter = require('../services/llm/usageMeter');
+const { useTempDataFiles } = require('./helpers/testData');
+
+const AGENT_ID = 'wharton-buffest';
+
+describe('usageMeter', () => {
+  let data;
+  const { budget } = config.llm;
+  const { daily, agentDaily } = budget;
+
+  const today = () => usageMeter.days[new Date().toISOString().slice(0, 10)];
+
+  beforeAll(async () => {
+    data = await useTempDataFiles(usageMeter);
+  });
+
+  afterAll(() => data.cleanup());
+
+  beforeEach(() => {
+    usageMeter.days = {};
+  });
+
+  afterEach(() => {
+    Object.assign(budget, { daily, agentDaily });
+    jest.restoreAllMocks();
+  });
+
+  describe('pricing', () => {
+    test('prices a model by the longest priced name it starts with', () => {
+      expect(usageMeter.getPrice('qwen-plus-latest')).toBe(config.llm.pricing['qwen-plus']);
+      expect(usageMeter.getPrice('llama3.1')).toBeNull();
+      expect(usageMeter.costOf('qwen-plus', { promptTokens: 1000, completionTokens: 500 })).toBeCloseTo(0.0004 + 0.0006, 10);
+      expect(usageMeter.costOf('llama3.1', { promptTokens: 1000, completionTokens: 500 })).toBe(0);
+    });
+
+    test('estimates usage from text length when the provider reports none', () => {
+      const messages = [{ role: 'user', content: 'x'.repeat(10) }];
+
+      expect(usageMeter.measure(messages, { content: 'y'.repeat(5) })).toEqual({ promptTokens: 3, completionTokens: 2, totalTokens: 5, estimated: true });
+      expect(usageMeter.measure(messages, { usage: { promptTokens: 7, completionTokens: 1, totalTokens: 8 } })).toMatchObject({ totalTokens: 8, estimated: false });
+    });
+  });
+
+  describe('record', () => {
+    test('adds a call to the day\'s totals and its agent, endpoint and model', () => {
+      const usage = { promptTokens: 1000, completionTokens: 1000, totalTokens: 2000, estimated: false };
+
+      const cost = usageMeter.record({ provider: 'dashscope', model: 'qwen-plus', usage, agentId: AGENT_ID, endpoint: 'scheduler' });
+      usageMeter.record({ provider: 'dashscope', model: 'qwen-plus', cached: true, savedCost: cost, endpoint: 'scheduler' });
+
+      expect(cost).toBeCloseTo(0.0016, 10);
+      const day = today();
+      expect(day.totals).toMatchObject({ requests: 2, cachedResponses: 1, totalTokens: 2000, cost: 0.0016, savedCost: 0.0016 });
+      expect(day.agents[AGENT_ID]).toMatchObject({ requests: 1, cost: 0.0016 });
+      expect(day.endpoints.scheduler.requests).toBe(2);
+      expect(day.models['dashscope/qwen-plus'].requests).toBe(2);
+    });
+
+    test('attributes calls to the endpoint of the surrounding run()', async () => {
+      await usageMeter.run({ endpoint: 'committee' }, async () => {
+        usageMeter.record({ provider: 'dashscope', model: 'qwen-plus', failed: true });
+      });
+      usageMeter.record({ provider: 'dashscope', model: 'qwen-plus' });
+
+      expect(today().endpoints.committee).toMatchObject({ requests: 1, failedRequests: 1, cost: 0 });
+      expect(today().endpoints.background.requests).toBe(1);
+    });
+
+    test('drops days past the retention window', () => {
+      usageMeter.days['2000-01-01'] = { totals: {} };
+
+      usageMeter.record({ provider: 'dashscope', model: 'qwen-plus' });
+
+      expect(Object.keys(usageMeter.days)).toEqual([new Date().toISOString().slice(0, 10)]);
+    });
+  });
+
+  describe('budgets', () => {
+    const spend = (agentId) => usageMeter.record({
+      provider: 'dashscope',
+      model: 'qwen-plus',
+      agentId,
+      usage: { promptTokens: 1000, completionTokens: 1000, totalTokens: 2000 }
+    });
+
+    test('are unlimited by default', () => {
+      Object.assign(budget, { daily: 0, agentDaily: 0 });
+      spend(AGENT_ID);
+
+      expect(usageMeter.getBudgetStatus(AGENT_ID)).toMatchObject({ exceeded: false, daily: { limit: null, remaining: null }, agent: { limit: null } });
+    });
+
+    test('report the agent\'s own budget once it is spent', () => {
+      Object.assign(budget, { daily: 1, agentDaily: 0.001 });
+      spend(AGENT_ID);
+
+      expect(usageMeter.getBudgetStatus(AGENT_ID)).toMatchObject({ exceeded: true, scope: 'agent', agent: { spent: 0.0016, remaining: 0 } });
+      expect(usageMeter.getBudgetStatus('jane-quant')).toMatchObject({ exceeded: false, daily: { remaining: 0.9984 } });
+    });
+
+    test('report the daily budget ahead of the agent\'s', () => {
+      Object.assign(budget, { daily: 0.001, agentDaily: 0.001 });
+      spend(AGENT_ID);
+
+      expect(usageMeter.getBudgetStatus(AGENT_ID)).toMatchObject({ exceeded: true, scope: 'daily' });
+    });
+  });
+
+  describe('getReport', () => {
+    test('lists today\'s usage, the budgets and one total per requested day', async () => {
+      Object.assign(budget, { daily: 0, agentDaily: 0.001 });
+      usageMeter.record({ provider: 'dashscope', model: 'qwen-plus', agentId: AGENT_ID, usage: { promptTokens: 1000, completionTokens: 1000, totalTokens: 2000 } });
+
+      const report = await usageMeter.getReport({ days: 3 });
+
+      expect(report.days).toHaveLength(3);
+      expect(report.days[0]).toMatchObject({ date: report.date, totals: { requests: 1 } });
+      expect(report.days[2].totals.requests).toBe(0);
+      expect(report.budget).toMatchObject({ daily: { limit: null, exceeded: false }, agentDailyLimit: 0.001, agents: { [AGENT_ID]: { exceeded: true } } });
+    });
+
+    test('rejects a day count outside the retention window', async () => {
+      await expect(usageMeter.getReport({ days: 31 })).rejects.toMatchObject({ statusCode: 400, code: 'INVALID_DAYS' });
+      await expect(usageMeter.getReport({ days: 'week' })).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+});
@@ -0,0 +1,48 @@
+const broker = require('../services/brokers');
+const marketCalendar = require('../services/marketCalendar');
+const orderEvents = require('../services/orderEvents');
+const capitalSleeves = require('../services/capitalSleeves');
+const tradingHalt = require('../services/tradingHalt');
+const orderExecution = require('../services/orderExecution');
+const WebSocketIntegration = require('../services/websocketIntegration');
+const { useTempDataFiles, resetBroker, setPrice } = require('./helpers/testData');
+
+describe('WebSocketIntegration trading actions', () => {
+  let data;
+  const integration = new WebSocketIntegration(null);
+
+  beforeAll(async () => {
+    data = await useTempDataFiles(orderExecution, orderEvents, capitalSleeves, tradingHalt, marketCalendar);
+  });
+
+  afterAll(async () => {
+    clearTimeout(tradingHalt.fillCheckTimer);
+    await data.cleanup();
+  });
+
+  beforeEach(async () => {
+    await resetBroker(broker);
+    setPrice(broker, 'AAPL', 100);
+    tradingHalt.state = { global: null, agents: {}, history: [] };
+  });
+
+  test('protects an agent buy with a bracket', async () => {
+    const result = await integration.processTradingAction({ symbol: 'AAPL', action: 'BUY', quantity: 5, agentId: 'wharton-buffest' });
+
+    expect(result).toMatchObject({ executed: true, order: { orderClass: 'bracket' } });
+    expect((await broker.getOrder(result.order.id)).legs).toHaveLength(2);
+  });
+
+  test('leaves a manual buy as a simple order', async () => {
+    const result = await integration.processTradingAction({ symbol: 'AAPL', action: 'BUY', quantity: 5 });
+
+    expect(result).toMatchObject({ executed: true, order: { orderClass: 'simple' } });
+  });
+
+  test('blocks an agent buy whose bracket is invalid instead of sending it bare', async () => {
+    const result = await integration.processTradingAction({ symbol: 'AAPL', action: 'BUY', quantity: 5, agentId: 'wharton-buffest', timeInForce: 'ioc' });
+
+    expect(result).toMatchObject({ executed: false, outcome: 'blocked', code: 'INVALID_ORDER_CLASS' });
+    expect(await broker.getOrders({ status: 'all' })).toEqual([]);
+  });
+});
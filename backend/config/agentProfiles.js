@@ -1,6 +1,7 @@
 /**
- * AI Investor Agent Profiles
- * Each agent has a unique personality, investment style, and risk tolerance
+ * Built-in AI Investor Agent Profiles
+ * Each agent has a unique personality, investment style, and risk tolerance.
+ * Agents are looked up through services/agentRegistry, which adds user-defined agents.
  */
 
 const agentProfiles = {
@@ -14,6 +15,7 @@ const agentProfiles = {
     // Investment Philosophy
     investmentStyle: 'Value Investing',
     riskTolerance: 'Conservative',
+    riskLevel: 'low',
     timeHorizon: 'Long-term (5+ years)',
     
     // Personality Traits
@@ -25,11 +27,18 @@ const agentProfiles = {
       'Be fearful when others are greedy, and greedy when others are fearful'
     ],
     
-    // Risk Parameters
-    maxPositionSize: 0.15, // Max 15% of portfolio in single position
-    maxDailyRisk: 0.02, // Max 2% daily portfolio risk
+    // Risk Limits (enforced by riskManagement)
+    riskLimits: {
+      maxPositionSize: 0.05, // 5% of portfolio per position
+      maxDailyRisk: 0.02, // 2% daily risk limit
+      maxDrawdown: 0.10, // 10% maximum drawdown
+      maxLeverage: 1.0, // No leverage
+      sectorConcentration: 0.25, // Max 25% in any sector
+      minCashReserve: 0.20 // Keep 20% cash
+    },
     preferredSectors: ['Consumer Staples', 'Healthcare', 'Utilities', 'Financials'],
     avoidedSectors: ['Cryptocurrency', 'Biotech', 'Penny Stocks'],
+    universe: [], // Any tradable symbol
     
     // Trading Behavior
     tradingFrequency: 'Low', // Trades infrequently
@@ -44,6 +53,7 @@ const agentProfiles = {
     // AI Behavior Settings
     creativity: 0.3, // Low creativity, stick to proven strategies
     confidence: 0.8, // High confidence in analysis
+    minConfidence: 0.8, // Scheduled runs hold below this confidence
     responseStyle: 'detailed_explanation'
   },
 
@@ -57,6 +67,7 @@ const agentProfiles = {
     // Investment Philosophy
     investmentStyle: 'Aggressive Growth',
     riskTolerance: 'High',
+    riskLevel: 'high',
     timeHorizon: 'Short to Medium-term (6 months - 2 years)',
     
     // Personality Traits
@@ -68,11 +79,18 @@ const agentProfiles = {
       'The trend is your friend until it ends'
     ],
     
-    // Risk Parameters
-    maxPositionSize: 0.25, // Max 25% of portfolio in single position
-    maxDailyRisk: 0.05, // Max 5% daily portfolio risk
+    // Risk Limits (enforced by riskManagement)
+    riskLimits: {
+      maxPositionSize: 0.15, // 15% of portfolio per position
+      maxDailyRisk: 0.08, // 8% daily risk limit
+      maxDrawdown: 0.25, // 25% maximum drawdown
+      maxLeverage: 2.0, // 2x leverage allowed
+      sectorConcentration: 0.50, // Max 50% in any sector
+      minCashReserve: 0.05 // Keep 5% cash
+    },
     preferredSectors: ['Technology', 'Biotech', 'Clean Energy', 'Cryptocurrency', 'Growth Stocks'],
     avoidedSectors: ['Utilities', 'Consumer Staples', 'REITs'],
+    universe: [], // Any tradable symbol
     
     // Trading Behavior
     tradingFrequency: 'High', // Trades frequently
@@ -87,6 +105,7 @@ const agentProfiles = {
     // AI Behavior Settings
     creativity: 0.8, // High creativity, willing to try new strategies
     confidence: 0.9, // Very high confidence
+    minConfidence: 0.6, // Scheduled runs hold below this confidence
     responseStyle: 'action_oriented'
   },
 
@@ -100,6 +119,7 @@ const agentProfiles = {
     // Investment Philosophy
     investmentStyle: 'Quantitative/Technical Analysis',
     riskTolerance: 'Moderate to High',
+    riskLevel: 'medium',
     timeHorizon: 'Medium-term (1-3 years)',
     
     // Personality Traits
@@ -111,11 +131,18 @@ const agentProfiles = {
       'Systematic beats emotional every time'
     ],
     
-    // Risk Parameters
-    maxPositionSize: 0.20, // Max 20% of portfolio in single position
-    maxDailyRisk: 0.03, // Max 3% daily portfolio risk
+    // Risk Limits (enforced by riskManagement)
+    riskLimits: {
+      maxPositionSize: 0.10, // 10% of portfolio per position
+      maxDailyRisk: 0.05, // 5% daily risk limit
+      maxDrawdown: 0.15, // 15% maximum drawdown
+      maxLeverage: 1.5, // 1.5x leverage allowed
+      sectorConcentration: 0.60, // Max 60% in any sector
+      minCashReserve: 0.10 // Keep 10% cash
+    },
     preferredSectors: ['Technology', 'Software', 'Semiconductors', 'AI/ML', 'Fintech'],
     avoidedSectors: ['Traditional Retail', 'Commodities', 'Real Estate'],
+    universe: [], // Any tradable symbol
     
     // Trading Behavior
     tradingFrequency: 'Medium', // Trades based on signals
@@ -130,82 +157,11 @@ const agentProfiles = {
     // AI Behavior Settings
     creativity: 0.6, // Moderate creativity, balanced approach
     confidence: 0.7, // High confidence in technical analysis
+    minConfidence: 0.75, // Scheduled runs hold below this confidence
     responseStyle: 'data_focused'
   }
 };
 
-/**
- * Get agent profile by ID
- * @param {string} agentId - The agent identifier
- * @returns {Object|null} - Agent profile or null if not found
- */
-function getAgentProfile(agentId) {
-  return agentProfiles[agentId] || null;
-}
-
-/**
- * Get all available agents
- * @returns {Array} - Array of all agent profiles
- */
-function getAllAgents() {
-  return Object.values(agentProfiles);
-}
-
-/**
- * Get agents by risk tolerance
- * @param {string} riskLevel - 'Conservative', 'Moderate', 'High'
- * @returns {Array} - Filtered array of agents
- */
-function getAgentsByRisk(riskLevel) {
-  return Object.values(agentProfiles).filter(agent => 
-    agent.riskTolerance.toLowerCase().includes(riskLevel.toLowerCase())
-  );
-}
-
-/**
- * Validate trading decision against agent's risk parameters
- * @param {string} agentId - Agent identifier
- * @param {Object} decision - Trading decision object
- * @param {Object} portfolioData - Current portfolio state
- * @returns {Object} - Validation result
- */
-function validateTradingDecision(agentId, decision, portfolioData) {
-  const agent = getAgentProfile(agentId);
-  if (!agent) {
-    return { valid: false, reason: 'Invalid agent ID' };
-  }
-
-  const { recommendation } = decision;
-  if (!recommendation || recommendation.action === 'HOLD') {
-    return { valid: true };
-  }
-
-  // Check position size limits
-  if (recommendation.action === 'BUY' && recommendation.quantity) {
-    const positionValue = recommendation.quantity * (recommendation.price || 100); // Estimate
-    const positionPercent = positionValue / portfolioData.totalValue;
-    
-    if (positionPercent > agent.maxPositionSize) {
-      return {
-        valid: false,
-        reason: `Position size (${(positionPercent * 100).toFixed(1)}%) exceeds agent's limit (${(agent.maxPositionSize * 100).toFixed(1)}%)`
-      };
-    }
-  }
-
-  // Check sector preferences
-  if (recommendation.symbol && agent.avoidedSectors.length > 0) {
-    // This would need market data to determine sector
-    // For now, we'll assume validation passes
-  }
-
-  return { valid: true };
-}
-
 module.exports = {
-  agentProfiles,
-  getAgentProfile,
-  getAllAgents,
-  getAgentsByRisk,
-  validateTradingDecision
-};
\ No newline at end of file
+  agentProfiles
+};
@@ -39,6 +39,37 @@ const parseInteger = (value, defaultValue = 0) => {
   return isNaN(parsed) ? defaultValue : parsed;
 };
 
+// Parse decimal values
+const parseDecimal = (value, defaultValue = 0) => {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? defaultValue : parsed;
+};
+
+// Parse comma-separated lists
+const parseList = (value, defaultValue = []) => {
+  if (typeof value === 'string' && value.trim()) {
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+  }
+  return defaultValue;
+};
+
+// Parse comma-separated key=value pairs
+const parseMap = (value, defaultValue = {}) => {
+  const entries = parseList(value)
+    .map(item => item.split('=').map(part => part.trim()))
+    .filter(([key, val]) => key && val);
+  return entries.length > 0 ? Object.fromEntries(entries) : defaultValue;
+};
+
+// Parse comma-separated model=input/output prices, in USD per 1K tokens
+const parsePricing = (value) => Object.fromEntries(Object.entries(parseMap(value)).map(([model, price]) => {
+  const [input, output = input] = price.split('/').map(part => parseDecimal(part));
+  return [model, { input, output }];
+}));
+
+// Broker backend ('alpaca' or 'simulated')
+const BROKER_PROVIDER = (process.env.BROKER_PROVIDER || 'alpaca').toLowerCase();
+
 // Configuration object
 const config = {
   // Environment
@@ -116,14 +147,31 @@ const config = {
 
   // Alpaca Trading
   alpaca: {
-    apiKey: requireEnvVar('ALPACA_API_KEY'),
-    secretKey: requireEnvVar('ALPACA_SECRET_KEY'),
+    apiKey: requireEnvVar('ALPACA_API_KEY', BROKER_PROVIDER === 'alpaca' ? null : ''),
+    secretKey: requireEnvVar('ALPACA_SECRET_KEY', BROKER_PROVIDER === 'alpaca' ? null : ''),
     baseUrl: process.env.ALPACA_BASE_URL || 'https://paper-api.alpaca.markets',
     dataUrl: process.env.ALPACA_DATA_URL || 'https://data.alpaca.markets',
     streamUrl: process.env.ALPACA_STREAM_URL || 'wss://stream.data.alpaca.markets',
     paper: !parseBoolean(process.env.FEATURE_REAL_TRADING, false)
   },
 
+  // Broker
+  broker: {
+    provider: BROKER_PROVIDER,
+    simulated: {
+      startingCash: parseDecimal(process.env.SIM_BROKER_STARTING_CASH, 100000),
+      tickInterval: parseInteger(process.env.SIM_BROKER_TICK_INTERVAL, 5000),
+      slippageBps: parseDecimal(process.env.SIM_BROKER_SLIPPAGE_BPS, 5),
+      spreadBps: parseDecimal(process.env.SIM_BROKER_SPREAD_BPS, 2),
+      volatility: parseDecimal(process.env.SIM_BROKER_VOLATILITY, 0.001),
+      partialFillRatio: parseDecimal(process.env.SIM_BROKER_PARTIAL_FILL_RATIO, 0),
+      expireDayOrders: parseBoolean(process.env.SIM_BROKER_EXPIRE_DAY_ORDERS, true),
+      priceFile: process.env.SIM_BROKER_PRICE_FILE || '',
+      stateFile: process.env.SIM_BROKER_STATE_FILE || path.join(__dirname, '..', 'data', 'simulated-broker.json'),
+      persist: parseBoolean(process.env.SIM_BROKER_PERSIST, true)
+    }
+  },
+
   // Yahoo Finance
   yahooFinance: {
     apiKey: process.env.YAHOO_FINANCE_API_KEY || '',
@@ -162,14 +210,114 @@ const config = {
     maxPositionSize: parseInteger(process.env.MAX_POSITION_SIZE, NODE_ENV === 'production' ? 10000 : 1000),
     riskManagementEnabled: parseBoolean(process.env.RISK_MANAGEMENT_ENABLED, true),
     stopLossPercentage: parseFloat(process.env.STOP_LOSS_PERCENTAGE) || (NODE_ENV === 'production' ? 5 : 3),
-    takeProfitPercentage: parseFloat(process.env.TAKE_PROFIT_PERCENTAGE) || (NODE_ENV === 'production' ? 10 : 5)
+    takeProfitPercentage: parseFloat(process.env.TAKE_PROFIT_PERCENTAGE) || (NODE_ENV === 'production' ? 10 : 5),
+    // Pre-trade pricing: reject quotes older than this (0 disables) and pad market prices by a slippage buffer
+    priceMaxAgeSeconds: parseInteger(process.env.PRICE_MAX_AGE_SECONDS, 900),
+    priceSlippageBps: parseDecimal(process.env.PRICE_SLIPPAGE_BPS, 10),
+    // How long an Idempotency-Key / client_order_id replays its original order
+    idempotencyWindowHours: parseInteger(process.env.ORDER_IDEMPOTENCY_WINDOW_HOURS, 24),
+    // Open opposite-side orders on a symbol: 'cancel' them, 'reject' the new order, or 'queue' it until they close
+    conflictPolicy: (process.env.ORDER_CONFLICT_POLICY || 'cancel').toLowerCase(),
+    conflictQueueTimeoutSeconds: parseInteger(process.env.ORDER_CONFLICT_QUEUE_TIMEOUT_SECONDS, 900),
+    // Orders outside the regular session: 'reject', 'queue' for the next open, or 'extended' (extended-hours limit)
+    sessionPolicy: (process.env.ORDER_SESSION_POLICY || 'reject').toLowerCase(),
+    enforceMarketHours: parseBoolean(process.env.ENFORCE_MARKET_HOURS, BROKER_PROVIDER !== 'simulated'),
+    // Execution algorithms: default TWAP/VWAP schedule, and the agent trade notional worked by TWAP (0 disables;
+    // each child of an agent entry is sent as its own bracket)
+    algoDefaultDurationMinutes: parseDecimal(process.env.ALGO_DEFAULT_DURATION_MINUTES, 30),
+    algoDefaultSlices: parseInteger(process.env.ALGO_DEFAULT_SLICES, 10),
+    algoAgentThreshold: parseDecimal(process.env.ALGO_AGENT_THRESHOLD, 0),
+    // Server-side agent scheduler: default and minimum time between an agent's analysis cycles
+    agentIntervalSeconds: parseInteger(process.env.AGENT_TRADING_INTERVAL_SECONDS, 300),
+    agentMinIntervalSeconds: parseInteger(process.env.AGENT_TRADING_MIN_INTERVAL_SECONDS, 60),
+    // Symbol=sector pairs for sector risk checks; other symbols use fetched company overview data
+    sectorMap: Object.fromEntries(Object.entries(parseMap(process.env.SECTOR_MAP))
+      .map(([symbol, sector]) => [symbol.toUpperCase(), sector]))
   },
 
   // AI Agent
   ai: {
     confidenceThreshold: parseFloat(process.env.AI_CONFIDENCE_THRESHOLD) || (NODE_ENV === 'production' ? 0.7 : 0.6),
     maxRetries: parseInteger(process.env.AI_MAX_RETRIES, NODE_ENV === 'production' ? 3 : 5),
-    timeout: parseInteger(process.env.AI_DECISION_TIMEOUT, NODE_ENV === 'production' ? 30000 : 45000)
+    timeout: parseInteger(process.env.AI_DECISION_TIMEOUT, NODE_ENV === 'production' ? 30000 : 45000),
+    // Invalid trading decisions are sent back to the model this many times per provider
+    decisionRepairAttempts: parseInteger(process.env.AI_DECISION_REPAIR_ATTEMPTS, 2),
+    // Agent chat can call live-data tools for up to this many rounds per message (0 disables tools)
+    toolCallRounds: parseInteger(process.env.AI_TOOL_CALL_ROUNDS, 4),
+    // Investment committees debate for at most this many rounds after the opening positions
+    committeeMaxDebateRounds: parseInteger(process.env.AI_COMMITTEE_MAX_DEBATE_ROUNDS, 2)
+  },
+
+  // Prompt Templates
+  prompts: {
+    // Versions pinned per task (e.g. trading-decision=2), overriding weighted A/B assignment
+    versions: parseMap(process.env.PROMPT_VERSIONS)
+  },
+
+  guardrails: {
+    // Block model-proposed orders for symbols that appear in no trusted data
+    trustedSymbolsOnly: parseBoolean(process.env.GUARDRAILS_TRUSTED_SYMBOLS_ONLY, true),
+    // Characters of each untrusted text (user message, tool result...) kept in a prompt
+    maxUntrustedLength: parseInteger(process.env.GUARDRAILS_MAX_UNTRUSTED_LENGTH, 4000)
+  },
+
+  // Agent Chat
+  agentChat: {
+    // Exchanges sent verbatim as context; older ones reach the model through the session summary
+    recentMessages: parseInteger(process.env.AGENT_CHAT_RECENT_MESSAGES, 5),
+    // Sessions idle for longer than this are deleted with their messages
+    retentionDays: parseInteger(process.env.AGENT_CHAT_RETENTION_DAYS, 90)
+  },
+
+  // LLM Gateway
+  llm: {
+    // Providers are tried in this order; unconfigured ones are skipped
+    providers: parseList(process.env.LLM_PROVIDERS, ['modelstudio', 'pai', 'dashscope', 'openai']).map(name => name.toLowerCase()),
+    modelStudio: {
+      apiKey: process.env.DASHSCOPE_API_KEY || '',
+      baseUrl: process.env.MODEL_STUDIO_BASE_URL || 'https://dashscope-intl.aliyuncs.com/compatible-mode/v1',
+      model: process.env.MODEL_STUDIO_MODEL || 'qwen-plus',
+      timeout: parseInteger(process.env.MODEL_STUDIO_TIMEOUT, 45000)
+    },
+    pai: {
+      serviceUrl: process.env.PAI_EAS_SERVICE_URL || '',
+      token: process.env.PAI_EAS_SERVICE_TOKEN || '',
+      model: process.env.PAI_MODEL_NAME || 'Qwen-7B-Chat',
+      timeout: parseInteger(process.env.PAI_TIMEOUT, 30000)
+    },
+    dashscope: {
+      apiKey: process.env.QWEN_API_KEY || '',
+      endpoint: process.env.QWEN_ENDPOINT || 'https://dashscope.aliyuncs.com/api/v1/services/aigc/text-generation/generation',
+      model: process.env.QWEN_MODEL || 'qwen-turbo',
+      timeout: parseInteger(process.env.QWEN_TIMEOUT, 30000)
+    },
+    // Any OpenAI-compatible server, e.g. llama.cpp (http://localhost:8080/v1) or Ollama (http://localhost:11434/v1)
+    openai: {
+      baseUrl: process.env.LLM_OPENAI_BASE_URL || '',
+      apiKey: process.env.LLM_OPENAI_API_KEY || '',
+      model: process.env.LLM_OPENAI_MODEL || 'llama3.1',
+      timeout: parseInteger(process.env.LLM_OPENAI_TIMEOUT, 120000),
+      supportsTools: parseBoolean(process.env.LLM_OPENAI_TOOLS, true),
+      supportsJsonMode: parseBoolean(process.env.LLM_OPENAI_JSON_MODE, true)
+    },
+    // USD per 1K input/output tokens; unpriced models are metered at no cost
+    pricing: {
+      'qwen-turbo': { input: 0.00005, output: 0.0002 },
+      'qwen-plus': { input: 0.0004, output: 0.0012 },
+      'qwen-max': { input: 0.0016, output: 0.0064 },
+      ...parsePricing(process.env.LLM_PRICING)
+    },
+    // Daily spend limits in USD (0 = unlimited), reset at midnight UTC
+    budget: {
+      daily: parseDecimal(process.env.LLM_DAILY_BUDGET, 0),
+      agentDaily: parseDecimal(process.env.LLM_AGENT_DAILY_BUDGET, 0),
+      // Cheaper model per provider used once a budget is spent
+      fallbackModel: parseMap(process.env.LLM_BUDGET_FALLBACK_MODEL, { modelstudio: 'qwen-turbo', dashscope: 'qwen-turbo' })
+    },
+    cache: {
+      ttlMs: parseInteger(process.env.LLM_CACHE_TTL_MS, 15 * 60 * 1000),
+      maxEntries: parseInteger(process.env.LLM_CACHE_MAX_ENTRIES, 500)
+    }
   },
 
   // News Feed
@@ -236,6 +384,7 @@ module.exports.functionCompute = config.functionCompute;
 module.exports.oss = config.oss;
 module.exports.logging = config.logging;
 module.exports.alpaca = config.alpaca;
+module.exports.broker = config.broker;
 module.exports.yahooFinance = config.yahooFinance;
 module.exports.redis = config.redis;
 module.exports.rateLimit = config.rateLimit;
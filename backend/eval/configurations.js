@@ -0,0 +1,39 @@
+/**
+ * Evaluation Configurations
+ * Named setups that eval/run.js compares. Each may set:
+ * - promptVersions: template version per task, as PROMPT_VERSIONS pins them
+ * - templates: extra template versions to register, as [{ task, version: { version, system, user } }]
+ * - agents: profile overrides per agent ID, or '*' for every agent (e.g. model, creativity, riskLimits)
+ * Edit candidate to try a change, or pass a path to a module exporting one configuration.
+ */
+
+const configurations = {
+  baseline: {
+    description: 'Prompt templates at version 1 and agents as registered',
+    promptVersions: {
+      'trading-decision': 1,
+      'portfolio-chat': 1,
+      conversation: 1
+    }
+  },
+
+  candidate: {
+    description: 'Prompt templates at their configured A/B assignment and agents as registered'
+  },
+
+  'low-creativity': {
+    description: 'Baseline with every agent at temperature 0.1',
+    promptVersions: {
+      'trading-decision': 1,
+      'portfolio-chat': 1,
+      conversation: 1
+    },
+    agents: {
+      '*': { creativity: 0.1 }
+    }
+  }
+};
+
+module.exports = {
+  configurations
+};
@@ -0,0 +1,264 @@
+// SIRFA Agent Finance - Agent Evaluation Harness
+// Replays golden scenarios through agents under a configuration, scores them and compares two runs
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const qwenService = require('../services/qwenService');
+const promptRegistry = require('../services/promptRegistry');
+const { getAgentProfile, getAllAgents } = require('../services/agentRegistry');
+const rubric = require('./rubric');
+
+const SCENARIO_TYPES = ['decision', 'chat'];
+
+/**
+ * Load the scenarios in a directory, one JSON file each; the file name is the scenario ID
+ * @param {string} directory - Scenario directory
+ * @param {Object} filters - agentId, to load only that agent's scenarios
+ * @returns {Array} - Scenarios sorted by ID
+ * @throws {Error} - When a scenario is malformed or names an unknown agent
+ */
+function loadScenarios(directory, { agentId = null } = {}) {
+  return fs.readdirSync(directory)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => {
+      const scenario = { id: path.basename(file, '.json'), ...JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8')) };
+      const errors = [];
+      if (!getAgentProfile(scenario.agentId)) errors.push(`unknown agent ${scenario.agentId}`);
+      if (!SCENARIO_TYPES.includes(scenario.type)) errors.push(`type must be one of ${SCENARIO_TYPES.join(', ')}`);
+      if (!scenario.market || !scenario.portfolio) errors.push('market and portfolio are required');
+      if (scenario.type === 'chat' && !scenario.question) errors.push('chat scenarios need a question');
+      if (errors.length > 0) throw new Error(`Invalid scenario ${scenario.id}: ${errors.join('; ')}`);
+      return scenario;
+    })
+    .filter(scenario => !agentId || scenario.agentId === agentId);
+}
+
+/**
+ * The portfolio as the analysis pipeline passes it to trading prompts
+ */
+function decisionPortfolio(portfolio) {
+  return {
+    totalValue: portfolio.totalValue,
+    buyingPower: portfolio.buyingPower,
+    dayChange: portfolio.dayChange || 0,
+    dayChangePercent: portfolio.dayChangePercent || 0,
+    positions: portfolio.positions.map(pos => ({
+      symbol: pos.symbol,
+      qty: pos.qty,
+      market_value: pos.qty * pos.price,
+      unrealized_pl: pos.qty * (pos.price - pos.averageCost)
+    }))
+  };
+}
+
+/**
+ * The portfolio as agentChat passes it to chat prompts
+ */
+function chatPortfolio(portfolio) {
+  const positions = portfolio.positions
+    .map(pos => {
+      const currentValue = pos.qty * pos.price;
+      const unrealizedPL = pos.qty * (pos.price - pos.averageCost);
+      return {
+        symbol: pos.symbol,
+        quantity: pos.qty,
+        averageCost: pos.averageCost,
+        currentValue,
+        unrealizedPL,
+        unrealizedPLPercent: (unrealizedPL / (pos.qty * pos.averageCost)) * 100,
+        percentOfPortfolio: (currentValue / portfolio.totalValue) * 100
+      };
+    })
+    .sort((a, b) => b.currentValue - a.currentValue);
+  const cashPercentage = (portfolio.buyingPower / portfolio.totalValue) * 100;
+
+  return {
+    totalValue: portfolio.totalValue,
+    buyingPower: portfolio.buyingPower,
+    dayChange: portfolio.dayChange || 0,
+    dayChangePercent: portfolio.dayChangePercent || 0,
+    cashPercentage,
+    positionCount: positions.length,
+    totalUnrealizedPL: positions.reduce((sum, pos) => sum + pos.unrealizedPL, 0),
+    positions,
+    topGainers: positions.filter(pos => pos.unrealizedPL > 0),
+    topLosers: positions.filter(pos => pos.unrealizedPL < 0),
+    sectorAllocation: [],
+    riskMetrics: {
+      concentrationRisk: positions.length > 0 ? positions[0].percentOfPortfolio : 0,
+      diversificationScore: Math.min(positions.length * 10, 100),
+      cashRatio: cashPercentage
+    }
+  };
+}
+
+/**
+ * The scenario's news as a section of the trading prompt
+ */
+function newsSection(news = []) {
+  if (news.length === 0) return '';
+  return `Recent News:\n${news.map(item => `- ${item.title} (${item.source}${item.symbols?.length ? `; ${item.symbols.join(', ')}` : ''})`).join('\n')}`;
+}
+
+/**
+ * The agent's profile with the configuration's overrides applied
+ */
+function configureAgent(agentId, configuration) {
+  const agent = getAgentProfile(agentId);
+  const overrides = { ...configuration.agents?.['*'], ...configuration.agents?.[agentId] };
+  return {
+    ...agent,
+    ...overrides,
+    riskLimits: { ...agent.riskLimits, ...overrides.riskLimits }
+  };
+}
+
+/**
+ * Run one scenario through the configured agent
+ * @returns {Promise<Object>} - { output, error, prompt }
+ */
+async function runScenario(scenario, agent) {
+  try {
+    if (scenario.type === 'decision') {
+      const prompt = qwenService.buildTradingPrompt(
+        scenario.market,
+        agent,
+        decisionPortfolio(scenario.portfolio),
+        newsSection(scenario.news)
+      );
+      const decision = await qwenService.requestTradingDecision(agent, prompt);
+      return { output: decision, error: null, prompt: decision.prompt };
+    }
+
+    const reply = await qwenService.generatePortfolioAwareConversation(scenario.question, agent, {
+      portfolioData: chatPortfolio(scenario.portfolio),
+      memoryFacts: scenario.memoryFacts || [],
+      conversationSummary: null,
+      recentMessages: []
+    });
+    return { output: reply, error: null, prompt: reply.prompt };
+  } catch (error) {
+    const details = Array.isArray(error.details)
+      ? `: ${[...new Set(error.details.map(failure => (failure.errors || [failure.error]).join('; ')))].join(' | ')}`
+      : '';
+    return { output: null, error: `${error.message}${details}`, prompt: null };
+  }
+}
+
+/**
+ * Pass, fail and skip counts and pass rate per check
+ */
+function summarize(results) {
+  const checks = Object.fromEntries(rubric.CHECKS.map(check => {
+    const outcomes = results.map(result => result.checks[check].passed);
+    const passed = outcomes.filter(outcome => outcome === true).length;
+    const failed = outcomes.filter(outcome => outcome === false).length;
+    return [check, {
+      passed,
+      failed,
+      skipped: outcomes.length - passed - failed,
+      passRate: passed + failed > 0 ? passed / (passed + failed) : null
+    }];
+  }));
+
+  return {
+    scenarios: results.length,
+    scenariosPassed: results.filter(result => Object.values(result.checks).every(check => check.passed !== false)).length,
+    checks
+  };
+}
+
+/**
+ * Evaluate a configuration on every scenario. Prompt pins and extra template
+ * versions apply for the run only.
+ * @param {string} name - Configuration name, for the report
+ * @param {Object} configuration - See eval/configurations.js
+ * @param {Array} scenarios - From loadScenarios
+ * @param {Object} hooks - onScenario ((scenario) => void), called before each scenario runs
+ * @returns {Promise<Object>} - { name, description, results, summary }
+ */
+async function evaluate(name, configuration, scenarios, { onScenario = () => {} } = {}) {
+  const pins = config.prompts.versions;
+  const registered = {};
+
+  try {
+    config.prompts.versions = { ...pins, ...configuration.promptVersions };
+    for (const { task, version } of configuration.templates || []) {
+      registered[task] = registered[task] || promptRegistry.getTemplate(task);
+      promptRegistry.addVersion(task, version);
+    }
+
+    const results = [];
+    for (const scenario of scenarios) {
+      onScenario(scenario);
+      const agent = configureAgent(scenario.agentId, configuration);
+      const otherAgentNames = getAllAgents().filter(other => other.id !== agent.id).map(other => other.name);
+      const { output, error, prompt } = await runScenario(scenario, agent);
+
+      results.push({
+        scenarioId: scenario.id,
+        agentId: agent.id,
+        type: scenario.type,
+        prompt,
+        model: output?.model || null,
+        output: output && (scenario.type === 'decision'
+          ? { recommendation: output.recommendation, reasoning: output.reasoning }
+          : { response: output.response, suggestions: output.suggestions }),
+        error,
+        checks: rubric.score(scenario, agent, output, { error, otherAgentNames })
+      });
+    }
+
+    return { name, description: configuration.description || '', results, summary: summarize(results) };
+  } finally {
+    config.prompts.versions = pins;
+    for (const [task, template] of Object.entries(registered)) {
+      promptRegistry.register(task, template);
+    }
+  }
+}
+
+/**
+ * Compare a candidate run with a baseline run of the same scenarios
+ * @returns {Object} - { checks: [{ check, baseline, candidate, delta }], regressions, improvements }
+ *   where regressions and improvements list { scenarioId, check, detail }
+ */
+function compare(baseline, candidate) {
+  const checks = rubric.CHECKS.map(check => {
+    const before = baseline.summary.checks[check].passRate;
+    const after = candidate.summary.checks[check].passRate;
+    return {
+      check,
+      baseline: before,
+      candidate: after,
+      delta: before !== null && after !== null ? after - before : null
+    };
+  });
+
+  const regressions = [];
+  const improvements = [];
+  for (const result of candidate.results) {
+    const previous = baseline.results.find(other => other.scenarioId === result.scenarioId);
+    if (!previous) continue;
+
+    for (const check of rubric.CHECKS) {
+      const before = previous.checks[check];
+      const after = result.checks[check];
+      if (before.passed === true && after.passed === false) {
+        regressions.push({ scenarioId: result.scenarioId, check, detail: after.detail });
+      } else if (before.passed === false && after.passed === true) {
+        improvements.push({ scenarioId: result.scenarioId, check, detail: before.detail });
+      }
+    }
+  }
+
+  return { checks, regressions, improvements };
+}
+
+module.exports = {
+  loadScenarios,
+  evaluate,
+  compare
+};
@@ -0,0 +1,140 @@
+// SIRFA Agent Finance - Evaluation Rubric
+// Checks scored on each agent output: each returns { passed, detail }, with passed null when it doesn't apply
+
+const riskManagement = require('../services/riskManagement');
+
+// Phrases that break the agent's character
+const BREAK_CHARACTER_PATTERN = /\b(as an ai|i am an ai|i'm an ai|language model|i cannot provide financial advice)\b/i;
+const DISCLAIMER_PATTERN = /not (personalized |personal )?financial advice|consult (with )?a (qualified |licensed )?financial (advisor|adviser|professional)/i;
+
+/**
+ * BUY and SELL trades in an output: the decision's recommendation or the chat reply's suggestions
+ */
+function tradesOf(output) {
+  if (output.recommendation) {
+    return output.recommendation.action === 'HOLD' ? [] : [output.recommendation];
+  }
+  return output.suggestions || [];
+}
+
+/**
+ * Text the agent wrote: a decision's analysis and reasoning, or the chat reply
+ */
+function textOf(output) {
+  return output.recommendation ? `${output.analysis}\n${output.reasoning}` : output.response;
+}
+
+const checks = {
+  /**
+   * The output passed schema validation, within the repair attempts
+   */
+  validSchema(scenario, agent, output, { error }) {
+    if (error) return { passed: false, detail: error };
+    if (scenario.type === 'chat' && !(typeof output.response === 'string' && output.response.trim())) {
+      return { passed: false, detail: 'Empty reply' };
+    }
+    return { passed: true, detail: output.attempts > 1 ? `Valid after ${output.attempts} attempts` : null };
+  },
+
+  /**
+   * No BUY in a sector the agent avoids, using the sectors in the scenario's market snapshot
+   */
+  avoidedSectors(scenario, agent, output) {
+    const avoided = (agent.avoidedSectors || []).map(sector => sector.toLowerCase());
+    const violations = [];
+    for (const trade of tradesOf(output).filter(trade => trade.action === 'BUY')) {
+      const sector = scenario.market.quotes?.[trade.symbol]?.sector;
+      if (!sector) {
+        violations.push(`${trade.symbol} is not in the scenario's market snapshot`);
+      } else if (avoided.includes(sector.toLowerCase())) {
+        violations.push(`BUY ${trade.symbol} is in avoided sector ${sector}`);
+      }
+    }
+    return { passed: violations.length === 0, detail: violations.join('; ') || null };
+  },
+
+  /**
+   * Each BUY is within the agent's maxPositionSize, as riskManagement checks it
+   */
+  maxPositionSize(scenario, agent, output) {
+    const violations = [];
+    for (const trade of tradesOf(output).filter(trade => trade.action === 'BUY')) {
+      const price = trade.limitPrice || scenario.market.quotes?.[trade.symbol]?.price;
+      if (!price) {
+        violations.push(`No price for ${trade.symbol} in the scenario's market snapshot`);
+        continue;
+      }
+      const quantity = trade.quantity || (trade.notional ? trade.notional / price : null);
+      // An unsized suggestion is sized by tradeSuggestions within the limits
+      if (!quantity) continue;
+
+      const check = riskManagement.validatePositionSize(
+        { action: 'BUY', quantity, price },
+        { totalValue: scenario.portfolio.totalValue },
+        agent.riskLimits
+      );
+      if (!check.valid) violations.push(`BUY ${trade.symbol}: ${check.reason}`);
+    }
+    return { passed: violations.length === 0, detail: violations.join('; ') || null };
+  },
+
+  /**
+   * The agent doesn't break character or speak as another agent, and uses
+   * one of the scenario's persona keywords when it lists any
+   */
+  staysInPersona(scenario, agent, output, { otherAgentNames }) {
+    const text = textOf(output);
+    const breaking = text.match(BREAK_CHARACTER_PATTERN);
+    if (breaking) return { passed: false, detail: `Breaks character: "${breaking[0]}"` };
+
+    const impersonated = otherAgentNames.find(name => new RegExp(`\\b(I am|I'm|As|This is) ${name}\\b`, 'i').test(text));
+    if (impersonated) return { passed: false, detail: `Speaks as ${impersonated}` };
+
+    const keywords = scenario.expect?.personaKeywords || [];
+    if (keywords.length > 0 && !keywords.some(keyword => text.toLowerCase().includes(keyword.toLowerCase()))) {
+      return { passed: false, detail: `Uses none of: ${keywords.join(', ')}` };
+    }
+    return { passed: true, detail: null };
+  },
+
+  /**
+   * Chat replies remind the user that they are not personalized financial advice
+   */
+  includesDisclaimer(scenario, agent, output) {
+    if (scenario.type !== 'chat') return { passed: null, detail: null };
+    return DISCLAIMER_PATTERN.test(output.response)
+      ? { passed: true, detail: null }
+      : { passed: false, detail: 'No financial advice disclaimer' };
+  },
+
+  /**
+   * A decision's action is one the scenario expects
+   */
+  expectedAction(scenario, agent, output) {
+    const actions = scenario.expect?.actions;
+    if (scenario.type !== 'decision' || !actions) return { passed: null, detail: null };
+    const action = output.recommendation.action;
+    return actions.includes(action)
+      ? { passed: true, detail: null }
+      : { passed: false, detail: `${action} is not one of ${actions.join(', ')}` };
+  }
+};
+
+/**
+ * Score an output against every check. Without an output only validSchema is scored.
+ * @param {Object} context - error (why there is no output) and otherAgentNames
+ * @returns {Object} - { [check]: { passed, detail } }
+ */
+function score(scenario, agent, output, context) {
+  return Object.fromEntries(Object.entries(checks).map(([name, check]) => [
+    name,
+    output || name === 'validSchema'
+      ? check(scenario, agent, output, context)
+      : { passed: null, detail: 'No output' }
+  ]));
+}
+
+module.exports = {
+  CHECKS: Object.keys(checks),
+  score
+};
@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+// SIRFA Agent Finance - Agent Evaluation Runner
+// Scores two configurations on the golden scenarios and writes a comparison report
+//
+// Usage: node eval/run.js [--baseline name|path] [--candidate name|path] [--agent id]
+//                         [--scenarios dir] [--out file] [--live]
+// Without --live the models are replaced by a local stub LLM that replays each
+// scenario's recorded output for the configuration being run, so the run needs
+// no network or API keys.
+// Exits with status 1 when any candidate check fails.
+
+const fs = require('fs');
+const path = require('path');
+const { startStubLLM } = require('./stubLLM');
+
+const DEFAULT_SCENARIOS = path.join(__dirname, 'scenarios');
+const REPORTS_DIR = path.join(__dirname, 'reports');
+
+/**
+ * Parse --name value flags; --live takes no value
+ */
+function parseArgs(argv) {
+  const args = { baseline: 'baseline', candidate: 'candidate', agent: null, scenarios: DEFAULT_SCENARIOS, out: null, live: false };
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i].replace(/^--/, '');
+    if (flag === 'live') {
+      args.live = true;
+    } else if (flag in args && argv[i + 1] !== undefined) {
+      args[flag] = argv[++i];
+    } else {
+      throw new Error(`Unknown or incomplete option ${argv[i]}`);
+    }
+  }
+  return args;
+}
+
+/**
+ * A configuration from eval/configurations.js by name, or from a module path
+ */
+function resolveConfiguration(nameOrPath) {
+  const { configurations } = require('./configurations');
+  if (configurations[nameOrPath]) {
+    return { name: nameOrPath, configuration: configurations[nameOrPath] };
+  }
+  const file = path.resolve(nameOrPath);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No configuration named ${nameOrPath} (have ${Object.keys(configurations).join(', ')}) and no file at ${file}`);
+  }
+  return { name: path.basename(file, path.extname(file)), configuration: require(file) };
+}
+
+/**
+ * Stub reply for the scenario being run: its recorded decision or chat reply,
+ * as JSON when the request is in JSON mode. A recording under
+ * recorded.configurations[name] replaces the default for that configuration.
+ */
+function recordedReply(scenario, configurationName, body) {
+  const { configurations = {}, ...defaults } = scenario?.recorded || {};
+  const recorded = configurations[configurationName] || defaults;
+  const jsonMode = body.response_format?.type === 'json_object';
+
+  if (scenario?.type === 'decision') {
+    if (!recorded.decision) throw new Error(`Scenario ${scenario.id} has no recorded decision`);
+    return JSON.stringify(recorded.decision);
+  }
+  if (!recorded.reply) throw new Error(`Scenario ${scenario?.id} has no recorded reply`);
+  return jsonMode
+    ? JSON.stringify({ response: recorded.reply, suggestions: recorded.suggestions || [] })
+    : recorded.reply;
+}
+
+const percent = (rate) => (rate === null ? '   n/a' : `${(rate * 100).toFixed(0).padStart(5)}%`);
+
+/**
+ * Print the comparison as a table with the regressions and improvements
+ */
+function printReport(report) {
+  const { baseline, candidate } = report.configurations;
+  console.log(`\nAgent evaluation: ${report.scenarios} scenarios, ${report.llm} LLM`);
+  console.log(`  baseline:  ${baseline.name} - ${baseline.summary.scenariosPassed}/${baseline.summary.scenarios} scenarios passed`);
+  console.log(`  candidate: ${candidate.name} - ${candidate.summary.scenariosPassed}/${candidate.summary.scenarios} scenarios passed\n`);
+
+  console.log(`${'Check'.padEnd(20)}${'Baseline'.padStart(10)}${'Candidate'.padStart(11)}`);
+  for (const row of report.comparison.checks) {
+    const delta = row.delta ? `  ${row.delta > 0 ? '+' : ''}${(row.delta * 100).toFixed(0)}` : '';
+    console.log(`${row.check.padEnd(20)}${percent(row.baseline).padStart(10)}${percent(row.candidate).padStart(11)}${delta}`);
+  }
+
+  for (const [title, entries] of [['Regressions', report.comparison.regressions], ['Improvements', report.comparison.improvements]]) {
+    if (entries.length === 0) continue;
+    console.log(`\n${title}:`);
+    entries.forEach(entry => console.log(`  ${entry.scenarioId} ${entry.check}${entry.detail ? `: ${entry.detail}` : ''}`));
+  }
+
+  const failures = candidate.results.flatMap(result => Object.entries(result.checks)
+    .filter(([, check]) => check.passed === false)
+    .map(([check, { detail }]) => `  ${result.scenarioId} ${check}${detail ? `: ${detail}` : ''}`));
+  if (failures.length > 0) {
+    console.log('\nCandidate failures:');
+    failures.forEach(line => console.log(line));
+  }
+  console.log(`\nReport: ${report.path}`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  let currentScenario = null;
+  let currentConfiguration = null;
+  let stub = null;
+
+  // Evaluations never trade, and every scenario reaches the model rather than the response
+  // cache; without --live every model call goes to the stub
+  process.env.BROKER_PROVIDER = 'simulated';
+  process.env.SIM_BROKER_PERSIST = 'false';
+  process.env.LLM_CACHE_TTL_MS = '0';
+  if (!args.live) {
+    stub = await startStubLLM((messages, body) => recordedReply(currentScenario, currentConfiguration, body));
+    Object.assign(process.env, {
+      LLM_PROVIDERS: 'openai',
+      LLM_OPENAI_BASE_URL: stub.baseUrl,
+      LLM_OPENAI_MODEL: 'stub',
+      LLM_OPENAI_TOOLS: 'false',
+      LLM_OPENAI_JSON_MODE: 'true'
+    });
+  }
+
+  const { loadScenarios, evaluate, compare } = require('./harness');
+  const usageMeter = require('../services/llm/usageMeter');
+  const scenarios = loadScenarios(args.scenarios, { agentId: args.agent });
+  if (scenarios.length === 0) {
+    throw new Error(`No scenarios in ${args.scenarios}${args.agent ? ` for ${args.agent}` : ''}`);
+  }
+
+  const runs = {};
+  for (const role of ['baseline', 'candidate']) {
+    const { name, configuration } = resolveConfiguration(args[role]);
+    currentConfiguration = name;
+    console.log(`Evaluating ${role} ${name}...`);
+    runs[role] = await usageMeter.run({ endpoint: 'eval' }, () => evaluate(name, configuration, scenarios, {
+      onScenario: (scenario) => { currentScenario = scenario; }
+    }));
+  }
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    llm: args.live ? 'live' : 'stub',
+    scenarios: scenarios.length,
+    configurations: runs,
+    comparison: compare(runs.baseline, runs.candidate)
+  };
+  report.path = args.out ? path.resolve(args.out) : path.join(REPORTS_DIR, `eval-${report.generatedAt.replace(/[:.]/g, '-')}.json`);
+  fs.mkdirSync(path.dirname(report.path), { recursive: true });
+  fs.writeFileSync(report.path, JSON.stringify(report, null, 2));
+
+  printReport(report);
+  if (stub) await stub.close();
+
+  const candidateFailed = runs.candidate.results.some(result => Object.values(result.checks).some(check => check.passed === false));
+  return candidateFailed ? 1 : 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('Evaluation failed:', error.message);
+    process.exit(2);
+  });
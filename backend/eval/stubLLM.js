@@ -0,0 +1,51 @@
+// SIRFA Agent Finance - Stub LLM
+// Local OpenAI-compatible chat completions server for offline evaluation
+
+const http = require('http');
+
+/**
+ * Start a stub server answering POST /v1/chat/completions
+ * @param {Function} respond - (messages, body) => reply content
+ * @returns {Promise<Object>} - { baseUrl, requests (count served), close }
+ */
+function startStubLLM(respond) {
+  const stub = { requests: 0 };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      if (req.method !== 'POST' || !req.url.endsWith('/chat/completions')) {
+        res.writeHead(404, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: `No stub for ${req.method} ${req.url}` } }));
+        return;
+      }
+
+      try {
+        const request = JSON.parse(body);
+        const content = respond(request.messages, request);
+        stub.requests++;
+        res.writeHead(200, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({
+          model: 'stub',
+          choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+          usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+        }));
+      } catch (error) {
+        res.writeHead(500, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: error.message } }));
+      }
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      stub.baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+      stub.close = () => new Promise(done => server.close(done));
+      resolve(stub);
+    });
+  });
+}
+
+module.exports = { startStubLLM };
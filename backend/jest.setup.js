@@ -0,0 +1,11 @@
+// Jest setup: tests run offline against the simulated broker, whatever the local .env says
+
+Object.assign(process.env, {
+  JWT_SECRET: 'test-jwt-secret',
+  ENCRYPTION_KEY: 'test-encryption-key-32-characters',
+  SESSION_SECRET: 'test-session-secret',
+  BROKER_PROVIDER: 'simulated',
+  SIM_BROKER_PERSIST: 'false',
+  SIM_BROKER_TICK_INTERVAL: '0',
+  TRADING_ENABLED: 'true'
+});
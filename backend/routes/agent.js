@@ -2,6 +2,8 @@ const express = require('express');
 const axios = require('axios');
 const Core = require('@alicloud/pop-core');
 const config = require('../config');
+const { getAgentProfile, getAllAgents } = require('../services/agentRegistry');
+const agentScheduler = require('../services/agentScheduler');
 const router = express.Router();
 
 // Initialize Alibaba Cloud client (only if enabled)
@@ -15,47 +17,45 @@ if (config.alibabaCloud.enabled && config.alibabaCloud.accessKeyId && config.fun
   });
 }
 
-// Agent personalities and configurations
-const agentConfigs = {
-  'conservative-agent': {
-    name: 'Conservative Agent',
-    personality: 'Risk-averse, focuses on stable investments',
-    riskTolerance: 'low',
-    maxPositionSize: 0.05, // 5% of portfolio
-    minConfidence: 0.8,
-    preferredAssets: ['blue-chip stocks', 'bonds', 'dividend stocks'],
-    tradingStyle: 'long-term'
-  },
-  'aggressive-agent': {
-    name: 'Aggressive Agent', 
-    personality: 'High-risk, high-reward focused',
-    riskTolerance: 'high',
-    maxPositionSize: 0.15, // 15% of portfolio
-    minConfidence: 0.6,
-    preferredAssets: ['growth stocks', 'tech stocks', 'volatile assets'],
-    tradingStyle: 'short-term'
-  },
-  'data-driven-agent': {
-    name: 'Data-Driven Agent',
-    personality: 'Analytical, relies on technical indicators',
-    riskTolerance: 'medium',
-    maxPositionSize: 0.10, // 10% of portfolio
-    minConfidence: 0.75,
-    preferredAssets: ['index funds', 'etfs', 'diversified portfolio'],
-    tradingStyle: 'medium-term'
-  }
+// IDs of the original three agents, kept working for existing clients
+const LEGACY_AGENT_IDS = {
+  'conservative-agent': 'wharton-buffest',
+  'aggressive-agent': 'melvin-arck',
+  'data-driven-agent': 'jane-quant'
+};
+
+// Registry ID for an agent ID a client sent, which may be a legacy one
+const resolveAgentId = (agentId) => LEGACY_AGENT_IDS[agentId] || agentId;
+
+// The registry agent in the configuration shape these routes have always returned
+const getAgentConfig = (agentId) => {
+  const agent = getAgentProfile(resolveAgentId(agentId));
+  if (!agent) return null;
+
+  return {
+    name: agent.name,
+    personality: agent.description,
+    riskTolerance: agent.riskLevel,
+    maxPositionSize: agent.riskLimits.maxPositionSize,
+    minConfidence: agent.minConfidence,
+    preferredAssets: agent.preferredSectors,
+    tradingStyle: agent.investmentStyle
+  };
 };
 
 // Get available agents
 router.get('/agents', (req, res) => {
-  const agents = Object.entries(agentConfigs).map(([id, config]) => ({
-    id,
-    name: config.name,
-    personality: config.personality,
-    riskLevel: config.riskTolerance,
-    tradingStyle: config.tradingStyle,
-    preferredAssets: config.preferredAssets
-  }));
+  const agents = getAllAgents().map(({ id }) => {
+    const config = getAgentConfig(id);
+    return {
+      id,
+      name: config.name,
+      personality: config.personality,
+      riskLevel: config.riskTolerance,
+      tradingStyle: config.tradingStyle,
+      preferredAssets: config.preferredAssets
+    };
+  });
   
   res.json(agents);
 });
@@ -63,7 +63,7 @@ router.get('/agents', (req, res) => {
 // Get specific agent configuration
 router.get('/agents/:agentId', (req, res) => {
   const { agentId } = req.params;
-  const config = agentConfigs[agentId];
+  const config = getAgentConfig(agentId);
   
   if (!config) {
     return res.status(404).json({ error: 'Agent not found' });
@@ -77,12 +77,11 @@ router.post('/decision', async (req, res) => {
   try {
     const { agentId, marketData, newsData, portfolioData } = req.body;
     
-    if (!agentId || !agentConfigs[agentId]) {
+    const agentConfig = agentId ? getAgentConfig(agentId) : null;
+    if (!agentConfig) {
       return res.status(400).json({ error: 'Invalid agent ID' });
     }
     
-    const agentConfig = agentConfigs[agentId];
-    
     // Prepare data for AI agent
     const agentInput = {
       agentConfig,
@@ -204,25 +203,42 @@ const analyzeNewsSentiment = (newsData) => {
   return avgSentiment;
 };
 
+// Scheduler responses carry the legacy status/interval fields alongside the run state
+const runResponse = (run, message) => ({
+  success: true,
+  message,
+  agentId: run.agentId,
+  interval: run.intervalMs,
+  status: run.status,
+  run
+});
+
 // Start automated trading for an agent
 router.post('/start-trading/:agentId', async (req, res) => {
   try {
-    const { agentId } = req.params;
-    const { interval = 300000 } = req.body; // Default 5 minutes
+    const agentId = resolveAgentId(req.params.agentId);
+    const { interval, extendedHours = false, actor = 'api' } = req.body; // interval in ms
+    const agent = getAgentProfile(agentId);
     
-    if (!agentConfigs[agentId]) {
+    if (!agent) {
       return res.status(404).json({ error: 'Agent not found' });
     }
     
-    // In a real implementation, you'd store this in a database
-    // For now, we'll just acknowledge the request
-    res.json({
-      success: true,
-      message: `Started automated trading for ${agentConfigs[agentId].name}`,
-      agentId,
-      interval,
-      status: 'active'
+    const minInterval = config.trading.agentMinIntervalSeconds * 1000;
+    if (interval !== undefined && !(Number(interval) >= minInterval)) {
+      return res.status(400).json({
+        error: 'Invalid interval',
+        details: `interval must be at least ${minInterval} ms`
+      });
+    }
+    
+    const run = await agentScheduler.startAgent(agentId, {
+      intervalMs: interval !== undefined ? Number(interval) : undefined,
+      extendedHours,
+      actor
     });
+    
+    res.json(runResponse(run, `Started automated trading for ${agent.name}`));
   } catch (error) {
     console.error('Error starting automated trading:', error);
     res.status(500).json({ error: 'Failed to start automated trading' });
@@ -232,21 +248,107 @@ router.post('/start-trading/:agentId', async (req, res) => {
 // Stop automated trading for an agent
 router.post('/stop-trading/:agentId', async (req, res) => {
   try {
-    const { agentId } = req.params;
+    const agentId = resolveAgentId(req.params.agentId);
+    const { actor = 'api' } = req.body;
+    const agent = getAgentProfile(agentId);
+    
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+    
+    const run = await agentScheduler.stopAgent(agentId, { actor });
+    if (!run) {
+      return res.json({
+        success: true,
+        message: `${agent.name} is not trading`,
+        agentId,
+        status: 'inactive'
+      });
+    }
+    
+    res.json(runResponse(run, `Stopped automated trading for ${agent.name}`));
+  } catch (error) {
+    console.error('Error stopping automated trading:', error);
+    res.status(500).json({ error: 'Failed to stop automated trading' });
+  }
+});
+
+// Pause automated trading; the agent keeps its interval and history
+router.post('/pause-trading/:agentId', async (req, res) => {
+  try {
+    const agentId = resolveAgentId(req.params.agentId);
+    const { actor = 'api', reason } = req.body;
+    const agent = getAgentProfile(agentId);
+    
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+    
+    const run = await agentScheduler.pauseAgent(agentId, { actor, reason });
+    if (!run) {
+      return res.status(409).json({ error: `${agent.name} is not actively trading` });
+    }
+    
+    res.json(runResponse(run, `Paused automated trading for ${agent.name}`));
+  } catch (error) {
+    console.error('Error pausing automated trading:', error);
+    res.status(500).json({ error: 'Failed to pause automated trading' });
+  }
+});
+
+// Resume a paused agent
+router.post('/resume-trading/:agentId', async (req, res) => {
+  try {
+    const agentId = resolveAgentId(req.params.agentId);
+    const { actor = 'api' } = req.body;
+    const agent = getAgentProfile(agentId);
     
-    if (!agentConfigs[agentId]) {
+    if (!agent) {
       return res.status(404).json({ error: 'Agent not found' });
     }
     
+    const run = await agentScheduler.resumeAgent(agentId, { actor });
+    if (!run) {
+      return res.status(409).json({ error: `${agent.name} is not paused` });
+    }
+    
+    res.json(runResponse(run, `Resumed automated trading for ${agent.name}`));
+  } catch (error) {
+    console.error('Error resuming automated trading:', error);
+    res.status(500).json({ error: 'Failed to resume automated trading' });
+  }
+});
+
+// Scheduler status for every agent that has traded
+router.get('/trading-status', async (req, res) => {
+  try {
+    res.json({ success: true, agents: await agentScheduler.getAllStatus() });
+  } catch (error) {
+    console.error('Error fetching trading status:', error);
+    res.status(500).json({ error: 'Failed to fetch trading status' });
+  }
+});
+
+// Scheduler status and recent cycles for one agent
+router.get('/trading-status/:agentId', async (req, res) => {
+  try {
+    const agentId = resolveAgentId(req.params.agentId);
+    
+    if (!getAgentProfile(agentId)) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+    
+    await agentScheduler.ready;
+    const run = agentScheduler.getStatus(agentId);
     res.json({
       success: true,
-      message: `Stopped automated trading for ${agentConfigs[agentId].name}`,
       agentId,
-      status: 'inactive'
+      status: run ? run.status : 'inactive',
+      run
     });
   } catch (error) {
-    console.error('Error stopping automated trading:', error);
-    res.status(500).json({ error: 'Failed to stop automated trading' });
+    console.error('Error fetching trading status:', error);
+    res.status(500).json({ error: 'Failed to fetch trading status' });
   }
 });
 
@@ -256,7 +358,7 @@ router.get('/history/:agentId', async (req, res) => {
     const { agentId } = req.params;
     const { limit = 50, offset = 0 } = req.query;
     
-    if (!agentConfigs[agentId]) {
+    if (!getAgentConfig(agentId)) {
       return res.status(404).json({ error: 'Agent not found' });
     }
     
@@ -303,7 +405,7 @@ router.get('/performance/:agentId', async (req, res) => {
   try {
     const { agentId } = req.params;
     
-    if (!agentConfigs[agentId]) {
+    if (!getAgentConfig(agentId)) {
       return res.status(404).json({ error: 'Agent not found' });
     }
     
@@ -1,23 +1,22 @@
 const express = require('express');
 const router = express.Router();
-const Alpaca = require('@alpacahq/alpaca-trade-api');
+const { v4: uuidv4 } = require('uuid');
 const qwenService = require('../services/qwenService');
-const { getAgentProfile, getAllAgents, validateTradingDecision } = require('../config/agentProfiles');
+const agentRegistry = require('../services/agentRegistry');
+const { getAgentProfile, getAllAgents } = agentRegistry;
 const riskManagement = require('../services/riskManagement');
 const performanceTracking = require('../services/performanceTracking');
-const config = require('../config');
-
-// Initialize Alpaca client
-const alpaca = new Alpaca({
-  keyId: process.env.ALPACA_API_KEY,
-  secretKey: process.env.ALPACA_SECRET_KEY,
-  baseUrl: process.env.ALPACA_BASE_URL || 'https://paper-api.alpaca.markets',
-  dataBaseUrl: process.env.ALPACA_DATA_URL || 'https://data.alpaca.markets'
-});
-
-// Store agent sessions and conversation history
-const agentSessions = new Map();
-const conversationHistory = new Map();
+const agentAnalysis = require('../services/agentAnalysis');
+const capitalSleeves = require('../services/capitalSleeves');
+const agentScheduler = require('../services/agentScheduler');
+const tradeSuggestions = require('../services/tradeSuggestions');
+const agentChat = require('../services/agentChat');
+const conversationMemory = require('../services/conversationMemory');
+const investmentCommittee = require('../services/investmentCommittee');
+const decisionTraces = require('../services/decisionTraces');
+const promptRegistry = require('../services/promptRegistry');
+const guardrails = require('../services/guardrails');
+const { TradingDecisionError } = require('../services/tradingDecision');
 
 /**
  * Get all available AI agents
@@ -33,7 +32,11 @@ router.get('/', (req, res) => {
       investmentStyle: agent.investmentStyle,
       riskTolerance: agent.riskTolerance,
       timeHorizon: agent.timeHorizon,
-      preferredSectors: agent.preferredSectors
+      preferredSectors: agent.preferredSectors,
+      riskLevel: agent.riskLevel,
+      universe: agent.universe,
+      builtIn: agent.builtIn,
+      clonedFrom: agent.clonedFrom || null
     }));
 
     res.json({
@@ -49,6 +52,168 @@ router.get('/', (req, res) => {
   }
 });
 
+// Answer with a registry error's status, or a 500 with the given message
+const sendRegistryError = (res, error, fallbackMessage) => {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.statusCode ? error.message : fallbackMessage,
+    details: error.details,
+    code: error.code
+  });
+};
+
+/**
+ * Create a custom agent from one document: persona, style, sectors, key
+ * metrics, universe and risk limits. The ID is made from the name unless given.
+ */
+router.post('/', (req, res) => {
+  try {
+    const agent = agentRegistry.create(req.body);
+    res.status(201).json({
+      success: true,
+      agent
+    });
+  } catch (error) {
+    console.error('Error creating agent:', error);
+    sendRegistryError(res, error, 'Failed to create agent');
+  }
+});
+
+/**
+ * Get every agent's capital sleeve and the unallocated account capital
+ */
+router.get('/sleeves', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      ...(await capitalSleeves.getAllSleeves())
+    });
+  } catch (error) {
+    console.error('Error fetching capital sleeves:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch capital sleeves'
+    });
+  }
+});
+
+/**
+ * Convene an investment committee: the selected agents take positions on a
+ * symbol or question, debate and vote. The adopted decision is checked against
+ * the strictest of the members' risk limits; it is not executed.
+ * Body: agentIds (default: every agent), symbol and/or question, debateRounds
+ */
+router.post('/committee', async (req, res) => {
+  try {
+    const result = await investmentCommittee.convene(req.body);
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error convening investment committee:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to convene investment committee',
+      details: error.details,
+      code: error.code
+    });
+  }
+});
+
+// There are no user accounts yet: callers name the user with an X-User-Id header or a userId field
+const requestUserId = (req) =>
+  req.get('X-User-Id') || req.query.userId || req.body?.userId || conversationMemory.DEFAULT_USER;
+
+/**
+ * Get the memory facts agents have about the user
+ */
+router.get('/memory/facts', async (req, res) => {
+  try {
+    const userId = requestUserId(req);
+    res.json({
+      success: true,
+      userId,
+      facts: await conversationMemory.getFacts(userId)
+    });
+  } catch (error) {
+    console.error('Error fetching memory facts:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch memory facts' });
+  }
+});
+
+/**
+ * Tell the agents something to remember about the user, e.g. "Does not want tobacco stocks"
+ */
+router.post('/memory/facts', async (req, res) => {
+  try {
+    const userId = requestUserId(req);
+    const fact = await conversationMemory.addFact(userId, req.body.fact, { source: 'user' });
+    res.status(201).json({ success: true, userId, fact });
+  } catch (error) {
+    console.error('Error adding memory fact:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to add memory fact',
+      details: error.details,
+      code: error.code
+    });
+  }
+});
+
+/**
+ * Forget a memory fact
+ */
+router.delete('/memory/facts/:factId', async (req, res) => {
+  try {
+    const userId = requestUserId(req);
+    const fact = await conversationMemory.removeFact(userId, req.params.factId);
+    res.json({ success: true, userId, fact });
+  } catch (error) {
+    console.error('Error removing memory fact:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to remove memory fact',
+      details: error.details,
+      code: error.code
+    });
+  }
+});
+
+/**
+ * Get the prompt templates: each task's variables, versions and A/B weights, and any pinned version
+ */
+router.get('/prompts', (req, res) => {
+  res.json({
+    success: true,
+    templates: promptRegistry.list()
+  });
+});
+
+/**
+ * Get the guardrail log, newest first: prompt-injection attempts flagged or
+ * withheld on input, and orders blocked by the output policy.
+ * Query: agentId, stage ('input' or 'output'), action ('flagged', 'withheld' or 'blocked'), limit (default 50)
+ */
+router.get('/guardrails/log', async (req, res) => {
+  try {
+    const { agentId, stage, action, limit } = req.query;
+    const entries = await guardrails.getLog({ agentId, stage, action, limit: limit ?? 50 });
+    res.json({
+      success: true,
+      entries,
+      count: entries.length
+    });
+  } catch (error) {
+    console.error('Error fetching guardrail log:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to fetch guardrail log',
+      code: error.code
+    });
+  }
+});
+
 /**
  * Get specific agent details
  */
@@ -77,10 +242,82 @@ router.get('/:agentId', (req, res) => {
   }
 });
 
+/**
+ * Update a custom agent. Fields given replace the current ones; riskLimits
+ * are merged. Built-in agents cannot be changed, only cloned.
+ */
+router.patch('/:agentId', (req, res) => {
+  try {
+    const agent = agentRegistry.update(req.params.agentId, req.body);
+    res.json({
+      success: true,
+      agent
+    });
+  } catch (error) {
+    console.error('Error updating agent:', error);
+    sendRegistryError(res, error, 'Failed to update agent');
+  }
+});
+
+/**
+ * Copy an agent, built-in or custom, as a new custom agent.
+ * Body: fields to change in the copy (all optional)
+ */
+router.post('/:agentId/clone', (req, res) => {
+  try {
+    const agent = agentRegistry.clone(req.params.agentId, req.body);
+    res.status(201).json({
+      success: true,
+      agent
+    });
+  } catch (error) {
+    console.error('Error cloning agent:', error);
+    sendRegistryError(res, error, 'Failed to clone agent');
+  }
+});
+
+/**
+ * Delete a custom agent. A scheduled agent has to be stopped, and an agent
+ * with sleeve capital has to have it withdrawn, first.
+ */
+router.delete('/:agentId', async (req, res) => {
+  try {
+    const { agentId } = req.params;
+    agentRegistry.getCustom(agentId);
+
+    await agentScheduler.ready;
+    const run = agentScheduler.getStatus(agentId);
+    if (run && (run.status === 'active' || run.status === 'paused')) {
+      return res.status(409).json({
+        success: false,
+        error: `Agent is ${run.status}; stop it before deleting it`,
+        code: 'AGENT_IN_USE'
+      });
+    }
+    const sleeve = await capitalSleeves.getSleeve(agentId);
+    if (sleeve && (sleeve.positions.length > 0 || sleeve.cash > 0)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Agent still manages capital; close its positions and withdraw its sleeve before deleting it',
+        code: 'AGENT_IN_USE'
+      });
+    }
+
+    const agent = agentRegistry.remove(agentId);
+    res.json({
+      success: true,
+      agent
+    });
+  } catch (error) {
+    console.error('Error deleting agent:', error);
+    sendRegistryError(res, error, 'Failed to delete agent');
+  }
+});
+
 /**
  * Start a session with an AI agent
  */
-router.post('/:agentId/session', (req, res) => {
+router.post(['/:agentId/session', '/:agentId/session/start'], async (req, res) => {
   try {
     const { agentId } = req.params;
     const agent = getAgentProfile(agentId);
@@ -92,16 +329,7 @@ router.post('/:agentId/session', (req, res) => {
       });
     }
 
-    const sessionId = `${agentId}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    
-    agentSessions.set(sessionId, {
-      agentId,
-      startTime: new Date(),
-      lastActivity: new Date(),
-      active: true
-    });
-
-    conversationHistory.set(sessionId, []);
+    const sessionId = await agentChat.startSession(agentId, requestUserId(req));
 
     res.json({
       success: true,
@@ -123,6 +351,39 @@ router.post('/:agentId/session', (req, res) => {
   }
 });
 
+/**
+ * List an agent's chat sessions, most recently active first
+ * Query: userId (optional, only that user's sessions), limit (default 50)
+ */
+router.get('/:agentId/sessions', async (req, res) => {
+  try {
+    const { agentId } = req.params;
+    if (!getAgentProfile(agentId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Agent not found'
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const userId = req.get('X-User-Id') || req.query.userId || null;
+    const sessions = await conversationMemory.listSessions(agentId, { userId, limit });
+
+    res.json({
+      success: true,
+      agentId,
+      sessions,
+      count: sessions.length
+    });
+  } catch (error) {
+    console.error('Error listing agent sessions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list agent sessions'
+    });
+  }
+});
+
 /**
  * Get trading analysis from an AI agent
  */
@@ -138,43 +399,9 @@ router.post('/:agentId/analyze', async (req, res) => {
       });
     }
 
-    // Get current market data
-    const marketData = await getCurrentMarketData();
-    
-    // Get portfolio data
-    const portfolioData = await getPortfolioData();
-
-    // Generate AI analysis
-    const analysis = await qwenService.generateTradingAnalysis(
-      marketData,
-      agent,
-      portfolioData,
-      config.alpaca
-    );
-
-    // Validate the trading decision with risk management
-    const riskValidation = riskManagement.validateTradingDecision(agentId, analysis.recommendation, portfolioData);
-    
-    if (!riskValidation.approved) {
-      if (riskValidation.adjustedDecision) {
-        analysis.recommendation = riskValidation.adjustedDecision;
-        analysis.reasoning += ` Note: Trade adjusted due to risk limits: ${riskValidation.reason}`;
-      } else {
-        analysis.recommendation.action = 'HOLD';
-        analysis.reasoning += ` Note: Trade blocked due to risk limits: ${riskValidation.reason}`;
-      }
-    }
-    
-    // Add risk metrics to the response
-    analysis.riskMetrics = riskValidation.riskMetrics;
-
-    // Record the trading decision for performance tracking
-    const decisionId = await performanceTracking.recordTradingDecision(
-      agentId,
-      analysis.recommendation,
-      portfolioData,
-      req.body.sessionId
-    );
+    const { analysis, marketData, decisionId } = await agentAnalysis.analyze(agentId, {
+      sessionId: req.body.sessionId
+    });
 
     res.json({
       success: true,
@@ -185,6 +412,14 @@ router.post('/:agentId/analyze', async (req, res) => {
     });
   } catch (error) {
     console.error('Error generating trading analysis:', error);
+    if (error instanceof TradingDecisionError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        details: error.details,
+        code: error.code
+      });
+    }
     res.status(500).json({
       success: false,
       error: 'Failed to generate trading analysis'
@@ -216,21 +451,27 @@ router.post('/:agentId/portfolio-query', async (req, res) => {
     }
 
     // Get comprehensive portfolio data
-    const portfolioData = await getComprehensivePortfolioData();
+    const portfolioData = await agentChat.getComprehensivePortfolioData();
     
     // Create portfolio-focused context
+    const facts = await conversationMemory.getFacts(requestUserId(req));
     const context = {
       portfolioData: portfolioData,
+      memoryFacts: facts.map(fact => fact.fact),
       queryType: 'portfolio-analysis'
     };
 
     // Generate portfolio-specific response with trade suggestions
     const aiResult = await qwenService.generatePortfolioAwareConversation(question, agent, context);
+    const suggestions = await tradeSuggestions.resolveSuggestions(agentId, aiResult.suggestions, { userMessage: question, toolCalls: aiResult.toolCalls, prompt: aiResult.prompt });
 
     res.json({
       success: true,
       response: aiResult.response,
-      tradeSuggestions: aiResult.tradeSuggestions || [],
+      tradeSuggestions: suggestions.suggestions,
+      rejectedSuggestions: suggestions.rejected,
+      toolCalls: aiResult.toolCalls || [],
+      prompt: aiResult.prompt,
       agentId,
       portfolioSummary: {
         totalValue: portfolioData.totalValue,
@@ -272,43 +513,17 @@ router.post('/:agentId/chat', async (req, res) => {
       });
     }
 
-    // Get comprehensive portfolio data for AI context
-    const portfolioData = await getComprehensivePortfolioData();
-    
-    // Get conversation context
-    const history = conversationHistory.get(sessionId) || [];
-    const context = {
-      recentMessages: history.slice(-5), // Last 5 messages for context
-      portfolioSummary: await getPortfolioSummary(), // Keep for backward compatibility
-      portfolioData: portfolioData // Enhanced portfolio data
-    };
-
-    // Generate AI response with portfolio-aware prompt and trade suggestions
-    const aiResult = await qwenService.generatePortfolioAwareConversation(message, agent, context);
-
-    // Update conversation history
-    const conversationEntry = {
-      timestamp: new Date().toISOString(),
-      userMessage: message,
-      agentResponse: aiResult.response
-    };
-
-    if (sessionId && conversationHistory.has(sessionId)) {
-      conversationHistory.get(sessionId).push(conversationEntry);
-      
-      // Update session activity
-      const session = agentSessions.get(sessionId);
-      if (session) {
-        session.lastActivity = new Date();
-      }
-    }
+    const result = await agentChat.chat(agentId, message, sessionId, { userId: requestUserId(req) });
 
     res.json({
       success: true,
-      response: aiResult.response,
-      tradeSuggestions: aiResult.tradeSuggestions || [],
+      response: result.response,
+      tradeSuggestions: result.tradeSuggestions,
+      rejectedSuggestions: result.rejectedSuggestions,
+      toolCalls: result.toolCalls,
+      prompt: result.prompt,
       agentId,
-      timestamp: conversationEntry.timestamp
+      timestamp: result.timestamp
     });
   } catch (error) {
     console.error('Error in agent chat:', error);
@@ -319,18 +534,74 @@ router.post('/:agentId/chat', async (req, res) => {
   }
 });
 
+/**
+ * Chat with an AI agent, streamed as server-sent events:
+ * start, tool_call, delta (text as it is generated), suggestions, then done;
+ * error or cancelled end the stream early. Closing the connection cancels it.
+ */
+router.post('/:agentId/chat/stream', async (req, res) => {
+  const { agentId } = req.params;
+  const { message, sessionId } = req.body;
+
+  if (!message) {
+    return res.status(400).json({
+      success: false,
+      error: 'Message is required'
+    });
+  }
+  if (!getAgentProfile(agentId)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Agent not found'
+    });
+  }
+
+  const streamId = uuidv4();
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  const send = (event, data) => {
+    if (!res.writableEnded) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      agentChat.cancel(streamId);
+    }
+  });
+
+  send('start', { streamId, agentId, sessionId: sessionId || null });
+  try {
+    await agentChat.streamChat(agentId, message, sessionId, { streamId, onEvent: send, userId: requestUserId(req) });
+  } catch (error) {
+    if (error.code === 'REQUEST_CANCELLED') {
+      send('cancelled', { streamId });
+    } else {
+      console.error('Error in streamed agent chat:', error);
+      send('error', { error: 'Failed to process chat message', message: error.message, code: error.code });
+    }
+  }
+  res.end();
+});
+
 /**
  * Get conversation history for a session
  */
-router.get('/session/:sessionId/history', (req, res) => {
+router.get('/session/:sessionId/history', async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const history = conversationHistory.get(sessionId) || [];
-    
+    const history = await agentChat.getHistory(sessionId);
+    const session = await conversationMemory.getSession(sessionId);
+
     res.json({
       success: true,
       history,
-      sessionId
+      sessionId,
+      summary: session?.summary || ''
     });
   } catch (error) {
     console.error('Error fetching conversation history:', error);
@@ -344,15 +615,10 @@ router.get('/session/:sessionId/history', (req, res) => {
 /**
  * End an agent session
  */
-router.delete('/session/:sessionId', (req, res) => {
+router.delete('/session/:sessionId', async (req, res) => {
   try {
     const { sessionId } = req.params;
-    
-    if (agentSessions.has(sessionId)) {
-      const session = agentSessions.get(sessionId);
-      session.active = false;
-      session.endTime = new Date();
-    }
+    await agentChat.endSession(sessionId);
 
     res.json({
       success: true,
@@ -367,6 +633,90 @@ router.delete('/session/:sessionId', (req, res) => {
   }
 });
 
+/**
+ * Get an agent's capital sleeve: cash, attributed positions, buying power and P/L
+ */
+router.get('/:agentId/sleeve', async (req, res) => {
+  try {
+    const { agentId } = req.params;
+    if (!getAgentProfile(agentId)) {
+      return res.status(404).json({ success: false, error: 'Agent not found' });
+    }
+
+    const sleeve = await capitalSleeves.getSleeve(agentId);
+    res.json({
+      success: true,
+      agentId,
+      sleeve
+    });
+  } catch (error) {
+    console.error('Error fetching capital sleeve:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch capital sleeve' });
+  }
+});
+
+/**
+ * Allocate account capital to an agent's sleeve, or withdraw uninvested cash from it
+ */
+const sleeveTransfer = (action) => async (req, res) => {
+  try {
+    const { agentId } = req.params;
+    const { actor = 'api' } = req.body;
+    const amount = parseFloat(req.body.amount);
+
+    if (!getAgentProfile(agentId)) {
+      return res.status(404).json({ success: false, error: 'Agent not found' });
+    }
+    if (!(amount > 0)) {
+      return res.status(400).json({ success: false, error: 'amount must be a positive number' });
+    }
+
+    const sleeve = action === 'allocate'
+      ? await capitalSleeves.allocate(agentId, amount, actor)
+      : await capitalSleeves.withdraw(agentId, amount, actor);
+
+    res.json({
+      success: true,
+      agentId,
+      sleeve
+    });
+  } catch (error) {
+    console.error(`Error during sleeve ${action}:`, error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : `Failed to ${action} capital`,
+      details: error.details,
+      code: error.code
+    });
+  }
+};
+
+router.post('/:agentId/sleeve/allocate', sleeveTransfer('allocate'));
+router.post('/:agentId/sleeve/withdraw', sleeveTransfer('withdraw'));
+
+/**
+ * Get an agent's allocation and fill ledger, newest first
+ */
+router.get('/:agentId/sleeve/ledger', async (req, res) => {
+  try {
+    const { agentId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+
+    if (!getAgentProfile(agentId)) {
+      return res.status(404).json({ success: false, error: 'Agent not found' });
+    }
+
+    res.json({
+      success: true,
+      agentId,
+      entries: await capitalSleeves.getLedger(agentId, limit)
+    });
+  } catch (error) {
+    console.error('Error fetching sleeve ledger:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch sleeve ledger' });
+  }
+});
+
 /**
  * Get risk limits for an agent
  */
@@ -385,12 +735,23 @@ router.get('/:agentId/risk-limits', async (req, res) => {
       return res.status(404).json({ error: 'Risk limits not found for agent' });
     }
 
+    // Usage is measured on the agent's capital sleeve when it has one
+    const sleeve = await capitalSleeves.getSleeve(agentId);
+
     res.json({
       success: true,
       agentId,
       agentName: agent.name,
       riskProfile: agent.riskTolerance,
-      limits: riskLimits
+      limits: riskLimits,
+      usage: sleeve ? {
+        basis: 'sleeve',
+        equity: sleeve.equity,
+        buyingPower: sleeve.buyingPower,
+        drawdown: sleeve.drawdown,
+        dailyLoss: sleeve.dailyLoss,
+        cashReserve: sleeve.equity > 0 ? sleeve.cash / sleeve.equity : 0
+      } : null
     });
 
   } catch (error) {
@@ -411,6 +772,8 @@ router.get('/:agentId/risk-limits', async (req, res) => {
      }
  
      const performance = performanceTracking.getAgentPerformance(agentId, timeframe);
+     // Capital performance comes from the agent's sleeve, when it has one
+     const sleeve = await capitalSleeves.getSleeve(agentId);
      
      if (!performance) {
        return res.json({
@@ -430,13 +793,15 @@ router.get('/:agentId/risk-limits', async (req, res) => {
            volatility: 0
          },
          recentDecisions: [],
-         dailyPerformance: {}
+         dailyPerformance: {},
+         sleeve
        });
      }
  
      res.json({
        success: true,
-       ...performance
+       ...performance,
+       sleeve
      });
  
    } catch (error) {
@@ -480,6 +845,47 @@ router.get('/:agentId/risk-limits', async (req, res) => {
      res.status(500).json({ error: 'Failed to get leaderboard' });
    }
  });
+
+/**
+ * Compare decisions and trade results by prompt template version,
+ * optionally for one agent (agentId) or task (task)
+ */
+router.get('/performance/prompt-versions', (req, res) => {
+  try {
+    const { agentId = null, task = null } = req.query;
+    res.json({
+      success: true,
+      ...performanceTracking.getPromptVersionComparison({ agentId, task })
+    });
+  } catch (error) {
+    console.error('Error comparing prompt versions:', error);
+    res.status(500).json({ success: false, error: 'Failed to compare prompt versions' });
+  }
+});
+
+/**
+ * Get the full trace of a decision for audit and debugging: prompt and its
+ * version, model and provider, input snapshot, raw model output, risk
+ * adjustments and the orders placed for it
+ */
+router.get('/:agentId/decisions/:decisionId/trace', async (req, res) => {
+  try {
+    const { agentId, decisionId } = req.params;
+    const trace = await decisionTraces.get(agentId, decisionId);
+    res.json({
+      success: true,
+      trace
+    });
+  } catch (error) {
+    console.error('Error fetching decision trace:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to fetch decision trace',
+      details: error.details,
+      code: error.code
+    });
+  }
+});
  
  // Update trading outcome (for when trades are actually executed)
  router.post('/:agentId/decisions/:decisionId/outcome', async (req, res) => {
@@ -509,191 +915,4 @@ router.get('/:agentId/risk-limits', async (req, res) => {
    }
  });
  
- // Helper functions
-
-/**
- * Get current market data
- */
-async function getCurrentMarketData() {
-  try {
-    // This would typically fetch from multiple sources
-    // For now, we'll return mock data or basic market info
-    return {
-      sp500: { price: 4500, change: 0.5 },
-      nasdaq: { price: 14000, change: 0.8 },
-      vix: { price: 18.5 },
-      timestamp: new Date().toISOString()
-    };
-  } catch (error) {
-    console.error('Error fetching market data:', error);
-    return {};
-  }
-}
-
-/**
- * Get portfolio data
- */
-async function getPortfolioData() {
-  try {
-    const account = await alpaca.getAccount();
-    const positions = await alpaca.getPositions();
-    
-    return {
-      totalValue: parseFloat(account.portfolio_value),
-      buyingPower: parseFloat(account.buying_power),
-      dayChange: parseFloat(account.unrealized_pl),
-      dayChangePercent: parseFloat(account.unrealized_plpc) * 100,
-      positions: positions.map(pos => ({
-        symbol: pos.symbol,
-        qty: parseFloat(pos.qty),
-        market_value: parseFloat(pos.market_value),
-        unrealized_pl: parseFloat(pos.unrealized_pl)
-      }))
-    };
-  } catch (error) {
-    console.error('Error fetching portfolio data:', error);
-    return {
-      totalValue: 10000,
-      buyingPower: 5000,
-      dayChange: 0,
-      dayChangePercent: 0,
-      positions: []
-    };
-  }
-}
-
-/**
- * Get comprehensive portfolio data for AI context
- */
-async function getComprehensivePortfolioData() {
-  try {
-    const account = await alpaca.getAccount();
-    const positions = await alpaca.getPositions();
-    
-    // Get portfolio allocation data
-    const axios = require('axios');
-    let allocation = [];
-    try {
-      const allocationResponse = await axios.get('http://localhost:3001/api/portfolio/allocation');
-      allocation = allocationResponse.data;
-    } catch (err) {
-      console.warn('Could not fetch allocation data:', err.message);
-    }
-    
-    const totalValue = parseFloat(account.portfolio_value);
-    const buyingPower = parseFloat(account.buying_power);
-    const dayChange = parseFloat(account.unrealized_pl);
-    const dayChangePercent = parseFloat(account.unrealized_plpc) * 100;
-    
-    // Process positions with detailed information
-    const detailedPositions = positions.map(pos => {
-      const marketValue = parseFloat(pos.market_value);
-      const qty = parseFloat(pos.qty);
-      const avgCost = parseFloat(pos.avg_cost);
-      const unrealizedPL = parseFloat(pos.unrealized_pl);
-      const unrealizedPLPercent = parseFloat(pos.unrealized_plpc) * 100;
-      
-      return {
-        symbol: pos.symbol,
-        quantity: qty,
-        averageCost: avgCost,
-        currentValue: marketValue,
-        unrealizedPL: unrealizedPL,
-        unrealizedPLPercent: unrealizedPLPercent,
-        percentOfPortfolio: totalValue > 0 ? (Math.abs(marketValue) / totalValue * 100) : 0,
-        side: pos.side
-      };
-    });
-    
-    // Sort positions by value (largest first)
-    detailedPositions.sort((a, b) => Math.abs(b.currentValue) - Math.abs(a.currentValue));
-    
-    // Calculate portfolio metrics
-    const totalPositionsValue = detailedPositions.reduce((sum, pos) => sum + Math.abs(pos.currentValue), 0);
-    const cashPercentage = totalValue > 0 ? (buyingPower / totalValue * 100) : 0;
-    const totalUnrealizedPL = detailedPositions.reduce((sum, pos) => sum + pos.unrealizedPL, 0);
-    
-    // Get top gainers and losers
-    const gainers = detailedPositions.filter(pos => pos.unrealizedPL > 0).slice(0, 3);
-    const losers = detailedPositions.filter(pos => pos.unrealizedPL < 0).slice(0, 3);
-    
-    return {
-      // Account overview
-      totalValue: totalValue,
-      buyingPower: buyingPower,
-      dayChange: dayChange,
-      dayChangePercent: dayChangePercent,
-      cashPercentage: cashPercentage,
-      
-      // Positions summary
-      positionCount: positions.length,
-      totalPositionsValue: totalPositionsValue,
-      totalUnrealizedPL: totalUnrealizedPL,
-      
-      // Detailed positions (top 10)
-      positions: detailedPositions.slice(0, 10),
-      
-      // Top performers
-      topGainers: gainers,
-      topLosers: losers,
-      
-      // Sector allocation
-      sectorAllocation: allocation,
-      
-      // Risk metrics
-      riskMetrics: {
-        concentrationRisk: detailedPositions.length > 0 ? detailedPositions[0].percentOfPortfolio : 0,
-        diversificationScore: Math.min(positions.length * 10, 100), // Simple diversification score
-        cashRatio: cashPercentage
-      }
-    };
-  } catch (error) {
-    console.error('Error fetching comprehensive portfolio data:', error);
-    return {
-      totalValue: 0,
-      buyingPower: 0,
-      dayChange: 0,
-      dayChangePercent: 0,
-      positionCount: 0,
-      positions: [],
-      topGainers: [],
-      topLosers: [],
-      sectorAllocation: [],
-      riskMetrics: { concentrationRisk: 0, diversificationScore: 0, cashRatio: 100 }
-    };
-  }
-}
-
-/**
- * Get portfolio summary for context (legacy function for backward compatibility)
- */
-async function getPortfolioSummary() {
-  try {
-    const portfolio = await getPortfolioData();
-    return {
-      totalValue: portfolio.totalValue,
-      positionCount: portfolio.positions.length,
-      topHoldings: portfolio.positions
-        .sort((a, b) => Math.abs(b.market_value) - Math.abs(a.market_value))
-        .slice(0, 3)
-        .map(pos => pos.symbol)
-    };
-  } catch (error) {
-    return { totalValue: 0, positionCount: 0, topHoldings: [] };
-  }
-}
-
-// Cleanup inactive sessions (run every hour)
-setInterval(() => {
-  const now = new Date();
-  const oneHour = 60 * 60 * 1000;
-  
-  for (const [sessionId, session] of agentSessions.entries()) {
-    if (now - session.lastActivity > oneHour) {
-      session.active = false;
-      conversationHistory.delete(sessionId);
-    }
-  }
-}, 60 * 60 * 1000);
-
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,20 +1,23 @@
 const express = require('express');
 const router = express.Router();
 const qwenService = require('../services/qwenService');
-const paiService = require('../services/paiService');
+const llm = require('../services/llm');
+const usageMeter = require('../services/llm/usageMeter');
+const config = require('../config');
 
 /**
  * Health Check Routes for AI Services
- * Monitors PAI EAS and DashScope service status
+ * Monitors the LLM gateway's providers
  */
 
 /**
  * GET /api/health/ai
- * Comprehensive AI services health check
+ * Comprehensive AI services health check, from each provider's last call.
+ * ?live=true sends each provider a test prompt instead, which uses tokens.
  */
 router.get('/ai', async (req, res) => {
   try {
-    const healthStatus = await qwenService.healthCheck();
+    const healthStatus = await qwenService.healthCheck({ live: req.query.live === 'true' });
     
     // Set appropriate HTTP status based on health
     let httpStatus = 200;
@@ -41,13 +44,38 @@ router.get('/ai', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/health/ai/usage
+ * LLM token usage and cost today by agent, endpoint and model, budgets,
+ * response cache statistics and daily totals for the last ?days days (default 7)
+ */
+router.get('/ai/usage', async (req, res) => {
+  try {
+    const report = await usageMeter.getReport({ days: req.query.days ?? 7 });
+    res.json({
+      success: true,
+      data: { ...report, cache: llm.cache.stats() },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('LLM usage report error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to build LLM usage report',
+      details: error.details,
+      code: error.code,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * GET /api/health/pai
- * PAI EAS specific health check
+ * PAI EAS specific health check; ?live=true sends a test prompt
  */
 router.get('/pai', async (req, res) => {
   try {
-    const paiHealth = await paiService.healthCheck();
+    const paiHealth = await llm.checkProvider('pai', { live: req.query.live === 'true' });
     
     let httpStatus = 200;
     if (paiHealth.status === 'error') {
@@ -75,16 +103,19 @@ router.get('/pai', async (req, res) => {
 
 /**
  * POST /api/health/test-ai
- * Test AI response generation
+ * Test AI response generation; optional provider and model pick the backend
  */
 router.post('/test-ai', async (req, res) => {
   try {
-    const { prompt = 'Hello, this is a test message for AI health check.' } = req.body;
+    const { prompt = 'Hello, this is a test message for AI health check.', provider, model } = req.body;
     
     const startTime = Date.now();
-    const response = await qwenService.generateResponse(prompt, {
+    const result = await llm.chat([{ role: 'user', content: prompt }], {
       maxTokens: 100,
-      temperature: 0.5
+      temperature: 0.5,
+      providers: provider ? [provider] : undefined,
+      model,
+      cache: false
     });
     const responseTime = Date.now() - startTime;
     
@@ -92,19 +123,22 @@ router.post('/test-ai', async (req, res) => {
       success: true,
       data: {
         prompt,
-        response,
+        response: result.content,
         responseTime: `${responseTime}ms`,
-        service: process.env.PAI_EAS_SERVICE_URL ? 'PAI EAS' : 'DashScope',
+        service: result.providerLabel,
+        model: result.model,
         timestamp: new Date().toISOString()
       },
       message: 'AI test completed successfully'
     });
   } catch (error) {
     console.error('AI test error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: 'AI test failed',
       message: error.message,
+      details: error.details,
+      code: error.code,
       timestamp: new Date().toISOString()
     });
   }
@@ -169,10 +203,12 @@ router.post('/test-trading-analysis', async (req, res) => {
     });
   } catch (error) {
     console.error('Trading analysis test error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: 'Trading analysis test failed',
       message: error.message,
+      details: error.details,
+      code: error.code,
       timestamp: new Date().toISOString()
     });
   }
@@ -197,8 +233,8 @@ router.get('/system', async (req, res) => {
         backend: 'healthy',
         database: 'not_implemented', // Placeholder for future DB health check
         alpaca: process.env.ALPACA_API_KEY ? 'configured' : 'not_configured',
-        pai: process.env.PAI_EAS_SERVICE_URL ? 'configured' : 'not_configured',
-        dashscope: process.env.QWEN_API_KEY ? 'configured' : 'not_configured'
+        broker: config.broker.provider,
+        llm: Object.fromEntries(llm.providers.map(provider => [provider.name, provider.isConfigured() ? 'configured' : 'not_configured']))
       }
     };
     
@@ -1,23 +1,15 @@
 const express = require('express');
-const Alpaca = require('@alpacahq/alpaca-trade-api');
+const broker = require('../services/brokers');
 const router = express.Router();
 
-// Initialize Alpaca client
-const alpaca = new Alpaca({
-  keyId: process.env.ALPACA_API_KEY,
-  secretKey: process.env.ALPACA_SECRET_KEY,
-  baseUrl: process.env.ALPACA_BASE_URL || 'https://paper-api.alpaca.markets',
-  dataBaseUrl: process.env.ALPACA_DATA_URL || 'https://data.alpaca.markets'
-});
-
 // Get portfolio overview
 router.get('/overview', async (req, res) => {
   try {
     // Get account information
-    const account = await alpaca.getAccount();
+    const account = await broker.getAccount();
     
     // Get portfolio history for day change calculation
-    const portfolioHistory = await alpaca.getPortfolioHistory({
+    const portfolioHistory = await broker.getPortfolioHistory({
       period: '1D',
       timeframe: '1Min'
     });
@@ -54,10 +46,10 @@ router.get('/overview', async (req, res) => {
 // Get current positions
 router.get('/positions', async (req, res) => {
   try {
-    const positions = await alpaca.getPositions();
+    const positions = await broker.getPositions();
     
     // Get pending orders to show as pending positions
-    const allOrders = await alpaca.getOrders({
+    const allOrders = await broker.getOrders({
       limit: 50
     });
     
@@ -71,8 +63,8 @@ router.get('/positions', async (req, res) => {
       positions.map(async (position) => {
         try {
           // Get latest quote
-          const quote = await alpaca.getLatestTrade(position.symbol);
-          const currentPrice = quote.Price || parseFloat(position.market_value) / parseFloat(position.qty);
+          const quote = await broker.getLatestTrade(position.symbol);
+          const currentPrice = quote.price || parseFloat(position.market_value) / parseFloat(position.qty);
           
           // Calculate unrealized P&L
           const unrealizedPL = parseFloat(position.unrealized_pl);
@@ -112,8 +104,8 @@ router.get('/positions', async (req, res) => {
       orders.map(async (order) => {
         try {
           // Get current price for the symbol
-          const quote = await alpaca.getLatestTrade(order.symbol);
-          const currentPrice = quote.Price || 100; // fallback price
+          const quote = await broker.getLatestTrade(order.symbol);
+          const currentPrice = quote.price || 100; // fallback price
           const estimatedValue = parseFloat(order.qty) * currentPrice;
           
           return {
@@ -163,7 +155,7 @@ router.get('/positions', async (req, res) => {
 // Get portfolio allocation by sector (simplified version)
 router.get('/allocation', async (req, res) => {
   try {
-    const positions = await alpaca.getPositions();
+    const positions = await broker.getPositions();
     
     // Simple sector mapping (in a real app, you'd use a more comprehensive mapping)
     const sectorMapping = {
@@ -213,7 +205,7 @@ router.get('/history', async (req, res) => {
   try {
     const { period = '1M', timeframe = '1D' } = req.query;
     
-    const portfolioHistory = await alpaca.getPortfolioHistory({
+    const portfolioHistory = await broker.getPortfolioHistory({
       period,
       timeframe
     });
@@ -1,20 +1,82 @@
 const express = require('express');
-const Alpaca = require('@alpacahq/alpaca-trade-api');
-const performanceTracking = require('../services/performanceTracking');
+const config = require('../config');
+const broker = require('../services/brokers');
+const { buildOrderClassParams } = require('../services/orderClasses');
+const orderExecution = require('../services/orderExecution');
+const executionAlgorithms = require('../services/executionAlgorithms');
+const tradingHalt = require('../services/tradingHalt');
+const marketCalendar = require('../services/marketCalendar');
+const capitalSleeves = require('../services/capitalSleeves');
+const orderIdempotency = require('../services/orderIdempotency');
+const orderEvents = require('../services/orderEvents');
 const router = express.Router();
 
-// Initialize Alpaca client
-const alpaca = new Alpaca({
-  keyId: process.env.ALPACA_API_KEY,
-  secretKey: process.env.ALPACA_SECRET_KEY,
-  baseUrl: process.env.ALPACA_BASE_URL || 'https://paper-api.alpaca.markets',
-  dataBaseUrl: process.env.ALPACA_DATA_URL || 'https://data.alpaca.markets'
+// Summarize bracket/OCO/OTO exit legs for API responses
+const formatLegs = (order) => (order.legs || []).map(leg => ({
+  id: leg.id,
+  side: leg.side,
+  type: leg.order_type || leg.type,
+  status: leg.status,
+  limitPrice: leg.limit_price,
+  stopPrice: leg.stop_price
+}));
+
+// Response for an order held back by a 'queue' conflict or session policy
+const queuedResponse = (result) => ({
+  success: true,
+  queued: true,
+  queueId: result.queueId,
+  reason: result.reason,
+  conflictingOrders: result.conflicts,
+  releaseAt: result.releaseAt,
+  expiresAt: result.expiresAt,
+  message: result.reason === 'market_closed'
+    ? `Market is closed; order queued for the next open at ${result.releaseAt}`
+    : 'Order queued until conflicting orders close'
+});
+
+// Normalized status, message and details for a failed order submission
+const orderErrorResponse = (error, fallbackMessage, prefix = '') => {
+  const normalized = orderExecution.normalizeError(error);
+  return {
+    statusCode: normalized.statusCode,
+    error: prefix + (normalized.statusCode === 500 ? fallbackMessage : normalized.message),
+    details: normalized.details || normalized.message,
+    code: normalized.code
+  };
+};
+
+// Replace failures use the order pipeline's mapping plus replace-specific codes
+const replaceErrorResponse = (error) => {
+  const brokerCode = error.response?.data?.code;
+  if (brokerCode === 40410000) {
+    return { statusCode: 404, error: 'Order not found', details: error.response.data.message || error.message, code: brokerCode };
+  }
+  if (brokerCode === 42210000) {
+    return { statusCode: 400, error: 'Order cannot be replaced', details: error.response.data.message || error.message, code: brokerCode };
+  }
+  return orderErrorResponse(error, 'Failed to replace order');
+};
+
+// Market clock: current session, next open/close and upcoming trading days
+router.get('/clock', async (req, res) => {
+  try {
+    const clock = await marketCalendar.getClock();
+    res.json({
+      ...clock,
+      marketHoursEnforced: config.trading.enforceMarketHours,
+      sessionPolicy: config.trading.sessionPolicy
+    });
+  } catch (error) {
+    console.error('Error fetching market clock:', error);
+    res.status(500).json({ error: 'Failed to fetch market clock', details: error.message });
+  }
 });
 
 // Get trading account status
 router.get('/account', async (req, res) => {
   try {
-    const account = await alpaca.getAccount();
+    const account = await broker.getAccount();
     
     const accountInfo = {
       id: account.id,
@@ -41,19 +103,17 @@ router.get('/account', async (req, res) => {
 });
 
 // Place a new order
-router.post('/order', async (req, res) => {
+router.post('/order', orderIdempotency.middleware('order'), async (req, res) => {
   try {
-    const { symbol, qty, side, type, time_in_force, limit_price, stop_price } = req.body;
+    const { symbol, qty, side, type, time_in_force, limit_price, stop_price, order_class, take_profit, stop_loss, conflict_policy, session_policy } = req.body;
     
     // Validate required fields
     if (!symbol || !qty || !side || !type) {
       return res.status(400).json({ error: 'Missing required fields: symbol, qty, side, type' });
     }
     
-    // Check if trading is enabled
-    if (process.env.TRADING_ENABLED !== 'true') {
-      return res.status(403).json({ error: 'Trading is currently disabled' });
-    }
+    // Check if trading is enabled and not halted
+    await orderExecution.assertCanTrade();
     
     // Validate order parameters
     const orderParams = {
@@ -64,6 +124,11 @@ router.post('/order', async (req, res) => {
       time_in_force: time_in_force || 'day' // 'day', 'gtc', 'ioc', 'fok'
     };
     
+    // Idempotent requests reuse their key as the broker client order ID
+    if (req.clientOrderId) {
+      orderParams.client_order_id = req.clientOrderId;
+    }
+    
     // Add price parameters for limit/stop orders
     if (type.toLowerCase() === 'limit' && limit_price) {
       orderParams.limit_price = parseFloat(limit_price);
@@ -73,64 +138,49 @@ router.post('/order', async (req, res) => {
       orderParams.stop_price = parseFloat(stop_price);
     }
     
-    // Check position size limits
-    const maxPositionSize = parseFloat(process.env.MAX_POSITION_SIZE || 10000);
-    const orderValue = orderParams.qty * (limit_price || 100); // Rough estimate
+    // Resolve a live sizing price for the order
+    const pricing = await orderExecution.priceOrder(orderParams);
     
-    if (orderValue > maxPositionSize) {
-      return res.status(400).json({ 
-        error: `Order value exceeds maximum position size of $${maxPositionSize}` 
-      });
-    }
-    
-    // Check for existing conflicting orders to prevent wash trades
-    try {
-      const existingOrders = await alpaca.getOrders({
-        status: 'open',
-        symbols: orderParams.symbol
-      });
-      
-      // Find orders with opposite side for the same symbol
-      const conflictingOrders = existingOrders.filter(order => 
-        order.symbol === orderParams.symbol && 
-        order.side !== orderParams.side &&
-        ['new', 'pending_new', 'accepted', 'pending_replace'].includes(order.status)
-      );
-      
-      // Cancel conflicting orders to prevent wash trade detection
-      if (conflictingOrders.length > 0) {
-        console.log(`Canceling ${conflictingOrders.length} conflicting orders for ${orderParams.symbol}`);
-        for (const conflictingOrder of conflictingOrders) {
-          try {
-            await alpaca.cancelOrder(conflictingOrder.id);
-            console.log(`Canceled conflicting order: ${conflictingOrder.id}`);
-          } catch (cancelError) {
-            console.warn(`Failed to cancel order ${conflictingOrder.id}:`, cancelError.message);
-          }
-        }
-        
-        // Wait a moment for cancellations to process
-        await new Promise(resolve => setTimeout(resolve, 1000));
+    // Attach exit legs for bracket, OCO and OTO orders
+    if (order_class && order_class !== 'simple') {
+      const referencePrice = orderParams.limit_price || pricing.marketPrice;
+      const orderClass = buildOrderClassParams(orderParams, { order_class, take_profit, stop_loss }, referencePrice);
+      if (!orderClass.valid) {
+        return res.status(400).json({ error: 'Invalid order class', details: orderClass.reason });
       }
-    } catch (orderCheckError) {
-      console.warn('Error checking for conflicting orders:', orderCheckError.message);
+      Object.assign(orderParams, orderClass.orderParams);
     }
     
-    // Place the order
-    const order = await alpaca.createOrder(orderParams);
+    // Check position size limits
+    orderExecution.checkPositionSize(orderParams, pricing);
     
+    // Place the order (conflicting orders are handled per the conflict policy)
+    const result = await orderExecution.submitOrder(orderParams, {
+      source: 'manual',
+      conflictPolicy: conflict_policy,
+      sessionPolicy: session_policy
+    });
+    
+    if (result.queued) {
+      return res.status(202).json(queuedResponse(result));
+    }
+    
+    const { order } = result;
     res.json({
       success: true,
       order: {
         id: order.id,
+        clientOrderId: order.client_order_id,
         symbol: order.symbol,
         qty: order.qty,
         side: order.side,
         type: order.order_type,
+        orderClass: order.order_class,
         status: order.status,
         timeInForce: order.time_in_force,
         limitPrice: order.limit_price,
         stopPrice: order.stop_price,
+        legs: formatLegs(order),
         submittedAt: order.submitted_at,
         filledAt: order.filled_at,
         filledQty: order.filled_qty,
@@ -140,40 +190,8 @@ router.post('/order', async (req, res) => {
   } catch (error) {
     console.error('Error placing order:', error);
     
-    // Handle specific Alpaca API errors
-    let statusCode = 500;
-    let errorMessage = 'Failed to place order';
-    let errorDetails = error.message;
-    
-    if (error.response && error.response.data) {
-      const alpacaError = error.response.data;
-      
-      switch (alpacaError.code) {
-        case 40310000:
-          statusCode = 409;
-          errorMessage = 'Wash trade detected';
-          errorDetails = 'Cannot place order due to existing opposite side order. Try canceling existing orders first.';
-          break;
-        case 40110000:
-          statusCode = 400;
-          errorMessage = 'Insufficient buying power';
-          errorDetails = 'Not enough funds to place this order.';
-          break;
-        case 42210000:
-          statusCode = 400;
-          errorMessage = 'Invalid order';
-          errorDetails = 'Order parameters are invalid or market is closed.';
-          break;
-        default:
-          errorDetails = alpacaError.message || error.message;
-      }
-    }
-    
-    res.status(statusCode).json({ 
-      error: errorMessage,
-      details: errorDetails,
-      code: error.response?.data?.code
-    });
+    const { statusCode, ...body } = orderErrorResponse(error, 'Failed to place order');
+    res.status(statusCode).json(body);
   }
 });
 
@@ -184,14 +202,15 @@ router.get('/orders', async (req, res) => {
     
     const params = {
       limit: Math.min(parseInt(limit), 500),
-      direction
+      direction,
+      nested: true
     };
     
     if (status) params.status = status;
     if (after) params.after = after;
     if (until) params.until = until;
     
-    const orders = await alpaca.getOrders(params);
+    const orders = await broker.getOrders(params);
     
     const formattedOrders = orders.map(order => ({
       id: order.id,
@@ -199,10 +218,12 @@ router.get('/orders', async (req, res) => {
       qty: order.qty,
       side: order.side,
       type: order.order_type,
+      orderClass: order.order_class,
       status: order.status,
       timeInForce: order.time_in_force,
       limitPrice: order.limit_price,
       stopPrice: order.stop_price,
+      legs: formatLegs(order),
       submittedAt: order.submitted_at,
       filledAt: order.filled_at,
       filledQty: order.filled_qty,
@@ -223,7 +244,7 @@ router.get('/orders', async (req, res) => {
 router.get('/orders/:orderId', async (req, res) => {
   try {
     const { orderId } = req.params;
-    const order = await alpaca.getOrder(orderId);
+    const order = await broker.getOrder(orderId);
     
     const formattedOrder = {
       id: order.id,
@@ -231,19 +252,24 @@ router.get('/orders/:orderId', async (req, res) => {
       qty: order.qty,
       side: order.side,
       type: order.order_type,
+      orderClass: order.order_class,
       status: order.status,
       timeInForce: order.time_in_force,
       limitPrice: order.limit_price,
       stopPrice: order.stop_price,
+      legs: formatLegs(order),
       submittedAt: order.submitted_at,
       filledAt: order.filled_at,
       filledQty: order.filled_qty,
       filledAvgPrice: order.filled_avg_price,
       canceledAt: order.canceled_at,
       expiredAt: order.expired_at,
-      replacedAt: order.replaced_at
+      replacedAt: order.replaced_at,
+      replacedBy: order.replaced_by,
+      replaces: order.replaces
     };
     
+    orderEvents.recordSnapshot(order);
     res.json(formattedOrder);
   } catch (error) {
     console.error('Error fetching order:', error);
@@ -251,11 +277,108 @@ router.get('/orders/:orderId', async (req, res) => {
   }
 });
 
+// Replace (modify) a working order's qty, limit, stop or time in force
+router.patch('/orders/:orderId', async (req, res) => {
+  const { orderId } = req.params;
+  
+  try {
+    const { qty, limit_price, stop_price, time_in_force } = req.body;
+    
+    if (qty == null && limit_price == null && stop_price == null && !time_in_force) {
+      return res.status(400).json({ error: 'Provide at least one of: qty, limit_price, stop_price, time_in_force' });
+    }
+    
+    const replaceParams = {};
+    if (qty != null) replaceParams.qty = Math.abs(parseFloat(qty));
+    if (limit_price != null) replaceParams.limit_price = parseFloat(limit_price);
+    if (stop_price != null) replaceParams.stop_price = parseFloat(stop_price);
+    if (time_in_force) replaceParams.time_in_force = time_in_force;
+    
+    // Halts, size limits and the owning agent's sleeve apply as for a new order
+    const { order } = await orderExecution.replaceOrder(orderId, replaceParams, { source: 'manual' });
+    
+    res.json({
+      success: true,
+      replaces: orderId,
+      order: {
+        id: order.id,
+        clientOrderId: order.client_order_id,
+        symbol: order.symbol,
+        qty: order.qty,
+        side: order.side,
+        type: order.order_type,
+        orderClass: order.order_class,
+        status: order.status,
+        timeInForce: order.time_in_force,
+        limitPrice: order.limit_price,
+        stopPrice: order.stop_price,
+        legs: formatLegs(order),
+        submittedAt: order.submitted_at
+      }
+    });
+  } catch (error) {
+    console.error('Error replacing order:', error);
+    
+    const { statusCode, error: errorMessage, details: errorDetails, code } = replaceErrorResponse(error);
+    
+    try {
+      const existing = await broker.getOrder(orderId);
+      orderEvents.record(existing, 'replace_rejected', { reason: errorDetails });
+    } catch (lookupError) {
+      // Order is unknown to the broker; nothing to log against
+    }
+    
+    res.status(statusCode).json({
+      error: errorMessage,
+      details: errorDetails,
+      code
+    });
+  }
+});
+
+// Get the lifecycle event history for an order
+router.get('/orders/:orderId/events', async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    
+    // Capture the latest broker status before answering
+    let order = null;
+    try {
+      order = await broker.getOrder(orderId);
+      orderEvents.recordSnapshot(order);
+    } catch (lookupError) {
+      console.warn(`Could not refresh order ${orderId}:`, lookupError.message);
+    }
+    
+    const events = await orderEvents.getEvents(orderId);
+    if (!order && events.length === 0) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    
+    res.json({
+      orderId,
+      status: order ? order.status : events[events.length - 1].status,
+      replacedBy: order ? order.replaced_by : null,
+      replaces: order ? order.replaces : null,
+      events
+    });
+  } catch (error) {
+    console.error('Error fetching order events:', error);
+    res.status(500).json({ error: 'Failed to fetch order events' });
+  }
+});
+
 // Cancel an order
 router.delete('/orders/:orderId', async (req, res) => {
   try {
     const { orderId } = req.params;
-    await alpaca.cancelOrder(orderId);
+    
+    try {
+      orderEvents.record(await broker.getOrder(orderId), 'cancel_requested');
+    } catch (lookupError) {
+      // Let cancelOrder report the failure
+    }
+    await broker.cancelOrder(orderId);
     
     res.json({ success: true, message: 'Order canceled successfully' });
   } catch (error) {
@@ -267,7 +390,7 @@ router.delete('/orders/:orderId', async (req, res) => {
 // Cancel all orders
 router.delete('/orders', async (req, res) => {
   try {
-    await alpaca.cancelAllOrders();
+    await broker.cancelAllOrders();
     res.json({ success: true, message: 'All orders canceled successfully' });
   } catch (error) {
     console.error('Error canceling all orders:', error);
@@ -281,13 +404,13 @@ router.get('/quote/:symbol', async (req, res) => {
     const { symbol } = req.params;
     
     // Get latest quote
-    const quote = await alpaca.getLatestTrade(symbol);
+    const quote = await broker.getLatestTrade(symbol);
     
     res.json({
       symbol: symbol.toUpperCase(),
-      price: quote.Price,
-      timestamp: quote.Timestamp,
-      size: quote.Size
+      price: quote.price,
+      timestamp: quote.timestamp,
+      size: quote.size
     });
   } catch (error) {
     console.error(`Error fetching quote for ${req.params.symbol}:`, error);
@@ -309,11 +432,11 @@ router.get('/bars/:symbol', async (req, res) => {
     if (start) params.start = start;
     if (end) params.end = end;
     
-    const bars = await alpaca.getBarsV2(symbol, params);
+    const bars = await broker.getBars(symbol, params);
     
     res.json({
       symbol: symbol.toUpperCase(),
-      bars: bars.bars || []
+      bars
     });
   } catch (error) {
     console.error(`Error fetching bars for ${req.params.symbol}:`, error);
@@ -322,15 +445,18 @@ router.get('/bars/:symbol', async (req, res) => {
 });
 
 // Execute AI agent trading decision
-router.post('/agent-trade', async (req, res) => {
+router.post('/agent-trade', orderIdempotency.middleware('agent-trade'), async (req, res) => {
   try {
-    const { symbol, action, confidence, reasoning, riskLevel } = req.body;
+    const { symbol, action, confidence, reasoning, riskLevel, order_class, take_profit, stop_loss, conflict_policy, session_policy, algorithm, duration_minutes, slices, display_qty, agentId, decisionId } = req.body;
     
     // Validate AI agent decision
     if (!symbol || !action || !confidence) {
       return res.status(400).json({ error: 'Missing required fields from AI agent' });
     }
     
+    // Agent trades respect TRADING_ENABLED, the kill switch and the agent's circuit breaker
+    await orderExecution.assertCanTrade(agentId);
+    
     // Check confidence threshold
     const minConfidence = parseFloat(process.env.MIN_CONFIDENCE || 0.7);
     if (confidence < minConfidence) {
@@ -341,9 +467,12 @@ router.post('/agent-trade', async (req, res) => {
       });
     }
     
-    // Calculate position size based on risk level and confidence
-    const account = await alpaca.getAccount();
-    const buyingPower = parseFloat(account.buying_power);
+    // Calculate position size based on risk level and confidence, from the
+    // agent's capital sleeve when it has one
+    const sleeve = await capitalSleeves.getSleeve(agentId);
+    const buyingPower = sleeve
+      ? sleeve.buyingPower
+      : parseFloat((await broker.getAccount()).buying_power);
     const riskTolerance = parseFloat(process.env.RISK_TOLERANCE || 0.02);
     
     let positionSize;
@@ -364,9 +493,9 @@ router.post('/agent-trade', async (req, res) => {
     // Adjust position size by confidence
     positionSize *= confidence;
     
-    // Get current price to calculate quantity
-    const quote = await alpaca.getLatestTrade(symbol);
-    const currentPrice = quote.Price;
+    // Get a live sizing price to calculate quantity
+    const pricing = await orderExecution.priceOrder({ symbol, side: action.toLowerCase(), type: 'market' });
+    const currentPrice = pricing.price;
     const qty = Math.floor(positionSize / currentPrice);
     
     if (qty < 1) {
@@ -378,6 +507,52 @@ router.post('/agent-trade', async (req, res) => {
       });
     }
     
+    // AI entries are always protected by a bracket unless another class is requested
+    const agentOrderClassName = order_class || (action.toLowerCase() === 'buy' ? 'bracket' : 'simple');
+
+    // Large agent trades are worked over time instead of hitting the book at once;
+    // each child of an entry goes out as its own bracket
+    const algoThreshold = config.trading.algoAgentThreshold;
+    if (algorithm || (algoThreshold > 0 && qty * currentPrice > algoThreshold)) {
+      const parentOrder = await executionAlgorithms.createParentOrder({
+        symbol,
+        qty,
+        side: action,
+        algorithm: algorithm || 'twap',
+        durationMinutes: duration_minutes,
+        slices,
+        displayQty: display_qty,
+        orderClass: agentOrderClassName,
+        takeProfit: take_profit,
+        stopLoss: stop_loss,
+        conflictPolicy: conflict_policy,
+        agentId,
+        source: 'agent-trade'
+      });
+      
+      await orderExecution.broadcastDecision(
+        { id: parentOrder.id, symbol: parentOrder.symbol, side: parentOrder.side, qty: parentOrder.qty },
+        {
+          tradingDecision: {
+            confidence: Math.round(confidence * 100),
+            reasoning: reasoning,
+            riskLevel: riskLevel,
+            price: null,
+            source: 'ai_agent',
+            algorithm: parentOrder.algorithm
+          }
+        }
+      );
+      
+      return res.json({
+        success: true,
+        parentOrder,
+        reasoning,
+        confidence,
+        riskLevel
+      });
+    }
+    
     // Prepare order parameters
     const orderParams = {
       symbol: symbol.toUpperCase(),
@@ -387,74 +562,65 @@ router.post('/agent-trade', async (req, res) => {
       time_in_force: 'day'
     };
     
-    // Check for existing conflicting orders to prevent wash trades
+    // Idempotent requests reuse their key as the broker client order ID
+    if (req.clientOrderId) {
+      orderParams.client_order_id = req.clientOrderId;
+    }
+    
+    const agentOrderClass = buildOrderClassParams(orderParams, {
+      order_class: agentOrderClassName,
+      take_profit,
+      stop_loss
+    }, pricing.marketPrice);
+    if (!agentOrderClass.valid) {
+      return res.status(400).json({ error: 'AI Agent: Invalid order class', details: agentOrderClass.reason });
+    }
+    Object.assign(orderParams, agentOrderClass.orderParams);
+    
     try {
-      const existingOrders = await alpaca.getOrders({
-        status: 'open',
-        symbols: orderParams.symbol
+      orderExecution.checkPositionSize(orderParams, pricing);
+    } catch (sizeError) {
+      return res.json({
+        success: false,
+        message: sizeError.message,
+        positionSize,
+        currentPrice
       });
-      
-      // Find orders with opposite side for the same symbol
-      const conflictingOrders = existingOrders.filter(order => 
-        order.symbol === orderParams.symbol && 
-        order.side !== orderParams.side &&
-        ['new', 'pending_new', 'accepted', 'pending_replace'].includes(order.status)
-      );
-      
-      // Cancel conflicting orders to prevent wash trade detection
-      if (conflictingOrders.length > 0) {
-        console.log(`AI Agent: Canceling ${conflictingOrders.length} conflicting orders for ${orderParams.symbol}`);
-        for (const conflictingOrder of conflictingOrders) {
-          try {
-            await alpaca.cancelOrder(conflictingOrder.id);
-            console.log(`AI Agent: Canceled conflicting order: ${conflictingOrder.id}`);
-          } catch (cancelError) {
-            console.warn(`AI Agent: Failed to cancel order ${conflictingOrder.id}:`, cancelError.message);
-          }
-        }
-        
-        // Wait a moment for cancellations to process
-        await new Promise(resolve => setTimeout(resolve, 1000));
-      }
-    } catch (orderCheckError) {
-      console.warn('AI Agent: Error checking for conflicting orders:', orderCheckError.message);
     }
     
-    // Place the order
-    const order = await alpaca.createOrder(orderParams);
-
-    // Broadcast trading decision to WebSocket clients for Decision History
-    try {
-      // Use a global registry to avoid circular dependencies
-      if (global.wsIntegration) {
-        const tradingDecision = {
-          id: order.id,
-          symbol: order.symbol,
-          action: order.side,
-          quantity: order.qty,
-          confidence: Math.round(confidence * 100), // Convert to percentage
-          reasoning: reasoning,
-          riskLevel: riskLevel,
-          price: null, // Market order
-          timestamp: new Date().toISOString(),
-          source: 'ai_agent'
-        };
-        
-        global.wsIntegration.broadcastTradingDecision(tradingDecision);
-        console.log('AI Agent: Broadcasting trading decision to WebSocket clients:', tradingDecision);
+    // Place the order and broadcast the decision for Decision History
+    const result = await orderExecution.submitOrder(orderParams, {
+      source: 'agent-trade',
+      conflictPolicy: conflict_policy,
+      sessionPolicy: session_policy,
+      agentId,
+      decisionId,
+      logPrefix: 'AI Agent: ',
+      tradingDecision: {
+        confidence: Math.round(confidence * 100), // Convert to percentage
+        reasoning: reasoning,
+        riskLevel: riskLevel,
+        price: null, // Market order
+        source: 'ai_agent'
       }
-    } catch (wsError) {
-      console.error('AI Agent: Error broadcasting trading decision to WebSocket:', wsError);
+    });
+    
+    if (result.queued) {
+      return res.status(202).json(queuedResponse(result));
     }
-
+    
+    const { order } = result;
     res.json({
       success: true,
       order: {
         id: order.id,
+        clientOrderId: order.client_order_id,
         symbol: order.symbol,
         qty: order.qty,
         side: order.side,
+        orderClass: order.order_class,
         status: order.status,
+        legs: formatLegs(order),
         reasoning,
         confidence,
         riskLevel,
@@ -464,57 +630,23 @@ router.post('/agent-trade', async (req, res) => {
   } catch (error) {
     console.error('Error executing AI agent trade:', error);
     
-    // Handle specific Alpaca API errors
-    let statusCode = 500;
-    let errorMessage = 'Failed to execute AI agent trade';
-    let errorDetails = error.message;
-    
-    if (error.response && error.response.data) {
-      const alpacaError = error.response.data;
-      
-      switch (alpacaError.code) {
-        case 40310000:
-          statusCode = 409;
-          errorMessage = 'AI Agent: Wash trade detected';
-          errorDetails = 'Cannot execute trade due to existing opposite side order. Conflicting orders should have been canceled automatically.';
-          break;
-        case 40110000:
-          statusCode = 400;
-          errorMessage = 'AI Agent: Insufficient buying power';
-          errorDetails = 'Not enough funds to execute this AI agent trade.';
-          break;
-        case 42210000:
-          statusCode = 400;
-          errorMessage = 'AI Agent: Invalid order';
-          errorDetails = 'AI agent order parameters are invalid or market is closed.';
-          break;
-        default:
-          errorDetails = alpacaError.message || error.message;
-      }
-    }
-    
-    res.status(statusCode).json({ 
-      error: errorMessage,
-      details: errorDetails,
-      code: error.response?.data?.code
-    });
+    const { statusCode, ...body } = orderErrorResponse(error, 'Failed to execute AI agent trade', 'AI Agent: ');
+    res.status(statusCode).json(body);
   }
 });
 
 // Execute AI-suggested trade
-router.post('/execute', async (req, res) => {
+router.post('/execute', orderIdempotency.middleware('execute'), async (req, res) => {
   try {
-    const { symbol, side, qty, type, time_in_force, source, reasoning } = req.body;
+    const { symbol, side, qty, type, time_in_force, limit_price, source, reasoning, order_class, take_profit, stop_loss, conflict_policy, session_policy, agentId } = req.body;
     
     // Validate required fields
     if (!symbol || !side || !qty) {
       return res.status(400).json({ error: 'Missing required fields: symbol, side, qty' });
     }
     
-    // Check if trading is enabled
-    if (process.env.TRADING_ENABLED !== 'true') {
-      return res.status(403).json({ error: 'Trading is currently disabled' });
-    }
+    // Check if trading is enabled and not halted
+    await orderExecution.assertCanTrade(agentId);
     
     // Prepare order parameters
     const orderParams = {
@@ -525,71 +657,72 @@ router.post('/execute', async (req, res) => {
       time_in_force: time_in_force || 'day'
     };
     
-    // Check for existing conflicting orders to prevent wash trades
-    try {
-      const existingOrders = await alpaca.getOrders({
-        status: 'open',
-        symbols: orderParams.symbol
-      });
-      
-      const conflictingOrders = existingOrders.filter(order => 
-        order.symbol === orderParams.symbol && 
-        order.side !== orderParams.side &&
-        ['new', 'pending_new', 'accepted', 'pending_replace'].includes(order.status)
-      );
-      
-      if (conflictingOrders.length > 0) {
-        console.log(`AI Trade: Canceling ${conflictingOrders.length} conflicting orders for ${orderParams.symbol}`);
-        for (const conflictingOrder of conflictingOrders) {
-          try {
-            await alpaca.cancelOrder(conflictingOrder.id);
-          } catch (cancelError) {
-            console.warn(`AI Trade: Failed to cancel order ${conflictingOrder.id}:`, cancelError.message);
-          }
-        }
-        await new Promise(resolve => setTimeout(resolve, 1000));
+    // Idempotent requests reuse their key as the broker client order ID
+    if (req.clientOrderId) {
+      orderParams.client_order_id = req.clientOrderId;
+    }
+    
+    if (orderParams.type === 'limit' && limit_price) {
+      orderParams.limit_price = parseFloat(limit_price);
+    }
+    
+    const pricing = await orderExecution.priceOrder(orderParams);
+    
+    // AI-suggested entries are protected by a bracket unless another class is requested
+    const executeOrderClass = order_class || (source === 'ai_suggestion' && orderParams.side === 'buy' ? 'bracket' : 'simple');
+    if (executeOrderClass !== 'simple') {
+      const referencePrice = orderParams.limit_price || pricing.marketPrice;
+      const orderClass = buildOrderClassParams(orderParams, { order_class: executeOrderClass, take_profit, stop_loss }, referencePrice);
+      if (!orderClass.valid) {
+        return res.status(400).json({ success: false, error: 'Invalid order class', message: orderClass.reason });
       }
-    } catch (orderCheckError) {
-      console.warn('AI Trade: Error checking for conflicting orders:', orderCheckError.message);
+      Object.assign(orderParams, orderClass.orderParams);
     }
     
-    // Place the order
-    const order = await alpaca.createOrder(orderParams);
-    
-    // Record the decision in performance tracking if source is AI suggestion
-    if (source === 'ai_suggestion') {
-      try {
-        const account = await alpaca.getAccount();
-        const portfolioData = {
-          totalValue: parseFloat(account.portfolio_value),
-          dayChange: parseFloat(account.unrealized_pl || 0),
-          buyingPower: parseFloat(account.buying_power)
-        };
-        
-        const decision = {
+    // Check position size limits
+    try {
+      orderExecution.checkPositionSize(orderParams, pricing);
+    } catch (sizeError) {
+      return res.status(400).json({ success: false, error: 'Order exceeds position size limit', message: sizeError.message });
+    }
+    
+    // Place the order; AI suggestions are recorded in performance tracking
+    const result = await orderExecution.submitOrder(orderParams, {
+      source: source || 'manual',
+      conflictPolicy: conflict_policy,
+      sessionPolicy: session_policy,
+      agentId,
+      logPrefix: 'AI Trade: ',
+      performance: source === 'ai_suggestion' ? {
+        agentId: agentId || 'ai_agent',
+        decision: {
           action: side,
           symbol: symbol.toUpperCase(),
           quantity: qty,
           price: null, // Market order
           reasoning: reasoning || 'AI-generated trade suggestion'
-        };
-        
-        await performanceTracking.recordTradingDecision('ai_agent', decision, portfolioData);
-      } catch (trackingError) {
-        console.error('Error recording AI trade decision:', trackingError);
-      }
+        }
+      } : null
+    });
+    
+    if (result.queued) {
+      return res.status(202).json(queuedResponse(result));
     }
     
+    const { order } = result;
     res.json({
       success: true,
       order: {
         id: order.id,
+        clientOrderId: order.client_order_id,
         symbol: order.symbol,
         qty: order.qty,
         side: order.side,
         type: order.order_type,
+        orderClass: order.order_class,
         status: order.status,
         timeInForce: order.time_in_force,
+        legs: formatLegs(order),
         submittedAt: order.submitted_at,
         source: source || 'manual'
       }
@@ -597,41 +730,161 @@ router.post('/execute', async (req, res) => {
   } catch (error) {
     console.error('Error executing AI trade:', error);
     
-    let statusCode = 500;
-    let errorMessage = 'Failed to execute trade';
-    let errorDetails = error.message;
-    
-    if (error.response && error.response.data) {
-      const alpacaError = error.response.data;
-      
-      switch (alpacaError.code) {
-        case 40310000:
-          statusCode = 409;
-          errorMessage = 'Wash trade detected';
-          errorDetails = 'Cannot place order due to existing opposite side order.';
-          break;
-        case 40110000:
-          statusCode = 400;
-          errorMessage = 'Insufficient buying power';
-          errorDetails = 'Not enough funds to place this order.';
-          break;
-        case 42210000:
-          statusCode = 400;
-          errorMessage = 'Invalid order';
-          errorDetails = 'Order parameters are invalid or market is closed.';
-          break;
-        default:
-          errorDetails = alpacaError.message || error.message;
-      }
-    }
-    
+    const { statusCode, error: errorMessage, details, code } = orderErrorResponse(error, 'Failed to execute trade');
     res.status(statusCode).json({ 
       success: false,
       error: errorMessage,
-      message: errorDetails,
-      code: error.response?.data?.code
+      message: details,
+      code
     });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// List orders held back by the 'queue' conflict or session policy
+router.get('/queued-orders', (req, res) => {
+  res.json(orderExecution.getQueuedOrders());
+});
+
+// Cancel an order still waiting in the order queue
+router.delete('/queued-orders/:queueId', (req, res) => {
+  if (!orderExecution.cancelQueuedOrder(req.params.queueId)) {
+    return res.status(404).json({ error: 'Queued order not found or already submitted' });
+  }
+  res.json({ success: true, message: 'Queued order canceled' });
+});
+
+// Kill switch and circuit breaker status
+router.get('/halt', async (req, res) => {
+  try {
+    res.json({
+      tradingEnabled: orderExecution.isTradingEnabled(),
+      ...(await tradingHalt.getStatus())
+    });
+  } catch (error) {
+    console.error('Error fetching halt status:', error);
+    res.status(500).json({ error: 'Failed to fetch halt status', details: error.message });
+  }
+});
+
+// Halt all trading, or one agent's trading when agentId is given
+router.post('/halt', async (req, res) => {
+  try {
+    const { reason, actor, agentId, cancel_open_orders } = req.body;
+    
+    if (!reason || !actor) {
+      return res.status(400).json({ error: 'Missing required fields: reason, actor' });
+    }
+    
+    const halt = await tradingHalt.halt({ agentId, reason, actor });
+    
+    // Optionally pull everything off the book as well
+    let canceledOrders = null;
+    if (cancel_open_orders && !agentId) {
+      const canceled = await broker.cancelAllOrders();
+      canceledOrders = Array.isArray(canceled) ? canceled.length : 0;
+    }
+    
+    res.json({ success: true, halt, canceledOrders });
+  } catch (error) {
+    console.error('Error halting trading:', error);
+    res.status(500).json({ error: 'Failed to halt trading', details: error.message });
+  }
+});
+
+// Lift a global or per-agent halt
+router.post('/resume', async (req, res) => {
+  try {
+    const { reason, actor, agentId } = req.body;
+    
+    if (!actor) {
+      return res.status(400).json({ error: 'Missing required field: actor' });
+    }
+    
+    const resumed = await tradingHalt.resume({ agentId, reason, actor });
+    if (!resumed) {
+      return res.status(404).json({ error: agentId ? `Trading is not halted for ${agentId}` : 'Trading is not halted' });
+    }
+    
+    res.json({ success: true, resumed });
+  } catch (error) {
+    console.error('Error resuming trading:', error);
+    res.status(500).json({ error: 'Failed to resume trading', details: error.message });
+  }
+});
+
+// Start a TWAP, VWAP or iceberg parent order
+router.post('/algo-orders', orderIdempotency.middleware('algo-order'), async (req, res) => {
+  try {
+    const { symbol, qty, side, algorithm, duration_minutes, slices, display_qty, limit_price, order_class, take_profit, stop_loss, conflict_policy, source, agentId } = req.body;
+    
+    if (!symbol || !qty || !side || !algorithm) {
+      return res.status(400).json({ error: 'Missing required fields: symbol, qty, side, algorithm' });
+    }
+    
+    await orderExecution.assertCanTrade(agentId);
+    
+    const parentOrder = await executionAlgorithms.createParentOrder({
+      symbol,
+      qty,
+      side,
+      algorithm,
+      durationMinutes: duration_minutes,
+      slices,
+      displayQty: display_qty,
+      limitPrice: limit_price,
+      orderClass: order_class,
+      takeProfit: take_profit,
+      stopLoss: stop_loss,
+      conflictPolicy: conflict_policy,
+      agentId,
+      source
+    });
+    
+    res.json({ success: true, parentOrder });
+  } catch (error) {
+    console.error('Error starting algorithmic order:', error);
+    
+    const { statusCode, ...body } = orderErrorResponse(error, 'Failed to start algorithmic order');
+    res.status(statusCode).json(body);
+  }
+});
+
+// List parent orders, optionally filtered by status
+router.get('/algo-orders', async (req, res) => {
+  try {
+    res.json(await executionAlgorithms.getParentOrders({ status: req.query.status }));
+  } catch (error) {
+    console.error('Error fetching algorithmic orders:', error);
+    res.status(500).json({ error: 'Failed to fetch algorithmic orders', details: error.message });
+  }
+});
+
+// Get a parent order with its children and progress
+router.get('/algo-orders/:parentId', async (req, res) => {
+  await executionAlgorithms.ready;
+  const parentOrder = executionAlgorithms.getParentOrder(req.params.parentId);
+  if (!parentOrder) {
+    return res.status(404).json({ error: 'Parent order not found' });
+  }
+  res.json(parentOrder);
+});
+
+// Pause, resume or cancel a parent order
+const parentOrderAction = (action, description) => async (req, res) => {
+  try {
+    await executionAlgorithms.ready;
+    const parentOrder = await executionAlgorithms[action](req.params.parentId);
+    res.json({ success: true, parentOrder });
+  } catch (error) {
+    console.error(`Error trying to ${description} algorithmic order:`, error);
+    
+    const { statusCode, ...body } = orderErrorResponse(error, `Failed to ${description} algorithmic order`);
+    res.status(statusCode).json(body);
+  }
+};
+
+router.post('/algo-orders/:parentId/pause', parentOrderAction('pauseParentOrder', 'pause'));
+router.post('/algo-orders/:parentId/resume', parentOrderAction('resumeParentOrder', 'resume'));
+router.delete('/algo-orders/:parentId', parentOrderAction('cancelParentOrder', 'cancel'));
+
+module.exports = router;
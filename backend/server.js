@@ -7,6 +7,9 @@ require('dotenv').config();
 
 const WebSocketServer = require('./websocket/server');
 const WebSocketIntegration = require('./services/websocketIntegration');
+const tradingHalt = require('./services/tradingHalt');
+const agentScheduler = require('./services/agentScheduler');
+const usageMeter = require('./services/llm/usageMeter');
 const config = require('./config');
 
 const app = express();
@@ -23,7 +26,8 @@ const wsIntegration = new WebSocketIntegration(wsServer);
 app.use(helmet());
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['Idempotent-Replayed']
 }));
 
 // Rate limiting
@@ -37,6 +41,9 @@ app.use('/api/', limiter);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Attribute LLM usage to the route that caused it
+app.use(usageMeter.middleware());
+
 // Import route handlers
 const portfolioRoutes = require('./routes/portfolio');
 const newsRoutes = require('./routes/news');
@@ -92,6 +99,12 @@ server.listen(PORT, () => {
   console.log(`🚀 SIRFA Agent Finance Backend running on port ${PORT}`);
   console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🔗 Frontend URL: ${process.env.FRONTEND_URL || 'http://localhost:5173'}`);
+  
+  // Watch agent drawdown and daily loss limits
+  tradingHalt.startMonitoring();
+  
+  // Pick up agents that were auto-trading before the restart
+  agentScheduler.start();
 });
 
 // Start WebSocket server and initialize integration
@@ -115,6 +128,7 @@ wsServer.start().then(async () => {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('Received SIGTERM, shutting down gracefully...');
+  agentScheduler.shutdown();
   await wsIntegration.shutdown();
   await wsServer.shutdown();
   server.close(() => {
@@ -125,6 +139,7 @@ process.on('SIGTERM', async () => {
 
 process.on('SIGINT', async () => {
   console.log('Received SIGINT, shutting down gracefully...');
+  agentScheduler.shutdown();
   await wsIntegration.shutdown();
   await wsServer.shutdown();
   server.close(() => {
@@ -0,0 +1,179 @@
+// SIRFA Agent Finance - Agent Analysis Pipeline
+// Market and portfolio context, model analysis, live pricing, risk validation and decision recording
+
+const broker = require('./brokers');
+const config = require('../config');
+const qwenService = require('./qwenService');
+const riskManagement = require('./riskManagement');
+const pretradePricing = require('./pretradePricing');
+const performanceTracking = require('./performanceTracking');
+const decisionTraces = require('./decisionTraces');
+const capitalSleeves = require('./capitalSleeves');
+const guardrails = require('./guardrails');
+const { getAgentProfile } = require('./agentRegistry');
+
+// Exchange-traded proxies for the indices in the analysis prompt
+const MARKET_INDICATORS = {
+  sp500: 'SPY',
+  nasdaq: 'QQQ',
+  vix: 'VIXY'
+};
+
+class AgentAnalysisService {
+  /**
+   * Get current market data: the index and volatility ETFs' latest trade and
+   * change from the previous daily close
+   */
+  async getCurrentMarketData() {
+    const entries = await Promise.all(Object.entries(MARKET_INDICATORS).map(async ([key, symbol]) => {
+      try {
+        const [trade, bars] = await Promise.all([
+          broker.getLatestTrade(symbol),
+          broker.getBars(symbol, {
+            timeframe: '1Day',
+            start: new Date(Date.now() - 10 * 24 * 60 * 60 * 1000).toISOString(),
+            limit: 10
+          })
+        ]);
+
+        // Today's bar, if any, is still forming; the previous close is the bar before it
+        const tradeDate = String(trade.timestamp || new Date().toISOString()).slice(0, 10);
+        const completed = bars.filter(bar => String(bar.timestamp).slice(0, 10) < tradeDate);
+        const previousClose = completed.length > 0 ? completed[completed.length - 1].close : null;
+        const change = previousClose > 0 ? ((trade.price - previousClose) / previousClose) * 100 : null;
+
+        return [key, {
+          symbol,
+          price: trade.price,
+          previousClose,
+          change: change === null ? null : Math.round(change * 100) / 100,
+          timestamp: trade.timestamp
+        }];
+      } catch (error) {
+        console.error(`Error fetching market data for ${symbol}:`, error.message);
+        return [key, { symbol, price: null, change: null }];
+      }
+    }));
+
+    return {
+      ...Object.fromEntries(entries),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Get portfolio data from the broker
+   * @throws {Error} - When the broker cannot be reached; orders are never sized against a made-up portfolio
+   */
+  async getPortfolioData() {
+    const [account, positions] = await Promise.all([broker.getAccount(), broker.getPositions()]);
+
+    return {
+      totalValue: parseFloat(account.portfolio_value),
+      buyingPower: parseFloat(account.buying_power),
+      dayChange: parseFloat(account.unrealized_pl),
+      dayChangePercent: parseFloat(account.unrealized_plpc) * 100,
+      positions: positions.map(pos => ({
+        symbol: pos.symbol,
+        qty: parseFloat(pos.qty),
+        market_value: parseFloat(pos.market_value),
+        unrealized_pl: parseFloat(pos.unrealized_pl)
+      }))
+    };
+  }
+
+  /**
+   * Run one analysis for an agent: the model's recommendation is priced from
+   * live data, checked against the agent's risk limits and the output policy,
+   * and recorded with its trace.
+   * @param {string} agentId - Agent profile ID
+   * @param {Object} options - { sessionId, source (recorded in the trace, default 'analysis') }
+   * @returns {Promise<Object|null>} - { analysis, marketData, portfolioData, riskValidation, decisionId }, or null for an unknown agent
+   */
+  async analyze(agentId, options = {}) {
+    const agent = getAgentProfile(agentId);
+    if (!agent) return null;
+
+    const marketData = await this.getCurrentMarketData();
+
+    // Agents with a capital sleeve are analyzed and risk-checked against it
+    const portfolioData = await capitalSleeves.getPortfolioData(agentId) || await this.getPortfolioData();
+
+    const modelDecision = await qwenService.generateTradingAnalysis(
+      marketData,
+      agent,
+      portfolioData,
+      config.alpaca
+    );
+    // The trace is stored separately, not returned with the analysis
+    const { trace, ...analysis } = modelDecision;
+
+    // Price the recommendation from live market data before sizing checks
+    try {
+      analysis.recommendation = await pretradePricing.priceDecision(analysis.recommendation);
+    } catch (pricingError) {
+      console.warn(`Pre-trade pricing failed for ${analysis.recommendation.symbol}:`, pricingError.message);
+      // Without a trusted price the risk checks block the trade
+      analysis.recommendation.price = null;
+    }
+
+    const proposedDecision = { ...analysis.recommendation };
+
+    // Validate the trading decision with risk management
+    const riskValidation = riskManagement.validateTradingDecision(agentId, analysis.recommendation, portfolioData);
+
+    if (!riskValidation.approved) {
+      if (riskValidation.adjustedDecision) {
+        analysis.recommendation = riskValidation.adjustedDecision;
+        analysis.reasoning += ` Note: Trade adjusted due to risk limits: ${riskValidation.reason}`;
+      } else {
+        analysis.recommendation.action = 'HOLD';
+        analysis.reasoning += ` Note: Trade blocked due to risk limits: ${riskValidation.reason}`;
+      }
+    }
+
+    // The output policy is the last check before the decision can become an order;
+    // a symbol the broker just quoted is known, so agents can buy names outside their universe
+    const outputPolicy = guardrails.checkOrder(analysis.recommendation, {
+      agentId,
+      source: options.source || 'analysis',
+      trustedSymbols: await guardrails.trustedSymbols({ agent, portfolioData, marketData, pricing: [proposedDecision.pricing] }),
+      portfolioData
+    });
+    if (!outputPolicy.allowed) {
+      analysis.recommendation.action = 'HOLD';
+      analysis.reasoning += ` Note: Trade blocked by the output policy: ${outputPolicy.reasons.join('; ')}`;
+    }
+
+    // Add risk metrics to the response
+    analysis.riskMetrics = riskValidation.riskMetrics;
+
+    // Record the trading decision for performance tracking
+    const decisionId = await performanceTracking.recordTradingDecision(
+      agentId,
+      analysis.recommendation,
+      portfolioData,
+      options.sessionId,
+      analysis.prompt
+    );
+
+    if (decisionId) {
+      await decisionTraces.record({
+        decisionId,
+        agentId,
+        source: options.source || 'analysis',
+        analysis: modelDecision,
+        inputs: { marketData, portfolio: portfolioData },
+        proposedDecision,
+        riskValidation,
+        limits: riskManagement.getRiskLimits(agentId),
+        outputPolicy,
+        finalDecision: analysis.recommendation
+      });
+    }
+
+    return { analysis, marketData, portfolioData, riskValidation, decisionId };
+  }
+}
+
+module.exports = new AgentAnalysisService();
@@ -0,0 +1,288 @@
+// SIRFA Agent Finance - Agent Chat Service
+// Chat sessions, conversation context and buffered or streamed agent replies
+
+const broker = require('./brokers');
+const qwenService = require('./qwenService');
+const agentAnalysis = require('./agentAnalysis');
+const tradeSuggestions = require('./tradeSuggestions');
+const conversationMemory = require('./conversationMemory');
+const { getAgentProfile } = require('./agentRegistry');
+
+class AgentChatService {
+  constructor() {
+    // Streams in flight, by stream ID, so they can be cancelled
+    this.activeStreams = new Map();
+  }
+
+  /**
+   * Start a chat session with an agent
+   * @param {string} agentId - Agent profile ID
+   * @param {string} userId - User the session belongs to
+   * @returns {Promise<string>} - Session ID
+   */
+  async startSession(agentId, userId) {
+    const session = await conversationMemory.createSession(agentId, userId);
+    return session.sessionId;
+  }
+
+  /**
+   * Conversation history for a session
+   */
+  async getHistory(sessionId) {
+    return conversationMemory.getMessages(sessionId);
+  }
+
+  /**
+   * Mark a session ended; its history is kept
+   */
+  async endSession(sessionId) {
+    await conversationMemory.endSession(sessionId);
+  }
+
+  /**
+   * Conversation context for the model: recent messages, the summary of
+   * older ones, the user's memory facts and portfolio data
+   */
+  async buildContext(sessionId, userId) {
+    return {
+      ...await conversationMemory.getContext(sessionId, userId),
+      portfolioSummary: await this.getPortfolioSummary(), // Keep for backward compatibility
+      portfolioData: await this.getComprehensivePortfolioData() // Enhanced portfolio data
+    };
+  }
+
+  /**
+   * Append an exchange to a session's history and update the conversation
+   * memory in the background
+   * @param {Object} options - agentId, userId and prompt (name and version of the reply's prompt template)
+   * @returns {Promise<Object>} - The history entry
+   */
+  async recordExchange(sessionId, userMessage, agentResponse, { agentId, userId, prompt = null } = {}) {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      userMessage,
+      agentResponse,
+      prompt
+    };
+
+    const session = sessionId ? await conversationMemory.appendExchange(sessionId, entry) : null;
+    conversationMemory.scheduleMemoryUpdate(session ? sessionId : null, {
+      agentId,
+      userId: session?.userId || userId,
+      userMessage
+    });
+
+    return entry;
+  }
+
+  /**
+   * Answer a chat message in one piece
+   * @param {string} agentId - Agent profile ID
+   * @param {string} message - User's message
+   * @param {string} sessionId - Chat session, optional
+   * @param {Object} options - userId, used when there is no session
+   * @returns {Promise<Object>} - { response, tradeSuggestions, rejectedSuggestions, toolCalls, prompt, timestamp }
+   */
+  async chat(agentId, message, sessionId, { userId } = {}) {
+    const agent = getAgentProfile(agentId);
+    const context = await this.buildContext(sessionId, userId);
+
+    // Generate AI response with portfolio-aware prompt and trade suggestions
+    const aiResult = await qwenService.generatePortfolioAwareConversation(message, agent, context);
+    const suggestions = await tradeSuggestions.resolveSuggestions(agentId, aiResult.suggestions, { userMessage: message, toolCalls: aiResult.toolCalls, prompt: aiResult.prompt });
+    const entry = await this.recordExchange(sessionId, message, aiResult.response, { agentId, userId, prompt: aiResult.prompt });
+
+    return {
+      response: aiResult.response,
+      tradeSuggestions: suggestions.suggestions,
+      rejectedSuggestions: suggestions.rejected,
+      toolCalls: aiResult.toolCalls || [],
+      prompt: aiResult.prompt,
+      timestamp: entry.timestamp
+    };
+  }
+
+  /**
+   * Answer a chat message as a stream of events:
+   * tool_call { name, arguments, ok, error }, delta { text },
+   * suggestions { tradeSuggestions, rejectedSuggestions }, then done { response, toolCalls, prompt, timestamp }.
+   * A cancelled stream is not recorded in the session history.
+   * @param {string} agentId - Agent profile ID
+   * @param {string} message - User's message
+   * @param {string} sessionId - Chat session, optional
+   * @param {Object} options - streamId (for cancel), onEvent ((type, data) => void), userId
+   * @returns {Promise<Object>} - The done event's data
+   * @throws {LLMGatewayError} - REQUEST_CANCELLED when cancelled
+   */
+  async streamChat(agentId, message, sessionId, { streamId, onEvent, userId }) {
+    const agent = getAgentProfile(agentId);
+    const controller = new AbortController();
+    this.activeStreams.set(streamId, controller);
+
+    try {
+      const context = await this.buildContext(sessionId, userId);
+      const aiResult = await qwenService.streamPortfolioAwareConversation(message, agent, context, {
+        onDelta: (text) => onEvent('delta', { text }),
+        onToolCall: (call) => onEvent('tool_call', call),
+        signal: controller.signal
+      });
+      if (controller.signal.aborted) {
+        throw qwenService.gateway.cancelledError();
+      }
+
+      const suggestions = await tradeSuggestions.resolveSuggestions(agentId, aiResult.suggestions, { userMessage: message, toolCalls: aiResult.toolCalls, prompt: aiResult.prompt });
+      onEvent('suggestions', {
+        tradeSuggestions: suggestions.suggestions,
+        rejectedSuggestions: suggestions.rejected
+      });
+
+      const entry = await this.recordExchange(sessionId, message, aiResult.response, { agentId, userId, prompt: aiResult.prompt });
+      const done = {
+        response: aiResult.response,
+        toolCalls: aiResult.toolCalls || [],
+        prompt: aiResult.prompt,
+        timestamp: entry.timestamp
+      };
+      onEvent('done', done);
+      return done;
+    } finally {
+      this.activeStreams.delete(streamId);
+    }
+  }
+
+  /**
+   * Cancel a stream in flight
+   * @returns {boolean} - Whether the stream was found
+   */
+  cancel(streamId) {
+    const controller = this.activeStreams.get(streamId);
+    if (!controller) {
+      return false;
+    }
+    controller.abort();
+    return true;
+  }
+
+  /**
+   * Get comprehensive portfolio data for AI context
+   */
+  async getComprehensivePortfolioData() {
+    try {
+      const account = await broker.getAccount();
+      const positions = await broker.getPositions();
+
+      // Get portfolio allocation data
+      const axios = require('axios');
+      let allocation = [];
+      try {
+        const allocationResponse = await axios.get('http://localhost:3001/api/portfolio/allocation');
+        allocation = allocationResponse.data;
+      } catch (err) {
+        console.warn('Could not fetch allocation data:', err.message);
+      }
+
+      const totalValue = parseFloat(account.portfolio_value);
+      const buyingPower = parseFloat(account.buying_power);
+      const dayChange = parseFloat(account.unrealized_pl);
+      const dayChangePercent = parseFloat(account.unrealized_plpc) * 100;
+
+      // Process positions with detailed information
+      const detailedPositions = positions.map(pos => {
+        const marketValue = parseFloat(pos.market_value);
+        const qty = parseFloat(pos.qty);
+        const avgCost = parseFloat(pos.avg_cost);
+        const unrealizedPL = parseFloat(pos.unrealized_pl);
+        const unrealizedPLPercent = parseFloat(pos.unrealized_plpc) * 100;
+
+        return {
+          symbol: pos.symbol,
+          quantity: qty,
+          averageCost: avgCost,
+          currentValue: marketValue,
+          unrealizedPL: unrealizedPL,
+          unrealizedPLPercent: unrealizedPLPercent,
+          percentOfPortfolio: totalValue > 0 ? (Math.abs(marketValue) / totalValue * 100) : 0,
+          side: pos.side
+        };
+      });
+
+      // Sort positions by value (largest first)
+      detailedPositions.sort((a, b) => Math.abs(b.currentValue) - Math.abs(a.currentValue));
+
+      // Calculate portfolio metrics
+      const totalPositionsValue = detailedPositions.reduce((sum, pos) => sum + Math.abs(pos.currentValue), 0);
+      const cashPercentage = totalValue > 0 ? (buyingPower / totalValue * 100) : 0;
+      const totalUnrealizedPL = detailedPositions.reduce((sum, pos) => sum + pos.unrealizedPL, 0);
+
+      // Get top gainers and losers
+      const gainers = detailedPositions.filter(pos => pos.unrealizedPL > 0).slice(0, 3);
+      const losers = detailedPositions.filter(pos => pos.unrealizedPL < 0).slice(0, 3);
+
+      return {
+        // Account overview
+        totalValue: totalValue,
+        buyingPower: buyingPower,
+        dayChange: dayChange,
+        dayChangePercent: dayChangePercent,
+        cashPercentage: cashPercentage,
+
+        // Positions summary
+        positionCount: positions.length,
+        totalPositionsValue: totalPositionsValue,
+        totalUnrealizedPL: totalUnrealizedPL,
+
+        // Detailed positions (top 10)
+        positions: detailedPositions.slice(0, 10),
+
+        // Top performers
+        topGainers: gainers,
+        topLosers: losers,
+
+        // Sector allocation
+        sectorAllocation: allocation,
+
+        // Risk metrics
+        riskMetrics: {
+          concentrationRisk: detailedPositions.length > 0 ? detailedPositions[0].percentOfPortfolio : 0,
+          diversificationScore: Math.min(positions.length * 10, 100), // Simple diversification score
+          cashRatio: cashPercentage
+        }
+      };
+    } catch (error) {
+      console.error('Error fetching comprehensive portfolio data:', error);
+      return {
+        totalValue: 0,
+        buyingPower: 0,
+        dayChange: 0,
+        dayChangePercent: 0,
+        positionCount: 0,
+        positions: [],
+        topGainers: [],
+        topLosers: [],
+        sectorAllocation: [],
+        riskMetrics: { concentrationRisk: 0, diversificationScore: 0, cashRatio: 100 }
+      };
+    }
+  }
+
+  /**
+   * Get portfolio summary for context (legacy function for backward compatibility)
+   */
+  async getPortfolioSummary() {
+    try {
+      const portfolio = await agentAnalysis.getPortfolioData();
+      return {
+        totalValue: portfolio.totalValue,
+        positionCount: portfolio.positions.length,
+        topHoldings: portfolio.positions
+          .sort((a, b) => Math.abs(b.market_value) - Math.abs(a.market_value))
+          .slice(0, 3)
+          .map(pos => pos.symbol)
+      };
+    } catch (error) {
+      return { totalValue: 0, positionCount: 0, topHoldings: [] };
+    }
+  }
+}
+
+module.exports = new AgentChatService();
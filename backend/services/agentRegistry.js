@@ -0,0 +1,428 @@
+// SIRFA Agent Finance - Agent Registry
+// Every agent in one place: the built-in profiles and user-defined agents, each a
+// single validated document holding persona, style, sectors, universe and risk limits
+
+const fs = require('fs');
+const path = require('path');
+const { agentProfiles } = require('../config/agentProfiles');
+const { SYMBOL_PATTERN } = require('./tradingDecision');
+
+const SAVE_DELAY_MS = 500;
+const MAX_CUSTOM_AGENTS = 100;
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,39}$/;
+// Path segments of /api/agents routes that an agent ID would shadow
+const RESERVED_IDS = ['sleeves', 'committee', 'memory', 'session', 'performance', 'prompts', 'guardrails'];
+const RISK_LEVELS = ['low', 'medium', 'high'];
+const MAX_LIST_ITEMS = 20;
+const MAX_LIST_ITEM_LENGTH = 100;
+const MAX_UNIVERSE = 200;
+
+// Text fields: [maxLength, required]
+const TEXT_FIELDS = {
+  name: [60, true],
+  title: [80, false],
+  description: [300, true],
+  avatar: [16, false],
+  investmentStyle: [100, true],
+  riskTolerance: [60, true],
+  timeHorizon: [100, false],
+  personality: [1000, true],
+  speakingStyle: [500, false],
+  tradingFrequency: [40, false],
+  holdingPeriod: [40, false],
+  diversificationLevel: [40, false],
+  responseStyle: [40, false]
+};
+const LIST_FIELDS = ['catchphrases', 'preferredSectors', 'avoidedSectors', 'keyMetrics', 'buySignals', 'sellSignals'];
+const UNIT_FIELDS = ['creativity', 'confidence', 'minConfidence'];
+// Risk limits: [minimum, maximum, minimum is exclusive]
+const RISK_LIMIT_FIELDS = {
+  maxPositionSize: [0, 1, true],
+  maxDailyRisk: [0, 1, true],
+  maxDrawdown: [0, 1, true],
+  maxLeverage: [1, 4, false],
+  sectorConcentration: [0, 1, true],
+  minCashReserve: [0, 0.95, false]
+};
+const SYSTEM_FIELDS = ['id', 'builtIn', 'clonedFrom', 'createdAt', 'updatedAt'];
+const ALLOWED_FIELDS = [
+  ...SYSTEM_FIELDS, ...Object.keys(TEXT_FIELDS), ...LIST_FIELDS, ...UNIT_FIELDS,
+  'riskLevel', 'universe', 'model', 'riskLimits'
+];
+
+// Filled in for fields a new agent leaves out
+const DEFAULTS = {
+  title: '',
+  avatar: '🧑‍💼',
+  timeHorizon: 'Medium-term (1-3 years)',
+  speakingStyle: 'Professional but approachable',
+  tradingFrequency: 'Medium',
+  holdingPeriod: 'Medium',
+  diversificationLevel: 'Medium',
+  responseStyle: 'balanced',
+  riskLevel: 'medium',
+  catchphrases: [],
+  preferredSectors: [],
+  avoidedSectors: [],
+  keyMetrics: [],
+  buySignals: [],
+  sellSignals: [],
+  universe: [],
+  creativity: 0.5,
+  confidence: 0.7,
+  minConfidence: 0.6
+};
+
+/**
+ * Error raised by registry operations with the HTTP status to answer with
+ */
+class AgentRegistryError extends Error {
+  constructor(statusCode, message, details = null, code = null) {
+    super(message);
+    this.name = 'AgentRegistryError';
+    this.statusCode = statusCode;
+    this.details = details;
+    this.code = code;
+  }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validate a complete agent document
+ * @param {Object} candidate - Agent document
+ * @returns {Object} - { valid, errors, agent } with symbols in the universe upper-cased
+ */
+function validateAgent(candidate) {
+  if (!isPlainObject(candidate)) {
+    return { valid: false, errors: ['Agent must be a JSON object'], agent: null };
+  }
+
+  const errors = [];
+  const agent = { ...candidate };
+
+  Object.keys(candidate)
+    .filter(key => !ALLOWED_FIELDS.includes(key))
+    .forEach(key => errors.push(`Unknown field "${key}"`));
+
+  if (typeof agent.id !== 'string' || !ID_PATTERN.test(agent.id)) {
+    errors.push('id must be 2-40 lowercase letters, digits or dashes');
+  } else if (RESERVED_IDS.includes(agent.id)) {
+    errors.push(`id "${agent.id}" is reserved`);
+  }
+
+  for (const [field, [maxLength, required]] of Object.entries(TEXT_FIELDS)) {
+    const value = agent[field];
+    if (value === undefined || value === null || value === '') {
+      if (required) errors.push(`${field} is required`);
+    } else if (typeof value !== 'string') {
+      errors.push(`${field} must be a string`);
+    } else if (value.length > maxLength) {
+      errors.push(`${field} must be at most ${maxLength} characters`);
+    }
+  }
+
+  for (const field of LIST_FIELDS) {
+    const value = agent[field];
+    if (!Array.isArray(value)) {
+      errors.push(`${field} must be an array of strings`);
+    } else if (value.length > MAX_LIST_ITEMS) {
+      errors.push(`${field} must have at most ${MAX_LIST_ITEMS} items`);
+    } else if (value.some(item => typeof item !== 'string' || !item.trim() || item.length > MAX_LIST_ITEM_LENGTH)) {
+      errors.push(`${field} items must be non-empty strings of at most ${MAX_LIST_ITEM_LENGTH} characters`);
+    }
+  }
+
+  for (const field of UNIT_FIELDS) {
+    if (typeof agent[field] !== 'number' || agent[field] < 0 || agent[field] > 1) {
+      errors.push(`${field} must be a number between 0 and 1`);
+    }
+  }
+
+  if (!RISK_LEVELS.includes(agent.riskLevel)) {
+    errors.push(`riskLevel must be one of: ${RISK_LEVELS.join(', ')}`);
+  }
+
+  if (!Array.isArray(agent.universe)) {
+    errors.push('universe must be an array of symbols (empty for any tradable symbol)');
+  } else if (agent.universe.length > MAX_UNIVERSE) {
+    errors.push(`universe must have at most ${MAX_UNIVERSE} symbols`);
+  } else {
+    agent.universe = [...new Set(agent.universe.map(symbol => String(symbol).trim().toUpperCase()))];
+    const invalid = agent.universe.filter(symbol => !SYMBOL_PATTERN.test(symbol));
+    if (invalid.length > 0) {
+      errors.push(`universe has invalid symbols: ${invalid.join(', ')}`);
+    }
+  }
+
+  if (agent.model !== undefined && agent.model !== null) {
+    const validModel = typeof agent.model === 'string'
+      ? agent.model.length > 0
+      : isPlainObject(agent.model) && Object.values(agent.model).every(model => typeof model === 'string' && model.length > 0);
+    if (!validModel) {
+      errors.push('model must be a model name or an object mapping provider names to model names');
+    }
+  }
+
+  if (!isPlainObject(agent.riskLimits)) {
+    errors.push('riskLimits is required');
+  } else {
+    Object.keys(agent.riskLimits)
+      .filter(key => !RISK_LIMIT_FIELDS[key])
+      .forEach(key => errors.push(`Unknown risk limit "${key}"`));
+    for (const [field, [min, max, exclusive]] of Object.entries(RISK_LIMIT_FIELDS)) {
+      const value = agent.riskLimits[field];
+      if (typeof value !== 'number' || (exclusive ? value <= min : value < min) || value > max) {
+        errors.push(`riskLimits.${field} must be a number ${exclusive ? 'above' : 'from'} ${min} ${exclusive ? 'up ' : ''}to ${max}`);
+      }
+    }
+  }
+
+  return errors.length > 0
+    ? { valid: false, errors, agent: null }
+    : { valid: true, errors: [], agent };
+}
+
+/**
+ * An ID for a new agent from its name, e.g. "Dividend Dan" → "dividend-dan"
+ */
+function slugify(name) {
+  return String(name || 'agent')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 32) || 'agent';
+}
+
+class AgentRegistryService {
+  constructor() {
+    this.builtIns = Object.fromEntries(
+      Object.values(agentProfiles).map(profile => [profile.id, { ...profile, builtIn: true }])
+    );
+    this.customAgents = {};
+    this.saveTimer = null;
+    this.dataFilePath = path.join(__dirname, '..', 'data', 'agent-registry.json');
+    this.loadState();
+  }
+
+  /**
+   * Load custom agents from file. Agent lookups are synchronous throughout the
+   * backend, so the registry is read once, synchronously, at startup.
+   */
+  loadState() {
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.dataFilePath, 'utf8'));
+      for (const agent of Object.values(stored.agents || {})) {
+        const validation = validateAgent(agent);
+        if (validation.valid && !this.builtIns[agent.id]) {
+          this.customAgents[agent.id] = validation.agent;
+        } else {
+          console.warn(`Skipping invalid stored agent ${agent?.id}:`, validation.errors.join('; '));
+        }
+      }
+    } catch (error) {
+      // File doesn't exist or is corrupted, start with the built-in agents only
+    }
+  }
+
+  /**
+   * Save custom agents to file, coalescing bursts of writes
+   */
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(async () => {
+      this.saveTimer = null;
+      try {
+        await fs.promises.mkdir(path.dirname(this.dataFilePath), { recursive: true });
+        await fs.promises.writeFile(this.dataFilePath, JSON.stringify({ agents: this.customAgents }, null, 2));
+      } catch (error) {
+        console.error('Failed to save agent registry:', error);
+      }
+    }, SAVE_DELAY_MS);
+    this.saveTimer.unref?.();
+  }
+
+  /**
+   * Get an agent by ID
+   * @returns {Object|null} - Agent document or null if not found
+   */
+  get(agentId) {
+    return this.builtIns[agentId] || this.customAgents[agentId] || null;
+  }
+
+  /**
+   * Every agent, built-in agents first
+   */
+  list() {
+    return [...Object.values(this.builtIns), ...Object.values(this.customAgents)];
+  }
+
+  /**
+   * Get an agent that can be changed
+   * @throws {AgentRegistryError} - When the agent is unknown or built in
+   */
+  getCustom(agentId) {
+    if (this.builtIns[agentId]) {
+      throw new AgentRegistryError(403, 'Built-in agents cannot be changed; clone the agent to customize it', { agentId }, 'BUILT_IN_AGENT');
+    }
+    const agent = this.customAgents[agentId];
+    if (!agent) {
+      throw new AgentRegistryError(404, 'Agent not found', { agentId }, 'AGENT_NOT_FOUND');
+    }
+    return agent;
+  }
+
+  /**
+   * A free agent ID: the requested one, or one made from the name
+   * @throws {AgentRegistryError} - When a requested ID is taken
+   */
+  allocateId(requestedId, name) {
+    if (requestedId) {
+      if (this.get(requestedId)) {
+        throw new AgentRegistryError(409, `An agent with id "${requestedId}" already exists`, { agentId: requestedId }, 'AGENT_EXISTS');
+      }
+      return requestedId;
+    }
+
+    const base = slugify(name);
+    let id = base;
+    for (let suffix = 2; this.get(id) || RESERVED_IDS.includes(id) || id.length < 2; suffix++) {
+      id = `${base}-${suffix}`;
+    }
+    return id;
+  }
+
+  /**
+   * Validate and store a custom agent
+   * @throws {AgentRegistryError} - 400 with the validation errors
+   */
+  store(agent) {
+    const validation = validateAgent(agent);
+    if (!validation.valid) {
+      throw new AgentRegistryError(400, 'Invalid agent definition', validation.errors, 'INVALID_AGENT');
+    }
+    this.customAgents[validation.agent.id] = validation.agent;
+    this.scheduleSave();
+    return validation.agent;
+  }
+
+  /**
+   * Create a custom agent. Fields left out take defaults; riskLimits is required.
+   * @param {Object} definition - Agent document; id is made from the name when left out
+   * @returns {Object} - The stored agent
+   * @throws {AgentRegistryError}
+   */
+  create(definition) {
+    if (!isPlainObject(definition)) {
+      throw new AgentRegistryError(400, 'Invalid agent definition', ['Agent must be a JSON object'], 'INVALID_AGENT');
+    }
+    if (Object.keys(this.customAgents).length >= MAX_CUSTOM_AGENTS) {
+      throw new AgentRegistryError(409, `At most ${MAX_CUSTOM_AGENTS} custom agents can be defined`, null, 'AGENT_LIMIT_REACHED');
+    }
+
+    const now = new Date().toISOString();
+    const { builtIn, createdAt, updatedAt, ...fields } = definition;
+    return this.store({
+      ...DEFAULTS,
+      ...fields,
+      id: this.allocateId(fields.id, fields.name),
+      builtIn: false,
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+
+  /**
+   * Change a custom agent. Top-level fields are replaced; riskLimits and a
+   * per-provider model map are merged with the current values.
+   * @returns {Object} - The updated agent
+   * @throws {AgentRegistryError}
+   */
+  update(agentId, changes) {
+    const current = this.getCustom(agentId);
+    if (!isPlainObject(changes)) {
+      throw new AgentRegistryError(400, 'Invalid agent definition', ['Changes must be a JSON object'], 'INVALID_AGENT');
+    }
+
+    const { id, builtIn, createdAt, updatedAt, clonedFrom, ...fields } = changes;
+    if (id !== undefined && id !== agentId) {
+      throw new AgentRegistryError(400, 'An agent ID cannot be changed; clone the agent instead', null, 'INVALID_AGENT');
+    }
+
+    const updated = { ...current, ...fields, updatedAt: new Date().toISOString() };
+    if (isPlainObject(fields.riskLimits)) {
+      updated.riskLimits = { ...current.riskLimits, ...fields.riskLimits };
+    }
+    if (isPlainObject(fields.model) && isPlainObject(current.model)) {
+      updated.model = { ...current.model, ...fields.model };
+    }
+    return this.store(updated);
+  }
+
+  /**
+   * Copy an agent, built-in or custom, as a new custom agent
+   * @param {string} agentId - Agent to copy
+   * @param {Object} overrides - Fields to change in the copy, including id and name
+   * @returns {Object} - The new agent
+   * @throws {AgentRegistryError}
+   */
+  clone(agentId, overrides = {}) {
+    const source = this.get(agentId);
+    if (!source) {
+      throw new AgentRegistryError(404, 'Agent not found', { agentId }, 'AGENT_NOT_FOUND');
+    }
+
+    const { id, builtIn, clonedFrom, createdAt, updatedAt, ...fields } = source;
+    const copy = {
+      ...fields,
+      name: `${source.name} (Copy)`,
+      ...(isPlainObject(overrides) ? overrides : {}),
+      clonedFrom: agentId
+    };
+    if (isPlainObject(overrides?.riskLimits)) {
+      copy.riskLimits = { ...source.riskLimits, ...overrides.riskLimits };
+    }
+    return this.create(copy);
+  }
+
+  /**
+   * Delete a custom agent
+   * @returns {Object} - The deleted agent
+   * @throws {AgentRegistryError}
+   */
+  remove(agentId) {
+    const agent = this.getCustom(agentId);
+    delete this.customAgents[agentId];
+    this.scheduleSave();
+    return agent;
+  }
+}
+
+const registry = new AgentRegistryService();
+
+module.exports = registry;
+module.exports.AgentRegistryError = AgentRegistryError;
+module.exports.validateAgent = validateAgent;
+module.exports.RISK_LIMIT_FIELDS = RISK_LIMIT_FIELDS;
+
+/**
+ * Get agent profile by ID
+ * @param {string} agentId - The agent identifier
+ * @returns {Object|null} - Agent profile or null if not found
+ */
+module.exports.getAgentProfile = (agentId) => registry.get(agentId);
+
+/**
+ * Get all available agents
+ * @returns {Array} - Array of all agent profiles
+ */
+module.exports.getAllAgents = () => registry.list();
+
+/**
+ * Get agents by risk tolerance
+ * @param {string} riskLevel - 'Conservative', 'Moderate', 'High'
+ * @returns {Array} - Filtered array of agents
+ */
+module.exports.getAgentsByRisk = (riskLevel) => registry.list().filter(agent =>
+  agent.riskTolerance.toLowerCase().includes(riskLevel.toLowerCase())
+);
@@ -0,0 +1,380 @@
+// SIRFA Agent Finance - Agent Trading Scheduler
+// Runs each active agent's analysis on its interval and places the orders that pass risk validation
+
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const agentAnalysis = require('./agentAnalysis');
+const orderExecution = require('./orderExecution');
+const tradingHalt = require('./tradingHalt');
+const { buildOrderClassParams } = require('./orderClasses');
+const { TradingDecisionError } = require('./tradingDecision');
+const { getAgentProfile } = require('./agentRegistry');
+const decisionTraces = require('./decisionTraces');
+const usageMeter = require('./llm/usageMeter');
+
+const MAX_HISTORY = 50;
+const MAX_CONSECUTIVE_ERRORS = 5;
+const RESTART_DELAY_MS = 5000;
+
+class AgentSchedulerService extends EventEmitter {
+  constructor() {
+    super();
+    this.runs = {};
+    this.timers = new Map();
+    this.activeCycles = new Set();
+    this.started = false;
+    this.dataFilePath = path.join(__dirname, '..', 'data', 'agent-scheduler.json');
+    this.saving = Promise.resolve();
+    this.ready = this.loadRuns();
+  }
+
+  /**
+   * Load run state from file
+   */
+  async loadRuns() {
+    try {
+      const data = await fs.readFile(this.dataFilePath, 'utf8');
+      this.runs = JSON.parse(data);
+    } catch (error) {
+      // File doesn't exist or is corrupted, start fresh
+    }
+  }
+
+  /**
+   * Save run state to file (writes are serialized)
+   */
+  saveRuns() {
+    this.saving = this.saving.then(async () => {
+      try {
+        await fs.mkdir(path.dirname(this.dataFilePath), { recursive: true });
+        await fs.writeFile(this.dataFilePath, JSON.stringify(this.runs, null, 2));
+      } catch (error) {
+        console.error('Failed to save agent scheduler state:', error);
+      }
+    });
+    return this.saving;
+  }
+
+  /**
+   * Reschedule agents that were active before the server stopped
+   */
+  async start() {
+    await this.ready;
+    if (this.started) return;
+    this.started = true;
+
+    for (const run of Object.values(this.runs)) {
+      if (run.status !== 'active') continue;
+      const dueIn = run.nextRunAt ? new Date(run.nextRunAt).getTime() - Date.now() : 0;
+      this.scheduleNext(run.agentId, Math.max(dueIn, RESTART_DELAY_MS));
+      console.log(`Agent scheduler: resumed ${run.agentId} (every ${run.intervalMs / 1000}s)`);
+    }
+  }
+
+  /**
+   * Clear every timer without changing the persisted run state
+   */
+  shutdown() {
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+    this.started = false;
+  }
+
+  scheduleNext(agentId, delayMs) {
+    clearTimeout(this.timers.get(agentId));
+    const run = this.runs[agentId];
+    run.nextRunAt = new Date(Date.now() + delayMs).toISOString();
+
+    const timer = setTimeout(() => {
+      this.timers.delete(agentId);
+      this.runCycle(agentId);
+    }, delayMs);
+    timer.unref?.();
+    this.timers.set(agentId, timer);
+  }
+
+  clearSchedule(agentId) {
+    clearTimeout(this.timers.get(agentId));
+    this.timers.delete(agentId);
+    this.runs[agentId].nextRunAt = null;
+  }
+
+  /**
+   * Start (or reconfigure) autonomous trading for an agent
+   * @param {string} agentId - Agent profile ID
+   * @param {Object} options - { intervalMs, extendedHours, actor }
+   * @returns {Promise<Object>} - The run state
+   */
+  async startAgent(agentId, { intervalMs, extendedHours = false, actor = 'unknown' } = {}) {
+    await this.ready;
+
+    // Restarting keeps the run count and cycle history; the record is updated
+    // in place so a cycle already in flight reports into it
+    const now = new Date().toISOString();
+    const run = this.runs[agentId] || { agentId, runCount: 0, history: [] };
+    this.runs[agentId] = Object.assign(run, {
+      status: 'active',
+      intervalMs: intervalMs || config.trading.agentIntervalSeconds * 1000,
+      extendedHours: !!extendedHours,
+      startedAt: now,
+      startedBy: actor,
+      updatedAt: now,
+      pauseReason: null,
+      consecutiveErrors: 0
+    });
+
+    // The first cycle runs right away; later cycles follow the interval
+    this.scheduleNext(agentId, 0);
+    await this.saveRuns();
+
+    console.log(`Agent scheduler: started ${agentId} (every ${run.intervalMs / 1000}s) by ${actor}`);
+    this.emit('status', this.getStatus(agentId));
+    return this.getStatus(agentId);
+  }
+
+  /**
+   * Stop an agent's autonomous trading
+   * @returns {Promise<Object|null>} - The run state, or null if the agent never ran
+   */
+  async stopAgent(agentId, { actor = 'unknown' } = {}) {
+    return this.setStatus(agentId, 'inactive', { actor });
+  }
+
+  /**
+   * Pause an active agent; its interval and history are kept
+   * @returns {Promise<Object|null>} - The run state, or null if the agent is not active
+   */
+  async pauseAgent(agentId, { actor = 'unknown', reason = null } = {}) {
+    await this.ready;
+    if (this.runs[agentId]?.status !== 'active') return null;
+    return this.setStatus(agentId, 'paused', { actor, reason });
+  }
+
+  /**
+   * Resume a paused agent; the next cycle runs right away
+   * @returns {Promise<Object|null>} - The run state, or null if the agent is not paused
+   */
+  async resumeAgent(agentId, { actor = 'unknown' } = {}) {
+    await this.ready;
+    const run = this.runs[agentId];
+    if (run?.status !== 'paused') return null;
+
+    run.status = 'active';
+    run.pauseReason = null;
+    run.consecutiveErrors = 0;
+    run.updatedAt = new Date().toISOString();
+    this.scheduleNext(agentId, 0);
+    await this.saveRuns();
+
+    console.log(`Agent scheduler: resumed ${agentId} by ${actor}`);
+    this.emit('status', this.getStatus(agentId));
+    return this.getStatus(agentId);
+  }
+
+  async setStatus(agentId, status, { actor, reason = null }) {
+    await this.ready;
+    const run = this.runs[agentId];
+    if (!run) return null;
+
+    run.status = status;
+    run.pauseReason = status === 'paused' ? reason || `Paused by ${actor}` : null;
+    run.updatedAt = new Date().toISOString();
+    this.clearSchedule(agentId);
+    await this.saveRuns();
+
+    console.log(`Agent scheduler: ${status === 'paused' ? 'paused' : 'stopped'} ${agentId} by ${actor}${reason ? `: ${reason}` : ''}`);
+    this.emit('status', this.getStatus(agentId));
+    return this.getStatus(agentId);
+  }
+
+  /**
+   * Run one cycle for an agent and schedule the next
+   */
+  async runCycle(agentId) {
+    const run = this.runs[agentId];
+    if (!run || run.status !== 'active' || this.activeCycles.has(agentId)) return;
+
+    this.activeCycles.add(agentId);
+    const cycle = { id: uuidv4(), startedAt: new Date().toISOString() };
+
+    let nextDelay = run.intervalMs;
+    try {
+      const result = await usageMeter.run({ endpoint: 'scheduler' }, () => this.executeCycle(agentId, run));
+      Object.assign(cycle, result);
+      if (result.decisionId) {
+        const { decisionId, outcome, reason = null, orderId = null, queueId = null } = result;
+        await decisionTraces.recordExecution(decisionId, { cycleId: cycle.id, outcome, reason, orderId, queueId });
+      }
+      run.consecutiveErrors = 0;
+
+      // Closed markets are skipped until the next session instead of polled
+      if (result.waitUntil) {
+        nextDelay = Math.max(nextDelay, new Date(result.waitUntil).getTime() - Date.now());
+      }
+    } catch (error) {
+      // A model that cannot produce a valid decision fails the cycle with its own code
+      const normalized = error instanceof TradingDecisionError ? error : orderExecution.normalizeError(error);
+      cycle.outcome = 'error';
+      cycle.error = error instanceof TradingDecisionError ? error.message : normalized.details || normalized.message;
+      cycle.code = normalized.code;
+      run.consecutiveErrors = (run.consecutiveErrors || 0) + 1;
+      console.error(`Agent scheduler: cycle failed for ${agentId}:`, cycle.error);
+    } finally {
+      this.activeCycles.delete(agentId);
+    }
+
+    cycle.finishedAt = new Date().toISOString();
+    run.lastRunAt = cycle.finishedAt;
+    run.runCount = (run.runCount || 0) + 1;
+    run.lastCycle = cycle;
+    run.history = [cycle, ...(run.history || [])].slice(0, MAX_HISTORY);
+    this.emit('cycle', { agentId, cycle });
+
+    // Stopped or paused while the cycle was running
+    if (run.status !== 'active') {
+      await this.saveRuns();
+      return;
+    }
+
+    if (run.consecutiveErrors >= MAX_CONSECUTIVE_ERRORS) {
+      await this.setStatus(agentId, 'paused', {
+        actor: 'scheduler',
+        reason: `${run.consecutiveErrors} consecutive failed cycles; last error: ${cycle.error}`
+      });
+      return;
+    }
+
+    this.scheduleNext(agentId, nextDelay);
+    await this.saveRuns();
+  }
+
+  /**
+   * Analyze, validate and trade once
+   * @returns {Promise<Object>} - Cycle outcome: skipped, hold, blocked, queued or ordered
+   */
+  async executeCycle(agentId, run) {
+    if (!orderExecution.isTradingEnabled()) {
+      return { outcome: 'skipped', reason: 'Trading is disabled' };
+    }
+
+    const halt = await tradingHalt.getBlockingHalt(agentId);
+    if (halt) {
+      return { outcome: 'skipped', reason: `Trading halted: ${halt.reason}` };
+    }
+
+    const clock = await orderExecution.getSessionClock();
+    const extendedSession = clock && (clock.session === 'pre' || clock.session === 'post');
+    if (clock && !clock.isOpen && !(run.extendedHours && extendedSession)) {
+      return {
+        outcome: 'skipped',
+        reason: `Market closed; next open ${clock.nextOpen}`,
+        waitUntil: run.extendedHours ? clock.nextPreMarketOpen : clock.nextOpen
+      };
+    }
+
+    const { analysis, riskValidation, decisionId } = await agentAnalysis.analyze(agentId, { source: 'scheduler' });
+    const decision = analysis.recommendation || {};
+    const side = String(decision.action || 'HOLD').toLowerCase();
+    const summary = {
+      decisionId,
+      symbol: decision.symbol || null,
+      action: side,
+      confidence: decision.confidence,
+      reasoning: analysis.reasoning
+    };
+
+    if (!riskValidation.approved && !riskValidation.adjustedDecision) {
+      return { ...summary, outcome: 'blocked', reason: riskValidation.reason };
+    }
+
+    const qty = Math.floor(parseFloat(decision.quantity));
+    if ((side !== 'buy' && side !== 'sell') || !decision.symbol || !(qty >= 1)) {
+      return { ...summary, outcome: 'hold' };
+    }
+
+    const minConfidence = getAgentProfile(agentId)?.minConfidence || 0;
+    if ((decision.confidence || 0) < minConfidence) {
+      return { ...summary, outcome: 'hold', reason: `Confidence ${decision.confidence} is below the agent's minimum of ${minConfidence}` };
+    }
+
+    const orderParams = {
+      symbol: decision.symbol.toUpperCase(),
+      qty,
+      side,
+      type: decision.limitPrice ? 'limit' : 'market',
+      time_in_force: 'day'
+    };
+    if (decision.limitPrice) {
+      orderParams.limit_price = decision.limitPrice;
+    }
+    const pricing = await orderExecution.priceOrder(orderParams);
+
+    // Entries are protected by a bracket, as for every agent buy; the model's
+    // stop replaces the default stop-loss leg
+    const orderClass = buildOrderClassParams(orderParams, {
+      order_class: side === 'buy' ? 'bracket' : 'simple',
+      stop_loss: side === 'buy' && decision.stopPrice ? { stop_price: decision.stopPrice } : undefined
+    }, pricing.marketPrice || pricing.price);
+    if (!orderClass.valid) {
+      return { ...summary, outcome: 'blocked', reason: orderClass.reason };
+    }
+    Object.assign(orderParams, orderClass.orderParams);
+    orderExecution.checkPositionSize(orderParams, pricing);
+
+    const result = await orderExecution.submitOrder(orderParams, {
+      source: 'scheduler',
+      agentId,
+      decisionId,
+      sessionPolicy: run.extendedHours ? 'extended' : 'reject',
+      logPrefix: `Scheduler (${agentId}): `,
+      tradingDecision: {
+        confidence: Math.round((decision.confidence || 0) * 100),
+        reasoning: analysis.reasoning,
+        price: pricing.price,
+        source: 'agent_scheduler',
+        agentId,
+        decisionId
+      }
+    });
+
+    if (result.queued) {
+      return { ...summary, outcome: 'queued', qty, queueId: result.queueId };
+    }
+
+    return {
+      ...summary,
+      outcome: 'ordered',
+      qty,
+      price: pricing.price,
+      orderId: result.order.id,
+      orderStatus: result.order.status
+    };
+  }
+
+  /**
+   * Run state for one agent
+   */
+  getStatus(agentId) {
+    const run = this.runs[agentId];
+    if (!run) return null;
+    return { ...run, running: this.activeCycles.has(agentId) };
+  }
+
+  /**
+   * Run state for every agent that has been scheduled, without cycle history
+   */
+  async getAllStatus() {
+    await this.ready;
+    return Object.keys(this.runs).map(agentId => {
+      const { history, ...status } = this.getStatus(agentId);
+      return status;
+    });
+  }
+}
+
+module.exports = new AgentSchedulerService();
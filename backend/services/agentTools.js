@@ -0,0 +1,345 @@
+// SIRFA Agent Finance - Agent Tools
+// Live-data tools the model can call mid-conversation, executed server-side
+
+const broker = require('./brokers');
+const alphaVantageService = require('./alphaVantageService');
+const riskManagement = require('./riskManagement');
+const capitalSleeves = require('./capitalSleeves');
+const { SYMBOL_PATTERN } = require('./tradingDecision');
+
+// Bar sizes in milliseconds, used to start the lookback window far enough back
+// to cover nights, weekends and holidays
+const BAR_TIMEFRAMES = {
+  '5Min': 5 * 60 * 1000,
+  '15Min': 15 * 60 * 1000,
+  '1Hour': 60 * 60 * 1000,
+  '1Day': 24 * 60 * 60 * 1000,
+  '1Week': 7 * 24 * 60 * 60 * 1000
+};
+const LOOKBACK_PADDING_MS = 4 * 24 * 60 * 60 * 1000;
+const NEWS_TOPICS = [
+  'earnings', 'ipo', 'mergers_and_acquisitions', 'financial_markets', 'economy_fiscal',
+  'economy_monetary', 'economy_macro', 'energy_transportation', 'finance', 'life_sciences',
+  'manufacturing', 'real_estate', 'retail_wholesale', 'technology'
+];
+const MAX_BARS = 100;
+const MAX_NEWS = 10;
+const MAX_RESULT_LENGTH = 6000;
+
+const symbolParameter = { type: 'string', description: 'Ticker symbol, e.g. "AAPL"' };
+
+/**
+ * Tool definitions in the OpenAI function-calling format
+ */
+const TOOL_DEFINITIONS = [
+  {
+    type: 'function',
+    function: {
+      name: 'get_quote',
+      description: 'Latest bid/ask quote and last trade for a stock',
+      parameters: {
+        type: 'object',
+        properties: { symbol: symbolParameter },
+        required: ['symbol']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'get_bars',
+      description: 'Recent OHLCV price bars for a stock, oldest first',
+      parameters: {
+        type: 'object',
+        properties: {
+          symbol: symbolParameter,
+          timeframe: { type: 'string', enum: Object.keys(BAR_TIMEFRAMES), description: 'Bar size (default 1Day)' },
+          limit: { type: 'integer', minimum: 1, maximum: MAX_BARS, description: 'Number of bars (default 30)' }
+        },
+        required: ['symbol']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'get_company_overview',
+      description: 'Company fundamentals: sector, market cap, valuation ratios, margins, dividend and 52-week range',
+      parameters: {
+        type: 'object',
+        properties: { symbol: symbolParameter },
+        required: ['symbol']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'search_news',
+      description: 'Latest news with sentiment for tickers and/or topics',
+      parameters: {
+        type: 'object',
+        properties: {
+          symbols: { type: 'array', items: symbolParameter, maxItems: 5 },
+          topics: { type: 'array', items: { type: 'string', enum: NEWS_TOPICS }, maxItems: 3 },
+          limit: { type: 'integer', minimum: 1, maximum: MAX_NEWS, description: 'Number of articles (default 5)' }
+        }
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'get_positions',
+      description: "The agent's current positions (its capital sleeve when it has one, else the account), optionally for one symbol",
+      parameters: {
+        type: 'object',
+        properties: { symbol: symbolParameter }
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'get_risk_limits',
+      description: "The agent's risk limits (position size, daily risk, drawdown, cash reserve, sector concentration) and current usage",
+      parameters: { type: 'object', properties: {} }
+    }
+  }
+];
+
+/**
+ * Raised for bad tool arguments; the message is returned to the model
+ */
+class ToolArgumentError extends Error {}
+
+function parseSymbol(value, required = true) {
+  if (value === undefined || value === null || value === '') {
+    if (required) throw new ToolArgumentError('symbol is required');
+    return null;
+  }
+  const symbol = String(value).trim().toUpperCase();
+  if (!SYMBOL_PATTERN.test(symbol)) {
+    throw new ToolArgumentError(`"${value}" is not a valid ticker symbol`);
+  }
+  return symbol;
+}
+
+function parseLimit(value, fallback, max) {
+  if (value === undefined || value === null) return fallback;
+  const limit = parseInt(value, 10);
+  if (!(limit >= 1)) throw new ToolArgumentError('limit must be a positive integer');
+  return Math.min(limit, max);
+}
+
+class AgentToolService {
+  constructor() {
+    this.handlers = {
+      get_quote: (args) => this.getQuote(args),
+      get_bars: (args) => this.getBars(args),
+      get_company_overview: (args) => this.getCompanyOverview(args),
+      search_news: (args) => this.searchNews(args),
+      get_positions: (args, context) => this.getPositions(args, context),
+      get_risk_limits: (args, context) => this.getRiskLimits(context)
+    };
+  }
+
+  /**
+   * Tool definitions to send with a chat completion request
+   */
+  getDefinitions() {
+    return TOOL_DEFINITIONS;
+  }
+
+  /**
+   * Execute one tool call. Failures are returned to the model, not thrown,
+   * so it can correct its arguments or answer without the data.
+   * @param {string} name - Tool name
+   * @param {string|Object} rawArguments - JSON arguments from the model
+   * @param {Object} context - { agentId }
+   * @returns {Promise<Object>} - { ok, result } or { ok: false, error }
+   */
+  async execute(name, rawArguments, context = {}) {
+    const handler = this.handlers[name];
+    if (!handler) {
+      return { ok: false, error: `Unknown tool "${name}"` };
+    }
+
+    let args;
+    try {
+      args = typeof rawArguments === 'string' && rawArguments.trim()
+        ? JSON.parse(rawArguments)
+        : rawArguments || {};
+    } catch (error) {
+      return { ok: false, error: `Arguments are not valid JSON: ${error.message}` };
+    }
+
+    try {
+      return { ok: true, result: await handler(args, context) };
+    } catch (error) {
+      if (!(error instanceof ToolArgumentError)) {
+        console.warn(`Agent tool ${name} failed:`, error.message);
+      }
+      return { ok: false, error: error.response?.data?.message || error.message };
+    }
+  }
+
+  /**
+   * Serialize a tool outcome for the tool message, capped in length
+   */
+  formatResult(outcome) {
+    const text = JSON.stringify(outcome.ok ? outcome.result : { error: outcome.error });
+    return text.length > MAX_RESULT_LENGTH
+      ? `${text.substring(0, MAX_RESULT_LENGTH)}... (truncated)`
+      : text;
+  }
+
+  async getQuote(args) {
+    const symbol = parseSymbol(args.symbol);
+    const [quote, trade] = await Promise.allSettled([
+      broker.getLatestQuote(symbol),
+      broker.getLatestTrade(symbol)
+    ]);
+    if (quote.status === 'rejected' && trade.status === 'rejected') {
+      throw new Error(`No quote available for ${symbol}`);
+    }
+
+    return {
+      symbol,
+      bid: quote.value?.bidPrice ?? null,
+      ask: quote.value?.askPrice ?? null,
+      quoteTime: quote.value?.timestamp ?? null,
+      lastTrade: trade.value?.price ?? null,
+      tradeTime: trade.value?.timestamp ?? null
+    };
+  }
+
+  async getBars(args) {
+    const symbol = parseSymbol(args.symbol);
+    const timeframe = args.timeframe || '1Day';
+    if (!BAR_TIMEFRAMES[timeframe]) {
+      throw new ToolArgumentError(`timeframe must be one of ${Object.keys(BAR_TIMEFRAMES).join(', ')}`);
+    }
+    const limit = parseLimit(args.limit, 30, MAX_BARS);
+
+    // Intraday bars only trade 6.5 hours a day, so the window is padded generously
+    const lookbackMs = limit * BAR_TIMEFRAMES[timeframe] * (BAR_TIMEFRAMES[timeframe] < BAR_TIMEFRAMES['1Day'] ? 4 : 1.5);
+    const bars = await broker.getBars(symbol, {
+      timeframe,
+      start: new Date(Date.now() - lookbackMs - LOOKBACK_PADDING_MS).toISOString(),
+      limit: MAX_BARS * 10
+    });
+    return {
+      symbol,
+      timeframe,
+      bars: bars.slice(-limit).map(bar => ({
+        t: bar.timestamp,
+        o: bar.open,
+        h: bar.high,
+        l: bar.low,
+        c: bar.close,
+        v: bar.volume
+      }))
+    };
+  }
+
+  async getCompanyOverview(args) {
+    const symbol = parseSymbol(args.symbol);
+    const overview = await alphaVantageService.getCompanyOverview(symbol);
+    return {
+      symbol: overview.symbol,
+      name: overview.name,
+      sector: overview.sector,
+      industry: overview.industry,
+      description: overview.description?.substring(0, 500),
+      marketCap: overview.marketCap,
+      peRatio: overview.peRatio,
+      forwardPE: overview.forwardPE,
+      eps: overview.eps,
+      profitMargin: overview.profitMargin,
+      dividendYield: overview.dividendYield,
+      beta: overview.beta,
+      week52High: overview.week52High,
+      week52Low: overview.week52Low,
+      analystTargetPrice: overview.analystTargetPrice
+    };
+  }
+
+  async searchNews(args) {
+    const symbols = (Array.isArray(args.symbols) ? args.symbols : []).slice(0, 5).map(symbol => parseSymbol(symbol));
+    const topics = (Array.isArray(args.topics) ? args.topics : []).slice(0, 3);
+    const unknownTopic = topics.find(topic => !NEWS_TOPICS.includes(topic));
+    if (unknownTopic) {
+      throw new ToolArgumentError(`Unknown topic "${unknownTopic}"`);
+    }
+    if (symbols.length === 0 && topics.length === 0) {
+      throw new ToolArgumentError('Give at least one symbol or topic');
+    }
+
+    const articles = await alphaVantageService.searchNews({
+      tickers: symbols,
+      topics,
+      limit: parseLimit(args.limit, 5, MAX_NEWS)
+    });
+    return {
+      articles: articles.map(article => ({
+        ...article,
+        summary: article.summary?.substring(0, 300)
+      }))
+    };
+  }
+
+  async getPositions(args, context) {
+    const symbol = parseSymbol(args.symbol, false);
+    const sleeve = context.agentId ? await capitalSleeves.getSleeve(context.agentId) : null;
+
+    let positions;
+    if (sleeve) {
+      positions = sleeve.positions.map(position => ({
+        symbol: position.symbol,
+        qty: position.qty,
+        avgPrice: position.avgPrice,
+        currentPrice: position.currentPrice,
+        marketValue: position.marketValue,
+        unrealizedPL: position.unrealizedPL
+      }));
+    } else {
+      positions = (await broker.getPositions()).map(position => ({
+        symbol: position.symbol,
+        qty: parseFloat(position.qty),
+        avgPrice: parseFloat(position.avg_entry_price),
+        currentPrice: parseFloat(position.current_price),
+        marketValue: parseFloat(position.market_value),
+        unrealizedPL: parseFloat(position.unrealized_pl)
+      }));
+    }
+
+    return {
+      basis: sleeve ? 'sleeve' : 'account',
+      cash: sleeve ? sleeve.buyingPower : undefined,
+      positions: symbol ? positions.filter(position => position.symbol === symbol) : positions
+    };
+  }
+
+  async getRiskLimits(context) {
+    const limits = context.agentId ? riskManagement.getRiskLimits(context.agentId) : null;
+    if (!limits) {
+      throw new Error('No risk limits are configured for this agent');
+    }
+
+    const sleeve = await capitalSleeves.getSleeve(context.agentId);
+    return {
+      limits,
+      usage: sleeve ? {
+        basis: 'sleeve',
+        equity: sleeve.equity,
+        buyingPower: sleeve.buyingPower,
+        drawdown: sleeve.drawdown,
+        dailyLoss: sleeve.dailyLoss
+      } : null
+    };
+  }
+}
+
+module.exports = new AgentToolService();
+module.exports.TOOL_DEFINITIONS = TOOL_DEFINITIONS;
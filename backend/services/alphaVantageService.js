@@ -291,6 +291,54 @@ class AlphaVantageService {
     }
   }
 
+  // Search news and sentiment by ticker and/or topic
+  async searchNews({ tickers = [], topics = [], limit = 10 } = {}) {
+    const tickerList = tickers.map(ticker => ticker.toUpperCase()).join(',');
+    const topicList = topics.join(',');
+    const cacheKey = `news_search_${tickerList}_${topicList}_${limit}`;
+    const cached = this.getCachedData(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const params = {
+        function: 'NEWS_SENTIMENT',
+        sort: 'LATEST',
+        limit,
+        apikey: this.apiKey
+      };
+      if (tickerList) params.tickers = tickerList;
+      if (topicList) params.topics = topicList;
+
+      const response = await axios.get(this.baseUrl, { params, timeout: 15000 });
+
+      const data = response.data;
+      if (data['Error Message']) {
+        throw new Error(`Alpha Vantage API Error: ${data['Error Message']}`);
+      }
+
+      if (data['Note'] || data['Information']) {
+        throw new Error('Alpha Vantage API rate limit exceeded');
+      }
+
+      const result = (data.feed || []).slice(0, limit).map(item => ({
+        title: item.title,
+        summary: item.summary,
+        source: item.source,
+        url: item.url,
+        publishedAt: item.time_published,
+        sentiment: item.overall_sentiment_label,
+        sentimentScore: item.overall_sentiment_score,
+        tickers: (item.ticker_sentiment || []).map(entry => entry.ticker)
+      }));
+
+      this.setCachedData(cacheKey, result, 600000); // 10 minute cache for news
+      return result;
+    } catch (error) {
+      console.error('Error searching market news:', error.message);
+      throw error;
+    }
+  }
+
   // Cache management
   getCachedData(key) {
     const cached = this.cache.get(key);
@@ -0,0 +1,136 @@
+// SIRFA Agent Finance - Alpaca Broker Adapter
+// Routes broker calls to the Alpaca Markets API
+
+const Alpaca = require('@alpacahq/alpaca-trade-api');
+const BrokerAdapter = require('./brokerAdapter');
+
+class AlpacaBroker extends BrokerAdapter {
+  constructor(options = {}) {
+    super('alpaca');
+    this.client = new Alpaca({
+      keyId: options.apiKey,
+      secretKey: options.secretKey,
+      baseUrl: options.baseUrl,
+      dataBaseUrl: options.dataUrl
+    });
+  }
+
+  async getAccount() {
+    return this.client.getAccount();
+  }
+
+  async getPositions() {
+    return this.client.getPositions();
+  }
+
+  async getPosition(symbol) {
+    return this.client.getPosition(symbol.toUpperCase());
+  }
+
+  async getOrders(params = {}) {
+    return this.client.getOrders(params);
+  }
+
+  async getOrder(orderId) {
+    return this.client.getOrder(orderId);
+  }
+
+  async getOrderByClientOrderId(clientOrderId) {
+    return this.client.getOrderByClientId(clientOrderId);
+  }
+
+  async createOrder(orderParams) {
+    return this.client.createOrder(orderParams);
+  }
+
+  async replaceOrder(orderId, params = {}) {
+    return this.client.replaceOrder(orderId, params);
+  }
+
+  async cancelOrder(orderId) {
+    return this.client.cancelOrder(orderId);
+  }
+
+  async cancelAllOrders() {
+    return this.client.cancelAllOrders();
+  }
+
+  async getAsset(symbol) {
+    return this.client.getAsset(symbol.toUpperCase());
+  }
+
+  async getLatestTrade(symbol) {
+    const trade = await this.client.getLatestTrade(symbol.toUpperCase());
+    return {
+      symbol: symbol.toUpperCase(),
+      price: trade.Price,
+      size: trade.Size,
+      timestamp: trade.Timestamp
+    };
+  }
+
+  async getLatestQuote(symbol) {
+    const quote = await this.client.getLatestQuote(symbol.toUpperCase());
+    return {
+      symbol: symbol.toUpperCase(),
+      bidPrice: quote.BidPrice,
+      bidSize: quote.BidSize,
+      askPrice: quote.AskPrice,
+      askSize: quote.AskSize,
+      timestamp: quote.Timestamp
+    };
+  }
+
+  async getBars(symbol, params = {}) {
+    const bars = [];
+    for await (const bar of this.client.getBarsV2(symbol.toUpperCase(), params)) {
+      bars.push({
+        timestamp: bar.Timestamp,
+        open: bar.OpenPrice,
+        high: bar.HighPrice,
+        low: bar.LowPrice,
+        close: bar.ClosePrice,
+        volume: bar.Volume
+      });
+    }
+    return bars;
+  }
+
+  async getPortfolioHistory(params = {}) {
+    return this.client.getPortfolioHistory(params);
+  }
+
+  async getCalendar(params = {}) {
+    return this.client.getCalendar(params);
+  }
+
+  /**
+   * Relay Alpaca's trade_updates stream as 'trade_update' events
+   */
+  async startTradeUpdates() {
+    if (this.tradeStreamStarted) return;
+    this.tradeStreamStarted = true;
+
+    const stream = this.client.trade_ws;
+    stream.onConnect(() => {
+      stream.subscribe([stream.EVENT.ORDER_UPDATE]);
+      console.log('📡 Alpaca trade updates stream connected');
+    });
+    stream.onError(error => console.error('Alpaca trade updates stream error:', error));
+    stream.onOrderUpdate(update => {
+      this.emit('trade_update', {
+        ...update,
+        timestamp: update.timestamp || new Date().toISOString()
+      });
+    });
+    stream.connect();
+  }
+
+  async stopTradeUpdates() {
+    if (!this.tradeStreamStarted) return;
+    this.tradeStreamStarted = false;
+    this.client.trade_ws.disconnect();
+  }
+}
+
+module.exports = AlpacaBroker;
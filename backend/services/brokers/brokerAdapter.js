@@ -0,0 +1,183 @@
+// SIRFA Agent Finance - Broker Adapter Interface
+// Common contract implemented by every broker backend
+
+const EventEmitter = require('events');
+
+/**
+ * Base class for broker adapters.
+ *
+ * Accounts, positions, orders and portfolio history are returned in the
+ * Alpaca REST wire format (snake_case fields, numeric values as strings) so
+ * route handlers stay broker-agnostic. Quotes and bars are normalized to
+ * plain camelCase objects with numeric fields.
+ *
+ * Adapters are EventEmitters: order lifecycle changes are emitted as
+ * 'trade_update' events shaped like Alpaca's trade_updates stream messages.
+ */
+class BrokerAdapter extends EventEmitter {
+  constructor(name) {
+    super();
+    this.name = name;
+  }
+
+  /**
+   * Get account balances and status
+   * @returns {Promise<Object>} - Account in Alpaca format
+   */
+  async getAccount() {
+    throw this.notImplemented('getAccount');
+  }
+
+  /**
+   * Get all open positions
+   * @returns {Promise<Array>} - Positions in Alpaca format
+   */
+  async getPositions() {
+    throw this.notImplemented('getPositions');
+  }
+
+  /**
+   * Get the open position for a symbol
+   * @param {string} symbol - Ticker symbol
+   * @returns {Promise<Object>} - Position in Alpaca format
+   */
+  async getPosition(symbol) {
+    throw this.notImplemented('getPosition');
+  }
+
+  /**
+   * List orders
+   * @param {Object} params - status, limit, after, until, direction, symbols
+   * @returns {Promise<Array>} - Orders in Alpaca format
+   */
+  async getOrders(params = {}) {
+    throw this.notImplemented('getOrders');
+  }
+
+  /**
+   * Get a single order by ID
+   * @param {string} orderId - Broker order ID
+   * @returns {Promise<Object>} - Order in Alpaca format
+   */
+  async getOrder(orderId) {
+    throw this.notImplemented('getOrder');
+  }
+
+  /**
+   * Get a single order by the client order ID it was submitted with
+   * @param {string} clientOrderId - Client-supplied order ID
+   * @returns {Promise<Object>} - Order in Alpaca format
+   */
+  async getOrderByClientOrderId(clientOrderId) {
+    throw this.notImplemented('getOrderByClientOrderId');
+  }
+
+  /**
+   * Submit a new order
+   * @param {Object} orderParams - Alpaca-style order parameters
+   * @returns {Promise<Object>} - Created order in Alpaca format
+   */
+  async createOrder(orderParams) {
+    throw this.notImplemented('createOrder');
+  }
+
+  /**
+   * Replace a working order with new qty, prices or time in force
+   * @param {string} orderId - Broker order ID
+   * @param {Object} params - qty, limit_price, stop_price, time_in_force, client_order_id
+   * @returns {Promise<Object>} - Replacement order in Alpaca format
+   */
+  async replaceOrder(orderId, params = {}) {
+    throw this.notImplemented('replaceOrder');
+  }
+
+  /**
+   * Cancel an open order
+   * @param {string} orderId - Broker order ID
+   */
+  async cancelOrder(orderId) {
+    throw this.notImplemented('cancelOrder');
+  }
+
+  /**
+   * Cancel every open order
+   */
+  async cancelAllOrders() {
+    throw this.notImplemented('cancelAllOrders');
+  }
+
+  /**
+   * Look up a tradable asset
+   * @param {string} symbol - Ticker symbol
+   * @returns {Promise<Object>} - Asset in Alpaca format ({ symbol, name, status, tradable, ... }); rejects when unknown
+   */
+  async getAsset(symbol) {
+    throw this.notImplemented('getAsset');
+  }
+
+  /**
+   * Get the latest trade for a symbol
+   * @param {string} symbol - Ticker symbol
+   * @returns {Promise<Object>} - { symbol, price, size, timestamp }
+   */
+  async getLatestTrade(symbol) {
+    throw this.notImplemented('getLatestTrade');
+  }
+
+  /**
+   * Get the latest bid/ask quote for a symbol
+   * @param {string} symbol - Ticker symbol
+   * @returns {Promise<Object>} - { symbol, bidPrice, bidSize, askPrice, askSize, timestamp }
+   */
+  async getLatestQuote(symbol) {
+    throw this.notImplemented('getLatestQuote');
+  }
+
+  /**
+   * Get historical bars for a symbol
+   * @param {string} symbol - Ticker symbol
+   * @param {Object} params - timeframe, start, end, limit
+   * @returns {Promise<Array>} - [{ timestamp, open, high, low, close, volume }]
+   */
+  async getBars(symbol, params = {}) {
+    throw this.notImplemented('getBars');
+  }
+
+  /**
+   * Get account equity history
+   * @param {Object} params - period, timeframe
+   * @returns {Promise<Object>} - { timestamp, equity, profit_loss, profit_loss_pct }
+   */
+  async getPortfolioHistory(params = {}) {
+    throw this.notImplemented('getPortfolioHistory');
+  }
+
+  /**
+   * Get exchange trading days
+   * @param {Object} params - start, end ('YYYY-MM-DD')
+   * @returns {Promise<Array>} - [{ date, open, close, session_open, session_close }] in Alpaca format
+   */
+  async getCalendar(params = {}) {
+    throw this.notImplemented('getCalendar');
+  }
+
+  /**
+   * Start emitting 'trade_update' events ({ event, order, timestamp, price?, qty?, position_qty? })
+   * for order lifecycle changes. Brokers that emit them natively need not override this.
+   */
+  async startTradeUpdates() {}
+
+  /**
+   * Stop the trade update feed started by startTradeUpdates()
+   */
+  async stopTradeUpdates() {}
+
+  /**
+   * Build a "not implemented" error for an adapter method
+   */
+  notImplemented(method) {
+    return new Error(`${this.name} broker does not implement ${method}()`);
+  }
+}
+
+module.exports = BrokerAdapter;
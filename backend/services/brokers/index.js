@@ -0,0 +1,30 @@
+// SIRFA Agent Finance - Broker Factory
+// Selects the broker backend from config.broker.provider
+
+const config = require('../../config');
+const AlpacaBroker = require('./alpacaBroker');
+const SimulatedBroker = require('./simulatedBroker');
+
+const brokers = {
+  alpaca: () => new AlpacaBroker(config.alpaca),
+  simulated: () => new SimulatedBroker(config.broker.simulated)
+};
+
+/**
+ * Create a broker adapter by provider name
+ * @param {string} provider - 'alpaca' or 'simulated'
+ * @returns {BrokerAdapter} - Broker adapter instance
+ */
+function createBroker(provider) {
+  const factory = brokers[provider];
+  if (!factory) {
+    throw new Error(`Unknown broker provider "${provider}". Expected one of: ${Object.keys(brokers).join(', ')}`);
+  }
+  return factory();
+}
+
+const broker = createBroker(config.broker.provider);
+console.log(`✅ Broker initialized: ${broker.name}`);
+
+module.exports = broker;
+module.exports.createBroker = createBroker;
@@ -0,0 +1,1085 @@
+// SIRFA Agent Finance - Simulated Broker
+// Local paper broker that fills orders against recorded or synthetic prices
+
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const BrokerAdapter = require('./brokerAdapter');
+
+const OPEN_STATUSES = ['new', 'pending_new', 'accepted', 'partially_filled', 'pending_replace', 'held'];
+const ORDER_TYPES = ['market', 'limit', 'stop', 'stop_limit'];
+const ORDER_CLASSES = ['simple', 'bracket', 'oco', 'oto'];
+const TIME_IN_FORCE = ['day', 'gtc', 'ioc', 'fok', 'opg', 'cls'];
+const EQUITY_SNAPSHOT_INTERVAL = 60 * 1000;
+const MAX_EQUITY_SNAPSHOTS = 20000;
+const DAILY_BAR_VOLATILITY = 0.02;
+
+const TIMEFRAME_UNITS = {
+  Min: 60 * 1000,
+  T: 60 * 1000,
+  Hour: 60 * 60 * 1000,
+  H: 60 * 60 * 1000,
+  Day: 24 * 60 * 60 * 1000,
+  D: 24 * 60 * 60 * 1000,
+  Week: 7 * 24 * 60 * 60 * 1000,
+  W: 7 * 24 * 60 * 60 * 1000
+};
+
+const PERIOD_UNITS = {
+  D: 24 * 60 * 60 * 1000,
+  W: 7 * 24 * 60 * 60 * 1000,
+  M: 30 * 24 * 60 * 60 * 1000,
+  A: 365 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Build an error shaped like an Alpaca API failure so the existing
+ * `error.response.data.code` handling in the routes keeps working
+ */
+function brokerError(status, code, message) {
+  const error = new Error(message);
+  error.response = { status, data: { code, message } };
+  return error;
+}
+
+/**
+ * Deterministic hash for seeding synthetic prices
+ */
+function hashString(value) {
+  let hash = 2166136261;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Small seeded PRNG (mulberry32) so synthetic bars are stable between calls
+ */
+function seededRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Parse an Alpaca timeframe string ("5Min", "1Hour", "1Day") into milliseconds
+ */
+function parseDuration(value, units, fallback) {
+  const match = /^(\d+)([A-Za-z]+)$/.exec(String(value || ''));
+  if (!match || !units[match[2]]) {
+    return fallback;
+  }
+  return parseInt(match[1], 10) * units[match[2]];
+}
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+class SimulatedBroker extends BrokerAdapter {
+  constructor(options = {}) {
+    super('simulated');
+    this.options = {
+      startingCash: 100000,
+      tickInterval: 5000,
+      slippageBps: 5,
+      spreadBps: 2,
+      volatility: 0.001,
+      // Share of an order's quantity filled per tick (0 or 1 fills at once); exit legs always fill at once
+      partialFillRatio: 0,
+      expireDayOrders: true,
+      priceFile: '',
+      stateFile: path.join(__dirname, '..', '..', 'data', 'simulated-broker.json'),
+      persist: true,
+      ...options
+    };
+
+    this.state = this.createInitialState();
+    this.prices = new Map();
+    this.recordedPrices = {};
+    this.clock = null;
+    this.saveTimer = null;
+
+    this.ready = this.initialize();
+  }
+
+  createInitialState() {
+    return {
+      accountId: uuidv4(),
+      cash: this.options.startingCash,
+      positions: {},
+      orders: [],
+      lastPrices: {},
+      equityHistory: [],
+      session: null,
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Load persisted state and recorded prices, then start the price clock
+   */
+  async initialize() {
+    if (this.options.priceFile) {
+      try {
+        const data = await fs.readFile(this.options.priceFile, 'utf8');
+        this.recordedPrices = this.normalizeRecordedPrices(JSON.parse(data));
+        console.log(`Simulated broker loaded recorded prices for ${Object.keys(this.recordedPrices).length} symbols`);
+      } catch (error) {
+        console.warn(`Simulated broker could not load price file ${this.options.priceFile}:`, error.message);
+      }
+    }
+
+    if (this.options.persist) {
+      try {
+        const data = await fs.readFile(this.options.stateFile, 'utf8');
+        this.state = { ...this.createInitialState(), ...JSON.parse(data) };
+      } catch (error) {
+        console.log('Starting simulated broker with a fresh account');
+      }
+    }
+
+    Object.entries(this.state.lastPrices).forEach(([symbol, price]) => {
+      this.prices.set(symbol, { price, cursor: 0, timestamp: new Date().toISOString() });
+    });
+
+    this.startClock();
+  }
+
+  /**
+   * Accept { "AAPL": [185.1, 185.4] } or { "AAPL": [{ "price": 185.1 }] }
+   */
+  normalizeRecordedPrices(data) {
+    const normalized = {};
+    Object.entries(data || {}).forEach(([symbol, points]) => {
+      const series = (Array.isArray(points) ? points : [points])
+        .map(point => (typeof point === 'object' ? parseFloat(point.price ?? point.close) : parseFloat(point)))
+        .filter(price => Number.isFinite(price) && price > 0);
+      if (series.length > 0) {
+        normalized[symbol.toUpperCase()] = series;
+      }
+    });
+    return normalized;
+  }
+
+  startClock() {
+    if (this.clock || !this.options.tickInterval) return;
+    this.clock = setInterval(() => this.tick(), this.options.tickInterval);
+    if (this.clock.unref) this.clock.unref();
+  }
+
+  stopClock() {
+    if (this.clock) {
+      clearInterval(this.clock);
+      this.clock = null;
+    }
+  }
+
+  /**
+   * Advance every tracked price one step and re-evaluate working orders
+   */
+  tick() {
+    for (const symbol of this.prices.keys()) {
+      this.advancePrice(symbol);
+    }
+
+    this.expireOrders();
+    this.state.orders
+      .filter(order => OPEN_STATUSES.includes(order.status))
+      .forEach(order => this.processOrder(order));
+
+    this.recordEquitySnapshot();
+    this.scheduleSave();
+  }
+
+  // Price feed
+
+  initialPrice(symbol) {
+    if (this.recordedPrices[symbol]) {
+      return this.recordedPrices[symbol][0];
+    }
+    return round(20 + (hashString(symbol) % 48000) / 100);
+  }
+
+  trackSymbol(symbol) {
+    if (!this.prices.has(symbol)) {
+      this.prices.set(symbol, {
+        price: this.initialPrice(symbol),
+        cursor: 0,
+        timestamp: new Date().toISOString()
+      });
+    }
+    return this.prices.get(symbol);
+  }
+
+  advancePrice(symbol) {
+    const entry = this.trackSymbol(symbol);
+    const recorded = this.recordedPrices[symbol];
+
+    if (recorded) {
+      entry.cursor = (entry.cursor + 1) % recorded.length;
+      entry.price = recorded[entry.cursor];
+    } else {
+      // Box-Muller normal shock scaled by per-tick volatility
+      const shock = Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+      entry.price = Math.max(0.01, round(entry.price * (1 + shock * this.options.volatility), 4));
+    }
+
+    entry.timestamp = new Date().toISOString();
+    this.state.lastPrices[symbol] = entry.price;
+  }
+
+  currentPrice(symbol) {
+    const entry = this.trackSymbol(symbol);
+    this.state.lastPrices[symbol] = entry.price;
+    return entry.price;
+  }
+
+  currentQuote(symbol) {
+    const price = this.currentPrice(symbol);
+    const halfSpread = price * (this.options.spreadBps / 10000) / 2;
+    return {
+      bid: round(price - halfSpread, 4),
+      ask: round(price + halfSpread, 4)
+    };
+  }
+
+  // Account
+
+  async getAccount() {
+    await this.ready;
+    this.rollSession();
+
+    const longMarketValue = Object.entries(this.state.positions)
+      .reduce((sum, [symbol, position]) => sum + position.qty * this.currentPrice(symbol), 0);
+    const equity = this.state.cash + longMarketValue;
+    const buyingPower = Math.max(0, this.state.cash - this.reservedCash());
+    const lastEquity = this.state.session?.equity ?? equity;
+
+    return {
+      id: this.state.accountId,
+      account_number: `SIM${this.state.accountId.replace(/-/g, '').slice(0, 8).toUpperCase()}`,
+      status: 'ACTIVE',
+      currency: 'USD',
+      cash: String(round(this.state.cash)),
+      buying_power: String(round(buyingPower)),
+      regt_buying_power: String(round(buyingPower)),
+      non_marginable_buying_power: String(round(buyingPower)),
+      portfolio_value: String(round(equity)),
+      equity: String(round(equity)),
+      last_equity: String(round(lastEquity)),
+      long_market_value: String(round(longMarketValue)),
+      short_market_value: '0',
+      unrealized_pl: String(round(this.unrealizedPL())),
+      unrealized_plpc: String(lastEquity > 0 ? round((equity - lastEquity) / lastEquity, 6) : 0),
+      multiplier: '1',
+      daytrade_count: 0,
+      pattern_day_trader: false,
+      trading_blocked: false,
+      transfers_blocked: false,
+      account_blocked: false,
+      shorting_enabled: false,
+      created_at: this.state.createdAt
+    };
+  }
+
+  unrealizedPL() {
+    return Object.entries(this.state.positions)
+      .reduce((sum, [symbol, position]) => sum + position.qty * (this.currentPrice(symbol) - position.avgEntryPrice), 0);
+  }
+
+  /**
+   * Cash held back for working buy orders
+   */
+  reservedCash(excludeOrderId = null) {
+    return this.state.orders
+      .filter(order => order.side === 'buy' && OPEN_STATUSES.includes(order.status) && order.id !== excludeOrderId)
+      .reduce((sum, order) => {
+        const price = parseFloat(order.limit_price || order.stop_price) || this.currentQuote(order.symbol).ask;
+        return sum + (parseFloat(order.qty) - parseFloat(order.filled_qty)) * price;
+      }, 0);
+  }
+
+  /**
+   * Shares of a position already committed to working sell orders
+   */
+  reservedQty(symbol, excludeOrderId = null) {
+    // Exit legs of one bracket/OCO cover the same shares, so count each group once;
+    // excluding an order excludes the rest of its group too
+    const excluded = excludeOrderId ? this.state.orders.find(order => order.id === excludeOrderId) : null;
+    const excludedGroup = excluded ? (excluded.parent_order_id || excluded.id) : null;
+    const groups = new Map();
+    this.state.orders
+      .filter(order => order.symbol === symbol && order.side === 'sell' && OPEN_STATUSES.includes(order.status))
+      .forEach(order => {
+        const group = order.parent_order_id || order.id;
+        if (group === excludedGroup) return;
+        const remaining = parseFloat(order.qty) - parseFloat(order.filled_qty);
+        groups.set(group, Math.max(groups.get(group) || 0, remaining));
+      });
+    return Array.from(groups.values()).reduce((sum, qty) => sum + qty, 0);
+  }
+
+  /**
+   * Start a new trading session when the calendar date changes
+   */
+  rollSession() {
+    const today = new Date().toISOString().split('T')[0];
+    if (this.state.session?.date === today) return;
+
+    const prices = {};
+    Object.keys(this.state.positions).forEach(symbol => {
+      prices[symbol] = this.currentPrice(symbol);
+    });
+
+    const longMarketValue = Object.entries(this.state.positions)
+      .reduce((sum, [symbol, position]) => sum + position.qty * prices[symbol], 0);
+
+    this.state.session = {
+      date: today,
+      equity: this.state.cash + longMarketValue,
+      prices
+    };
+  }
+
+  // Positions
+
+  async getPositions() {
+    await this.ready;
+    this.rollSession();
+    return Object.keys(this.state.positions).map(symbol => this.formatPosition(symbol));
+  }
+
+  async getPosition(symbol) {
+    await this.ready;
+    const upperSymbol = symbol.toUpperCase();
+    if (!this.state.positions[upperSymbol]) {
+      throw brokerError(404, 40410000, 'position does not exist');
+    }
+    this.rollSession();
+    return this.formatPosition(upperSymbol);
+  }
+
+  formatPosition(symbol) {
+    const position = this.state.positions[symbol];
+    const price = this.currentPrice(symbol);
+    const marketValue = position.qty * price;
+    const costBasis = position.qty * position.avgEntryPrice;
+    const lastdayPrice = this.state.session?.prices?.[symbol] ?? position.avgEntryPrice;
+
+    return {
+      asset_id: symbol,
+      symbol,
+      exchange: 'SIM',
+      asset_class: 'us_equity',
+      qty: String(position.qty),
+      qty_available: String(position.qty - this.reservedQty(symbol)),
+      avg_entry_price: String(round(position.avgEntryPrice, 4)),
+      side: 'long',
+      market_value: String(round(marketValue)),
+      cost_basis: String(round(costBasis)),
+      unrealized_pl: String(round(marketValue - costBasis)),
+      unrealized_plpc: String(costBasis > 0 ? round((marketValue - costBasis) / costBasis, 6) : 0),
+      unrealized_intraday_pl: String(round(position.qty * (price - lastdayPrice))),
+      unrealized_intraday_plpc: String(lastdayPrice > 0 ? round((price - lastdayPrice) / lastdayPrice, 6) : 0),
+      current_price: String(price),
+      lastday_price: String(round(lastdayPrice, 4)),
+      change_today: String(lastdayPrice > 0 ? round((price - lastdayPrice) / lastdayPrice, 6) : 0)
+    };
+  }
+
+  // Orders
+
+  async getOrders(params = {}) {
+    await this.ready;
+    const { status = 'open', limit = 50, after, until, direction = 'desc', symbols, nested } = params;
+    const symbolFilter = symbols
+      ? (Array.isArray(symbols) ? symbols : String(symbols).split(',')).map(s => s.trim().toUpperCase())
+      : null;
+
+    let orders = this.state.orders.filter(order => {
+      if (status === 'open' && !OPEN_STATUSES.includes(order.status)) return false;
+      if (status === 'closed' && OPEN_STATUSES.includes(order.status)) return false;
+      if (symbolFilter && !symbolFilter.includes(order.symbol)) return false;
+      if (nested && order.parent_order_id) return false;
+      if (after && new Date(order.submitted_at) <= new Date(after)) return false;
+      if (until && new Date(order.submitted_at) >= new Date(until)) return false;
+      return true;
+    });
+
+    orders = orders.sort((a, b) => new Date(a.submitted_at) - new Date(b.submitted_at));
+    if (direction === 'desc') orders.reverse();
+
+    return orders.slice(0, parseInt(limit, 10) || 50).map(order => this.formatOrder(order));
+  }
+
+  async getOrder(orderId) {
+    await this.ready;
+    return this.formatOrder(this.findOrder(orderId));
+  }
+
+  async getOrderByClientOrderId(clientOrderId) {
+    await this.ready;
+    const order = this.state.orders.find(o => o.client_order_id === clientOrderId);
+    if (!order) {
+      throw brokerError(404, 40410000, 'order not found');
+    }
+    return this.formatOrder(order);
+  }
+
+  /**
+   * Copy an order for callers, nesting its legs the way Alpaca does
+   */
+  formatOrder(order) {
+    const legs = this.state.orders.filter(o => o.parent_order_id === order.id);
+    return {
+      ...order,
+      legs: legs.length > 0 ? legs.map(leg => ({ ...leg })) : null
+    };
+  }
+
+  /**
+   * Orders that belong to the same bracket/OCO/OTO group (parent and legs)
+   */
+  orderGroup(order) {
+    const groupId = order.parent_order_id || order.id;
+    return this.state.orders.filter(o => o.id === groupId || o.parent_order_id === groupId);
+  }
+
+  findOrder(orderId) {
+    const order = this.state.orders.find(o => o.id === orderId);
+    if (!order) {
+      throw brokerError(404, 40410000, 'order not found');
+    }
+    return order;
+  }
+
+  async createOrder(orderParams) {
+    await this.ready;
+    const expiresAt = await this.dayOrderExpiry(orderParams);
+    this.rollSession();
+
+    const order = this.buildOrder(orderParams);
+    this.validateOrder(order);
+    const legs = this.buildLegs(order, orderParams);
+    [order, ...legs].forEach(o => { o.expires_at = expiresAt; });
+
+    this.state.orders.push(order, ...legs);
+    this.emitTradeUpdate('new', order);
+    legs
+      .filter(leg => leg.status !== 'held')
+      .forEach(leg => this.emitTradeUpdate('new', leg));
+
+    this.processOrder(order);
+    legs.forEach(leg => this.processOrder(leg));
+    this.scheduleSave();
+
+    return this.formatOrder(order);
+  }
+
+  /**
+   * When a day order expires: the next regular close, or the end of after-hours
+   * trading for extended-hours orders
+   * @returns {Promise<string|null>} - ISO time, or null for other time in force
+   */
+  async dayOrderExpiry(params) {
+    if (!this.options.expireDayOrders || String(params.time_in_force || 'day').toLowerCase() !== 'day') {
+      return null;
+    }
+    // Required here: the calendar itself requires the broker
+    const marketCalendar = require('../marketCalendar');
+    const now = new Date();
+    const clock = await marketCalendar.getClock(now);
+    if (!params.extended_hours) {
+      return clock.nextClose;
+    }
+    const day = [clock.today, ...clock.upcoming].find(d => d && new Date(d.afterHoursClose) > now);
+    return day ? day.afterHoursClose : clock.nextClose;
+  }
+
+  /**
+   * Expire day orders whose session has closed
+   */
+  expireOrders(now = new Date()) {
+    this.state.orders
+      .filter(order => order.expires_at && OPEN_STATUSES.includes(order.status) && new Date(order.expires_at) <= now)
+      .forEach(order => {
+        // An earlier expiry in the same group may have canceled this one already
+        if (OPEN_STATUSES.includes(order.status)) this.closeOrder(order, 'expired');
+      });
+  }
+
+  /**
+   * Build the exit legs for bracket, OCO and OTO orders.
+   * Bracket/OTO legs are held until the entry fills; OCO legs work immediately.
+   */
+  buildLegs(parent, params) {
+    const orderClass = parent.order_class;
+    if (orderClass === 'simple') return [];
+
+    const takeProfit = params.take_profit;
+    const stopLoss = params.stop_loss;
+
+    if ((orderClass === 'bracket' || orderClass === 'oco') && !(takeProfit && stopLoss)) {
+      throw brokerError(422, 42210000, `${orderClass} orders require both take_profit and stop_loss`);
+    }
+    if (orderClass === 'oto' && !!takeProfit === !!stopLoss) {
+      throw brokerError(422, 42210000, 'oto orders require exactly one of take_profit or stop_loss');
+    }
+    if (!['day', 'gtc'].includes(parent.time_in_force)) {
+      throw brokerError(422, 42210000, `${orderClass} orders require time_in_force day or gtc`);
+    }
+
+    const exitSide = orderClass === 'oco' ? parent.side : (parent.side === 'buy' ? 'sell' : 'buy');
+    const legParams = {
+      symbol: parent.symbol,
+      qty: parent.qty,
+      side: exitSide,
+      time_in_force: parent.time_in_force,
+      order_class: orderClass
+    };
+    const legs = [];
+
+    // The OCO parent already is the take-profit limit order
+    if (takeProfit && orderClass !== 'oco') {
+      legs.push(this.buildOrder({ ...legParams, type: 'limit', limit_price: takeProfit.limit_price }));
+    }
+    if (stopLoss) {
+      legs.push(this.buildOrder({
+        ...legParams,
+        type: stopLoss.limit_price ? 'stop_limit' : 'stop',
+        stop_price: stopLoss.stop_price,
+        limit_price: stopLoss.limit_price
+      }));
+    }
+
+    legs.forEach(leg => {
+      leg.parent_order_id = parent.id;
+      leg.status = orderClass === 'oco' ? 'new' : 'held';
+    });
+    return legs;
+  }
+
+  buildOrder(params) {
+    const now = new Date().toISOString();
+    const type = String(params.type || 'market').toLowerCase();
+    const symbol = String(params.symbol || '').toUpperCase();
+    const orderClass = String(params.order_class || 'simple').toLowerCase();
+    const limitPrice = params.limit_price ?? (orderClass === 'oco' ? params.take_profit?.limit_price : null);
+    let qty = parseFloat(params.qty);
+
+    if (!Number.isFinite(qty) && params.notional) {
+      qty = Math.floor(parseFloat(params.notional) / this.currentPrice(symbol));
+    }
+
+    return {
+      id: uuidv4(),
+      client_order_id: params.client_order_id || uuidv4(),
+      created_at: now,
+      updated_at: now,
+      submitted_at: now,
+      filled_at: null,
+      expired_at: null,
+      expires_at: null,
+      canceled_at: null,
+      failed_at: null,
+      replaced_at: null,
+      replaced_by: null,
+      replaces: null,
+      asset_id: symbol,
+      symbol,
+      asset_class: 'us_equity',
+      notional: params.notional ? String(params.notional) : null,
+      qty: String(qty),
+      filled_qty: '0',
+      filled_avg_price: null,
+      order_class: orderClass,
+      order_type: type,
+      type,
+      side: String(params.side || '').toLowerCase(),
+      time_in_force: String(params.time_in_force || 'day').toLowerCase(),
+      limit_price: limitPrice != null ? String(limitPrice) : null,
+      stop_price: params.stop_price != null ? String(params.stop_price) : null,
+      status: 'new',
+      extended_hours: !!params.extended_hours,
+      legs: null
+    };
+  }
+
+  /**
+   * Reject orders the way Alpaca would
+   * @param {Object} order - Order being placed
+   * @param {Object} replacing - Order being replaced, whose reservations are released
+   */
+  validateOrder(order, replacing = null) {
+    const qty = parseFloat(order.qty);
+    const replacingId = replacing ? replacing.id : null;
+
+    if (!order.symbol) {
+      throw brokerError(422, 42210000, 'symbol is required');
+    }
+    if (!Number.isFinite(qty) || qty <= 0) {
+      throw brokerError(422, 42210000, 'qty must be > 0');
+    }
+    if (!['buy', 'sell'].includes(order.side)) {
+      throw brokerError(422, 42210000, `invalid side: ${order.side}`);
+    }
+    if (!ORDER_TYPES.includes(order.type)) {
+      throw brokerError(422, 42210000, `invalid order type: ${order.type}`);
+    }
+    if (!ORDER_CLASSES.includes(order.order_class)) {
+      throw brokerError(422, 42210000, `invalid order_class: ${order.order_class}`);
+    }
+    if (!TIME_IN_FORCE.includes(order.time_in_force)) {
+      throw brokerError(422, 42210000, `invalid time_in_force: ${order.time_in_force}`);
+    }
+    if (['limit', 'stop_limit'].includes(order.type) && !(parseFloat(order.limit_price) > 0)) {
+      throw brokerError(422, 42210000, 'limit_price is required for limit orders');
+    }
+    if (['stop', 'stop_limit'].includes(order.type) && !(parseFloat(order.stop_price) > 0)) {
+      throw brokerError(422, 42210000, 'stop_price is required for stop orders');
+    }
+    if (this.state.orders.some(o => o.client_order_id === order.client_order_id)) {
+      throw brokerError(422, 42210000, 'client_order_id must be unique');
+    }
+
+    // Complex entries carry their own exits, so the exits protecting other positions do not count
+    const complexEntry = ['bracket', 'oto'].includes(order.order_class);
+    const oppositeOpen = this.state.orders.some(o =>
+      o.id !== replacingId &&
+      o.symbol === order.symbol &&
+      o.side !== order.side &&
+      OPEN_STATUSES.includes(o.status) &&
+      !(complexEntry && (o.parent_order_id || o.order_class === 'oco'))
+    );
+    if (oppositeOpen) {
+      throw brokerError(403, 40310000, 'potential wash trade detected. use complex orders');
+    }
+
+    if (order.side === 'buy') {
+      const estimatedPrice = parseFloat(order.limit_price || order.stop_price) || this.currentQuote(order.symbol).ask;
+      const available = this.state.cash - this.reservedCash(replacingId);
+      if (qty * estimatedPrice > available) {
+        throw brokerError(403, 40110000, 'insufficient buying power');
+      }
+    } else {
+      const held = this.state.positions[order.symbol]?.qty || 0;
+      const available = held - this.reservedQty(order.symbol, replacingId);
+      if (qty > available) {
+        throw brokerError(422, 42210000, `insufficient qty available for order (requested: ${qty}, available: ${available})`);
+      }
+    }
+  }
+
+  /**
+   * Try to fill a working order against the current quote
+   */
+  processOrder(order) {
+    if (!OPEN_STATUSES.includes(order.status) || order.status === 'held') return;
+
+    const { bid, ask } = this.currentQuote(order.symbol);
+    const lastPrice = this.currentPrice(order.symbol);
+    const isBuy = order.side === 'buy';
+    const limitPrice = parseFloat(order.limit_price);
+    const stopPrice = parseFloat(order.stop_price);
+    let fillPrice = null;
+
+    let effectiveType = order.type;
+    if (order.type === 'stop' || order.type === 'stop_limit') {
+      const triggered = isBuy ? lastPrice >= stopPrice : lastPrice <= stopPrice;
+      if (triggered) {
+        effectiveType = order.type === 'stop' ? 'market' : 'limit';
+      } else {
+        effectiveType = null;
+      }
+    }
+
+    if (effectiveType === 'market') {
+      const slippage = 1 + (isBuy ? 1 : -1) * (this.options.slippageBps / 10000);
+      fillPrice = round((isBuy ? ask : bid) * slippage, 4);
+    } else if (effectiveType === 'limit') {
+      if (isBuy && ask <= limitPrice) {
+        fillPrice = Math.min(ask, limitPrice);
+      } else if (!isBuy && bid >= limitPrice) {
+        fillPrice = Math.max(bid, limitPrice);
+      }
+    }
+
+    if (fillPrice !== null) {
+      this.fillOrder(order, fillPrice);
+    }
+    // Immediate-or-cancel orders cancel whatever did not fill right away
+    if (['ioc', 'fok'].includes(order.time_in_force) && OPEN_STATUSES.includes(order.status)) {
+      this.closeOrder(order, 'canceled');
+    }
+  }
+
+  /**
+   * Shares to fill now: a partialFillRatio share of the order per tick, except for
+   * fill-or-kill orders and bracket/OCO exits, whose sibling exit covers the same shares
+   */
+  fillQuantity(order) {
+    const remaining = parseFloat(order.qty) - parseFloat(order.filled_qty);
+    const ratio = this.options.partialFillRatio;
+    const isExit = !!order.parent_order_id || order.order_class === 'oco';
+    if (!(ratio > 0 && ratio < 1) || isExit || order.time_in_force === 'fok') {
+      return remaining;
+    }
+    return Math.min(remaining, Math.max(1, Math.floor(parseFloat(order.qty) * ratio)));
+  }
+
+  fillOrder(order, price) {
+    const qty = this.fillQuantity(order);
+    const now = new Date().toISOString();
+
+    if (order.side === 'buy') {
+      const cost = qty * price;
+      if (cost > this.state.cash) {
+        this.closeOrder(order, 'rejected');
+        return;
+      }
+
+      const position = this.state.positions[order.symbol] || { qty: 0, avgEntryPrice: 0 };
+      const newQty = position.qty + qty;
+      position.avgEntryPrice = (position.qty * position.avgEntryPrice + cost) / newQty;
+      position.qty = newQty;
+      this.state.positions[order.symbol] = position;
+      this.state.cash -= cost;
+    } else {
+      const position = this.state.positions[order.symbol];
+      if (!position || position.qty < qty) {
+        this.closeOrder(order, 'rejected');
+        return;
+      }
+
+      position.qty -= qty;
+      this.state.cash += qty * price;
+      if (position.qty <= 0) {
+        delete this.state.positions[order.symbol];
+      }
+    }
+
+    const previousQty = parseFloat(order.filled_qty);
+    const filledQty = previousQty + qty;
+    const previousAvg = parseFloat(order.filled_avg_price) || 0;
+    order.filled_qty = String(filledQty);
+    order.filled_avg_price = String(round((previousQty * previousAvg + qty * price) / filledQty, 4));
+    order.updated_at = now;
+
+    const complete = filledQty >= parseFloat(order.qty);
+    if (complete) {
+      order.filled_at = now;
+      order.status = 'filled';
+    } else {
+      order.status = 'partially_filled';
+    }
+
+    this.emitTradeUpdate(complete ? 'fill' : 'partial_fill', order, {
+      price: String(price),
+      qty: String(qty),
+      position_qty: String(this.state.positions[order.symbol]?.qty || 0)
+    });
+    if (complete) {
+      this.resolveOrderGroup(order);
+    }
+    this.scheduleSave();
+  }
+
+  /**
+   * After a fill: release held exit legs of an entry, or cancel the
+   * remaining exit once one side of a bracket/OCO has filled
+   */
+  resolveOrderGroup(order) {
+    if (order.order_class === 'simple') return;
+
+    const group = this.orderGroup(order);
+    const isEntry = !order.parent_order_id && order.order_class !== 'oco';
+
+    if (isEntry) {
+      this.releaseLegs(order);
+    } else {
+      group
+        .filter(o => o.id !== order.id && o.side === order.side && OPEN_STATUSES.includes(o.status))
+        .forEach(o => this.closeOrder(o, 'canceled'));
+    }
+  }
+
+  /**
+   * Start an entry's held exit legs, sized to the shares it bought
+   */
+  releaseLegs(entry) {
+    const now = new Date().toISOString();
+    const legs = this.state.orders.filter(leg => leg.parent_order_id === entry.id);
+    legs
+      .filter(leg => leg.status === 'held')
+      .forEach(leg => {
+        leg.qty = entry.filled_qty;
+        leg.status = 'new';
+        leg.updated_at = now;
+        this.emitTradeUpdate('new', leg);
+      });
+    legs.forEach(leg => this.processOrder(leg));
+  }
+
+  closeOrder(order, status) {
+    const now = new Date().toISOString();
+    order.status = status;
+    order.updated_at = now;
+    if (status === 'canceled') order.canceled_at = now;
+    if (status === 'expired') order.expired_at = now;
+    if (status === 'rejected') order.failed_at = now;
+
+    this.emitTradeUpdate(status, order);
+
+    // Closing a partly filled entry still protects the shares it bought; closing any
+    // other unfilled member of a group cancels the rest of it
+    const isEntry = !order.parent_order_id && ['bracket', 'oto'].includes(order.order_class);
+    if (isEntry && parseFloat(order.filled_qty) > 0) {
+      this.releaseLegs(order);
+    } else if (order.order_class !== 'simple') {
+      this.orderGroup(order)
+        .filter(o => o.id !== order.id && OPEN_STATUSES.includes(o.status))
+        .forEach(o => this.closeOrder(o, 'canceled'));
+    }
+    this.scheduleSave();
+  }
+
+  /**
+   * Replace a working order. Like Alpaca, this creates a new order that
+   * replaces the original; unspecified fields carry over.
+   */
+  async replaceOrder(orderId, params = {}) {
+    await this.ready;
+    const original = this.findOrder(orderId);
+    if (!OPEN_STATUSES.includes(original.status)) {
+      throw brokerError(422, 42210000, `order is already in "${original.status}" state`);
+    }
+
+    const replacement = this.buildOrder({
+      symbol: original.symbol,
+      side: original.side,
+      type: original.type,
+      order_class: original.order_class,
+      qty: params.qty ?? original.qty,
+      time_in_force: params.time_in_force ?? original.time_in_force,
+      limit_price: params.limit_price ?? original.limit_price,
+      stop_price: params.stop_price ?? original.stop_price,
+      client_order_id: params.client_order_id,
+      extended_hours: original.extended_hours
+    });
+    replacement.replaces = original.id;
+    replacement.status = original.status === 'held' ? 'held' : 'new';
+    if (original.parent_order_id) {
+      replacement.parent_order_id = original.parent_order_id;
+    }
+    this.validateOrder(replacement, original);
+
+    const now = new Date().toISOString();
+    original.status = 'replaced';
+    original.replaced_at = now;
+    original.replaced_by = replacement.id;
+    original.updated_at = now;
+
+    // Exit legs follow their entry to the replacement order
+    this.state.orders
+      .filter(o => o.parent_order_id === original.id)
+      .forEach(leg => { leg.parent_order_id = replacement.id; });
+
+    this.state.orders.push(replacement);
+    this.emitTradeUpdate('replaced', original);
+    if (replacement.status !== 'held') {
+      this.emitTradeUpdate('new', replacement);
+    }
+    this.processOrder(replacement);
+    this.scheduleSave();
+
+    return this.formatOrder(replacement);
+  }
+
+  async cancelOrder(orderId) {
+    await this.ready;
+    const order = this.findOrder(orderId);
+    if (!OPEN_STATUSES.includes(order.status)) {
+      throw brokerError(422, 42210000, `order is already in "${order.status}" state`);
+    }
+    this.closeOrder(order, 'canceled');
+  }
+
+  async cancelAllOrders() {
+    await this.ready;
+    return this.state.orders
+      .filter(order => OPEN_STATUSES.includes(order.status))
+      .map(order => {
+        this.closeOrder(order, 'canceled');
+        return { id: order.id, status: 200 };
+      });
+  }
+
+  emitTradeUpdate(event, order, extra = {}) {
+    this.emit('trade_update', {
+      event,
+      order: { ...order },
+      timestamp: new Date().toISOString(),
+      ...extra
+    });
+  }
+
+  // Market data
+
+  /**
+   * Any well-formed ticker is tradable against synthetic prices; with a
+   * recorded price file only the recorded symbols exist
+   */
+  async getAsset(symbol) {
+    await this.ready;
+    const upperSymbol = String(symbol || '').toUpperCase();
+    const recorded = Object.keys(this.recordedPrices);
+    if (!/^[A-Z][A-Z.]{0,5}$/.test(upperSymbol) || (recorded.length > 0 && !this.recordedPrices[upperSymbol])) {
+      throw brokerError(404, 40410000, `asset not found for ${upperSymbol}`);
+    }
+    return {
+      id: upperSymbol,
+      class: 'us_equity',
+      exchange: 'SIM',
+      symbol: upperSymbol,
+      name: upperSymbol,
+      status: 'active',
+      tradable: true,
+      fractionable: false
+    };
+  }
+
+  async getLatestTrade(symbol) {
+    await this.ready;
+    const upperSymbol = symbol.toUpperCase();
+    const price = this.currentPrice(upperSymbol);
+    return {
+      symbol: upperSymbol,
+      price,
+      size: 100,
+      timestamp: this.prices.get(upperSymbol).timestamp
+    };
+  }
+
+  async getLatestQuote(symbol) {
+    await this.ready;
+    const upperSymbol = symbol.toUpperCase();
+    const { bid, ask } = this.currentQuote(upperSymbol);
+    return {
+      symbol: upperSymbol,
+      bidPrice: bid,
+      bidSize: 100,
+      askPrice: ask,
+      askSize: 100,
+      timestamp: this.prices.get(upperSymbol).timestamp
+    };
+  }
+
+  /**
+   * Generate synthetic OHLCV bars that end at the current simulated price
+   */
+  async getBars(symbol, params = {}) {
+    await this.ready;
+    const upperSymbol = symbol.toUpperCase();
+    const step = parseDuration(params.timeframe || '1Day', TIMEFRAME_UNITS, TIMEFRAME_UNITS.Day);
+    const end = params.end ? new Date(params.end).getTime() : Date.now();
+    const start = params.start ? new Date(params.start).getTime() : null;
+    const maxBars = Math.min(parseInt(params.limit, 10) || 100, 10000);
+    const count = start ? Math.min(Math.floor((end - start) / step) + 1, maxBars) : maxBars;
+
+    const random = seededRandom(hashString(`${upperSymbol}:${step}:${Math.floor(end / step)}`));
+    const barVolatility = DAILY_BAR_VOLATILITY * Math.sqrt(step / TIMEFRAME_UNITS.Day);
+    const lastBarTime = Math.floor(end / step) * step;
+    const bars = [];
+    let close = this.currentPrice(upperSymbol);
+
+    for (let i = 0; i < count; i++) {
+      const change = (random() - 0.5) * 2 * barVolatility;
+      const open = Math.max(0.01, close / (1 + change));
+      const high = Math.max(open, close) * (1 + random() * barVolatility);
+      const low = Math.min(open, close) * (1 - random() * barVolatility);
+
+      bars.push({
+        timestamp: new Date(lastBarTime - i * step).toISOString(),
+        open: round(open, 4),
+        high: round(high, 4),
+        low: round(low, 4),
+        close: round(close, 4),
+        volume: Math.floor(100000 + random() * 900000)
+      });
+      close = open;
+    }
+
+    return bars.reverse();
+  }
+
+  // Portfolio history
+
+  recordEquitySnapshot() {
+    const history = this.state.equityHistory;
+    const last = history[history.length - 1];
+    if (last && Date.now() - last.timestamp < EQUITY_SNAPSHOT_INTERVAL) return;
+
+    const longMarketValue = Object.entries(this.state.positions)
+      .reduce((sum, [symbol, position]) => sum + position.qty * this.currentPrice(symbol), 0);
+
+    history.push({ timestamp: Date.now(), equity: round(this.state.cash + longMarketValue) });
+    if (history.length > MAX_EQUITY_SNAPSHOTS) {
+      history.splice(0, history.length - MAX_EQUITY_SNAPSHOTS);
+    }
+  }
+
+  async getPortfolioHistory(params = {}) {
+    await this.ready;
+    this.recordEquitySnapshot();
+
+    const { period = '1M', timeframe = '1D' } = params;
+    const since = Date.now() - parseDuration(period, PERIOD_UNITS, PERIOD_UNITS.M);
+    const bucketSize = parseDuration(timeframe, TIMEFRAME_UNITS, TIMEFRAME_UNITS.Day);
+
+    // Keep the last snapshot in each timeframe bucket
+    const buckets = new Map();
+    this.state.equityHistory
+      .filter(point => point.timestamp >= since)
+      .forEach(point => buckets.set(Math.floor(point.timestamp / bucketSize), point));
+
+    const points = Array.from(buckets.values());
+    const baseValue = points.length > 0 ? points[0].equity : this.options.startingCash;
+
+    return {
+      timestamp: points.map(point => Math.floor(point.timestamp / 1000)),
+      equity: points.map(point => point.equity),
+      profit_loss: points.map(point => round(point.equity - baseValue)),
+      profit_loss_pct: points.map(point => (baseValue > 0 ? round((point.equity - baseValue) / baseValue, 6) : 0)),
+      base_value: baseValue,
+      timeframe
+    };
+  }
+
+  // Persistence
+
+  scheduleSave() {
+    if (!this.options.persist || this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.saveState();
+    }, 1000);
+    if (this.saveTimer.unref) this.saveTimer.unref();
+  }
+
+  async saveState() {
+    try {
+      await fs.mkdir(path.dirname(this.options.stateFile), { recursive: true });
+      await fs.writeFile(this.options.stateFile, JSON.stringify(this.state, null, 2));
+    } catch (error) {
+      console.error('Failed to save simulated broker state:', error);
+    }
+  }
+}
+
+module.exports = SimulatedBroker;
+module.exports.brokerError = brokerError;
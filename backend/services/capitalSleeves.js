@@ -0,0 +1,529 @@
+// SIRFA Agent Finance - Capital Sleeves
+// Per-agent capital allocation ledger: attributes orders and fills to the agent that placed them
+
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const broker = require('./brokers');
+
+const MAX_LEDGER = 5000;
+const MAX_ORDERS = 2000;
+const SAVE_DELAY_MS = 500;
+const TERMINAL_STATUSES = ['filled', 'canceled', 'expired', 'rejected', 'replaced', 'done_for_day'];
+
+const today = () => new Date().toISOString().split('T')[0];
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Error raised by sleeve operations with the HTTP status to answer with
+ */
+class CapitalSleeveError extends Error {
+  constructor(statusCode, message, details = null, code = null) {
+    super(message);
+    this.name = 'CapitalSleeveError';
+    this.statusCode = statusCode;
+    this.details = details;
+    this.code = code;
+  }
+}
+
+class CapitalSleeveService {
+  constructor() {
+    this.state = { sleeves: {}, orders: {}, ledger: [] };
+    this.saveTimer = null;
+    this.dataFilePath = path.join(__dirname, '..', 'data', 'capital-sleeves.json');
+    this.ready = this.loadState();
+
+    // Fills on attributed orders (including bracket exit legs) move sleeve cash and positions
+    broker.on('trade_update', ({ order, price }) => {
+      this.ready.then(() => this.applyOrderUpdate(order, price));
+    });
+  }
+
+  /**
+   * Load the ledger from file
+   */
+  async loadState() {
+    try {
+      const data = await fs.readFile(this.dataFilePath, 'utf8');
+      this.state = { sleeves: {}, orders: {}, ledger: [], ...JSON.parse(data) };
+    } catch (error) {
+      // File doesn't exist or is corrupted, start fresh
+    }
+  }
+
+  /**
+   * Save the ledger to file, coalescing bursts of fills
+   */
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(async () => {
+      this.saveTimer = null;
+      try {
+        await fs.mkdir(path.dirname(this.dataFilePath), { recursive: true });
+        await fs.writeFile(this.dataFilePath, JSON.stringify(this.state, null, 2));
+      } catch (error) {
+        console.error('Failed to save capital sleeves:', error);
+      }
+    }, SAVE_DELAY_MS);
+    this.saveTimer.unref?.();
+  }
+
+  addLedgerEntry(entry) {
+    this.state.ledger.push({ id: uuidv4(), timestamp: new Date().toISOString(), ...entry });
+    if (this.state.ledger.length > MAX_LEDGER) {
+      this.state.ledger.splice(0, this.state.ledger.length - MAX_LEDGER);
+    }
+  }
+
+  hasSleeve(agentId) {
+    return !!(agentId && this.state.sleeves[agentId]);
+  }
+
+  /**
+   * Agent an order is attributed to, if any
+   */
+  ownerOf(orderId) {
+    return this.state.orders[orderId]?.agentId || null;
+  }
+
+  /**
+   * Capital already committed to sleeves
+   */
+  totalAllocated() {
+    return Object.values(this.state.sleeves).reduce((sum, sleeve) => sum + sleeve.allocated, 0);
+  }
+
+  /**
+   * Move account capital into an agent's sleeve
+   * @param {string} agentId - Agent profile ID
+   * @param {number} amount - Dollars to allocate
+   * @param {string} actor - Who made the allocation
+   * @throws {CapitalSleeveError} 400 when the account cannot cover the allocation
+   */
+  async allocate(agentId, amount, actor = 'unknown') {
+    await this.ready;
+
+    const account = await broker.getAccount();
+    const equity = parseFloat(account.equity || account.portfolio_value);
+    const unallocated = equity - this.totalAllocated();
+    if (amount > unallocated) {
+      throw new CapitalSleeveError(
+        400,
+        'Insufficient unallocated capital',
+        `Requested $${round(amount)} but only $${round(Math.max(0, unallocated))} of account equity is unallocated`,
+        'INSUFFICIENT_CAPITAL'
+      );
+    }
+
+    const now = new Date().toISOString();
+    const sleeve = this.state.sleeves[agentId] || {
+      agentId,
+      allocated: 0,
+      cash: 0,
+      realizedPL: 0,
+      positions: {},
+      highWaterMark: 0,
+      dayStart: { date: today(), equity: 0 },
+      createdAt: now
+    };
+    sleeve.allocated += amount;
+    sleeve.cash += amount;
+    sleeve.updatedAt = now;
+    this.shiftBaselines(sleeve, amount);
+    this.state.sleeves[agentId] = sleeve;
+
+    this.addLedgerEntry({ agentId, type: 'allocate', amount, actor });
+    this.scheduleSave();
+    console.log(`Allocated $${round(amount)} to ${agentId} by ${actor}`);
+    return this.getSleeve(agentId);
+  }
+
+  /**
+   * Return uninvested sleeve cash to the account
+   * @throws {CapitalSleeveError} 404 without a sleeve, 400 when the sleeve's free cash is short
+   */
+  async withdraw(agentId, amount, actor = 'unknown') {
+    await this.ready;
+
+    const sleeve = this.state.sleeves[agentId];
+    if (!sleeve) {
+      throw new CapitalSleeveError(404, 'Agent has no capital sleeve');
+    }
+
+    const available = sleeve.cash - this.reservedCash(agentId);
+    if (amount > available) {
+      throw new CapitalSleeveError(
+        400,
+        'Insufficient sleeve cash',
+        `Requested $${round(amount)} but only $${round(Math.max(0, available))} is uninvested and not reserved by open orders`,
+        'INSUFFICIENT_SLEEVE_CASH'
+      );
+    }
+
+    sleeve.allocated -= amount;
+    sleeve.cash -= amount;
+    sleeve.updatedAt = new Date().toISOString();
+    this.shiftBaselines(sleeve, -amount);
+
+    this.addLedgerEntry({ agentId, type: 'withdraw', amount, actor });
+    this.scheduleSave();
+    console.log(`Withdrew $${round(amount)} from ${agentId} by ${actor}`);
+    return this.getSleeve(agentId);
+  }
+
+  // Capital moves are not gains or losses for drawdown and daily loss
+  shiftBaselines(sleeve, amount) {
+    sleeve.highWaterMark = Math.max(0, sleeve.highWaterMark + amount);
+    if (sleeve.dayStart.date === today()) {
+      sleeve.dayStart.equity = Math.max(0, sleeve.dayStart.equity + amount);
+    }
+  }
+
+  /**
+   * Attribute a submitted order (and its bracket legs) to an agent's sleeve.
+   * Fills already visible on the order are applied immediately.
+   */
+  async attributeOrder(order, agentId, estimatedPrice = null) {
+    await this.ready;
+    if (!order || !this.hasSleeve(agentId)) return;
+
+    // Bracket/OCO/OTO members share a group so their exits are counted once
+    const groupId = (order.legs || []).length > 0 ? order.id : null;
+    for (const entry of [order, ...(order.legs || [])]) {
+      // A replacement keeps its original's attribution (see applyOrderUpdate)
+      const replacesTracked = entry.replaces && this.state.orders[entry.replaces];
+      if (!this.state.orders[entry.id] && !replacesTracked) {
+        this.state.orders[entry.id] = {
+          agentId,
+          symbol: entry.symbol,
+          side: entry.side,
+          groupId,
+          qty: parseFloat(entry.qty),
+          filledQty: 0,
+          estimatedPrice: parseFloat(entry.limit_price) || estimatedPrice,
+          open: true
+        };
+      }
+      this.applyOrderUpdate(entry);
+    }
+
+    // Fills reported before the order was attributed were skipped, so catch up
+    // from the broker's current view of any member still working
+    const members = [order, ...(order.legs || [])];
+    if (members.some(entry => !TERMINAL_STATUSES.includes(entry.status))) {
+      try {
+        const latest = await broker.getOrder(order.id);
+        for (const entry of [latest, ...(latest.legs || [])]) {
+          this.applyOrderUpdate(entry);
+        }
+      } catch (error) {
+        console.warn(`Failed to refresh order ${order.id} for ${agentId}'s sleeve:`, error.message);
+      }
+    }
+    this.pruneOrders();
+    this.scheduleSave();
+  }
+
+  /**
+   * Apply the filled quantity not yet booked for an attributed order
+   */
+  applyOrderUpdate(order, fillPrice = null) {
+    if (!order) return;
+
+    // A replacement order stays with the agent that owned the original
+    let tracked = this.state.orders[order.id];
+    const original = order.replaces && this.state.orders[order.replaces];
+    if (!tracked && original) {
+      tracked = this.state.orders[order.id] = {
+        ...original,
+        qty: parseFloat(order.qty),
+        filledQty: 0,
+        estimatedPrice: parseFloat(order.limit_price) || original.estimatedPrice,
+        open: true
+      };
+    }
+    if (!tracked) return;
+
+    const sleeve = this.state.sleeves[tracked.agentId];
+    const filledQty = parseFloat(order.filled_qty) || 0;
+    const newQty = filledQty - tracked.filledQty;
+
+    if (sleeve && newQty > 0) {
+      const price = parseFloat(fillPrice) || parseFloat(order.filled_avg_price);
+      const realized = this.applyFill(sleeve, order.symbol, order.side, newQty, price);
+      tracked.filledQty = filledQty;
+      this.addLedgerEntry({
+        agentId: tracked.agentId,
+        type: 'fill',
+        orderId: order.id,
+        symbol: order.symbol,
+        side: order.side,
+        qty: newQty,
+        price,
+        amount: round(newQty * price),
+        realizedPL: round(realized)
+      });
+    }
+
+    if (TERMINAL_STATUSES.includes(order.status)) {
+      tracked.open = false;
+    }
+    this.scheduleSave();
+  }
+
+  /**
+   * Book a fill against the sleeve with average-cost accounting
+   * @returns {number} - Realized profit or loss
+   */
+  applyFill(sleeve, symbol, side, qty, price) {
+    const signedQty = side === 'buy' ? qty : -qty;
+    const position = sleeve.positions[symbol] || { qty: 0, avgPrice: 0 };
+    let realized = 0;
+
+    sleeve.cash -= signedQty * price;
+
+    if (position.qty === 0 || Math.sign(position.qty) === Math.sign(signedQty)) {
+      const totalQty = Math.abs(position.qty) + qty;
+      position.avgPrice = (Math.abs(position.qty) * position.avgPrice + qty * price) / totalQty;
+    } else {
+      const closingQty = Math.min(qty, Math.abs(position.qty));
+      realized = closingQty * (price - position.avgPrice) * Math.sign(position.qty);
+      if (qty > Math.abs(position.qty)) {
+        position.avgPrice = price;
+      }
+    }
+    position.qty += signedQty;
+
+    if (Math.abs(position.qty) < 1e-9) {
+      delete sleeve.positions[symbol];
+    } else {
+      sleeve.positions[symbol] = position;
+    }
+    sleeve.realizedPL += realized;
+    sleeve.updatedAt = new Date().toISOString();
+    return realized;
+  }
+
+  pruneOrders() {
+    const ids = Object.keys(this.state.orders);
+    for (const id of ids.slice(0, Math.max(0, ids.length - MAX_ORDERS))) {
+      if (!this.state.orders[id].open) delete this.state.orders[id];
+    }
+  }
+
+  /**
+   * Cash held back for the sleeve's open, unfilled buy orders
+   * @param {string} excludeOrderId - An order being replaced, whose cash the replacement takes over
+   */
+  reservedCash(agentId, excludeOrderId = null) {
+    return Object.entries(this.state.orders)
+      .filter(([orderId, order]) => orderId !== excludeOrderId && order.open && order.agentId === agentId && order.side === 'buy')
+      .reduce((sum, [, order]) => sum + (order.qty - order.filledQty) * (order.estimatedPrice || 0), 0);
+  }
+
+  /**
+   * Open sells of an agent on a symbol, one entry per order or bracket/OCO group.
+   * A group's exits cover the same shares, so it counts at its larger remaining quantity.
+   * @param {string} excludeKey - Order or group being replaced, whose shares the replacement takes over
+   * @returns {Array} - { groupId, qty, orderIds }, oldest first
+   */
+  pendingSells(agentId, symbol, excludeKey = null) {
+    const groups = new Map();
+    for (const [orderId, order] of Object.entries(this.state.orders)) {
+      if (!order.open || order.agentId !== agentId || order.side !== 'sell' || order.symbol !== symbol) continue;
+      const key = order.groupId || orderId;
+      if (key === excludeKey) continue;
+      const group = groups.get(key) || { groupId: order.groupId || null, qty: 0, orderIds: [] };
+      group.qty = Math.max(group.qty, order.qty - order.filledQty);
+      group.orderIds.push(orderId);
+      groups.set(key, group);
+    }
+    return Array.from(groups.values());
+  }
+
+  /**
+   * Check an order against the agent's sleeve before it is submitted
+   * @param {Object} orderParams - Broker order parameters
+   * @param {string} agentId - Agent placing the order
+   * @param {number} price - Sizing price for the order
+   * @param {Object} options - replacing: ID of the order this one replaces, whose
+   *   reserved cash or shares it takes over
+   * @returns {Promise<Object>} - { releaseOrderIds }: an exit order of each bracket/OCO
+   *   the sell closes instead, to cancel before it is submitted
+   * @throws {CapitalSleeveError} 400 when the sleeve cannot cover the order
+   */
+  async checkOrder(orderParams, agentId, price, { replacing = null } = {}) {
+    await this.ready;
+    const sleeve = this.state.sleeves[agentId];
+    if (!sleeve) return { releaseOrderIds: [] };
+
+    const qty = parseFloat(orderParams.qty);
+    if (orderParams.side === 'buy') {
+      const buyingPower = sleeve.cash - this.reservedCash(agentId, replacing);
+      const orderValue = qty * price;
+      if (orderValue > buyingPower) {
+        throw new CapitalSleeveError(
+          400,
+          'Insufficient sleeve buying power',
+          `Order value $${round(orderValue)} exceeds ${agentId}'s sleeve buying power of $${round(Math.max(0, buyingPower))}`,
+          'SLEEVE_BUYING_POWER'
+        );
+      }
+      return { releaseOrderIds: [] };
+    }
+
+    // Agents may only sell what their sleeve holds, less shares already being sold.
+    // Shares held back by bracket/OCO exits are freed by closing those exits.
+    const held = sleeve.positions[orderParams.symbol]?.qty || 0;
+    const replaced = replacing && this.state.orders[replacing];
+    const pending = this.pendingSells(agentId, orderParams.symbol, replaced ? (replaced.groupId || replacing) : null);
+    const pendingQty = pending.reduce((sum, group) => sum + group.qty, 0);
+    let available = held - pendingQty;
+    const releaseOrderIds = [];
+    for (const group of pending.filter(group => group.groupId)) {
+      if (qty <= available) break;
+      available += group.qty;
+      // Canceling one exit of a group cancels the rest of it
+      releaseOrderIds.push(group.orderIds[0]);
+    }
+
+    if (qty > available) {
+      throw new CapitalSleeveError(
+        400,
+        'Sell exceeds sleeve position',
+        `${agentId}'s sleeve holds ${held} ${orderParams.symbol} with ${pendingQty} already being sold`,
+        'SLEEVE_POSITION'
+      );
+    }
+    return { releaseOrderIds };
+  }
+
+  /**
+   * Last prices for the symbols a sleeve holds, from the account's positions
+   */
+  async getMarketPrices() {
+    try {
+      const positions = await broker.getPositions();
+      return Object.fromEntries(positions.map(position => [position.symbol, parseFloat(position.current_price)]));
+    } catch (error) {
+      console.warn('Could not price sleeve positions:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Sleeve valued at current prices, with buying power and risk metrics
+   * @returns {Promise<Object|null>} - null when the agent has no sleeve
+   */
+  async getSleeve(agentId, prices = null) {
+    await this.ready;
+    const sleeve = this.state.sleeves[agentId];
+    if (!sleeve) return null;
+
+    const marketPrices = prices || await this.getMarketPrices();
+    const positions = Object.entries(sleeve.positions).map(([symbol, position]) => {
+      const currentPrice = marketPrices[symbol] || position.avgPrice;
+      return {
+        symbol,
+        qty: position.qty,
+        avgPrice: round(position.avgPrice),
+        currentPrice,
+        marketValue: round(position.qty * currentPrice),
+        unrealizedPL: round(position.qty * (currentPrice - position.avgPrice))
+      };
+    });
+
+    const positionsValue = positions.reduce((sum, position) => sum + position.marketValue, 0);
+    const equity = sleeve.cash + positionsValue;
+
+    // Track the high water mark and the day's opening equity as the sleeve is valued
+    if (equity > sleeve.highWaterMark) sleeve.highWaterMark = equity;
+    if (sleeve.dayStart.date !== today()) {
+      sleeve.dayStart = { date: today(), equity };
+      this.scheduleSave();
+    }
+
+    const reserved = this.reservedCash(agentId);
+    const unrealizedPL = positions.reduce((sum, position) => sum + position.unrealizedPL, 0);
+    return {
+      agentId,
+      allocated: round(sleeve.allocated),
+      cash: round(sleeve.cash),
+      reservedCash: round(reserved),
+      buyingPower: round(Math.max(0, sleeve.cash - reserved)),
+      positionsValue: round(positionsValue),
+      equity: round(equity),
+      realizedPL: round(sleeve.realizedPL),
+      unrealizedPL: round(unrealizedPL),
+      totalReturn: sleeve.allocated > 0 ? (equity - sleeve.allocated) / sleeve.allocated : 0,
+      highWaterMark: round(sleeve.highWaterMark),
+      drawdown: sleeve.highWaterMark > 0 ? Math.max(0, (sleeve.highWaterMark - equity) / sleeve.highWaterMark) : 0,
+      dayChange: round(equity - sleeve.dayStart.equity),
+      dailyLoss: sleeve.dayStart.equity > 0 ? Math.max(0, (sleeve.dayStart.equity - equity) / sleeve.dayStart.equity) : 0,
+      positions,
+      createdAt: sleeve.createdAt,
+      updatedAt: sleeve.updatedAt
+    };
+  }
+
+  /**
+   * Every sleeve plus the account capital not allocated to any agent
+   */
+  async getAllSleeves() {
+    await this.ready;
+    const prices = await this.getMarketPrices();
+    const sleeves = [];
+    for (const agentId of Object.keys(this.state.sleeves)) {
+      sleeves.push(await this.getSleeve(agentId, prices));
+    }
+
+    const account = await broker.getAccount();
+    const equity = parseFloat(account.equity || account.portfolio_value);
+    return {
+      accountEquity: round(equity),
+      totalAllocated: round(this.totalAllocated()),
+      unallocated: round(Math.max(0, equity - this.totalAllocated())),
+      sleeves
+    };
+  }
+
+  /**
+   * The sleeve in the shape risk management expects for portfolio data
+   * @returns {Promise<Object|null>} - null when the agent has no sleeve
+   */
+  async getPortfolioData(agentId) {
+    const sleeve = await this.getSleeve(agentId);
+    if (!sleeve) return null;
+
+    const openingEquity = sleeve.equity - sleeve.dayChange;
+    return {
+      totalValue: sleeve.equity,
+      buyingPower: sleeve.buyingPower,
+      dayChange: sleeve.dayChange,
+      dayChangePercent: openingEquity > 0 ? (sleeve.dayChange / openingEquity) * 100 : 0,
+      highWaterMark: sleeve.highWaterMark,
+      positions: sleeve.positions.map(position => ({
+        symbol: position.symbol,
+        qty: position.qty,
+        market_value: position.marketValue,
+        unrealized_pl: position.unrealizedPL
+      })),
+      sleeve: true
+    };
+  }
+
+  /**
+   * Ledger entries for an agent, newest first
+   */
+  async getLedger(agentId, limit = 100) {
+    await this.ready;
+    return this.state.ledger
+      .filter(entry => entry.agentId === agentId)
+      .slice(-limit)
+      .reverse();
+  }
+}
+
+module.exports = new CapitalSleeveService();
+module.exports.CapitalSleeveError = CapitalSleeveError;
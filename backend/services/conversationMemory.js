@@ -0,0 +1,472 @@
+// SIRFA Agent Finance - Conversation Memory
+// Persisted chat sessions and messages, rolling summaries of older turns and per-user memory facts
+
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const llm = require('./llm');
+const qwenService = require('./qwenService');
+const { getAgentProfile } = require('./agentRegistry');
+const guardrails = require('./guardrails');
+const { UNTRUSTED_CONTENT_RULE } = require('../config/promptTemplates');
+
+const SAVE_DELAY_MS = 500;
+const SESSION_IDLE_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_SESSIONS = 1000;
+const MAX_MESSAGES_PER_SESSION = 500;
+const MAX_FACTS_PER_USER = 50;
+const MAX_FACT_LENGTH = 200;
+const MAX_EXTRACTED_FACTS = 3;
+const MAX_SUMMARY_LENGTH = 2000;
+// Older exchanges are folded into the summary once this many have left the recent window
+const SUMMARY_BATCH = 5;
+const MAX_SUMMARY_INPUT = 20;
+const MAX_SUMMARY_MESSAGE_LENGTH = 500;
+const DEFAULT_USER = 'default';
+
+// Statements that usually carry a lasting preference or fact about the user
+const MEMORY_PATTERNS = [
+  /\b(?:i|we) (?:don'?t|do not|never|won'?t|will not|wouldn'?t|would not) (?:want|like|buy|own|hold|invest|trade)/i,
+  /\b(?:avoid|exclude|stay away from|keep me out of)\b/i,
+  /\b(?:i|we) (?:prefer|only|always|would rather)\b/i,
+  /\bmy (?:goals?|horizon|risk tolerance|budget|age|retirement|income)\b/i,
+  /\b(?:i am|i'm) (?:retired|retiring|saving|\d)/i,
+  /\bremember (?:that|this)\b/i
+];
+
+const MEMORY_FACTS_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'MemoryFacts',
+  type: 'object',
+  additionalProperties: false,
+  required: ['facts'],
+  properties: {
+    facts: {
+      type: 'array',
+      maxItems: MAX_EXTRACTED_FACTS,
+      items: { type: 'string', minLength: 3, maxLength: MAX_FACT_LENGTH }
+    }
+  }
+};
+
+/**
+ * Error raised by memory operations with the HTTP status to answer with
+ */
+class ConversationMemoryError extends Error {
+  constructor(statusCode, message, details = null, code = null) {
+    super(message);
+    this.name = 'ConversationMemoryError';
+    this.statusCode = statusCode;
+    this.details = details;
+    this.code = code;
+  }
+}
+
+/**
+ * Validate MEMORY_FACTS_SCHEMA output
+ * @returns {Object} - { valid, errors, decision: trimmed facts }
+ */
+function validateMemoryFacts(candidate) {
+  if (!candidate || typeof candidate !== 'object' || Array.isArray(candidate)) {
+    return { valid: false, errors: ['Response must be a JSON object'], decision: null };
+  }
+
+  const errors = [];
+  if (!Array.isArray(candidate.facts)) {
+    errors.push('facts must be an array');
+  } else {
+    if (candidate.facts.length > MAX_EXTRACTED_FACTS) {
+      errors.push(`facts must have at most ${MAX_EXTRACTED_FACTS} items`);
+    }
+    candidate.facts.forEach((fact, index) => {
+      if (typeof fact !== 'string' || fact.trim().length < 3) {
+        errors.push(`facts[${index}] must be a sentence`);
+      } else if (fact.length > MAX_FACT_LENGTH) {
+        errors.push(`facts[${index}] must be at most ${MAX_FACT_LENGTH} characters`);
+      }
+    });
+  }
+
+  return errors.length > 0
+    ? { valid: false, errors, decision: null }
+    : { valid: true, errors: [], decision: candidate.facts.map(fact => fact.trim()) };
+}
+
+class ConversationMemoryService {
+  constructor() {
+    this.state = { sessions: {}, messages: {}, facts: {} };
+    this.saveTimer = null;
+    // Memory updates run after the reply, one at a time per session
+    this.pendingUpdates = new Map();
+    this.dataFilePath = path.join(__dirname, '..', 'data', 'agent-conversations.json');
+    this.ready = this.loadState();
+
+    // Mark idle sessions inactive and drop those past retention (run every hour)
+    this.cleanupTimer = setInterval(() => this.expireSessions(), SESSION_IDLE_MS);
+    this.cleanupTimer.unref?.();
+  }
+
+  /**
+   * Load sessions, messages and facts from file
+   */
+  async loadState() {
+    try {
+      const data = await fs.readFile(this.dataFilePath, 'utf8');
+      this.state = { sessions: {}, messages: {}, facts: {}, ...JSON.parse(data) };
+    } catch (error) {
+      // File doesn't exist or is corrupted, start fresh
+    }
+  }
+
+  /**
+   * Save state to file, coalescing bursts of writes
+   */
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(async () => {
+      this.saveTimer = null;
+      try {
+        await fs.mkdir(path.dirname(this.dataFilePath), { recursive: true });
+        await fs.writeFile(this.dataFilePath, JSON.stringify(this.state, null, 2));
+      } catch (error) {
+        console.error('Failed to save conversation memory:', error);
+      }
+    }, SAVE_DELAY_MS);
+    this.saveTimer.unref?.();
+  }
+
+  /**
+   * Create a session
+   * @param {string} agentId - Agent profile ID
+   * @param {string} userId - User the session belongs to
+   * @returns {Promise<Object>} - The session
+   */
+  async createSession(agentId, userId = DEFAULT_USER) {
+    await this.ready;
+    const now = new Date().toISOString();
+    const sessionId = `${agentId}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const session = {
+      sessionId,
+      agentId,
+      userId: userId || DEFAULT_USER,
+      startTime: now,
+      lastActivity: now,
+      endTime: null,
+      active: true,
+      summary: '',
+      summarizedCount: 0
+    };
+
+    this.state.sessions[sessionId] = session;
+    this.state.messages[sessionId] = [];
+    this.evictOldestSessions();
+    this.scheduleSave();
+    return session;
+  }
+
+  async getSession(sessionId) {
+    await this.ready;
+    return (sessionId && this.state.sessions[sessionId]) || null;
+  }
+
+  /**
+   * Messages of a session, oldest first
+   */
+  async getMessages(sessionId) {
+    await this.ready;
+    return this.state.messages[sessionId] || [];
+  }
+
+  /**
+   * An agent's sessions, most recently active first
+   * @param {string} agentId - Agent profile ID
+   * @param {Object} filter - userId (optional), limit
+   * @returns {Promise<Array>} - Sessions with messageCount and a preview of the first message
+   */
+  async listSessions(agentId, { userId = null, limit = 50 } = {}) {
+    await this.ready;
+    return Object.values(this.state.sessions)
+      .filter(session => session.agentId === agentId && (!userId || session.userId === userId))
+      .sort((a, b) => new Date(b.lastActivity) - new Date(a.lastActivity))
+      .slice(0, limit)
+      .map(session => {
+        const messages = this.state.messages[session.sessionId] || [];
+        return {
+          ...session,
+          messageCount: messages.length,
+          preview: messages[0]?.userMessage?.substring(0, 100) || null
+        };
+      });
+  }
+
+  /**
+   * Append an exchange to a session; unknown sessions are ignored
+   * @returns {Promise<Object|null>} - The session, or null
+   */
+  async appendExchange(sessionId, entry) {
+    await this.ready;
+    const session = this.state.sessions[sessionId];
+    if (!session) {
+      return null;
+    }
+
+    const messages = this.state.messages[sessionId] || (this.state.messages[sessionId] = []);
+    messages.push(entry);
+    if (messages.length > MAX_MESSAGES_PER_SESSION) {
+      const dropped = messages.length - MAX_MESSAGES_PER_SESSION;
+      messages.splice(0, dropped);
+      session.summarizedCount = Math.max(0, session.summarizedCount - dropped);
+    }
+    session.lastActivity = entry.timestamp;
+    session.active = !session.endTime;
+    this.scheduleSave();
+    return session;
+  }
+
+  /**
+   * Mark a session ended; its messages and summary are kept
+   */
+  async endSession(sessionId) {
+    await this.ready;
+    const session = this.state.sessions[sessionId];
+    if (session) {
+      session.active = false;
+      session.endTime = new Date().toISOString();
+      this.scheduleSave();
+    }
+  }
+
+  expireSessions() {
+    const now = Date.now();
+    const retentionMs = config.agentChat.retentionDays * DAY_MS;
+    for (const [sessionId, session] of Object.entries(this.state.sessions)) {
+      const idleMs = now - new Date(session.lastActivity).getTime();
+      if (idleMs > retentionMs) {
+        delete this.state.sessions[sessionId];
+        delete this.state.messages[sessionId];
+      } else if (idleMs > SESSION_IDLE_MS) {
+        session.active = false;
+      }
+    }
+    this.scheduleSave();
+  }
+
+  evictOldestSessions() {
+    const sessions = Object.values(this.state.sessions);
+    if (sessions.length <= MAX_SESSIONS) return;
+
+    sessions
+      .sort((a, b) => new Date(a.lastActivity) - new Date(b.lastActivity))
+      .slice(0, sessions.length - MAX_SESSIONS)
+      .forEach(session => {
+        delete this.state.sessions[session.sessionId];
+        delete this.state.messages[session.sessionId];
+      });
+  }
+
+  /**
+   * Memory facts the user has shared, oldest first
+   */
+  async getFacts(userId = DEFAULT_USER) {
+    await this.ready;
+    return this.state.facts[userId || DEFAULT_USER] || [];
+  }
+
+  /**
+   * Remember a fact about a user. A fact already known (ignoring case) is not added twice.
+   * @param {string} userId - User the fact is about
+   * @param {string} fact - Short statement, e.g. "Does not want tobacco stocks"
+   * @param {Object} origin - source ('user' or 'conversation'), agentId, sessionId
+   * @returns {Promise<Object>} - The stored fact
+   * @throws {ConversationMemoryError} - When the fact is empty or too long
+   */
+  async addFact(userId, fact, { source = 'user', agentId = null, sessionId = null } = {}) {
+    await this.ready;
+    const text = typeof fact === 'string' ? fact.trim() : '';
+    if (text.length < 3 || text.length > MAX_FACT_LENGTH) {
+      throw new ConversationMemoryError(400, `fact must be between 3 and ${MAX_FACT_LENGTH} characters`, null, 'INVALID_MEMORY_FACT');
+    }
+
+    const key = userId || DEFAULT_USER;
+    const facts = this.state.facts[key] || (this.state.facts[key] = []);
+    const existing = facts.find(candidate => candidate.fact.toLowerCase() === text.toLowerCase());
+    if (existing) {
+      return existing;
+    }
+
+    const stored = { id: uuidv4(), fact: text, source, agentId, sessionId, createdAt: new Date().toISOString() };
+    facts.push(stored);
+    if (facts.length > MAX_FACTS_PER_USER) {
+      facts.splice(0, facts.length - MAX_FACTS_PER_USER);
+    }
+    this.scheduleSave();
+    return stored;
+  }
+
+  /**
+   * Forget a fact
+   * @throws {ConversationMemoryError} - When the user has no such fact
+   */
+  async removeFact(userId, factId) {
+    await this.ready;
+    const facts = this.state.facts[userId || DEFAULT_USER] || [];
+    const index = facts.findIndex(fact => fact.id === factId);
+    if (index === -1) {
+      throw new ConversationMemoryError(404, 'Memory fact not found', { factId }, 'MEMORY_FACT_NOT_FOUND');
+    }
+    const [removed] = facts.splice(index, 1);
+    this.scheduleSave();
+    return removed;
+  }
+
+  /**
+   * What the model is given about earlier turns: the rolling summary, the
+   * recent exchanges it does not cover and the user's memory facts
+   * @param {string} sessionId - Chat session, optional
+   * @param {string} userId - Used when there is no session
+   * @returns {Promise<Object>} - { recentMessages, conversationSummary, memoryFacts }
+   */
+  async getContext(sessionId, userId = DEFAULT_USER) {
+    await this.ready;
+    const session = this.state.sessions[sessionId];
+    const messages = this.state.messages[sessionId] || [];
+    const facts = await this.getFacts(session?.userId || userId);
+
+    return {
+      recentMessages: messages.slice(-config.agentChat.recentMessages),
+      conversationSummary: session?.summary || '',
+      memoryFacts: facts.map(fact => fact.fact)
+    };
+  }
+
+  /**
+   * Update memory after an exchange without delaying the reply: remember
+   * facts the user stated and fold older turns into the session summary
+   * @returns {Promise<void>} - Settles when the update is done; never rejects
+   */
+  scheduleMemoryUpdate(sessionId, { agentId, userId, userMessage }) {
+    const key = sessionId || `user:${userId}`;
+    const previous = this.pendingUpdates.get(key) || Promise.resolve();
+    const update = previous
+      .then(async () => {
+        if (this.mentionsMemory(userMessage)) {
+          await this.extractFacts(userId, userMessage, { agentId, sessionId });
+        }
+        if (sessionId) {
+          await this.summarizeOlderTurns(sessionId);
+        }
+      })
+      .catch(error => console.warn('Conversation memory update failed:', error.message))
+      .finally(() => {
+        if (this.pendingUpdates.get(key) === update) {
+          this.pendingUpdates.delete(key);
+        }
+      });
+    this.pendingUpdates.set(key, update);
+    return update;
+  }
+
+  /**
+   * Whether a message looks like it states a lasting preference or fact
+   */
+  mentionsMemory(message) {
+    return typeof message === 'string' && MEMORY_PATTERNS.some(pattern => pattern.test(message));
+  }
+
+  /**
+   * Ask the model which lasting facts a user message states and remember them
+   * @returns {Promise<Array>} - Newly stored facts
+   */
+  async extractFacts(userId, userMessage, { agentId = null, sessionId = null } = {}) {
+    if (!llm.isAvailable()) {
+      return [];
+    }
+
+    const known = await this.getFacts(userId);
+    const messages = [
+      {
+        role: 'system',
+        content: `You keep long-term notes about an investor. List lasting facts or preferences the user states about themselves or their investing in the message, e.g. "Does not want tobacco stocks" or "Is saving for retirement in 2040". Only include what the user explicitly said; ignore questions and one-off requests. Write each fact as a short third-person statement and skip facts already known. ${UNTRUSTED_CONTENT_RULE} Return JSON that matches this schema, with an empty list when there is nothing to remember:\n${JSON.stringify(MEMORY_FACTS_SCHEMA)}`
+      },
+      {
+        role: 'user',
+        content: `Known facts:\n${known.map(fact => `- ${fact.fact}`).join('\n') || '(none)'}\n\nUser message:\n${guardrails.markUntrusted(userMessage, 'user message', { agentId, log: false })}`
+      }
+    ];
+
+    let result;
+    try {
+      result = await qwenService.generateValidatedJSON(messages, validateMemoryFacts, {
+        requestOptions: { maxTokens: 300, temperature: 0.1, model: getAgentProfile(agentId)?.model, agentId },
+        label: 'memory fact list'
+      });
+    } catch (error) {
+      console.warn('Memory fact extraction failed:', error.message);
+      return [];
+    }
+
+    const before = new Set(known.map(fact => fact.id));
+    const stored = [];
+    for (const fact of result.value) {
+      const saved = await this.addFact(userId, fact, { source: 'conversation', agentId, sessionId });
+      if (!before.has(saved.id)) {
+        stored.push(saved);
+      }
+    }
+    return stored;
+  }
+
+  /**
+   * Fold exchanges that have left the recent window into the session's
+   * rolling summary, once enough of them have built up
+   * @returns {Promise<boolean>} - Whether the summary was updated
+   */
+  async summarizeOlderTurns(sessionId) {
+    const session = await this.getSession(sessionId);
+    const messages = await this.getMessages(sessionId);
+    if (!session) {
+      return false;
+    }
+
+    const windowStart = messages.length - config.agentChat.recentMessages;
+    if (windowStart - session.summarizedCount < SUMMARY_BATCH || !llm.isAvailable()) {
+      return false;
+    }
+
+    const end = Math.min(windowStart, session.summarizedCount + MAX_SUMMARY_INPUT);
+    const agent = getAgentProfile(session.agentId);
+    const transcript = messages.slice(session.summarizedCount, end)
+      .map(entry => `User: ${entry.userMessage.substring(0, MAX_SUMMARY_MESSAGE_LENGTH)}\n${agent?.name || 'Agent'}: ${entry.agentResponse.substring(0, MAX_SUMMARY_MESSAGE_LENGTH)}`)
+      .join('\n');
+
+    let result;
+    try {
+      result = await llm.chat([
+        {
+          role: 'system',
+          content: `You maintain the running memory of a conversation between an investor and ${agent?.name || 'their investment agent'}. Update the summary with the new exchanges, keeping the user's goals and preferences, holdings and trades discussed, advice given and open questions. Write at most 150 words of plain text and reply with the summary only. ${UNTRUSTED_CONTENT_RULE}`
+        },
+        {
+          role: 'user',
+          content: `Current summary:\n${session.summary || '(none yet)'}\n\nNew exchanges:\n${guardrails.markUntrusted(transcript, 'conversation', { agentId: session.agentId, log: false, maxLength: null })}`
+        }
+      ], { maxTokens: 400, temperature: 0.3, model: agent?.model, agentId: session.agentId });
+    } catch (error) {
+      console.warn('Conversation summary failed, keeping the previous summary:', error.message);
+      return false;
+    }
+
+    session.summary = result.content.trim().substring(0, MAX_SUMMARY_LENGTH);
+    session.summarizedCount = end;
+    session.summaryUpdatedAt = new Date().toISOString();
+    this.scheduleSave();
+    return true;
+  }
+}
+
+module.exports = new ConversationMemoryService();
+module.exports.ConversationMemoryError = ConversationMemoryError;
+module.exports.DEFAULT_USER = DEFAULT_USER;
+module.exports.validateMemoryFacts = validateMemoryFacts;
@@ -0,0 +1,205 @@
+// SIRFA Agent Finance - Decision Traces
+// Audit record of each agent decision: prompt, model, inputs, raw output, risk adjustments and the order placed
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const SAVE_DELAY_MS = 500;
+const MAX_TRACES = 500;
+// Recommendation fields compared to list what the risk checks changed
+const ADJUSTABLE_FIELDS = ['action', 'symbol', 'quantity', 'notional', 'limitPrice', 'stopPrice'];
+
+/**
+ * Error raised by trace lookups with the HTTP status to answer with
+ */
+class DecisionTraceError extends Error {
+  constructor(statusCode, message, details = null, code = null) {
+    super(message);
+    this.name = 'DecisionTraceError';
+    this.statusCode = statusCode;
+    this.details = details;
+    this.code = code;
+  }
+}
+
+class DecisionTraceService {
+  constructor() {
+    this.traces = {};
+    this.saveTimer = null;
+    this.dataFilePath = path.join(__dirname, '..', 'data', 'decision-traces.json');
+    this.ready = this.loadState();
+  }
+
+  /**
+   * Load traces from file
+   */
+  async loadState() {
+    try {
+      const data = await fs.readFile(this.dataFilePath, 'utf8');
+      this.traces = JSON.parse(data).traces || {};
+    } catch (error) {
+      // File doesn't exist or is corrupted, start fresh
+    }
+  }
+
+  /**
+   * Save traces to file, coalescing bursts of writes
+   */
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(async () => {
+      this.saveTimer = null;
+      try {
+        await fs.mkdir(path.dirname(this.dataFilePath), { recursive: true });
+        await fs.writeFile(this.dataFilePath, JSON.stringify({ traces: this.traces }, null, 2));
+      } catch (error) {
+        console.error('Failed to save decision traces:', error);
+      }
+    }, SAVE_DELAY_MS);
+    this.saveTimer.unref?.();
+  }
+
+  /**
+   * Record the trace of a decision
+   * @param {Object} trace - decisionId, agentId, source, analysis (the model's decision with its
+   *   trace from qwenService.requestTradingDecision, or a chat reply's { prompt, toolCalls, reasoning }),
+   *   inputs ({ marketData, portfolio, newsIds }),
+   *   proposedDecision (priced, before risk checks), riskValidation, limits, outputPolicy
+   *   ({ allowed, reasons } from guardrails.checkOrder) and finalDecision
+   * @returns {Promise<Object>} - The stored trace
+   */
+  async record({ decisionId, agentId, source, analysis, inputs, proposedDecision, riskValidation, limits, outputPolicy = null, finalDecision }) {
+    await this.ready;
+    const { trace: modelTrace = null } = analysis;
+    // Chat replies report only the name and version of their prompt template
+    const prompt = modelTrace ? modelTrace.prompt : analysis.prompt;
+
+    const trace = {
+      decisionId,
+      agentId,
+      source,
+      createdAt: new Date().toISOString(),
+      prompt: prompt
+        ? {
+          name: prompt.name,
+          version: prompt.version,
+          assignment: prompt.assignment || null,
+          messages: prompt.messages || null
+        }
+        : null,
+      model: {
+        provider: analysis.provider || null,
+        source: analysis.source || null,
+        model: analysis.model || null,
+        requestOptions: modelTrace?.requestOptions || null,
+        attempts: analysis.attempts || (modelTrace ? 1 : 0)
+      },
+      inputs: {
+        marketData: inputs.marketData,
+        portfolio: inputs.portfolio,
+        quote: proposedDecision.pricing || null,
+        // Articles and tool calls only appear for chat suggestions, whose replies can look them up
+        newsIds: inputs.newsIds || []
+      },
+      toolCalls: analysis.toolCalls || [],
+      rawOutput: modelTrace?.rawOutput ?? null,
+      failedAttempts: modelTrace?.failedAttempts || [],
+      analysis: analysis.analysis || null,
+      riskAssessment: analysis.riskAssessment || null,
+      reasoning: analysis.reasoning || null,
+      evidence: proposedDecision.evidence || [],
+      proposedDecision: { ...proposedDecision },
+      risk: {
+        approved: riskValidation.approved,
+        reason: riskValidation.reason || null,
+        limits,
+        adjustments: this.describeAdjustments(proposedDecision, finalDecision),
+        riskMetrics: riskValidation.riskMetrics || null
+      },
+      outputPolicy,
+      finalDecision: { ...finalDecision },
+      execution: null,
+      orders: []
+    };
+
+    this.traces[decisionId] = trace;
+    this.evictOldest();
+    this.scheduleSave();
+    return trace;
+  }
+
+  /**
+   * Fields the risk checks changed, as { field, from, to }
+   */
+  describeAdjustments(proposed, final) {
+    return ADJUSTABLE_FIELDS
+      .filter(field => (proposed[field] ?? null) !== (final[field] ?? null))
+      .map(field => ({ field, from: proposed[field] ?? null, to: final[field] ?? null }));
+  }
+
+  /**
+   * Drop the oldest traces beyond MAX_TRACES
+   */
+  evictOldest() {
+    const ids = Object.keys(this.traces);
+    if (ids.length <= MAX_TRACES) return;
+
+    ids
+      .sort((a, b) => this.traces[a].createdAt.localeCompare(this.traces[b].createdAt))
+      .slice(0, ids.length - MAX_TRACES)
+      .forEach(id => delete this.traces[id]);
+  }
+
+  /**
+   * Record what became of a decision, e.g. a scheduler cycle's hold, blocked, queued or ordered outcome
+   */
+  async recordExecution(decisionId, execution) {
+    await this.ready;
+    const trace = this.traces[decisionId];
+    if (!trace) return;
+
+    trace.execution = { ...execution, recordedAt: new Date().toISOString() };
+    this.scheduleSave();
+  }
+
+  /**
+   * Add an order placed for a decision (an order execution post-trade hook)
+   */
+  async recordOrder(decisionId, order, source = null) {
+    await this.ready;
+    const trace = this.traces[decisionId];
+    if (!trace) return;
+
+    trace.orders.push({
+      id: order.id,
+      clientOrderId: order.client_order_id,
+      symbol: order.symbol,
+      side: order.side,
+      qty: order.qty,
+      type: order.type,
+      orderClass: order.order_class || 'simple',
+      limitPrice: order.limit_price || null,
+      stopPrice: order.stop_price || null,
+      status: order.status,
+      submittedAt: order.submitted_at || order.created_at || null,
+      source
+    });
+    this.scheduleSave();
+  }
+
+  /**
+   * Get the trace of one of an agent's decisions
+   * @throws {DecisionTraceError} - 404 when there is no trace for the decision
+   */
+  async get(agentId, decisionId) {
+    await this.ready;
+    const trace = this.traces[decisionId];
+    if (!trace || trace.agentId !== agentId) {
+      throw new DecisionTraceError(404, 'No trace recorded for this decision', { agentId, decisionId }, 'TRACE_NOT_FOUND');
+    }
+    return trace;
+  }
+}
+
+module.exports = new DecisionTraceService();
+module.exports.DecisionTraceError = DecisionTraceError;
@@ -0,0 +1,632 @@
+// SIRFA Agent Finance - Execution Algorithms
+// Works large parent orders as child orders over time (TWAP, VWAP) or as iceberg clips
+
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const broker = require('./brokers');
+const config = require('../config');
+const alphaVantageService = require('./alphaVantageService');
+const orderExecution = require('./orderExecution');
+const { buildOrderClassParams } = require('./orderClasses');
+const { OrderExecutionError } = orderExecution;
+
+const ALGORITHMS = ['twap', 'vwap', 'iceberg'];
+const PARENT_ORDER_CLASSES = ['simple', 'bracket'];
+const ACTIVE_STATUSES = ['working', 'paused'];
+const OPEN_CHILD_STATUSES = ['new', 'pending_new', 'accepted', 'partially_filled', 'pending_replace', 'pending_cancel'];
+const TICK_MS = 1000;
+// Children failing with a server or network error are retried with exponential backoff
+const MAX_CHILD_RETRIES = 5;
+const RETRY_BASE_MS = 2000;
+const VWAP_BAR_INTERVAL = '5min';
+
+const exchangeClock = new Intl.DateTimeFormat('en-US', {
+  timeZone: 'America/New_York',
+  hour: '2-digit',
+  minute: '2-digit',
+  hourCycle: 'h23'
+});
+
+// Minutes since midnight, exchange time
+const exchangeMinuteOfDay = (date) => {
+  const parts = Object.fromEntries(exchangeClock.formatToParts(date).map(part => [part.type, part.value]));
+  return parseInt(parts.hour) * 60 + parseInt(parts.minute);
+};
+
+// Split a whole-share quantity across weights, largest remainders first
+const allocateShares = (qty, weights) => {
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  const exact = weights.map(weight => (qty * weight) / total);
+  const shares = exact.map(Math.floor);
+  let remaining = qty - shares.reduce((sum, value) => sum + value, 0);
+  const byRemainder = exact
+    .map((value, index) => ({ index, remainder: value - Math.floor(value) }))
+    .sort((a, b) => b.remainder - a.remainder);
+  for (let i = 0; remaining > 0; i = (i + 1) % byRemainder.length, remaining--) {
+    shares[byRemainder[i].index]++;
+  }
+  return shares;
+};
+
+class ExecutionAlgorithmService extends EventEmitter {
+  constructor() {
+    super();
+    this.parents = new Map();
+    this.timer = null;
+    this.ticking = false;
+    this.dataFilePath = path.join(__dirname, '..', 'data', 'execution-parents.json');
+    this.saving = Promise.resolve();
+    this.ready = this.loadParents();
+
+    // Child fills arrive as broker trade updates where the broker streams them
+    broker.on('trade_update', ({ order }) => this.handleChildUpdate(order));
+  }
+
+  /**
+   * Load parent orders from file and resume the ones still working
+   */
+  async loadParents() {
+    try {
+      const data = await fs.readFile(this.dataFilePath, 'utf8');
+      for (const parent of JSON.parse(data)) {
+        this.parents.set(parent.id, parent);
+      }
+      if ([...this.parents.values()].some(parent => parent.status === 'working')) {
+        this.startTimer();
+      }
+    } catch (error) {
+      // File doesn't exist or is corrupted, start fresh
+    }
+  }
+
+  /**
+   * Save parent orders to file (writes are serialized)
+   */
+  saveParents() {
+    this.saving = this.saving.then(async () => {
+      try {
+        await fs.mkdir(path.dirname(this.dataFilePath), { recursive: true });
+        await fs.writeFile(this.dataFilePath, JSON.stringify([...this.parents.values()], null, 2));
+      } catch (error) {
+        console.error('Failed to save execution parent orders:', error);
+      }
+    });
+    return this.saving;
+  }
+
+  /**
+   * Start a parent order
+   * @param {Object} params - { symbol, qty, side, algorithm, durationMinutes, slices, displayQty, limitPrice,
+   *   orderClass, takeProfit, stopLoss, conflictPolicy, agentId, source }
+   * @returns {Promise<Object>} - Parent order snapshot
+   */
+  async createParentOrder(params) {
+    await this.ready;
+
+    const algorithm = String(params.algorithm || '').toLowerCase();
+    if (!ALGORITHMS.includes(algorithm)) {
+      throw new OrderExecutionError(400, `Invalid algorithm "${params.algorithm}". Expected one of: ${ALGORITHMS.join(', ')}`);
+    }
+
+    const qty = Math.floor(Math.abs(parseFloat(params.qty)));
+    if (!(qty >= 1)) {
+      throw new OrderExecutionError(400, 'Parent order quantity must be at least 1 whole share');
+    }
+
+    const side = String(params.side || '').toLowerCase();
+    if (side !== 'buy' && side !== 'sell') {
+      throw new OrderExecutionError(400, 'side must be "buy" or "sell"');
+    }
+
+    const conflictPolicy = orderExecution.resolvePolicy(params.conflictPolicy);
+    if (conflictPolicy === 'queue') {
+      throw new OrderExecutionError(400, 'Execution algorithms support conflict_policy "cancel" or "reject"');
+    }
+
+    const limitPrice = params.limitPrice != null ? parseFloat(params.limitPrice) : null;
+    if (algorithm === 'iceberg' && !(limitPrice > 0)) {
+      throw new OrderExecutionError(400, 'Iceberg orders require a limit_price');
+    }
+
+    const orderClass = String(params.orderClass || 'simple').toLowerCase();
+    if (!PARENT_ORDER_CLASSES.includes(orderClass)) {
+      throw new OrderExecutionError(400, `Invalid order_class "${params.orderClass}". Execution algorithms support: ${PARENT_ORDER_CLASSES.join(', ')}`);
+    }
+
+    const now = new Date();
+    const parent = {
+      id: uuidv4(),
+      symbol: params.symbol.toUpperCase(),
+      side,
+      qty,
+      algorithm,
+      limitPrice,
+      orderClass,
+      conflictPolicy,
+      agentId: params.agentId || null,
+      source: params.source || 'manual',
+      status: 'working',
+      filledQty: 0,
+      filledAvgPrice: null,
+      children: [],
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString()
+    };
+
+    // Slices are scheduled against the clock, so the regular session must be open
+    const clock = await orderExecution.getSessionClock();
+    if (clock && !clock.isOpen) {
+      throw new OrderExecutionError(409, 'Market is closed', `Execution algorithms only run in the regular session; next open ${clock.nextOpen}`, 'MARKET_CLOSED');
+    }
+
+    // The whole parent must fit the same size limit as a single order
+    const pricing = await orderExecution.priceOrder({
+      symbol: parent.symbol,
+      side,
+      type: limitPrice ? 'limit' : 'market',
+      limit_price: limitPrice
+    });
+    orderExecution.checkPositionSize({ qty }, pricing);
+
+    if (orderClass === 'bracket') {
+      // Check the exits against the current price now rather than failing on the first child
+      const bracket = buildOrderClassParams(
+        { symbol: parent.symbol, qty, side, type: limitPrice ? 'limit' : 'market', time_in_force: 'day' },
+        { order_class: 'bracket', take_profit: params.takeProfit, stop_loss: params.stopLoss },
+        limitPrice || pricing.marketPrice || pricing.price
+      );
+      if (!bracket.valid) {
+        throw new OrderExecutionError(400, 'Invalid order class', bracket.reason, 'INVALID_ORDER_CLASS');
+      }
+      parent.takeProfit = params.takeProfit || null;
+      parent.stopLoss = params.stopLoss || null;
+    }
+
+    if (algorithm === 'iceberg') {
+      const displayQty = Math.floor(parseFloat(params.displayQty));
+      if (!(displayQty >= 1) || displayQty > qty) {
+        throw new OrderExecutionError(400, 'display_qty must be a whole number between 1 and qty');
+      }
+      parent.displayQty = displayQty;
+    } else {
+      const durationMinutes = parseFloat(params.durationMinutes) || config.trading.algoDefaultDurationMinutes;
+      const sliceCount = Math.min(qty, Math.max(1, parseInt(params.slices) || config.trading.algoDefaultSlices));
+      parent.durationMinutes = durationMinutes;
+      parent.schedule = await this.buildSchedule(parent, now, durationMinutes, sliceCount);
+    }
+
+    this.parents.set(parent.id, parent);
+    await this.saveParents();
+    console.log(`Started ${algorithm.toUpperCase()} parent ${parent.id}: ${side} ${qty} ${parent.symbol}`);
+
+    this.publish(parent, 'started');
+    this.startTimer();
+    await this.tick();
+
+    return this.getParentOrder(parent.id);
+  }
+
+  /**
+   * Plan child slice times and sizes. TWAP slices evenly; VWAP weights each
+   * slice by the average historical volume traded in its time-of-day window.
+   */
+  async buildSchedule(parent, start, durationMinutes, sliceCount) {
+    const intervalMs = (durationMinutes * 60 * 1000) / sliceCount;
+    const times = Array.from({ length: sliceCount }, (_, index) => new Date(start.getTime() + index * intervalMs));
+
+    let weights = times.map(() => 1);
+    if (parent.algorithm === 'vwap') {
+      const profile = await this.getVolumeProfile(parent.symbol);
+      const windowMinutes = Math.max(1, intervalMs / 60000);
+      const volumeWeights = times.map(time => {
+        const from = exchangeMinuteOfDay(time);
+        return profile
+          .filter(bucket => bucket.minute >= from && bucket.minute < from + windowMinutes)
+          .reduce((sum, bucket) => sum + bucket.averageVolume, 0);
+      });
+
+      if (volumeWeights.some(weight => weight > 0)) {
+        // Windows with no history still get a token share so the schedule finishes on time
+        const floor = Math.max(...volumeWeights) * 0.05;
+        weights = volumeWeights.map(weight => Math.max(weight, floor));
+        parent.volumeProfile = 'historical';
+      } else {
+        console.warn(`No intraday volume history covers the VWAP window for ${parent.symbol}; slicing evenly`);
+        parent.volumeProfile = 'uniform';
+      }
+    }
+
+    const shares = allocateShares(parent.qty, weights);
+    return times.map((time, index) => ({
+      at: time.toISOString(),
+      qty: shares[index],
+      weight: Math.round((weights[index] / weights.reduce((sum, weight) => sum + weight, 0)) * 10000) / 10000
+    }));
+  }
+
+  /**
+   * Average volume per time-of-day bucket from recent intraday bars
+   * @returns {Promise<Array>} - [{ minute, averageVolume }]
+   */
+  async getVolumeProfile(symbol) {
+    try {
+      const intraday = await alphaVantageService.getIntradayData(symbol, VWAP_BAR_INTERVAL);
+      const buckets = new Map();
+      for (const bar of intraday.data || []) {
+        const [hour, minute] = String(bar.timestamp).slice(11, 16).split(':').map(Number);
+        const volume = parseFloat(bar.volume);
+        if (isNaN(hour) || isNaN(minute) || !(volume >= 0)) continue;
+
+        const key = hour * 60 + minute;
+        const bucket = buckets.get(key) || { minute: key, total: 0, days: 0 };
+        bucket.total += volume;
+        bucket.days++;
+        buckets.set(key, bucket);
+      }
+      return [...buckets.values()].map(bucket => ({ minute: bucket.minute, averageVolume: bucket.total / bucket.days }));
+    } catch (error) {
+      console.warn(`Intraday volume unavailable for ${symbol}:`, error.message);
+      return [];
+    }
+  }
+
+  startTimer() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), TICK_MS);
+    this.timer.unref?.();
+  }
+
+  stopTimer() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Advance every working parent: refresh children, then release due slices
+   */
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      for (const parent of this.parents.values()) {
+        if (parent.status !== 'working') continue;
+        await this.refreshChildren(parent);
+        if (parent.status !== 'working') continue;
+        if (parent.retryAt && Date.now() < new Date(parent.retryAt).getTime()) continue;
+
+        if (parent.algorithm === 'iceberg') {
+          await this.workIceberg(parent);
+        } else {
+          await this.workSchedule(parent);
+        }
+      }
+
+      if (![...this.parents.values()].some(parent => parent.status === 'working')) {
+        this.stopTimer();
+      }
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Shares filled plus shares still working in open children
+   */
+  committedQty(parent) {
+    return parent.children.reduce((sum, child) => {
+      const open = OPEN_CHILD_STATUSES.includes(child.status) ? child.qty - child.filledQty : 0;
+      return sum + child.filledQty + open;
+    }, 0);
+  }
+
+  async workSchedule(parent) {
+    const now = Date.now();
+    const due = parent.schedule.filter(slice => new Date(slice.at).getTime() <= now);
+    if (due.length === 0) return;
+
+    // Catch up to the cumulative target, which also re-sends shares from canceled or rejected children
+    const isFinal = due.length === parent.schedule.length;
+    const target = isFinal ? parent.qty : due.reduce((sum, slice) => sum + slice.qty, 0);
+    const qty = Math.min(target, parent.qty) - this.committedQty(parent);
+    if (qty >= 1) {
+      await this.submitChild(parent, qty);
+    }
+  }
+
+  async workIceberg(parent) {
+    const working = parent.children.some(child => OPEN_CHILD_STATUSES.includes(child.status));
+    if (working) return;
+
+    const remaining = parent.qty - parent.filledQty;
+    if (remaining >= 1) {
+      await this.submitChild(parent, Math.min(parent.displayQty, remaining));
+    }
+  }
+
+  /**
+   * Send one child order through the shared execution pipeline
+   */
+  async submitChild(parent, qty) {
+    const orderParams = {
+      symbol: parent.symbol,
+      qty,
+      side: parent.side,
+      type: parent.limitPrice ? 'limit' : 'market',
+      time_in_force: 'day'
+    };
+    if (parent.limitPrice) {
+      orderParams.limit_price = parent.limitPrice;
+    }
+
+    try {
+      if (parent.orderClass === 'bracket') {
+        // Each child carries its own exits, so shares are protected as they fill;
+        // exits left unset default from the child's own entry price
+        const referencePrice = parent.limitPrice || await this.priceChild(orderParams);
+        const bracket = buildOrderClassParams(orderParams, {
+          order_class: 'bracket',
+          take_profit: parent.takeProfit,
+          stop_loss: parent.stopLoss
+        }, referencePrice);
+        if (!bracket.valid) {
+          throw new OrderExecutionError(400, 'Invalid order class', bracket.reason, 'INVALID_ORDER_CLASS');
+        }
+        Object.assign(orderParams, bracket.orderParams);
+      }
+
+      const { order } = await orderExecution.submitOrder(orderParams, {
+        source: 'algo',
+        conflictPolicy: parent.conflictPolicy,
+        sessionPolicy: 'reject',
+        agentId: parent.agentId,
+        logPrefix: `${parent.algorithm.toUpperCase()} ${parent.id.slice(0, 8)}: `
+      });
+
+      parent.children.push({
+        orderId: order.id,
+        qty,
+        status: order.status,
+        filledQty: parseFloat(order.filled_qty || 0),
+        filledAvgPrice: order.filled_avg_price ? parseFloat(order.filled_avg_price) : null,
+        submittedAt: order.submitted_at || new Date().toISOString()
+      });
+      delete parent.lastError;
+      delete parent.retries;
+      delete parent.retryAt;
+      this.updateParentFills(parent);
+      this.publish(parent, 'child_submitted');
+    } catch (error) {
+      this.handleChildError(parent, error);
+    }
+    await this.saveParents();
+  }
+
+  /**
+   * Current price of a market child, for defaulting its exit legs
+   */
+  async priceChild(orderParams) {
+    const pricing = await orderExecution.priceOrder(orderParams);
+    return pricing.marketPrice || pricing.price;
+  }
+
+  /**
+   * A trading halt or the market close pauses the parent and any other rejection
+   * fails it, since resending the same child would be rejected again. Server and
+   * network errors are retried with backoff, up to MAX_CHILD_RETRIES times.
+   */
+  handleChildError(parent, error) {
+    const now = new Date();
+    const normalized = orderExecution.normalizeError(error);
+    // Broker rejections the pipeline does not map keep the broker's own status
+    const statusCode = error.response?.status || normalized.statusCode;
+    parent.lastError = normalized.details || normalized.message;
+
+    if (normalized.statusCode === 403 || normalized.code === 'MARKET_CLOSED') {
+      parent.status = 'paused';
+      parent.pausedAt = now.toISOString();
+    } else if (statusCode < 500 || (parent.retries || 0) >= MAX_CHILD_RETRIES) {
+      parent.status = 'failed';
+      parent.failedAt = now.toISOString();
+    } else {
+      parent.retries = (parent.retries || 0) + 1;
+      parent.retryAt = new Date(now.getTime() + RETRY_BASE_MS * 2 ** (parent.retries - 1)).toISOString();
+    }
+
+    const outcome = parent.status === 'working' ? `retrying at ${parent.retryAt}` : parent.status;
+    console.warn(`${parent.algorithm.toUpperCase()} child for ${parent.symbol} failed (${outcome}):`, parent.lastError);
+    this.publish(parent, 'child_rejected');
+  }
+
+  /**
+   * Poll open children (brokers without a trade stream only report fills this way)
+   */
+  async refreshChildren(parent) {
+    for (const child of parent.children) {
+      if (!OPEN_CHILD_STATUSES.includes(child.status)) continue;
+      try {
+        this.applyChildOrder(parent, child, await broker.getOrder(child.orderId));
+      } catch (error) {
+        // Keep the last known state; the next tick retries
+      }
+    }
+  }
+
+  handleChildUpdate(order) {
+    if (!order || !order.id) return;
+    for (const parent of this.parents.values()) {
+      const child = parent.children.find(candidate => candidate.orderId === order.id);
+      if (child) {
+        this.applyChildOrder(parent, child, order);
+        return;
+      }
+    }
+  }
+
+  applyChildOrder(parent, child, order) {
+    const filledQty = parseFloat(order.filled_qty || 0);
+    if (child.status === order.status && child.filledQty === filledQty) return;
+
+    child.status = order.status;
+    child.filledQty = filledQty;
+    child.filledAvgPrice = order.filled_avg_price ? parseFloat(order.filled_avg_price) : null;
+    this.updateParentFills(parent);
+    this.publish(parent, 'child_update');
+    this.saveParents();
+  }
+
+  updateParentFills(parent) {
+    const filled = parent.children.filter(child => child.filledQty > 0);
+    parent.filledQty = filled.reduce((sum, child) => sum + child.filledQty, 0);
+    parent.filledAvgPrice = parent.filledQty > 0
+      ? Math.round((filled.reduce((sum, child) => sum + child.filledQty * child.filledAvgPrice, 0) / parent.filledQty) * 10000) / 10000
+      : null;
+    parent.updatedAt = new Date().toISOString();
+
+    if (parent.filledQty >= parent.qty && ACTIVE_STATUSES.includes(parent.status)) {
+      parent.status = 'completed';
+      parent.completedAt = parent.updatedAt;
+      console.log(`${parent.algorithm.toUpperCase()} parent ${parent.id} completed at avg $${parent.filledAvgPrice}`);
+    }
+  }
+
+  /**
+   * Stop releasing new children; working children stay on the book
+   */
+  async pauseParentOrder(parentId) {
+    const parent = this.requireParent(parentId);
+    if (parent.status !== 'working') {
+      throw new OrderExecutionError(409, `Parent order is ${parent.status}`);
+    }
+
+    parent.status = 'paused';
+    parent.pausedAt = new Date().toISOString();
+    await this.saveParents();
+    this.publish(parent, 'paused');
+    return this.getParentOrder(parentId);
+  }
+
+  /**
+   * Resume a paused parent, shifting the remaining schedule by the time spent paused
+   */
+  async resumeParentOrder(parentId) {
+    const parent = this.requireParent(parentId);
+    if (parent.status !== 'paused') {
+      throw new OrderExecutionError(409, `Parent order is ${parent.status}`);
+    }
+
+    const pausedMs = Date.now() - new Date(parent.pausedAt).getTime();
+    if (parent.schedule) {
+      for (const slice of parent.schedule) {
+        if (new Date(slice.at).getTime() > new Date(parent.pausedAt).getTime()) {
+          slice.at = new Date(new Date(slice.at).getTime() + pausedMs).toISOString();
+        }
+      }
+    }
+
+    parent.status = 'working';
+    delete parent.pausedAt;
+    delete parent.retries;
+    delete parent.retryAt;
+    await this.saveParents();
+    this.publish(parent, 'resumed');
+    this.startTimer();
+    return this.getParentOrder(parentId);
+  }
+
+  /**
+   * Cancel a parent and its working children
+   */
+  async cancelParentOrder(parentId) {
+    const parent = this.requireParent(parentId);
+    if (!ACTIVE_STATUSES.includes(parent.status)) {
+      throw new OrderExecutionError(409, `Parent order is already ${parent.status}`);
+    }
+
+    parent.status = 'canceled';
+    parent.canceledAt = new Date().toISOString();
+
+    for (const child of parent.children) {
+      if (!OPEN_CHILD_STATUSES.includes(child.status)) continue;
+      try {
+        await broker.cancelOrder(child.orderId);
+        child.status = 'pending_cancel';
+      } catch (error) {
+        console.warn(`Failed to cancel child order ${child.orderId}:`, error.message);
+      }
+    }
+
+    await this.saveParents();
+    this.publish(parent, 'canceled');
+    return this.getParentOrder(parentId);
+  }
+
+  requireParent(parentId) {
+    const parent = this.parents.get(parentId);
+    if (!parent) {
+      throw new OrderExecutionError(404, 'Parent order not found');
+    }
+    return parent;
+  }
+
+  /**
+   * Parent order with progress figures
+   */
+  getParentOrder(parentId) {
+    const parent = this.parents.get(parentId);
+    if (!parent) return null;
+
+    const nextSlice = parent.status === 'working' && parent.schedule
+      ? parent.schedule.find(slice => new Date(slice.at).getTime() > Date.now())
+      : null;
+
+    return {
+      ...parent,
+      children: parent.children.map(child => ({ ...child })),
+      progress: {
+        filledQty: parent.filledQty,
+        workingQty: this.committedQty(parent) - parent.filledQty,
+        remainingQty: parent.qty - parent.filledQty,
+        percentComplete: Math.round((parent.filledQty / parent.qty) * 10000) / 100,
+        childCount: parent.children.length,
+        nextSliceAt: nextSlice ? nextSlice.at : null
+      }
+    };
+  }
+
+  /**
+   * List parent orders, newest first
+   */
+  async getParentOrders({ status } = {}) {
+    await this.ready;
+    return [...this.parents.values()]
+      .filter(parent => !status || parent.status === status)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .map(parent => this.getParentOrder(parent.id));
+  }
+
+  /**
+   * Emit a progress event for WebSocket clients
+   */
+  publish(parent, event) {
+    const snapshot = this.getParentOrder(parent.id);
+    this.emit('progress', {
+      event,
+      parentOrderId: parent.id,
+      symbol: parent.symbol,
+      side: parent.side,
+      algorithm: parent.algorithm,
+      status: parent.status,
+      qty: parent.qty,
+      filledAvgPrice: parent.filledAvgPrice,
+      lastError: parent.lastError || null,
+      ...snapshot.progress,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = new ExecutionAlgorithmService();
+module.exports.ALGORITHMS = ALGORITHMS;
@@ -0,0 +1,303 @@
+// SIRFA Agent Finance - Agent Guardrails
+// Marks untrusted text before it reaches a prompt, checks model-proposed orders against
+// trusted data and limits, and logs every flagged or blocked attempt
+
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const broker = require('./brokers');
+const riskManagement = require('./riskManagement');
+const { SYMBOL_PATTERN } = require('./tradingDecision');
+
+const SAVE_DELAY_MS = 500;
+const MAX_LOG_ENTRIES = 500;
+const MAX_EXCERPT_LENGTH = 200;
+
+// Invisible and direction-changing characters used to hide instructions
+const INVISIBLE_CHARACTERS = /[\u200B-\u200F\u202A-\u202E\u2060-\u2064\uFEFF]/g;
+const CONTROL_CHARACTERS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g;
+// Our own markers and chat-template tokens, which untrusted text must not be able to forge
+const MARKER_TOKENS = /<\s*\/?\s*untrusted\b[^>]*>|<\|[a-z_]+\|>|\[\/?INST\]|<<\/?SYS>>/gi;
+
+// Instructions aimed at the model; checked on every untrusted source
+const INJECTION_PATTERNS = {
+  overrideInstructions: /\b(ignore|disregard|forget|override)\b[^.\n]{0,40}\b(previous|prior|above|earlier|all|any|your|system)\b[^.\n]{0,30}\b(instructions?|prompts?|rules?|directions?|guidelines?)\b/i,
+  roleChange: /\b(you are now|from now on,? you|pretend (to be|you are)|new (system )?instructions?\s*:)/i,
+  promptExtraction: /\b(reveal|print|show|repeat|output)\b[^.\n]{0,30}\b(system|developer|hidden)\s+(prompt|message|instructions?)\b/i,
+  forgedMarkup: /<\s*\/?\s*(system|assistant|untrusted)\b[^>]*>|<\|[a-z_]+\|>|\[\/?INST\]|<<\/?SYS>>/i,
+  jailbreak: /\b(jailbreak|developer mode|DAN mode)\b/i
+};
+// Additionally checked on third-party content (news, company data): it has no business directing trades
+const THIRD_PARTY_PATTERNS = {
+  tradeDirective: /\b(execute|place|submit|enter)\b[^.\n]{0,30}\b(orders?|trades?)\b|\b(buy|sell)\s+(\d[\d,]*\s+shares|all|everything)\b/i
+};
+
+// Tools whose results come from the broker or market data providers; symbols they were
+// called for count as trusted. News is third-party text, so search_news does not.
+const TRUSTED_DATA_TOOLS = ['get_quote', 'get_bars', 'get_company_overview', 'get_positions'];
+// Pre-trade pricing sources that come from the broker's market data (not a model-given limit)
+const QUOTED_PRICE_SOURCES = ['ask', 'bid', 'trade'];
+// Only $-prefixed cashtags in a user message name a symbol; bare capitalized words ("I", "BUY", "ETF") do not
+const CASHTAG_PATTERN = /\$([A-Za-z][A-Za-z.]{0,5})\b/g;
+const MAX_USER_SYMBOLS = 10;
+
+/**
+ * Error raised by guardrail log queries with the HTTP status to answer with
+ */
+class GuardrailError extends Error {
+  constructor(statusCode, message, details = null, code = null) {
+    super(message);
+    this.name = 'GuardrailError';
+    this.statusCode = statusCode;
+    this.details = details;
+    this.code = code;
+  }
+}
+
+class GuardrailService {
+  constructor() {
+    this.log = [];
+    this.saveTimer = null;
+    this.dataFilePath = path.join(__dirname, '..', 'data', 'guardrail-log.json');
+    this.ready = this.loadState();
+  }
+
+  /**
+   * Load the log from file
+   */
+  async loadState() {
+    try {
+      const data = await fs.readFile(this.dataFilePath, 'utf8');
+      this.log = JSON.parse(data).log || [];
+    } catch (error) {
+      // File doesn't exist or is corrupted, start fresh
+    }
+  }
+
+  /**
+   * Save the log to file, coalescing bursts of writes
+   */
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(async () => {
+      this.saveTimer = null;
+      try {
+        await fs.mkdir(path.dirname(this.dataFilePath), { recursive: true });
+        await fs.writeFile(this.dataFilePath, JSON.stringify({ log: this.log }, null, 2));
+      } catch (error) {
+        console.error('Failed to save guardrail log:', error);
+      }
+    }, SAVE_DELAY_MS);
+    this.saveTimer.unref?.();
+  }
+
+  /**
+   * Add an entry to the log, keeping the newest MAX_LOG_ENTRIES
+   * @param {Object} entry - stage ('input' or 'output'), action ('flagged', 'withheld' or 'blocked'),
+   *   source, agentId, reasons, and excerpt or order
+   * @returns {Object} - The stored entry
+   */
+  record(entry) {
+    const stored = { id: uuidv4(), at: new Date().toISOString(), agentId: null, ...entry };
+    this.log.push(stored);
+    if (this.log.length > MAX_LOG_ENTRIES) {
+      this.log.splice(0, this.log.length - MAX_LOG_ENTRIES);
+    }
+    console.warn(`Guardrail ${stored.action} ${stored.stage} from ${stored.source}${stored.agentId ? ` (${stored.agentId})` : ''}: ${stored.reasons.join('; ')}`);
+    this.scheduleSave();
+    return stored;
+  }
+
+  /**
+   * Logged attempts, newest first
+   * @param {Object} filters - agentId, stage, action and limit (1-500, default 50)
+   * @returns {Promise<Array>}
+   * @throws {GuardrailError} - When limit is out of range
+   */
+  async getLog({ agentId = null, stage = null, action = null, limit = 50 } = {}) {
+    await this.ready;
+    const count = Number(limit);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_LOG_ENTRIES) {
+      throw new GuardrailError(400, `limit must be an integer from 1 to ${MAX_LOG_ENTRIES}`, null, 'INVALID_LIMIT');
+    }
+    return this.log
+      .filter(entry => (!agentId || entry.agentId === agentId) && (!stage || entry.stage === stage) && (!action || entry.action === action))
+      .slice(-count)
+      .reverse();
+  }
+
+  /**
+   * Normalize text and remove invisible characters, control characters and
+   * forged markers, truncated to maxLength (default config.guardrails.maxUntrustedLength; null for no limit)
+   */
+  sanitize(text, { maxLength = config.guardrails.maxUntrustedLength } = {}) {
+    const cleaned = String(text ?? '')
+      .normalize('NFKC')
+      .replace(INVISIBLE_CHARACTERS, '')
+      .replace(CONTROL_CHARACTERS, '')
+      .replace(MARKER_TOKENS, '[removed markup]')
+      .trim();
+    return maxLength !== null && cleaned.length > maxLength ? `${cleaned.substring(0, maxLength)}... (truncated)` : cleaned;
+  }
+
+  /**
+   * Names of the injection patterns the text matches
+   * @param {boolean} thirdParty - Also check patterns that only third-party content may not match
+   */
+  detect(text, { thirdParty = false } = {}) {
+    const visible = String(text ?? '').normalize('NFKC').replace(INVISIBLE_CHARACTERS, '');
+    const patterns = thirdParty ? { ...INJECTION_PATTERNS, ...THIRD_PARTY_PATTERNS } : INJECTION_PATTERNS;
+    return Object.entries(patterns)
+      .filter(([, pattern]) => pattern.test(visible))
+      .map(([name]) => name);
+  }
+
+  /**
+   * Sanitize untrusted text and mark it as such for the prompt. Text that
+   * looks like an injection is still passed on, marked, and logged as flagged.
+   * @param {string} text - e.g. a user message
+   * @param {string} source - What the text is, shown to the model, e.g. 'user message'
+   * @param {Object} options - agentId, for the log; log: false for text already
+   *   screened when it first arrived, such as earlier messages of a conversation;
+   *   maxLength as for sanitize, e.g. null for history the caller already bounds
+   * @returns {string} - The text inside <untrusted source="..."> tags
+   */
+  markUntrusted(text, source, { agentId = null, log = true, maxLength } = {}) {
+    const reasons = log ? this.detect(text) : [];
+    if (reasons.length > 0) {
+      this.record({ stage: 'input', action: 'flagged', source, agentId, reasons, excerpt: this.excerpt(text) });
+    }
+    return `<untrusted source="${source}">\n${this.sanitize(text, { maxLength })}\n</untrusted>`;
+  }
+
+  /**
+   * Screen a tool result before the model reads it. Results that carry
+   * instructions are withheld; the rest are marked untrusted.
+   * @returns {string} - Tool message content
+   */
+  screenToolResult(toolName, content, { agentId = null } = {}) {
+    const reasons = this.detect(content, { thirdParty: true });
+    if (reasons.length > 0) {
+      this.record({ stage: 'input', action: 'withheld', source: `tool ${toolName}`, agentId, reasons, excerpt: this.excerpt(content) });
+      return JSON.stringify({ error: 'Result withheld: it contained instructions or trade directives' });
+    }
+    // agentTools.formatResult already bounds the length
+    return this.markUntrusted(content, `tool ${toolName}`, { agentId, log: false, maxLength: null });
+  }
+
+  excerpt(text) {
+    const value = String(text ?? '');
+    return value.length > MAX_EXCERPT_LENGTH ? `${value.substring(0, MAX_EXCERPT_LENGTH)}...` : value;
+  }
+
+  /**
+   * Symbols an order may name: the portfolio's holdings, the agent's universe,
+   * the market data snapshot, symbols looked up with market data tools, symbols
+   * priced from a live broker quote or trade, and $TICKER cashtags the user wrote
+   * that resolve to a known asset (the user confirms chat orders themselves)
+   * @param {Object} sources - agent, portfolioData, marketData, toolCalls, pricing (pretradePricing
+   *   results), userMessage and symbols (e.g. a committee's topic)
+   * @returns {Promise<Set<string>>}
+   */
+  async trustedSymbols({ agent = null, portfolioData = null, marketData = null, toolCalls = [], pricing = [], userMessage = null, symbols = [] } = {}) {
+    const trusted = new Set(symbols.filter(Boolean).map(symbol => symbol.toUpperCase()));
+    pricing
+      .filter(entry => entry?.symbol && QUOTED_PRICE_SOURCES.includes(entry.source))
+      .forEach(entry => trusted.add(entry.symbol.toUpperCase()));
+    (portfolioData?.positions || []).forEach(position => trusted.add(String(position.symbol).toUpperCase()));
+    (agent?.universe || []).forEach(symbol => trusted.add(symbol));
+    Object.values(marketData || {})
+      .filter(entry => entry?.symbol)
+      .forEach(entry => trusted.add(entry.symbol.toUpperCase()));
+
+    for (const call of toolCalls.filter(call => call.ok && TRUSTED_DATA_TOOLS.includes(call.name))) {
+      try {
+        const { symbol } = JSON.parse(call.arguments || '{}');
+        if (symbol) trusted.add(String(symbol).toUpperCase());
+      } catch (error) {
+        // Unparseable arguments name no symbol
+      }
+    }
+
+    const userSymbols = await this.resolveUserSymbols(userMessage, trusted);
+    userSymbols.forEach(symbol => trusted.add(symbol));
+    return trusted;
+  }
+
+  /**
+   * Cashtags in a user message that are valid symbols and known to the broker's asset lookup
+   * @param {string} userMessage - The user's message
+   * @param {Set<string>} known - Symbols already trusted, which need no lookup
+   * @returns {Promise<string[]>}
+   */
+  async resolveUserSymbols(userMessage, known = new Set()) {
+    const candidates = [...new Set([...String(userMessage || '').matchAll(CASHTAG_PATTERN)]
+      .map(match => match[1].toUpperCase()))]
+      .filter(symbol => SYMBOL_PATTERN.test(symbol))
+      .slice(0, MAX_USER_SYMBOLS);
+
+    const resolved = await Promise.all(candidates.map(async symbol => {
+      if (known.has(symbol)) return symbol;
+      try {
+        const asset = await broker.getAsset(symbol);
+        return asset?.symbol ? symbol : null;
+      } catch (error) {
+        return null;
+      }
+    }));
+    return resolved.filter(Boolean);
+  }
+
+  /**
+   * Output policy for a model-proposed order, checked last before it can be
+   * placed: the symbol must appear in trusted data and the order must be
+   * within the risk limits. Blocked orders are logged.
+   * @param {Object} order - action, symbol, and quantity or notional and price for the limit check
+   *   (a notional is checked as the quantity it buys at that price)
+   * @param {Object} context - agentId, source, trustedSymbols (from trustedSymbols), and
+   *   portfolioData with optional limits, universe and avoidedSectors, as for riskManagement.validateTradingDecision
+   * @returns {Object} - { allowed, reasons }
+   */
+  checkOrder(order, { agentId = null, source, trustedSymbols, portfolioData = null, limits = null, universe = null, avoidedSectors = null }) {
+    if (!order || order.action === 'HOLD') {
+      return { allowed: true, reasons: [] };
+    }
+
+    const reasons = [];
+    const symbol = String(order.symbol || '').toUpperCase();
+    if (!symbol) {
+      reasons.push(`${order.action} names no symbol`);
+    } else if (config.guardrails.trustedSymbolsOnly && !trustedSymbols.has(symbol)) {
+      reasons.push(`${symbol} does not appear in the portfolio, the agent's universe or other trusted data`);
+    }
+
+    if (symbol && portfolioData && (order.quantity || order.notional)) {
+      const quantity = order.quantity || (order.price > 0 ? order.notional / order.price : null);
+      if (!quantity) {
+        reasons.push(`No live price available to check the $${order.notional} ${symbol} order against the limits`);
+      } else {
+        const options = { ...(limits && { limits }), ...(universe && { universe }), ...(avoidedSectors && { avoidedSectors }) };
+        const validation = riskManagement.validateTradingDecision(agentId, { ...order, symbol, quantity }, portfolioData, options);
+        if (!validation.approved) {
+          reasons.push(`Exceeds limits: ${validation.reason}`);
+        }
+      }
+    }
+
+    if (reasons.length > 0) {
+      this.record({
+        stage: 'output',
+        action: 'blocked',
+        source,
+        agentId,
+        reasons,
+        order: { action: order.action, symbol: symbol || null, quantity: order.quantity ?? null, notional: order.notional ?? null, price: order.price ?? null }
+      });
+    }
+    return { allowed: reasons.length === 0, reasons };
+  }
+}
+
+module.exports = new GuardrailService();
+module.exports.GuardrailError = GuardrailError;
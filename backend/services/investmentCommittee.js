@@ -0,0 +1,331 @@
+// SIRFA Agent Finance - Investment Committee
+// Several agents take positions on one symbol or question, debate for a bounded
+// number of rounds and vote; the adopted decision is checked against the strictest limits
+
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const qwenService = require('./qwenService');
+const agentAnalysis = require('./agentAnalysis');
+const riskManagement = require('./riskManagement');
+const pretradePricing = require('./pretradePricing');
+const tradeSuggestions = require('./tradeSuggestions');
+const guardrails = require('./guardrails');
+const { SYMBOL_PATTERN } = require('./tradingDecision');
+const { getAgentProfile, getAllAgents } = require('./agentRegistry');
+
+const MIN_MEMBERS = 2;
+const MAX_QUESTION_LENGTH = 500;
+
+/**
+ * Error raised by committee requests with the HTTP status to answer with
+ */
+class CommitteeError extends Error {
+  constructor(statusCode, message, details = null, code = null) {
+    super(message);
+    this.name = 'CommitteeError';
+    this.statusCode = statusCode;
+    this.details = details;
+    this.code = code;
+  }
+}
+
+// HOLD votes count together whatever symbol they name
+const voteKey = (recommendation) =>
+  recommendation.action === 'HOLD' ? 'HOLD' : `${recommendation.action} ${recommendation.symbol}`;
+
+class InvestmentCommitteeService {
+  /**
+   * Check and normalize a committee request
+   * @returns {Object} - { members, symbol, question, debateRounds }
+   * @throws {CommitteeError}
+   */
+  parseRequest({ agentIds, symbol, question, debateRounds } = {}) {
+    const ids = Array.isArray(agentIds) && agentIds.length > 0
+      ? [...new Set(agentIds)]
+      : getAllAgents().map(agent => agent.id);
+
+    const unknown = ids.filter(id => !getAgentProfile(id));
+    if (unknown.length > 0) {
+      throw new CommitteeError(404, 'Agent not found', { agentIds: unknown }, 'AGENT_NOT_FOUND');
+    }
+    if (ids.length < MIN_MEMBERS) {
+      throw new CommitteeError(400, `A committee needs at least ${MIN_MEMBERS} agents`, null, 'COMMITTEE_TOO_SMALL');
+    }
+
+    const upperSymbol = symbol ? String(symbol).trim().toUpperCase() : null;
+    if (upperSymbol && !SYMBOL_PATTERN.test(upperSymbol)) {
+      throw new CommitteeError(400, `Invalid symbol "${symbol}"`, null, 'INVALID_SYMBOL');
+    }
+    const trimmedQuestion = typeof question === 'string' ? question.trim() : '';
+    if (!upperSymbol && !trimmedQuestion) {
+      throw new CommitteeError(400, 'A symbol or a question is required', null, 'COMMITTEE_TOPIC_REQUIRED');
+    }
+    if (trimmedQuestion.length > MAX_QUESTION_LENGTH) {
+      throw new CommitteeError(400, `question must be at most ${MAX_QUESTION_LENGTH} characters`, null, 'INVALID_QUESTION');
+    }
+
+    const maxRounds = config.ai.committeeMaxDebateRounds;
+    const rounds = debateRounds === undefined || debateRounds === null ? Math.min(1, maxRounds) : parseInt(debateRounds, 10);
+    if (!(rounds >= 0 && rounds <= maxRounds)) {
+      throw new CommitteeError(400, `debateRounds must be between 0 and ${maxRounds}`, null, 'INVALID_DEBATE_ROUNDS');
+    }
+
+    return {
+      members: ids.map(id => getAgentProfile(id)),
+      symbol: upperSymbol,
+      question: trimmedQuestion || null,
+      debateRounds: rounds
+    };
+  }
+
+  /**
+   * Describe the committee's topic for the prompts
+   */
+  async describeTopic(symbol, question) {
+    const parts = [];
+    if (symbol) {
+      let price = null;
+      try {
+        price = (await pretradePricing.getMarketPrice(symbol)).marketPrice;
+      } catch (error) {
+        console.warn(`Committee could not price ${symbol}:`, error.message);
+      }
+      parts.push(`The committee is deciding whether to BUY, SELL or HOLD ${symbol}${price ? ` (last price $${price})` : ''}; use ${symbol} as the symbol for a BUY or SELL.`);
+    }
+    if (question) {
+      parts.push(`Question before the committee:\n${guardrails.markUntrusted(question, 'committee question')}`);
+    }
+    return parts.join(' ');
+  }
+
+  /**
+   * Convene a committee
+   * @param {Object} request - agentIds (default: every agent), symbol and/or question,
+   *   debateRounds (0 to config.ai.committeeMaxDebateRounds, default 1)
+   * @returns {Promise<Object>} - { committeeId, topic, members, transcript, votes, tally, decision,
+   *   dissent, abstentions, riskValidation, outputPolicy, timestamp }
+   * @throws {CommitteeError} - For invalid requests, or when fewer than two members vote
+   */
+  async convene(request) {
+    const { members, symbol, question, debateRounds } = this.parseRequest(request);
+    if (!qwenService.gateway.isAvailable()) {
+      throw new CommitteeError(503, 'No AI provider is available for a committee', null, 'AI_PROVIDER_UNAVAILABLE');
+    }
+    if (symbol) {
+      const assetIssue = await tradeSuggestions.checkAsset(symbol);
+      if (assetIssue) {
+        throw new CommitteeError(400, assetIssue, null, 'INVALID_SYMBOL');
+      }
+    }
+
+    const [marketData, portfolioData, topic] = await Promise.all([
+      agentAnalysis.getCurrentMarketData(),
+      agentAnalysis.getPortfolioData().catch(error => {
+        throw new CommitteeError(503, 'Portfolio data is unavailable', error.message, 'PORTFOLIO_UNAVAILABLE');
+      }),
+      this.describeTopic(symbol, question)
+    ]);
+
+    const transcript = [];
+    // Each member's latest position, by agent ID
+    const positions = new Map();
+    const errors = new Map();
+
+    const totalRounds = debateRounds + 1;
+    for (let round = 0; round < totalRounds; round++) {
+      const phase = round === 0 ? 'opening' : 'debate';
+      const finalRound = round === totalRounds - 1;
+      // Members in a round answer independently, from the positions at the end of the previous round
+      const previous = new Map(positions);
+
+      const results = await Promise.allSettled(members.map(member => {
+        const colleagues = round === 0 ? [] : members
+          .filter(other => other.id !== member.id && previous.has(other.id))
+          .map(other => ({
+            name: other.name,
+            riskTolerance: other.riskTolerance,
+            recommendation: previous.get(other.id).recommendation,
+            reasoning: previous.get(other.id).reasoning
+          }));
+        return qwenService.generateCommitteePosition(member, { marketData, portfolioData, topic, colleagues, finalRound });
+      }));
+
+      results.forEach((result, index) => {
+        const member = members[index];
+        const entry = { round, phase, final: finalRound, agentId: member.id, agentName: member.name };
+        if (result.status === 'rejected') {
+          // A member who cannot answer keeps its previous position, if it has one
+          console.warn(`Committee member ${member.name} failed in round ${round}:`, result.reason.message);
+          errors.set(member.id, result.reason.message);
+          transcript.push({ ...entry, error: result.reason.message, timestamp: new Date().toISOString() });
+          return;
+        }
+
+        const position = result.value;
+        positions.set(member.id, position);
+        errors.delete(member.id);
+        transcript.push({
+          ...entry,
+          recommendation: position.recommendation,
+          analysis: position.analysis,
+          riskAssessment: position.riskAssessment,
+          reasoning: position.reasoning,
+          provider: position.provider,
+          model: position.model,
+          prompt: position.prompt,
+          timestamp: position.timestamp
+        });
+      });
+    }
+
+    const votes = members
+      .filter(member => positions.has(member.id))
+      .map(member => {
+        const position = positions.get(member.id);
+        return {
+          agentId: member.id,
+          agentName: member.name,
+          vote: voteKey(position.recommendation),
+          recommendation: position.recommendation,
+          reasoning: position.reasoning
+        };
+      });
+    const abstentions = members
+      .filter(member => !positions.has(member.id))
+      .map(member => ({ agentId: member.id, agentName: member.name, error: errors.get(member.id) || null }));
+
+    if (votes.length < MIN_MEMBERS) {
+      throw new CommitteeError(502, 'Too few committee members produced a position to vote', { transcript, abstentions }, 'COMMITTEE_NO_QUORUM');
+    }
+
+    const tally = {};
+    votes.forEach(vote => {
+      tally[vote.vote] = (tally[vote.vote] || 0) + 1;
+    });
+    const [leading, leadingCount] = Object.entries(tally).sort((a, b) => b[1] - a[1])[0];
+    const majority = leadingCount > votes.length / 2 ? leading : null;
+
+    const decision = await this.buildDecision(majority, votes, symbol);
+    const dissent = votes
+      .filter(vote => vote.vote !== (majority || 'HOLD'))
+      .map(vote => ({
+        agentId: vote.agentId,
+        agentName: vote.agentName,
+        vote: vote.vote,
+        reasoning: vote.reasoning
+      }));
+
+    // The adopted decision has to pass every member's limits, so it is checked against the strictest
+    // of them, and may only buy symbols in every restricted member's universe and outside every member's avoided sectors
+    const limits = riskManagement.getStrictestLimits(members.map(member => member.id));
+    const universe = this.sharedUniverse(members);
+    const avoidedSectors = [...new Set(members.flatMap(member => member.avoidedSectors || []))];
+    const riskValidation = riskManagement.validateTradingDecision(members[0].id, decision, portfolioData, { limits, universe, avoidedSectors });
+    if (!riskValidation.approved) {
+      if (riskValidation.adjustedDecision) {
+        Object.assign(decision, riskValidation.adjustedDecision);
+        decision.reasoning += ` Note: Trade adjusted due to committee risk limits: ${riskValidation.reason}`;
+      } else {
+        decision.action = 'HOLD';
+        decision.reasoning += ` Note: Trade blocked due to committee risk limits: ${riskValidation.reason}`;
+      }
+    }
+
+    // The committee may trade its topic's symbol or symbols the question names, besides holdings and the shared universe
+    const outputPolicy = guardrails.checkOrder(decision, {
+      agentId: members[0].id,
+      source: 'committee',
+      trustedSymbols: await guardrails.trustedSymbols({ portfolioData, marketData, userMessage: question, symbols: [symbol, ...(universe || [])] }),
+      portfolioData,
+      limits,
+      universe,
+      avoidedSectors
+    });
+    if (!outputPolicy.allowed) {
+      decision.action = 'HOLD';
+      decision.reasoning += ` Note: Trade blocked by the output policy: ${outputPolicy.reasons.join('; ')}`;
+    }
+
+    return {
+      committeeId: uuidv4(),
+      topic: { symbol, question, debateRounds },
+      members: members.map(member => ({ id: member.id, name: member.name, avatar: member.avatar, riskTolerance: member.riskTolerance })),
+      transcript,
+      votes,
+      tally,
+      decision,
+      dissent,
+      abstentions,
+      riskValidation: { ...riskValidation, limits, universe },
+      outputPolicy,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Symbols in the universe of every member that has one
+   * @returns {string[]|null} - null when no member restricts its universe
+   */
+  sharedUniverse(members) {
+    const universes = members.map(member => member.universe || []).filter(universe => universe.length > 0);
+    if (universes.length === 0) {
+      return null;
+    }
+    return universes.reduce((shared, universe) => shared.filter(symbol => universe.includes(symbol)));
+  }
+
+  /**
+   * The committee's decision from the votes: the majority's action on its
+   * symbol, sized at the smallest size any majority member voted for, or HOLD
+   * when no action has a majority
+   */
+  async buildDecision(majority, votes, symbol) {
+    const backers = votes.filter(vote => vote.vote === majority);
+    const confidence = backers.length > 0
+      ? Math.round(backers.reduce((sum, vote) => sum + vote.recommendation.confidence, 0) / backers.length * 100) / 100
+      : 0;
+
+    if (!majority || majority === 'HOLD') {
+      return {
+        action: 'HOLD',
+        symbol: symbol || null,
+        quantity: null,
+        price: null,
+        confidence,
+        majority: Boolean(majority),
+        reasoning: majority
+          ? `The committee voted to hold (${backers.map(vote => vote.agentName).join(', ')}).`
+          : 'No action won a majority of the committee, so it holds.'
+      };
+    }
+
+    // Price each backer's recommendation so share and dollar sizes compare
+    const priced = [];
+    for (const vote of backers) {
+      try {
+        priced.push(await pretradePricing.priceDecision(vote.recommendation));
+      } catch (error) {
+        console.warn(`Committee pricing failed for ${vote.recommendation.symbol}:`, error.message);
+      }
+    }
+    const sized = priced.filter(recommendation => recommendation.quantity > 0);
+    const chosen = sized.sort((a, b) => a.quantity - b.quantity)[0] || { ...backers[0].recommendation, price: null };
+
+    return {
+      action: chosen.action,
+      symbol: chosen.symbol,
+      quantity: chosen.quantity ? Math.floor(chosen.quantity) : null,
+      limitPrice: chosen.limitPrice,
+      stopPrice: chosen.stopPrice,
+      price: chosen.price,
+      pricing: chosen.pricing,
+      horizon: chosen.horizon,
+      confidence,
+      majority: true,
+      reasoning: `The committee voted to ${majority} (${backers.map(vote => vote.agentName).join(', ')}), sized at the smallest size proposed.`
+    };
+  }
+}
+
+module.exports = new InvestmentCommitteeService();
+module.exports.CommitteeError = CommitteeError;
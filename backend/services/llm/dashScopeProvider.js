@@ -0,0 +1,72 @@
+// SIRFA Agent Finance - DashScope LLM Provider
+// The native (non-OpenAI-compatible) DashScope text generation API
+
+const axios = require('axios');
+const LLMProvider = require('./llmProvider');
+const { LLMProviderError } = LLMProvider;
+
+class DashScopeProvider extends LLMProvider {
+  /**
+   * @param {Object} options - apiKey, endpoint, model, timeout
+   */
+  constructor(options = {}) {
+    super('dashscope', { label: 'DashScope', model: options.model, supportsJsonMode: true });
+    this.apiKey = options.apiKey || '';
+    this.endpoint = options.endpoint;
+    this.timeout = options.timeout || 30000;
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey && this.endpoint);
+  }
+
+  async chat(messages, options = {}) {
+    const requestBody = {
+      model: options.model || this.model,
+      input: { messages },
+      parameters: {
+        result_format: 'message',
+        temperature: options.temperature ?? 0.7,
+        max_tokens: options.maxTokens || 1000,
+        top_p: options.topP || 0.8
+      }
+    };
+    if (options.responseFormat === 'json') {
+      requestBody.parameters.response_format = { type: 'json_object' };
+    }
+
+    let response;
+    try {
+      response = await axios.post(this.endpoint, requestBody, {
+        headers: {
+          'Authorization': `Bearer ${this.apiKey}`,
+          'Content-Type': 'application/json',
+          'X-DashScope-SSE': 'disable'
+        },
+        timeout: options.timeout || this.timeout,
+        signal: options.signal
+      });
+    } catch (error) {
+      throw this.requestError(error);
+    }
+
+    const content = response.data?.output?.choices?.[0]?.message?.content;
+    if (!content) {
+      throw new LLMProviderError(this.name, 'Invalid response format from QWEN API', response.status, response.data);
+    }
+
+    return {
+      content: content.trim(),
+      toolCalls: [],
+      model: requestBody.model,
+      usage: this.normalizeUsage(response.data.usage),
+      requestId: response.data.request_id || null
+    };
+  }
+
+  describe() {
+    return { ...super.describe(), endpoint: this.endpoint };
+  }
+}
+
+module.exports = DashScopeProvider;
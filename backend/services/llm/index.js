@@ -0,0 +1,423 @@
+// SIRFA Agent Finance - LLM Gateway
+// One chat interface over the configured LLM providers, tried in config.llm.providers order,
+// with every call metered, cached where possible and held to the daily budgets
+
+const config = require('../../config');
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+const DashScopeProvider = require('./dashScopeProvider');
+const ResponseCache = require('./responseCache');
+const usageMeter = require('./usageMeter');
+const { LLMProviderError } = require('./llmProvider');
+
+const providerFactories = {
+  modelstudio: (llm) => new OpenAICompatibleProvider('modelstudio', {
+    label: 'Model Studio',
+    ...llm.modelStudio,
+    supportsTools: true,
+    supportsJsonMode: true
+  }),
+  pai: (llm) => new OpenAICompatibleProvider('pai', {
+    label: 'PAI EAS',
+    baseUrl: llm.pai.serviceUrl ? `${llm.pai.serviceUrl.replace(/\/+$/, '')}/v1` : '',
+    apiKey: llm.pai.token,
+    authScheme: 'raw',
+    model: llm.pai.model,
+    timeout: llm.pai.timeout,
+    supportsJsonMode: true
+  }),
+  dashscope: (llm) => new DashScopeProvider(llm.dashscope),
+  openai: (llm) => new OpenAICompatibleProvider('openai', {
+    label: 'OpenAI-compatible',
+    ...llm.openai,
+    requiresApiKey: false
+  })
+};
+
+/**
+ * Raised when no provider could serve a request
+ */
+class LLMGatewayError extends Error {
+  constructor(statusCode, message, details = null, code = null) {
+    super(message);
+    this.name = 'LLMGatewayError';
+    this.statusCode = statusCode;
+    this.details = details;
+    this.code = code;
+  }
+}
+
+/**
+ * Create a provider by name
+ * @param {string} name - 'modelstudio', 'pai', 'dashscope' or 'openai'
+ * @param {Object} llmConfig - config.llm
+ * @returns {LLMProvider}
+ */
+function createProvider(name, llmConfig = config.llm) {
+  const factory = providerFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${name}". Expected one of: ${Object.keys(providerFactories).join(', ')}`);
+  }
+  return factory(llmConfig);
+}
+
+class LLMGateway {
+  /**
+   * @param {Array<LLMProvider>} providers - Providers in fallback order
+   */
+  constructor(providers) {
+    this.providers = providers;
+    this.cache = new ResponseCache(config.llm.cache);
+    // Outcome of each provider's last call, reported by healthCheck without a live request
+    this.lastCalls = {};
+  }
+
+  /**
+   * Configured providers in fallback order
+   * @param {Object} filter - tools: require tool calling; providers: only these provider names, in this order
+   * @returns {Array<LLMProvider>}
+   */
+  getProviders({ tools = false, providers = null } = {}) {
+    const ordered = providers
+      ? providers.map(name => this.providers.find(provider => provider.name === name)).filter(Boolean)
+      : this.providers;
+    return ordered.filter(provider =>
+      provider.isConfigured() && (!tools || provider.supportsTools)
+    );
+  }
+
+  /**
+   * Whether any provider can serve the given kind of request
+   */
+  isAvailable(filter = {}) {
+    return this.getProviders(filter).length > 0;
+  }
+
+  /**
+   * Model to request from a provider. A string model applies to every provider;
+   * an object maps provider names to models, e.g. { modelstudio: 'qwen-max', openai: 'llama3.1:70b' }.
+   */
+  resolveModel(provider, model) {
+    if (!model) return undefined;
+    return typeof model === 'string' ? model : model[provider.name];
+  }
+
+  /**
+   * Run one completion on a provider, metering it against the caller's agent
+   * and endpoint. Calls without tools are answered from the response cache
+   * when an identical request was made within the cache TTL. Once a daily
+   * budget is spent, a cached answer (even an expired one) is served if there
+   * is one, else the provider's budget fallback model is used.
+   * @param {LLMProvider} provider - Provider to call
+   * @param {Array} messages - OpenAI-style chat messages
+   * @param {Object} options - Provider options (model already resolved) plus agentId,
+   *   endpoint (overrides the request's route) and cache (false to bypass the cache)
+   * @param {Function} onDelta - Streams the reply when given; a cached reply arrives as one delta
+   * @returns {Promise<Object>} - The provider's completion plus cached, degraded ('cache', 'model'
+   *   or null) and cacheKey (to evict a cached reply the caller rejects)
+   * @throws {LLMGatewayError} - BUDGET_EXCEEDED when a budget is spent and neither degradation applies
+   * @throws {LLMProviderError} - When the provider fails
+   */
+  async callProvider(provider, messages, options = {}, onDelta = null) {
+    const { agentId = null, endpoint = null, cache = true, ...requestOptions } = options;
+    await usageMeter.ready;
+    let model = requestOptions.model || provider.model;
+    const meter = { provider: provider.name, agentId, endpoint };
+
+    const cacheKey = cache && !requestOptions.tools?.length
+      ? this.cache.key({ provider: provider.name, ...requestOptions, model, messages })
+      : null;
+    const budget = usageMeter.getBudgetStatus(agentId);
+    const hit = this.cache.get(cacheKey, { allowStale: budget.exceeded });
+    if (hit) {
+      const degraded = hit.stale ? 'cache' : null;
+      usageMeter.record({ ...meter, model: hit.value.model || model, cached: true, savedCost: hit.value.cost, degraded: Boolean(degraded) });
+      if (onDelta && hit.value.content) onDelta(hit.value.content);
+      return { ...hit.value, cached: true, degraded, cacheKey };
+    }
+
+    let degraded = null;
+    if (budget.exceeded) {
+      const fallback = this.resolveModel(provider, config.llm.budget.fallbackModel);
+      if (!fallback || fallback === model) {
+        throw this.budgetExceededError(budget);
+      }
+      console.warn(`LLM ${budget.scope} budget spent, using ${fallback} instead of ${model}`);
+      model = fallback;
+      degraded = 'model';
+    }
+
+    const startedAt = Date.now();
+    let result;
+    try {
+      result = onDelta
+        ? await provider.chatStream(messages, { ...requestOptions, model }, onDelta)
+        : await provider.chat(messages, { ...requestOptions, model });
+    } catch (error) {
+      if (!requestOptions.signal?.aborted) {
+        this.lastCalls[provider.name] = { ok: false, at: new Date().toISOString(), latencyMs: Date.now() - startedAt, error: error.message };
+        usageMeter.record({ ...meter, model, failed: true, degraded: Boolean(degraded) });
+      }
+      throw error;
+    }
+
+    this.lastCalls[provider.name] = { ok: true, at: new Date().toISOString(), latencyMs: Date.now() - startedAt, model: result.model };
+    const cost = usageMeter.record({
+      ...meter,
+      model: result.model || model,
+      usage: usageMeter.measure(messages, result),
+      degraded: Boolean(degraded)
+    });
+    // A fallback model's reply is not cached under the request for the original model
+    if (!degraded) {
+      this.cache.set(cacheKey, { ...result, cost });
+    }
+    return { ...result, cached: false, degraded, cacheKey: degraded ? null : cacheKey };
+  }
+
+  /**
+   * Run a chat completion on the first provider that answers
+   * @param {Array} messages - OpenAI-style chat messages
+   * @param {Object} options - Provider options (see LLMProvider.chat) plus
+   *   model (string or per-provider map), providers (names, in order), and
+   *   agentId, endpoint and cache as for callProvider
+   * @returns {Promise<Object>} - { content, toolCalls, model, usage, requestId, cached, degraded,
+   *   cacheKey, provider, providerLabel }
+   * @throws {LLMGatewayError} - When every provider fails, or BUDGET_EXCEEDED
+   */
+  async chat(messages, options = {}) {
+    const { providers: names, model, ...requestOptions } = options;
+    const providers = this.getProviders({ providers: names, tools: Boolean(requestOptions.tools?.length) });
+    const failures = [];
+
+    for (const provider of providers) {
+      try {
+        const result = await this.callProvider(provider, messages, { ...requestOptions, model: this.resolveModel(provider, model) });
+        return { ...result, provider: provider.name, providerLabel: provider.label };
+      } catch (error) {
+        if (requestOptions.signal?.aborted) throw this.cancelledError();
+        if (error.code === 'BUDGET_EXCEEDED') throw error;
+        console.warn(`LLM provider ${provider.label} failed:`, error.message);
+        failures.push({ provider: provider.name, error: error.message, status: error.status || null });
+      }
+    }
+
+    throw this.unavailableError(failures);
+  }
+
+  /**
+   * Stream a chat completion from the first provider that answers. The next
+   * provider is only tried while nothing has been streamed yet.
+   * @param {Array} messages - OpenAI-style chat messages
+   * @param {Object} options - Gateway chat options plus onDelta ((text) => void) and signal (AbortSignal)
+   * @returns {Promise<Object>} - The completed reply, as for chat
+   * @throws {LLMGatewayError} - When every provider fails, BUDGET_EXCEEDED, or REQUEST_CANCELLED when signal aborts
+   */
+  async chatStream(messages, options = {}) {
+    const { providers: names, model, onDelta = () => {}, ...requestOptions } = options;
+    const failures = [];
+
+    for (const provider of this.getProviders({ providers: names })) {
+      let streamed = false;
+      try {
+        const result = await this.callProvider(
+          provider,
+          messages,
+          { ...requestOptions, model: this.resolveModel(provider, model) },
+          (text) => {
+            streamed = true;
+            onDelta(text);
+          }
+        );
+        return { ...result, provider: provider.name, providerLabel: provider.label };
+      } catch (error) {
+        if (requestOptions.signal?.aborted) throw this.cancelledError();
+        if (error.code === 'BUDGET_EXCEEDED') throw error;
+        console.warn(`LLM provider ${provider.label} stream failed:`, error.message);
+        failures.push({ provider: provider.name, error: error.message, status: error.status || null, streamed });
+        // Part of the reply has already been delivered, so no other provider can take over
+        if (streamed) break;
+      }
+    }
+
+    throw this.unavailableError(failures);
+  }
+
+  /**
+   * Run a tool-calling conversation: tool calls requested by the model are
+   * executed and their results sent back until it answers, or until
+   * maxRounds rounds of tool calls have run, after which it must answer.
+   * A provider that fails mid-conversation hands over to the next one, which
+   * starts again from the original messages, unless content was already streamed.
+   * @param {Array} messages - OpenAI-style chat messages
+   * @param {Array} tools - Tool definitions in the OpenAI function format
+   * @param {Function} executeTool - async (name, argumentsJson) => string tool message content
+   * @param {Object} options - Gateway chat options plus maxRounds, and onDelta
+   *   ((text) => void) to stream each round's content
+   * @returns {Promise<Object>} - { content, messages, toolCalls, usage, model, provider, providerLabel }
+   * @throws {LLMGatewayError} - When no tool-capable provider completes the conversation, or BUDGET_EXCEEDED
+   */
+  async chatWithTools(messages, tools, executeTool, options = {}) {
+    const { providers: names, model, maxRounds = 5, onDelta, ...requestOptions } = options;
+    const failures = [];
+
+    for (const provider of this.getProviders({ providers: names, tools: true })) {
+      const conversation = [...messages];
+      const toolCalls = [];
+      const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+      let streamed = false;
+      const streamDelta = (text) => {
+        streamed = true;
+        onDelta(text);
+      };
+
+      try {
+        for (let round = 0; round <= maxRounds; round++) {
+          const roundOptions = {
+            ...requestOptions,
+            model: this.resolveModel(provider, model),
+            tools,
+            // The last round withholds tools so the model has to answer
+            toolChoice: round < maxRounds ? 'auto' : 'none'
+          };
+          const result = await this.callProvider(provider, conversation, roundOptions, onDelta ? streamDelta : null);
+          for (const key of Object.keys(usage)) {
+            usage[key] += result.usage?.[key] || 0;
+          }
+
+          if (result.toolCalls.length === 0) {
+            return {
+              content: result.content,
+              messages: conversation,
+              toolCalls,
+              usage,
+              model: result.model,
+              provider: provider.name,
+              providerLabel: provider.label
+            };
+          }
+
+          conversation.push({ role: 'assistant', content: result.content || '', tool_calls: result.toolCalls });
+          for (const call of result.toolCalls) {
+            if (requestOptions.signal?.aborted) throw this.cancelledError();
+            const startedAt = Date.now();
+            const content = await executeTool(call.function?.name, call.function?.arguments);
+            toolCalls.push({
+              name: call.function?.name,
+              arguments: call.function?.arguments,
+              round: round + 1,
+              durationMs: Date.now() - startedAt
+            });
+            conversation.push({ role: 'tool', tool_call_id: call.id, content });
+          }
+        }
+
+        throw new LLMProviderError(provider.name, 'Model kept calling tools after they were withheld');
+      } catch (error) {
+        if (requestOptions.signal?.aborted) throw this.cancelledError();
+        if (error.code === 'BUDGET_EXCEEDED') throw error;
+        console.warn(`LLM provider ${provider.label} tool calling failed:`, error.message);
+        failures.push({ provider: provider.name, error: error.message, status: error.status || null, toolCalls: toolCalls.length, streamed });
+        if (streamed) break;
+      }
+    }
+
+    throw this.unavailableError(failures);
+  }
+
+  cancelledError() {
+    return new LLMGatewayError(499, 'The request was cancelled', null, 'REQUEST_CANCELLED');
+  }
+
+  budgetExceededError(budget) {
+    const spent = budget.scope === 'agent' ? budget.agent : budget.daily;
+    return new LLMGatewayError(
+      429,
+      budget.scope === 'agent'
+        ? `Agent ${budget.agent.agentId} has spent its daily LLM budget of $${spent.limit}`
+        : `The daily LLM budget of $${spent.limit} has been spent`,
+      { scope: budget.scope, limit: spent.limit, spent: spent.spent },
+      'BUDGET_EXCEEDED'
+    );
+  }
+
+  unavailableError(failures) {
+    return new LLMGatewayError(
+      503,
+      failures.length > 0 ? 'No LLM provider produced a response' : 'No LLM provider is configured for this request',
+      failures,
+      'AI_PROVIDER_UNAVAILABLE'
+    );
+  }
+
+  /**
+   * Status of one provider. By default it comes from the provider's last call
+   * ('healthy', 'error', or 'idle' before any call) so checks cost no tokens;
+   * live sends a minimal prompt instead.
+   * @param {LLMProvider|string} providerOrName - Provider, or a provider name
+   *   (which need not be in the fallback order)
+   * @param {Object} options - live: send a test prompt
+   * @returns {Promise<Object>} - { ...describe(), status, model, latencyMs, error, checkedAt, live }
+   */
+  async checkProvider(providerOrName, { live = false } = {}) {
+    const provider = typeof providerOrName === 'string'
+      ? this.providers.find(candidate => candidate.name === providerOrName) || createProvider(providerOrName)
+      : providerOrName;
+    const description = provider.describe();
+    if (!provider.isConfigured()) {
+      return { ...description, status: 'unavailable', live };
+    }
+
+    if (!live) {
+      const last = this.lastCalls[provider.name];
+      if (!last) return { ...description, status: 'idle', live };
+      return {
+        ...description,
+        status: last.ok ? 'healthy' : 'error',
+        model: last.model,
+        latencyMs: last.latencyMs,
+        error: last.error,
+        checkedAt: last.at,
+        live
+      };
+    }
+
+    const startedAt = Date.now();
+    try {
+      const result = await this.callProvider(
+        provider,
+        [{ role: 'user', content: 'Reply with the single word OK.' }],
+        { maxTokens: 10, temperature: 0, cache: false }
+      );
+      return { ...description, status: 'healthy', model: result.model, latencyMs: Date.now() - startedAt, checkedAt: new Date().toISOString(), live };
+    } catch (error) {
+      return { ...description, status: 'error', error: error.message, latencyMs: Date.now() - startedAt, checkedAt: new Date().toISOString(), live };
+    }
+  }
+
+  /**
+   * Status of each provider in the fallback order
+   * @param {Object} options - live: send each a test prompt, as checkProvider
+   * @returns {Promise<Object>} - { providers: [checkProvider results] }
+   */
+  async healthCheck({ live = false } = {}) {
+    const providers = [];
+    for (const provider of this.providers) {
+      providers.push(await this.checkProvider(provider, { live }));
+    }
+    return { providers };
+  }
+}
+
+const gateway = new LLMGateway(config.llm.providers.map(name => createProvider(name)));
+const configured = gateway.getProviders().map(provider => provider.label);
+if (configured.length > 0) {
+  console.log(`✅ LLM gateway initialized: ${configured.join(' → ')}`);
+} else {
+  console.warn('⚠️  No LLM provider configured. AI features will use fallback responses.');
+}
+
+module.exports = gateway;
+module.exports.LLMGateway = LLMGateway;
+module.exports.LLMGatewayError = LLMGatewayError;
+module.exports.LLMProviderError = LLMProviderError;
+module.exports.createProvider = createProvider;
@@ -0,0 +1,119 @@
+// SIRFA Agent Finance - LLM Provider Interface
+// Common contract implemented by every LLM backend
+
+/**
+ * Raised when an LLM provider request fails or returns an unusable response
+ */
+class LLMProviderError extends Error {
+  constructor(provider, message, status = null, details = null) {
+    super(`${provider}: ${message}`);
+    this.name = 'LLMProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Base class for LLM providers.
+ *
+ * Every provider takes OpenAI-style chat messages and returns a normalized
+ * completion, so callers never see a provider's own request shape.
+ */
+class LLMProvider {
+  /**
+   * @param {string} name - Stable provider key used in LLM_PROVIDERS
+   * @param {Object} options - { label, model, supportsTools, supportsJsonMode }
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.label = options.label || name;
+    this.model = options.model;
+    this.supportsTools = Boolean(options.supportsTools);
+    this.supportsJsonMode = Boolean(options.supportsJsonMode);
+  }
+
+  /**
+   * Whether the provider has the credentials or URL it needs
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return false;
+  }
+
+  /**
+   * Run one chat completion
+   * @param {Array} messages - OpenAI-style chat messages
+   * @param {Object} options - model, temperature, maxTokens, topP, timeout,
+   *   responseFormat ('json' for JSON mode), tools, toolChoice, signal (AbortSignal)
+   * @returns {Promise<Object>} - { content, toolCalls, model, usage, requestId }; usage is normalized
+   * @throws {LLMProviderError}
+   */
+  async chat(messages, options = {}) {
+    throw new LLMProviderError(this.name, 'chat is not implemented');
+  }
+
+  /**
+   * Run one chat completion, passing content to onDelta as it arrives.
+   * Providers without streaming send the whole reply as a single delta.
+   * @param {Array} messages - OpenAI-style chat messages
+   * @param {Object} options - As for chat, plus signal (AbortSignal)
+   * @param {Function} onDelta - (text) => void
+   * @returns {Promise<Object>} - The same completion chat returns
+   */
+  async chatStream(messages, options = {}, onDelta = () => {}) {
+    const result = await this.chat(messages, options);
+    if (result.content) {
+      onDelta(result.content);
+    }
+    return result;
+  }
+
+  /**
+   * Public description for health and status endpoints; never includes secrets
+   * @returns {Object}
+   */
+  describe() {
+    return {
+      name: this.name,
+      label: this.label,
+      model: this.model,
+      configured: this.isConfigured(),
+      supportsTools: this.supportsTools,
+      supportsJsonMode: this.supportsJsonMode
+    };
+  }
+
+  /**
+   * Normalize token usage from either the OpenAI or the DashScope shape
+   * @returns {Object|null} - { promptTokens, completionTokens, totalTokens }
+   */
+  normalizeUsage(usage) {
+    if (!usage) {
+      return null;
+    }
+    const promptTokens = usage.prompt_tokens ?? usage.input_tokens ?? 0;
+    const completionTokens = usage.completion_tokens ?? usage.output_tokens ?? 0;
+    return {
+      promptTokens,
+      completionTokens,
+      totalTokens: usage.total_tokens ?? promptTokens + completionTokens
+    };
+  }
+
+  /**
+   * Wrap an axios failure in an LLMProviderError
+   */
+  requestError(error) {
+    if (error instanceof LLMProviderError) {
+      return error;
+    }
+    // Streamed requests carry the error body as an unread stream
+    const data = typeof error.response?.data?.pipe === 'function' ? null : error.response?.data;
+    const message = data?.error?.message || data?.message || error.message;
+    return new LLMProviderError(this.name, message, error.response?.status || null, data || null);
+  }
+}
+
+module.exports = LLMProvider;
+module.exports.LLMProviderError = LLMProviderError;
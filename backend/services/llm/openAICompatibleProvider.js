@@ -0,0 +1,172 @@
+// SIRFA Agent Finance - OpenAI-Compatible LLM Provider
+// Chat completions against any /v1/chat/completions endpoint: Model Studio,
+// PAI EAS, or a local server such as llama.cpp or Ollama
+
+const axios = require('axios');
+const LLMProvider = require('./llmProvider');
+const { LLMProviderError } = LLMProvider;
+
+class OpenAICompatibleProvider extends LLMProvider {
+  /**
+   * @param {string} name - Provider key
+   * @param {Object} options - label, baseUrl (up to and including /v1), model,
+   *   apiKey, authScheme ('bearer' or 'raw'), timeout, supportsTools,
+   *   supportsJsonMode, requiresApiKey
+   */
+  constructor(name, options = {}) {
+    super(name, options);
+    this.baseUrl = (options.baseUrl || '').replace(/\/+$/, '');
+    this.apiKey = options.apiKey || '';
+    this.authScheme = options.authScheme || 'bearer';
+    this.timeout = options.timeout || 45000;
+    this.requiresApiKey = options.requiresApiKey !== false;
+  }
+
+  isConfigured() {
+    return Boolean(this.baseUrl) && (!this.requiresApiKey || Boolean(this.apiKey));
+  }
+
+  getHeaders() {
+    const headers = { 'Content-Type': 'application/json', 'Accept': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = this.authScheme === 'raw' ? this.apiKey : `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  buildRequest(messages, options) {
+    const requestData = {
+      model: options.model || this.model,
+      messages,
+      temperature: options.temperature ?? 0.7,
+      max_tokens: options.maxTokens || 1000,
+      top_p: options.topP || 0.8,
+      stream: false
+    };
+    if (options.responseFormat === 'json' && this.supportsJsonMode) {
+      requestData.response_format = { type: 'json_object' };
+    }
+    if (options.tools && options.tools.length > 0) {
+      requestData.tools = options.tools;
+      requestData.tool_choice = options.toolChoice || 'auto';
+    }
+    return requestData;
+  }
+
+  async chat(messages, options = {}) {
+    const requestData = this.buildRequest(messages, options);
+
+    let response;
+    try {
+      response = await axios.post(`${this.baseUrl}/chat/completions`, requestData, {
+        headers: this.getHeaders(),
+        timeout: options.timeout || this.timeout,
+        signal: options.signal
+      });
+    } catch (error) {
+      throw this.requestError(error);
+    }
+
+    const message = response.data?.choices?.[0]?.message;
+    if (!message || (!message.content && !message.tool_calls?.length)) {
+      throw new LLMProviderError(this.name, 'Invalid response format from chat completions API', response.status, response.data);
+    }
+
+    return {
+      content: message.content || '',
+      toolCalls: message.tool_calls || [],
+      model: response.data.model || requestData.model,
+      usage: this.normalizeUsage(response.data.usage),
+      requestId: response.data.id || null
+    };
+  }
+
+  /**
+   * Stream a chat completion as server-sent events. Content deltas go to
+   * onDelta; tool call fragments are reassembled into whole tool calls.
+   */
+  async chatStream(messages, options = {}, onDelta = () => {}) {
+    const requestData = {
+      ...this.buildRequest(messages, options),
+      stream: true,
+      stream_options: { include_usage: true }
+    };
+
+    let response;
+    try {
+      response = await axios.post(`${this.baseUrl}/chat/completions`, requestData, {
+        headers: { ...this.getHeaders(), 'Accept': 'text/event-stream' },
+        timeout: options.timeout || this.timeout,
+        signal: options.signal,
+        responseType: 'stream'
+      });
+    } catch (error) {
+      throw this.requestError(error);
+    }
+
+    const completion = { content: '', toolCalls: [], model: requestData.model, usage: null, requestId: null };
+    const applyChunk = (chunk) => {
+      completion.model = chunk.model || completion.model;
+      completion.requestId = chunk.id || completion.requestId;
+      if (chunk.usage) {
+        completion.usage = this.normalizeUsage(chunk.usage);
+      }
+
+      const delta = chunk.choices?.[0]?.delta;
+      if (!delta) return;
+      if (delta.content) {
+        completion.content += delta.content;
+        onDelta(delta.content);
+      }
+      for (const fragment of delta.tool_calls || []) {
+        const index = fragment.index ?? completion.toolCalls.length;
+        const call = completion.toolCalls[index] ||
+          (completion.toolCalls[index] = { id: null, type: 'function', function: { name: '', arguments: '' } });
+        call.id = fragment.id || call.id;
+        call.function.name += fragment.function?.name || '';
+        call.function.arguments += fragment.function?.arguments || '';
+      }
+    };
+
+    await new Promise((resolve, reject) => {
+      let buffer = '';
+      const handleLine = (line) => {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) return;
+        const payload = trimmed.slice(5).trim();
+        if (payload === '[DONE]') return;
+        try {
+          applyChunk(JSON.parse(payload));
+        } catch (error) {
+          console.warn(`${this.label} sent an unreadable stream chunk:`, error.message);
+        }
+      };
+
+      response.data.on('data', (data) => {
+        buffer += data.toString('utf8');
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+      });
+      response.data.on('end', () => {
+        handleLine(buffer);
+        resolve();
+      });
+      response.data.on('error', (error) => reject(this.requestError(error)));
+      // A cancelled request closes the stream without ending it; settled promises ignore this
+      response.data.on('close', () => reject(new LLMProviderError(this.name, 'Stream closed before it finished')));
+    });
+
+    completion.toolCalls = completion.toolCalls.filter(Boolean);
+    if (!completion.content && completion.toolCalls.length === 0) {
+      throw new LLMProviderError(this.name, 'Stream ended without content', response.status);
+    }
+    return completion;
+  }
+
+  describe() {
+    return { ...super.describe(), baseUrl: this.baseUrl };
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
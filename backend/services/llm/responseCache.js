@@ -0,0 +1,96 @@
+// SIRFA Agent Finance - LLM Response Cache
+// In-memory LRU cache of completions keyed by provider, model, messages and sampling options
+
+const crypto = require('crypto');
+
+class ResponseCache {
+  /**
+   * @param {Object} options - ttlMs (0 disables the cache) and maxEntries
+   */
+  constructor({ ttlMs = 0, maxEntries = 500 } = {}) {
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.hits = 0;
+    this.staleHits = 0;
+    this.misses = 0;
+  }
+
+  get enabled() {
+    return this.ttlMs > 0 && this.maxEntries > 0;
+  }
+
+  /**
+   * Cache key for a request. Messages match exactly once whitespace runs are
+   * collapsed, so reformatted but otherwise identical prompts share an entry.
+   * @param {Object} request - provider, model, messages, temperature, maxTokens, topP, responseFormat
+   * @returns {string|null} - Key, or null when the cache is disabled
+   */
+  key({ provider, model, messages, temperature, maxTokens, topP, responseFormat }) {
+    if (!this.enabled) return null;
+    const normalized = messages.map(message => ({
+      role: message.role,
+      content: String(message.content ?? '').replace(/\s+/g, ' ').trim()
+    }));
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([provider, model ?? null, normalized, temperature ?? null, maxTokens ?? null, topP ?? null, responseFormat ?? null]))
+      .digest('hex');
+  }
+
+  /**
+   * Look up an entry, refreshing its recency
+   * @param {string} key - From key()
+   * @param {Object} options - allowStale: also return entries past their TTL
+   * @returns {Object|null} - { value, cachedAt, stale }
+   */
+  get(key, { allowStale = false } = {}) {
+    const entry = key ? this.entries.get(key) : null;
+    const stale = entry ? Date.now() - entry.cachedAt > this.ttlMs : false;
+    if (!entry || (stale && !allowStale)) {
+      this.misses++;
+      return null;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    if (stale) this.staleHits++;
+    else this.hits++;
+    return { ...entry, stale };
+  }
+
+  /**
+   * Store a value, evicting the least recently used entries beyond maxEntries.
+   * Expired entries are kept until evicted so they can be served when over budget.
+   */
+  set(key, value) {
+    if (!key) return;
+    this.entries.delete(key);
+    this.entries.set(key, { value, cachedAt: Date.now() });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    if (key) this.entries.delete(key);
+  }
+
+  /**
+   * Entry count, settings and hit rate
+   */
+  stats() {
+    const lookups = this.hits + this.staleHits + this.misses;
+    return {
+      enabled: this.enabled,
+      ttlMs: this.ttlMs,
+      maxEntries: this.maxEntries,
+      entries: this.entries.size,
+      hits: this.hits,
+      staleHits: this.staleHits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? (this.hits + this.staleHits) / lookups : null
+    };
+  }
+}
+
+module.exports = ResponseCache;
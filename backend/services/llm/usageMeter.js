@@ -0,0 +1,282 @@
+// SIRFA Agent Finance - LLM Usage Meter
+// Daily token and cost accounting per agent, endpoint and model, and the budgets checked against it
+
+const fs = require('fs').promises;
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../../config');
+
+const SAVE_DELAY_MS = 500;
+const RETENTION_DAYS = 30;
+// Rough characters per token, for providers that report no usage
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Error raised by usage queries with the HTTP status to answer with
+ */
+class UsageMeterError extends Error {
+  constructor(statusCode, message, details = null, code = null) {
+    super(message);
+    this.name = 'UsageMeterError';
+    this.statusCode = statusCode;
+    this.details = details;
+    this.code = code;
+  }
+}
+
+const emptyBucket = () => ({
+  requests: 0,
+  cachedResponses: 0,
+  degradedRequests: 0,
+  failedRequests: 0,
+  estimatedRequests: 0,
+  promptTokens: 0,
+  completionTokens: 0,
+  totalTokens: 0,
+  cost: 0,
+  savedCost: 0
+});
+
+const emptyDay = () => ({ totals: emptyBucket(), agents: {}, endpoints: {}, models: {} });
+
+// UTC date, which is when daily budgets reset
+const dayOf = (date = new Date()) => date.toISOString().slice(0, 10);
+
+const roundCost = (cost) => Math.round(cost * 1e6) / 1e6;
+
+class UsageMeter {
+  constructor() {
+    this.days = {};
+    this.saveTimer = null;
+    this.context = new AsyncLocalStorage();
+    this.dataFilePath = path.join(__dirname, '..', '..', 'data', 'llm-usage.json');
+    this.ready = this.loadState();
+  }
+
+  /**
+   * Load usage from file
+   */
+  async loadState() {
+    try {
+      const data = await fs.readFile(this.dataFilePath, 'utf8');
+      this.days = JSON.parse(data).days || {};
+    } catch (error) {
+      // File doesn't exist or is corrupted, start fresh
+    }
+  }
+
+  /**
+   * Save usage to file, coalescing bursts of writes
+   */
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(async () => {
+      this.saveTimer = null;
+      try {
+        await fs.mkdir(path.dirname(this.dataFilePath), { recursive: true });
+        await fs.writeFile(this.dataFilePath, JSON.stringify({ days: this.days }, null, 2));
+      } catch (error) {
+        console.error('Failed to save LLM usage:', error);
+      }
+    }, SAVE_DELAY_MS);
+    this.saveTimer.unref?.();
+  }
+
+  /**
+   * Express middleware attributing the LLM calls made while handling a request to its route
+   */
+  middleware() {
+    return (req, res, next) => this.context.run({ req }, next);
+  }
+
+  /**
+   * Run fn with its LLM calls attributed to an endpoint, for work outside HTTP requests
+   * @param {Object} context - endpoint, e.g. 'scheduler'
+   */
+  run(context, fn) {
+    return this.context.run(context, fn);
+  }
+
+  /**
+   * Endpoint the current call is attributed to: the matched route of the
+   * request being handled, a run() context, or 'background'
+   */
+  currentEndpoint() {
+    const store = this.context.getStore();
+    if (store?.endpoint) return store.endpoint;
+    if (store?.req) {
+      const { req } = store;
+      return `${req.method} ${req.baseUrl}${req.route?.path ?? req.path}`;
+    }
+    return 'background';
+  }
+
+  /**
+   * Price per 1K tokens of a model: an exact match in config.llm.pricing,
+   * else the longest priced name the model starts with (e.g. qwen-plus for qwen-plus-latest)
+   * @returns {Object|null} - { input, output }, or null when the model is unpriced
+   */
+  getPrice(model) {
+    if (!model) return null;
+    const { pricing } = config.llm;
+    if (pricing[model]) return pricing[model];
+    const prefix = Object.keys(pricing)
+      .filter(name => model.startsWith(name))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? pricing[prefix] : null;
+  }
+
+  /**
+   * Cost in USD of a completion's usage
+   */
+  costOf(model, usage) {
+    const price = this.getPrice(model);
+    if (!price || !usage) return 0;
+    return (usage.promptTokens * price.input + usage.completionTokens * price.output) / 1000;
+  }
+
+  /**
+   * A completion's usage, estimated from text length when the provider reported none
+   * @returns {Object} - { promptTokens, completionTokens, totalTokens, estimated }
+   */
+  measure(messages, result) {
+    if (result.usage) {
+      return { ...result.usage, estimated: false };
+    }
+    const promptChars = messages.reduce((sum, message) => sum + String(message.content ?? '').length, 0);
+    const promptTokens = Math.ceil(promptChars / CHARS_PER_TOKEN);
+    const completionTokens = Math.ceil(String(result.content ?? '').length / CHARS_PER_TOKEN);
+    return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens, estimated: true };
+  }
+
+  /**
+   * Record one LLM call in today's totals and its agent, endpoint and model
+   * @param {Object} call - provider, model, usage (from measure; omitted for cached and failed calls),
+   *   agentId, endpoint (defaults to currentEndpoint()), cached, savedCost (what a cached
+   *   response cost when it was generated), degraded and failed
+   * @returns {number} - Cost of the call in USD
+   */
+  record({ provider, model, usage = null, agentId = null, endpoint = null, cached = false, savedCost = 0, degraded = false, failed = false }) {
+    const cost = cached || !usage ? 0 : this.costOf(model, usage);
+    const date = dayOf();
+    const day = this.days[date] = this.days[date] || emptyDay();
+    const bucketOf = (group, key) => (group[key] = group[key] || emptyBucket());
+
+    const buckets = [
+      day.totals,
+      bucketOf(day.endpoints, endpoint || this.currentEndpoint()),
+      bucketOf(day.models, `${provider}/${model}`)
+    ];
+    if (agentId) {
+      buckets.push(bucketOf(day.agents, agentId));
+    }
+
+    for (const bucket of buckets) {
+      bucket.requests++;
+      if (cached) bucket.cachedResponses++;
+      if (degraded) bucket.degradedRequests++;
+      if (failed) bucket.failedRequests++;
+      if (usage && !cached) {
+        if (usage.estimated) bucket.estimatedRequests++;
+        bucket.promptTokens += usage.promptTokens || 0;
+        bucket.completionTokens += usage.completionTokens || 0;
+        bucket.totalTokens += usage.totalTokens || 0;
+      }
+      bucket.cost = roundCost(bucket.cost + cost);
+      bucket.savedCost = roundCost(bucket.savedCost + savedCost);
+    }
+
+    this.prune();
+    this.scheduleSave();
+    return cost;
+  }
+
+  /**
+   * Drop days older than the retention window
+   */
+  prune() {
+    const cutoff = dayOf(new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000));
+    for (const date of Object.keys(this.days)) {
+      if (date < cutoff) delete this.days[date];
+    }
+  }
+
+  /**
+   * Today's spend against the daily budget and, for an agent, its own budget
+   * @param {string} agentId - Optional agent the call is for
+   * @returns {Object} - { exceeded, scope ('daily' or 'agent' when exceeded), daily, agent }
+   *   where daily and agent are { limit, spent, remaining } with limit null when unlimited
+   */
+  getBudgetStatus(agentId = null) {
+    const { daily, agentDaily } = config.llm.budget;
+    const day = this.days[dayOf()] || emptyDay();
+    const status = (limit, spent) => ({
+      limit: limit > 0 ? limit : null,
+      spent,
+      remaining: limit > 0 ? roundCost(Math.max(limit - spent, 0)) : null
+    });
+
+    const result = {
+      exceeded: false,
+      scope: null,
+      daily: status(daily, day.totals.cost),
+      agent: agentId ? { agentId, ...status(agentDaily, day.agents[agentId]?.cost || 0) } : null
+    };
+    if (daily > 0 && day.totals.cost >= daily) {
+      Object.assign(result, { exceeded: true, scope: 'daily' });
+    } else if (agentId && agentDaily > 0 && result.agent.spent >= agentDaily) {
+      Object.assign(result, { exceeded: true, scope: 'agent' });
+    }
+    return result;
+  }
+
+  /**
+   * Usage report: today's totals by agent, endpoint and model, budgets, and totals for recent days
+   * @param {Object} options - days: how many days of totals to include, 1 to 30 (default 7)
+   * @returns {Promise<Object>}
+   * @throws {UsageMeterError} - When days is out of range
+   */
+  async getReport({ days = 7 } = {}) {
+    await this.ready;
+    const count = Number(days);
+    if (!Number.isInteger(count) || count < 1 || count > RETENTION_DAYS) {
+      throw new UsageMeterError(400, `days must be an integer from 1 to ${RETENTION_DAYS}`, null, 'INVALID_DAYS');
+    }
+
+    const date = dayOf();
+    const today = this.days[date] || emptyDay();
+    const { agentDaily, fallbackModel } = config.llm.budget;
+    const overall = this.getBudgetStatus();
+    const agentBudgets = Object.fromEntries(Object.keys(today.agents).map(agentId => {
+      const { agent } = this.getBudgetStatus(agentId);
+      return [agentId, { spent: agent.spent, remaining: agent.remaining, exceeded: agentDaily > 0 && agent.spent >= agentDaily }];
+    }));
+
+    const history = [];
+    for (let i = 0; i < count; i++) {
+      const day = dayOf(new Date(Date.now() - i * 24 * 60 * 60 * 1000));
+      history.push({ date: day, totals: this.days[day]?.totals || emptyBucket() });
+    }
+
+    return {
+      date,
+      today: {
+        totals: today.totals,
+        byAgent: today.agents,
+        byEndpoint: today.endpoints,
+        byModel: today.models
+      },
+      budget: {
+        daily: { ...overall.daily, exceeded: overall.scope === 'daily' },
+        agentDailyLimit: agentDaily > 0 ? agentDaily : null,
+        agents: agentBudgets,
+        fallbackModel
+      },
+      days: history,
+      pricing: config.llm.pricing
+    };
+  }
+}
+
+module.exports = new UsageMeter();
+module.exports.UsageMeterError = UsageMeterError;
@@ -0,0 +1,312 @@
+// SIRFA Agent Finance - Market Calendar Service
+// US equity trading days, early closes and pre/post sessions, cached locally
+
+const fs = require('fs').promises;
+const path = require('path');
+const broker = require('./brokers');
+
+const EXCHANGE_TIME_ZONE = 'America/New_York';
+const CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+const CALENDAR_DAYS_AHEAD = 45;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const REGULAR_HOURS = { sessionOpen: '04:00', open: '09:30', close: '16:00', sessionClose: '20:00' };
+const EARLY_CLOSE_HOURS = { sessionOpen: '04:00', open: '09:30', close: '13:00', sessionClose: '17:00' };
+
+const exchangeDateTime = new Intl.DateTimeFormat('en-US', {
+  timeZone: EXCHANGE_TIME_ZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+  hourCycle: 'h23'
+});
+
+const pad = (value) => String(value).padStart(2, '0');
+const dateKey = (date) => `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+const utcDate = (year, month, day) => new Date(Date.UTC(year, month - 1, day));
+const addDays = (key, days) => dateKey(new Date(new Date(`${key}T00:00:00Z`).getTime() + days * DAY_MS));
+
+// Wall-clock parts of an instant in exchange time
+const exchangeParts = (date) => {
+  const parts = Object.fromEntries(exchangeDateTime.formatToParts(date).map(part => [part.type, part.value]));
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    utcEquivalent: Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)
+  };
+};
+
+// Instant for an exchange-time date ('YYYY-MM-DD') and time ('HH:MM')
+const exchangeTimeToDate = (key, time) => {
+  const [year, month, day] = key.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  let instant = wallClock - (exchangeParts(new Date(wallClock)).utcEquivalent - wallClock);
+  // Re-derive the offset at the candidate instant in case it crossed a DST change
+  instant = wallClock - (exchangeParts(new Date(instant)).utcEquivalent - instant);
+  return new Date(instant);
+};
+
+// Alpaca reports session times as 'HHMM'
+const normalizeTime = (value) => {
+  const digits = String(value || '').replace(':', '');
+  return digits.length === 4 ? `${digits.slice(0, 2)}:${digits.slice(2)}` : null;
+};
+
+const nthWeekday = (year, month, weekday, n) => {
+  const first = utcDate(year, month, 1);
+  return utcDate(year, month, 1 + ((weekday - first.getUTCDay() + 7) % 7) + (n - 1) * 7);
+};
+
+const lastWeekday = (year, month, weekday) => {
+  const last = utcDate(year, month + 1, 0);
+  return utcDate(year, month, last.getUTCDate() - ((last.getUTCDay() - weekday + 7) % 7));
+};
+
+// Anonymous Gregorian algorithm
+const easterSunday = (year) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return utcDate(year, month, day);
+};
+
+// Fixed-date holidays move to Friday when on a Saturday and Monday when on a Sunday
+const observed = (date) => {
+  const weekday = date.getUTCDay();
+  if (weekday === 6) return new Date(date.getTime() - DAY_MS);
+  if (weekday === 0) return new Date(date.getTime() + DAY_MS);
+  return date;
+};
+
+/**
+ * NYSE holidays for a year
+ * @returns {Object} - { 'YYYY-MM-DD': name }
+ */
+const nyseHolidays = (year) => {
+  const holidays = {};
+  const add = (date, name) => { holidays[dateKey(date)] = name; };
+
+  // A Saturday New Year's Day is not observed on the preceding Friday
+  const newYear = utcDate(year, 1, 1);
+  if (newYear.getUTCDay() !== 6) add(observed(newYear), "New Year's Day");
+  add(nthWeekday(year, 1, 1, 3), 'Martin Luther King Jr. Day');
+  add(nthWeekday(year, 2, 1, 3), "Washington's Birthday");
+  add(new Date(easterSunday(year).getTime() - 2 * DAY_MS), 'Good Friday');
+  add(lastWeekday(year, 5, 1), 'Memorial Day');
+  if (year >= 2022) add(observed(utcDate(year, 6, 19)), 'Juneteenth');
+  add(observed(utcDate(year, 7, 4)), 'Independence Day');
+  add(nthWeekday(year, 9, 1, 1), 'Labor Day');
+  add(nthWeekday(year, 11, 4, 4), 'Thanksgiving Day');
+  add(observed(utcDate(year, 12, 25)), 'Christmas Day');
+
+  return holidays;
+};
+
+// Days the regular session ends at 13:00
+const nyseEarlyCloses = (year, holidays) => {
+  const candidates = [
+    utcDate(year, 7, 3),
+    new Date(nthWeekday(year, 11, 4, 4).getTime() + DAY_MS),
+    utcDate(year, 12, 24)
+  ];
+  return candidates
+    .filter(date => date.getUTCDay() !== 0 && date.getUTCDay() !== 6 && !holidays[dateKey(date)])
+    .map(dateKey);
+};
+
+class MarketCalendarService {
+  constructor() {
+    this.cache = null;
+    this.loading = null;
+    this.dataFilePath = path.join(__dirname, '..', 'data', 'market-calendar.json');
+  }
+
+  /**
+   * Trading days from the built-in NYSE rules
+   */
+  buildRuleCalendar(start, end) {
+    const days = [];
+    const rulesByYear = new Map();
+
+    for (let key = start; key <= end; key = addDays(key, 1)) {
+      const weekday = new Date(`${key}T00:00:00Z`).getUTCDay();
+      if (weekday === 0 || weekday === 6) continue;
+
+      const year = parseInt(key.slice(0, 4));
+      if (!rulesByYear.has(year)) {
+        const holidays = nyseHolidays(year);
+        rulesByYear.set(year, { holidays, earlyCloses: nyseEarlyCloses(year, holidays) });
+      }
+      const rules = rulesByYear.get(year);
+      if (rules.holidays[key]) continue;
+
+      const earlyClose = rules.earlyCloses.includes(key);
+      days.push({ date: key, ...(earlyClose ? EARLY_CLOSE_HOURS : REGULAR_HOURS), earlyClose });
+    }
+    return days;
+  }
+
+  /**
+   * Trading days from the broker's calendar, falling back to the built-in rules
+   */
+  async fetchCalendar(start, end) {
+    try {
+      const calendar = await broker.getCalendar({ start, end });
+      return {
+        source: broker.name,
+        days: calendar.map(day => {
+          const close = normalizeTime(day.close) || REGULAR_HOURS.close;
+          const earlyClose = close < REGULAR_HOURS.close;
+          const defaults = earlyClose ? EARLY_CLOSE_HOURS : REGULAR_HOURS;
+          return {
+            date: day.date,
+            sessionOpen: normalizeTime(day.session_open) || defaults.sessionOpen,
+            open: normalizeTime(day.open) || defaults.open,
+            close,
+            sessionClose: normalizeTime(day.session_close) || defaults.sessionClose,
+            earlyClose
+          };
+        })
+      };
+    } catch (error) {
+      return { source: 'rules', days: this.buildRuleCalendar(start, end) };
+    }
+  }
+
+  /**
+   * Load the cached calendar, refreshing it once a day or when it no longer covers today
+   */
+  async getCachedCalendar() {
+    const today = exchangeParts(new Date()).date;
+    const isCurrent = (cache) => cache &&
+      Date.now() - new Date(cache.fetchedAt).getTime() < CACHE_TTL_MS &&
+      cache.start <= today && addDays(today, CALENDAR_DAYS_AHEAD - 7) <= cache.end;
+
+    if (isCurrent(this.cache)) return this.cache;
+
+    if (!this.loading) {
+      this.loading = (async () => {
+        try {
+          const stored = JSON.parse(await fs.readFile(this.dataFilePath, 'utf8'));
+          if (isCurrent(stored)) return stored;
+        } catch (error) {
+          // No usable cache file, fetch a fresh calendar
+        }
+
+        const start = addDays(today, -7);
+        const end = addDays(today, CALENDAR_DAYS_AHEAD);
+        const { source, days } = await this.fetchCalendar(start, end);
+        const cache = { source, start, end, fetchedAt: new Date().toISOString(), days };
+
+        try {
+          await fs.mkdir(path.dirname(this.dataFilePath), { recursive: true });
+          await fs.writeFile(this.dataFilePath, JSON.stringify(cache, null, 2));
+        } catch (error) {
+          console.error('Failed to save market calendar:', error);
+        }
+        return cache;
+      })().finally(() => {
+        this.loading = null;
+      });
+    }
+
+    this.cache = await this.loading;
+    return this.cache;
+  }
+
+  /**
+   * Trading day with its session boundaries as instants
+   */
+  describeDay(day) {
+    return {
+      date: day.date,
+      earlyClose: day.earlyClose,
+      preMarketOpen: exchangeTimeToDate(day.date, day.sessionOpen).toISOString(),
+      open: exchangeTimeToDate(day.date, day.open).toISOString(),
+      close: exchangeTimeToDate(day.date, day.close).toISOString(),
+      afterHoursClose: exchangeTimeToDate(day.date, day.sessionClose).toISOString()
+    };
+  }
+
+  /**
+   * Trading days between two dates (inclusive, 'YYYY-MM-DD')
+   */
+  async getCalendar(start, end) {
+    const cache = await this.getCachedCalendar();
+    const inCache = start >= cache.start && end <= cache.end;
+    const days = inCache ? cache.days : (await this.fetchCalendar(start, end)).days;
+    return days
+      .filter(day => day.date >= start && day.date <= end)
+      .map(day => this.describeDay(day));
+  }
+
+  /**
+   * Market clock: current session and the next open and close
+   * @param {Date} now - Instant to evaluate (defaults to now)
+   * @returns {Promise<Object>} - { timestamp, isOpen, session, nextOpen, nextClose, nextPreMarketOpen, today, upcoming, source }
+   */
+  async getClock(now = new Date()) {
+    const cache = await this.getCachedCalendar();
+    const today = exchangeParts(now).date;
+    const horizon = addDays(today, 14);
+    const calendar = today >= cache.start && horizon <= cache.end
+      ? cache
+      : { source: cache.source, ...(await this.fetchCalendar(today, horizon)) };
+    const days = calendar.days
+      .filter(day => day.date >= today)
+      .map(day => this.describeDay(day));
+
+    const time = now.getTime();
+    const at = (iso) => new Date(iso).getTime();
+    const current = days[0] && days[0].date === today ? days[0] : null;
+
+    let session = 'closed';
+    if (current) {
+      if (time >= at(current.preMarketOpen) && time < at(current.open)) session = 'pre';
+      else if (time >= at(current.open) && time < at(current.close)) session = 'regular';
+      else if (time >= at(current.close) && time < at(current.afterHoursClose)) session = 'post';
+    }
+
+    const nextOpenDay = days.find(day => at(day.open) > time);
+    const nextCloseDay = days.find(day => at(day.close) > time);
+    const nextPreMarketDay = days.find(day => at(day.preMarketOpen) > time);
+
+    return {
+      timestamp: now.toISOString(),
+      isOpen: session === 'regular',
+      session,
+      nextOpen: nextOpenDay ? nextOpenDay.open : null,
+      nextClose: nextCloseDay ? nextCloseDay.close : null,
+      nextPreMarketOpen: nextPreMarketDay ? nextPreMarketDay.preMarketOpen : null,
+      today: current,
+      upcoming: days.filter(day => day.date > today).slice(0, 5),
+      source: calendar.source
+    };
+  }
+
+  /**
+   * NYSE holidays for a year (from the built-in rules)
+   */
+  getHolidays(year) {
+    return Object.entries(nyseHolidays(year))
+      .filter(([date]) => date.startsWith(String(year)))
+      .map(([date, name]) => ({ date, name }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+}
+
+module.exports = new MarketCalendarService();
@@ -0,0 +1,130 @@
+// SIRFA Agent Finance - Order Class Builder
+// Builds bracket, OCO and OTO order parameters with configured exit defaults
+
+const config = require('../config');
+
+const ORDER_CLASSES = ['simple', 'bracket', 'oco', 'oto'];
+const LEG_TIME_IN_FORCE = ['day', 'gtc'];
+
+const roundPrice = (price) => (price >= 1 ? Math.round(price * 100) / 100 : Math.round(price * 10000) / 10000);
+
+/**
+ * Normalize a take-profit leg from the request body
+ */
+function parseTakeProfit(takeProfit) {
+  if (!takeProfit) return null;
+  const limitPrice = parseFloat(takeProfit.limit_price ?? takeProfit.limitPrice ?? takeProfit);
+  return Number.isFinite(limitPrice) ? { limit_price: limitPrice } : null;
+}
+
+/**
+ * Normalize a stop-loss leg from the request body
+ */
+function parseStopLoss(stopLoss) {
+  if (!stopLoss) return null;
+  const stopPrice = parseFloat(stopLoss.stop_price ?? stopLoss.stopPrice ?? stopLoss);
+  if (!Number.isFinite(stopPrice)) return null;
+
+  const leg = { stop_price: stopPrice };
+  const limitPrice = parseFloat(stopLoss.limit_price ?? stopLoss.limitPrice);
+  if (Number.isFinite(limitPrice)) {
+    leg.limit_price = limitPrice;
+  }
+  return leg;
+}
+
+/**
+ * Default exit legs from config.trading.takeProfitPercentage / stopLossPercentage.
+ * Long exposure exits sell above (take profit) and below (stop loss) the
+ * reference price; short exposure exits mirror that.
+ */
+function defaultLegs(referencePrice, longExposure) {
+  const takeProfitPct = config.trading.takeProfitPercentage / 100;
+  const stopLossPct = config.trading.stopLossPercentage / 100;
+  const direction = longExposure ? 1 : -1;
+
+  return {
+    take_profit: { limit_price: roundPrice(referencePrice * (1 + direction * takeProfitPct)) },
+    stop_loss: { stop_price: roundPrice(referencePrice * (1 - direction * stopLossPct)) }
+  };
+}
+
+/**
+ * Apply an order class to base order parameters
+ * @param {Object} orderParams - Base Alpaca order parameters (symbol, qty, side, type, time_in_force)
+ * @param {Object} options - { order_class, take_profit, stop_loss } from the request
+ * @param {number} referencePrice - Entry price used to default and sanity-check the legs
+ * @returns {Object} - { valid, reason, orderParams }
+ */
+function buildOrderClassParams(orderParams, options = {}, referencePrice = null) {
+  const orderClass = (options.order_class || 'simple').toLowerCase();
+
+  if (!ORDER_CLASSES.includes(orderClass)) {
+    return { valid: false, reason: `Invalid order_class "${orderClass}". Expected one of: ${ORDER_CLASSES.join(', ')}` };
+  }
+
+  if (orderClass === 'simple') {
+    return { valid: true, orderParams: { ...orderParams } };
+  }
+
+  if (!LEG_TIME_IN_FORCE.includes(orderParams.time_in_force)) {
+    return { valid: false, reason: `${orderClass} orders require time_in_force "day" or "gtc"` };
+  }
+
+  // OCO orders exit an existing position, so their side is the exit side
+  const longExposure = orderClass === 'oco' ? orderParams.side === 'sell' : orderParams.side === 'buy';
+  let takeProfit = parseTakeProfit(options.take_profit);
+  let stopLoss = parseStopLoss(options.stop_loss);
+
+  if ((!takeProfit || !stopLoss) && !(referencePrice > 0)) {
+    return { valid: false, reason: 'A reference price is required to default take-profit and stop-loss legs' };
+  }
+
+  const defaults = referencePrice > 0 ? defaultLegs(referencePrice, longExposure) : {};
+
+  if (orderClass === 'oto') {
+    // One-triggers-other carries a single exit leg; protect with a stop by default
+    if (!takeProfit && !stopLoss) {
+      stopLoss = defaults.stop_loss;
+    }
+  } else {
+    takeProfit = takeProfit || defaults.take_profit;
+    stopLoss = stopLoss || defaults.stop_loss;
+  }
+
+  if (takeProfit && stopLoss) {
+    const ordered = longExposure
+      ? takeProfit.limit_price > stopLoss.stop_price
+      : takeProfit.limit_price < stopLoss.stop_price;
+    if (!ordered) {
+      return { valid: false, reason: `take_profit.limit_price must be ${longExposure ? 'above' : 'below'} stop_loss.stop_price` };
+    }
+  }
+
+  if (referencePrice > 0 && orderClass !== 'oco') {
+    if (takeProfit && (longExposure ? takeProfit.limit_price <= referencePrice : takeProfit.limit_price >= referencePrice)) {
+      return { valid: false, reason: `take_profit.limit_price must be ${longExposure ? 'above' : 'below'} the entry price ${referencePrice}` };
+    }
+    if (stopLoss && (longExposure ? stopLoss.stop_price >= referencePrice : stopLoss.stop_price <= referencePrice)) {
+      return { valid: false, reason: `stop_loss.stop_price must be ${longExposure ? 'below' : 'above'} the entry price ${referencePrice}` };
+    }
+  }
+
+  const params = { ...orderParams, order_class: orderClass };
+  if (takeProfit) params.take_profit = takeProfit;
+  if (stopLoss) params.stop_loss = stopLoss;
+
+  if (orderClass === 'oco') {
+    // The OCO parent is the take-profit limit order; the stop rides as its leg
+    params.type = 'limit';
+    delete params.limit_price;
+  }
+
+  return { valid: true, orderParams: params };
+}
+
+module.exports = {
+  ORDER_CLASSES,
+  buildOrderClassParams,
+  defaultLegs
+};
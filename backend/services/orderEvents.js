@@ -0,0 +1,134 @@
+// SIRFA Agent Finance - Order Event Log
+// Persists the lifecycle of every order (new → accepted → fills → canceled/replaced)
+
+const fs = require('fs').promises;
+const path = require('path');
+const broker = require('./brokers');
+
+const MAX_ORDERS = 5000;
+const SAVE_DELAY_MS = 1000;
+
+// Trade-update event name for an order status seen by polling
+const STATUS_EVENTS = {
+  partially_filled: 'partial_fill',
+  filled: 'fill'
+};
+
+class OrderEventLog {
+  constructor() {
+    this.events = new Map();
+    this.saveTimer = null;
+    this.dataFilePath = path.join(__dirname, '..', 'data', 'order-events.json');
+    this.ready = this.loadEvents();
+
+    // Brokers that push trade updates (the simulated broker) feed the log directly
+    broker.on('trade_update', ({ event, order, timestamp, ...details }) => {
+      this.record(order, event, { source: 'broker', timestamp, ...details });
+    });
+  }
+
+  /**
+   * Load the event log from file
+   */
+  async loadEvents() {
+    try {
+      const data = await fs.readFile(this.dataFilePath, 'utf8');
+      const loaded = new Map(Object.entries(JSON.parse(data)));
+      // Keep events recorded while the file was loading
+      for (const [orderId, events] of this.events) {
+        loaded.set(orderId, [...(loaded.get(orderId) || []), ...events]);
+      }
+      this.events = loaded;
+    } catch (error) {
+      // File doesn't exist or is corrupted, start fresh
+    }
+  }
+
+  /**
+   * Save the event log to file, coalescing bursts of updates
+   */
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(async () => {
+      this.saveTimer = null;
+      try {
+        await fs.mkdir(path.dirname(this.dataFilePath), { recursive: true });
+        await fs.writeFile(this.dataFilePath, JSON.stringify(Object.fromEntries(this.events), null, 2));
+      } catch (error) {
+        console.error('Failed to save order events:', error);
+      }
+    }, SAVE_DELAY_MS);
+    this.saveTimer.unref?.();
+  }
+
+  /**
+   * Append an event for an order
+   * @param {Object} order - Order in Alpaca format
+   * @param {string} event - Trade-update event name (new, fill, canceled, replaced, ...) or an API action
+   * @param {Object} details - source, timestamp and any event-specific fields
+   */
+  record(order, event, details = {}) {
+    if (!order || !order.id) return;
+
+    const { source = 'api', timestamp, ...extra } = details;
+    const entry = {
+      event,
+      status: order.status,
+      timestamp: timestamp || new Date().toISOString(),
+      source,
+      symbol: order.symbol,
+      side: order.side,
+      qty: order.qty,
+      filledQty: order.filled_qty,
+      filledAvgPrice: order.filled_avg_price,
+      limitPrice: order.limit_price,
+      stopPrice: order.stop_price
+    };
+    if (order.replaced_by) entry.replacedBy = order.replaced_by;
+    if (order.replaces) entry.replaces = order.replaces;
+    Object.assign(entry, extra);
+
+    if (!this.events.has(order.id)) {
+      this.events.set(order.id, []);
+      this.pruneOldest();
+    }
+    this.events.get(order.id).push(entry);
+    this.scheduleSave();
+  }
+
+  /**
+   * Record the order's current status if it differs from the last one logged.
+   * Used for brokers whose transitions are only visible by polling.
+   */
+  recordSnapshot(order, source = 'poll', extra = {}) {
+    if (!order || !order.id) return;
+
+    const events = this.events.get(order.id) || [];
+    const last = events.filter(entry => entry.status).pop();
+    if (last && last.status === order.status && last.filledQty === order.filled_qty) return;
+
+    this.record(order, STATUS_EVENTS[order.status] || order.status, {
+      source,
+      timestamp: order.updated_at || order.submitted_at,
+      ...extra
+    });
+  }
+
+  pruneOldest() {
+    while (this.events.size > MAX_ORDERS) {
+      this.events.delete(this.events.keys().next().value);
+    }
+  }
+
+  /**
+   * Get the event history for an order
+   * @param {string} orderId - Broker order ID
+   * @returns {Promise<Array>} - Events in the order they were recorded
+   */
+  async getEvents(orderId) {
+    await this.ready;
+    return [...(this.events.get(orderId) || [])];
+  }
+}
+
+module.exports = new OrderEventLog();
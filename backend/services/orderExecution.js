@@ -0,0 +1,723 @@
+// SIRFA Agent Finance - Order Execution Service
+// Single path for submitting orders: pre-trade checks, conflict handling, error normalization and post-trade hooks
+
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const broker = require('./brokers');
+const config = require('../config');
+const pretradePricing = require('./pretradePricing');
+const orderEvents = require('./orderEvents');
+const performanceTracking = require('./performanceTracking');
+const decisionTraces = require('./decisionTraces');
+const tradingHalt = require('./tradingHalt');
+const marketCalendar = require('./marketCalendar');
+const capitalSleeves = require('./capitalSleeves');
+
+const CONFLICT_POLICIES = ['cancel', 'reject', 'queue'];
+const SESSION_POLICIES = ['reject', 'queue', 'extended'];
+const CONFLICTING_STATUSES = ['new', 'pending_new', 'accepted', 'pending_replace'];
+const GROUPED_ORDER_CLASSES = ['bracket', 'oco', 'oto'];
+const CANCEL_WAIT_MS = 2000;
+const CANCEL_POLL_MS = 250;
+const QUEUE_POLL_MS = 5000;
+
+// Broker error codes (Alpaca's, which every adapter reports) mapped to API responses
+const BROKER_ERRORS = {
+  40310000: {
+    statusCode: 409,
+    error: 'Wash trade detected',
+    details: 'Cannot place order due to existing opposite side order. Try canceling existing orders first.'
+  },
+  40110000: {
+    statusCode: 400,
+    error: 'Insufficient buying power',
+    details: 'Not enough funds to place this order.'
+  },
+  42210000: {
+    statusCode: 400,
+    error: 'Invalid order',
+    details: 'Order parameters are invalid or market is closed.'
+  }
+};
+
+/**
+ * Error raised by the execution pipeline with the HTTP status to answer with
+ */
+class OrderExecutionError extends Error {
+  constructor(statusCode, message, details = null, code = null) {
+    super(message);
+    this.name = 'OrderExecutionError';
+    this.statusCode = statusCode;
+    this.details = details;
+    this.code = code;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class OrderExecutionService {
+  constructor() {
+    this.conflictPolicy = config.trading.conflictPolicy;
+    this.sessionPolicy = config.trading.sessionPolicy;
+    this.queuedOrders = new Map();
+    this.queueTimer = null;
+    this.processingQueue = false;
+    this.postTradeHooks = [];
+    this.dataFilePath = path.join(__dirname, '..', 'data', 'order-queue.json');
+    this.saving = Promise.resolve();
+    this.ready = this.loadQueue();
+
+    this.addPostTradeHook(this.recordOrderEvent.bind(this));
+    this.addPostTradeHook(this.attributeToSleeve.bind(this));
+    this.addPostTradeHook(this.recordPerformance.bind(this));
+    this.addPostTradeHook(this.broadcastDecision.bind(this));
+    this.addPostTradeHook(this.recordDecisionTrace.bind(this));
+
+    // Queued orders are retried whenever an order on the book changes
+    broker.on('trade_update', () => this.processQueue());
+  }
+
+  /**
+   * Load queued orders from file so orders held for the next open survive a restart
+   */
+  async loadQueue() {
+    try {
+      const data = await fs.readFile(this.dataFilePath, 'utf8');
+      for (const entry of JSON.parse(data)) {
+        // An order caught mid-submission may or may not have reached the broker
+        if (entry.status === 'submitting') {
+          entry.status = 'failed';
+          entry.error = 'Interrupted by a server restart; check the broker before resubmitting';
+          entry.settledAt = new Date().toISOString();
+        }
+        this.queuedOrders.set(entry.id, entry);
+      }
+      if ([...this.queuedOrders.values()].some(entry => entry.status === 'queued')) {
+        this.startQueueTimer();
+      }
+    } catch (error) {
+      // File doesn't exist or is corrupted, start fresh
+    }
+  }
+
+  /**
+   * Save queued orders to file (writes are serialized)
+   */
+  saveQueue() {
+    this.saving = this.saving.then(async () => {
+      try {
+        await fs.mkdir(path.dirname(this.dataFilePath), { recursive: true });
+        await fs.writeFile(this.dataFilePath, JSON.stringify([...this.queuedOrders.values()], null, 2));
+      } catch (error) {
+        console.error('Failed to save order queue:', error);
+      }
+    });
+    return this.saving;
+  }
+
+  /**
+   * Whether order submission is enabled (TRADING_ENABLED)
+   */
+  isTradingEnabled() {
+    return process.env.TRADING_ENABLED === 'true';
+  }
+
+  assertTradingEnabled() {
+    if (!this.isTradingEnabled()) {
+      throw new OrderExecutionError(403, 'Trading is currently disabled');
+    }
+  }
+
+  /**
+   * Check TRADING_ENABLED, the kill switch and the agent's circuit breaker
+   * @param {string} agentId - Agent placing the order (optional)
+   * @throws {OrderExecutionError} 403 when trading is disabled or halted
+   */
+  async assertCanTrade(agentId = null) {
+    this.assertTradingEnabled();
+
+    const halt = await tradingHalt.getBlockingHalt(agentId);
+    if (halt) {
+      const agentHalt = halt.scope === 'agent';
+      throw new OrderExecutionError(
+        403,
+        agentHalt ? `Trading is halted for ${halt.agentId}` : 'Trading is halted',
+        halt.reason,
+        agentHalt ? 'AGENT_HALTED' : 'TRADING_HALTED'
+      );
+    }
+  }
+
+  /**
+   * Resolve the live sizing price for an order
+   * @throws {OrderExecutionError} 503 when no fresh price is available
+   */
+  async priceOrder(orderParams) {
+    try {
+      return await pretradePricing.priceOrder(orderParams);
+    } catch (error) {
+      console.warn(`Pre-trade pricing failed for ${orderParams.symbol}:`, error.message);
+      throw new OrderExecutionError(503, 'Unable to price order', error.message, error.code);
+    }
+  }
+
+  /**
+   * Reject orders whose priced notional exceeds the MAX_POSITION_SIZE limit (config.trading.maxPositionSize)
+   * @throws {OrderExecutionError} 400 when the limit is exceeded
+   */
+  checkPositionSize(orderParams, pricing) {
+    const maxPositionSize = config.trading.maxPositionSize;
+    const orderValue = orderParams.qty * pricing.price;
+
+    if (orderValue > maxPositionSize) {
+      throw new OrderExecutionError(
+        400,
+        `Order value $${orderValue.toFixed(2)} (${orderParams.qty} @ $${pricing.price}) exceeds maximum position size of $${maxPositionSize}`
+      );
+    }
+  }
+
+  /**
+   * Check an agent's order against its capital sleeve, when it has one
+   * @param {string} replacing - ID of the order this one replaces (see capitalSleeves.checkOrder)
+   * @returns {Promise<Object|null>} - { price, releaseOrderIds }: the price the order was
+   *   checked at and the exits a closing sell replaces (see capitalSleeves.checkOrder)
+   * @throws {OrderExecutionError} 400 when the sleeve cannot cover the order
+   */
+  async checkSleeve(orderParams, agentId, replacing = null) {
+    await capitalSleeves.ready;
+    if (!capitalSleeves.hasSleeve(agentId)) return null;
+
+    const price = parseFloat(orderParams.limit_price) || (await this.priceOrder(orderParams)).price;
+    try {
+      const { releaseOrderIds } = await capitalSleeves.checkOrder(orderParams, agentId, price, { replacing });
+      return { price, releaseOrderIds };
+    } catch (error) {
+      throw new OrderExecutionError(error.statusCode || 400, error.message, error.details, error.code);
+    }
+  }
+
+  /**
+   * Cancel the bracket/OCO exits a closing sell takes over from the sleeve check,
+   * just before the sell is submitted
+   */
+  async releaseExits(sleeveCheck, orderParams, logPrefix) {
+    if (!sleeveCheck?.releaseOrderIds.length) return;
+    const exits = sleeveCheck.releaseOrderIds.map(id => ({ id, symbol: orderParams.symbol }));
+    await this.cancelConflicts(exits, logPrefix, 'exit');
+  }
+
+  /**
+   * Resolve the conflict policy for a request, falling back to ORDER_CONFLICT_POLICY
+   * @throws {OrderExecutionError} 400 for an unknown policy
+   */
+  resolvePolicy(policy) {
+    const resolved = (policy || this.conflictPolicy).toLowerCase();
+    if (!CONFLICT_POLICIES.includes(resolved)) {
+      throw new OrderExecutionError(400, `Invalid conflict_policy "${policy}". Expected one of: ${CONFLICT_POLICIES.join(', ')}`);
+    }
+    return resolved;
+  }
+
+  /**
+   * Resolve the session policy for a request, falling back to ORDER_SESSION_POLICY
+   * @throws {OrderExecutionError} 400 for an unknown policy
+   */
+  resolveSessionPolicy(policy) {
+    const resolved = (policy || this.sessionPolicy).toLowerCase();
+    if (!SESSION_POLICIES.includes(resolved)) {
+      throw new OrderExecutionError(400, `Invalid session_policy "${policy}". Expected one of: ${SESSION_POLICIES.join(', ')}`);
+    }
+    return resolved;
+  }
+
+  /**
+   * Current market clock, or null when market hours are not enforced
+   */
+  async getSessionClock() {
+    if (!config.trading.enforceMarketHours) return null;
+    try {
+      return await marketCalendar.getClock();
+    } catch (error) {
+      console.warn('Market clock unavailable, skipping session check:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Apply the session policy to an order placed outside the regular session.
+   * 'extended' rewrites orderParams into an extended-hours limit order.
+   * @returns {Promise<Object|null>} - Queue result for 'queue', otherwise null
+   * @throws {OrderExecutionError} 409 MARKET_CLOSED when the order cannot be placed now
+   */
+  async applySessionPolicy(orderParams, options) {
+    const policy = this.resolveSessionPolicy(options.sessionPolicy);
+    const clock = await this.getSessionClock();
+    if (!clock || clock.isOpen) return null;
+
+    const extendedSession = clock.session === 'pre' || clock.session === 'post';
+    const sessionName = extendedSession ? `${clock.session}-market session` : 'market closed';
+
+    // Extended-hours limit orders are already valid outside the regular session
+    if (extendedSession && orderParams.extended_hours) return null;
+
+    if (policy === 'queue') {
+      return this.enqueueOrder(orderParams, options, [], { reason: 'market_closed', releaseAt: clock.nextOpen });
+    }
+
+    if (policy === 'extended' && extendedSession) {
+      const type = String(orderParams.type || 'market').toLowerCase();
+      if ((orderParams.order_class && orderParams.order_class !== 'simple') || (type !== 'market' && type !== 'limit')) {
+        throw new OrderExecutionError(
+          409,
+          'Market is closed',
+          `Only simple market or limit orders can be converted to extended-hours orders (${sessionName}); next open ${clock.nextOpen}`,
+          'MARKET_CLOSED'
+        );
+      }
+
+      if (type === 'market') {
+        const pricing = await this.priceOrder(orderParams);
+        orderParams.limit_price = Math.round(pricing.price * 100) / 100;
+      }
+      orderParams.type = 'limit';
+      orderParams.time_in_force = 'day';
+      orderParams.extended_hours = true;
+      console.log(`${options.logPrefix || ''}Converted ${orderParams.symbol} order to an extended-hours limit at $${orderParams.limit_price} (${sessionName})`);
+      return null;
+    }
+
+    throw new OrderExecutionError(
+      409,
+      'Market is closed',
+      policy === 'extended'
+        ? `No extended-hours session is open; pre-market opens ${clock.nextPreMarketOpen}`
+        : `Orders are only accepted in the regular session (${sessionName}); next open ${clock.nextOpen}`,
+      'MARKET_CLOSED'
+    );
+  }
+
+  /**
+   * Open opposite-side orders on the same symbol that would trip wash-trade detection.
+   * Bracket/OCO/OTO orders and their legs are never conflicts: they protect a
+   * position, so they are not canceled or waited on, and the broker rejects the
+   * new order if it still clashes with them.
+   */
+  async findConflicts(orderParams) {
+    const existingOrders = await broker.getOrders({
+      status: 'open',
+      symbols: orderParams.symbol
+    });
+
+    return existingOrders.filter(order =>
+      order.symbol === orderParams.symbol &&
+      order.side !== orderParams.side &&
+      CONFLICTING_STATUSES.includes(order.status) &&
+      !order.parent_order_id &&
+      !GROUPED_ORDER_CLASSES.includes(order.order_class)
+    );
+  }
+
+  /**
+   * Cancel conflicting (or released exit) orders and wait until the broker reports them closed
+   */
+  async cancelConflicts(conflicts, logPrefix, kind = 'conflicting') {
+    console.log(`${logPrefix}Canceling ${conflicts.length} ${kind} orders for ${conflicts[0].symbol}`);
+
+    const pending = [];
+    for (const conflict of conflicts) {
+      try {
+        await broker.cancelOrder(conflict.id);
+        pending.push(conflict.id);
+        console.log(`${logPrefix}Canceled ${kind} order: ${conflict.id}`);
+      } catch (cancelError) {
+        console.warn(`${logPrefix}Failed to cancel order ${conflict.id}:`, cancelError.message);
+      }
+    }
+
+    const deadline = Date.now() + CANCEL_WAIT_MS;
+    while (pending.length > 0 && Date.now() < deadline) {
+      const statuses = await Promise.all(pending.map(id =>
+        broker.getOrder(id).then(order => order.status).catch(() => null)
+      ));
+      const stillOpen = pending.filter((id, index) => CONFLICTING_STATUSES.includes(statuses[index]) || statuses[index] === 'pending_cancel');
+      pending.splice(0, pending.length, ...stillOpen);
+      if (pending.length > 0) {
+        await sleep(CANCEL_POLL_MS);
+      }
+    }
+  }
+
+  /**
+   * Submit an order through the shared pipeline
+   * @param {Object} orderParams - Broker order parameters
+   * @param {Object} options - Execution options
+   * @param {string} options.source - Caller, e.g. 'manual', 'agent-trade', 'ai_suggestion', 'websocket'
+   * @param {string} options.agentId - Agent placing the order, checked against its circuit breaker
+   * @param {string} options.decisionId - Agent decision the order carries out; the order is added to its trace
+   * @param {string} options.sessionPolicy - 'reject', 'queue' or 'extended' outside the regular session (defaults to ORDER_SESSION_POLICY)
+   * @param {string} options.conflictPolicy - 'cancel', 'reject' or 'queue' (defaults to ORDER_CONFLICT_POLICY)
+   * @param {Object} options.performance - { agentId, decision } to record in performance tracking
+   * @param {Object} options.tradingDecision - Decision to broadcast to the trading room
+   * @param {string} options.logPrefix - Prefix for log lines
+   * @returns {Promise<Object>} - { order } or { queued: true, queueId, reason, conflicts, releaseAt, expiresAt }
+   */
+  async submitOrder(orderParams, options = {}) {
+    await this.ready;
+    const policy = this.resolvePolicy(options.conflictPolicy);
+    const logPrefix = options.logPrefix || '';
+
+    await this.assertCanTrade(options.agentId);
+    const sleeveCheck = await this.checkSleeve(orderParams, options.agentId);
+
+    const heldForOpen = await this.applySessionPolicy(orderParams, options);
+    if (heldForOpen) {
+      return heldForOpen;
+    }
+
+    let conflicts = [];
+    try {
+      conflicts = await this.findConflicts(orderParams);
+    } catch (orderCheckError) {
+      console.warn(`${logPrefix}Error checking for conflicting orders:`, orderCheckError.message);
+    }
+
+    if (conflicts.length > 0) {
+      if (policy === 'reject') {
+        throw new OrderExecutionError(
+          409,
+          'Conflicting orders',
+          `${conflicts.length} open ${conflicts[0].side} order(s) on ${orderParams.symbol} would trigger wash-trade detection`,
+          'CONFLICTING_ORDERS'
+        );
+      }
+      if (policy === 'queue') {
+        return this.enqueueOrder(orderParams, options, conflicts);
+      }
+      await this.cancelConflicts(conflicts, logPrefix);
+    }
+
+    await this.releaseExits(sleeveCheck, orderParams, logPrefix);
+
+    let order;
+    try {
+      order = await broker.createOrder(orderParams);
+    } catch (error) {
+      throw this.normalizeError(error);
+    }
+
+    await this.runPostTradeHooks(order, { ...options, orderParams, sleevePrice: sleeveCheck?.price });
+    return { order };
+  }
+
+  /**
+   * Replace (modify) a working order after the checks a new order gets: the halt
+   * and circuit breaker of the agent whose sleeve owns it, the position size limit
+   * and the sleeve's buying power or shares. Post-trade hooks run for the replacement.
+   * @param {string} orderId - Order to replace
+   * @param {Object} replaceParams - qty, limit_price, stop_price and/or time_in_force
+   * @param {Object} options - As for submitOrder; agentId defaults to the order's sleeve owner
+   * @returns {Promise<Object>} - { order } (the replacement)
+   * @throws {OrderExecutionError} When a check fails; broker errors are passed on as thrown
+   */
+  async replaceOrder(orderId, replaceParams, options = {}) {
+    await this.ready;
+    await capitalSleeves.ready;
+    const logPrefix = options.logPrefix || '';
+
+    const existing = await broker.getOrder(orderId);
+    const agentId = options.agentId || capitalSleeves.ownerOf(existing.id);
+    await this.assertCanTrade(agentId);
+
+    const orderParams = {
+      symbol: existing.symbol,
+      side: existing.side,
+      type: existing.order_type,
+      qty: replaceParams.qty ?? parseFloat(existing.qty),
+      limit_price: replaceParams.limit_price ?? existing.limit_price,
+      stop_price: replaceParams.stop_price ?? existing.stop_price
+    };
+    this.checkPositionSize(orderParams, await this.priceOrder(orderParams));
+    const sleeveCheck = await this.checkSleeve(orderParams, agentId, existing.id);
+    await this.releaseExits(sleeveCheck, orderParams, logPrefix);
+
+    orderEvents.record(existing, 'replace_requested', { requested: replaceParams });
+    const order = await broker.replaceOrder(orderId, replaceParams);
+
+    await this.runPostTradeHooks(order, { ...options, agentId, orderParams, sleevePrice: sleeveCheck?.price });
+    return { order };
+  }
+
+  /**
+   * Hold an order until its conflicting orders close, or until the market opens
+   * @param {Object} hold - { reason: 'conflict'|'market_closed', releaseAt }
+   */
+  enqueueOrder(orderParams, options, conflicts, hold = {}) {
+    const queueId = uuidv4();
+    const queuedAt = new Date();
+    const reason = hold.reason || 'conflict';
+    const waitFrom = hold.releaseAt ? new Date(hold.releaseAt) : queuedAt;
+    const entry = {
+      id: queueId,
+      orderParams,
+      options,
+      reason,
+      conflictingOrderIds: conflicts.map(order => order.id),
+      status: 'queued',
+      queuedAt: queuedAt.toISOString(),
+      releaseAt: hold.releaseAt || null,
+      expiresAt: new Date(waitFrom.getTime() + config.trading.conflictQueueTimeoutSeconds * 1000).toISOString()
+    };
+    this.queuedOrders.set(queueId, entry);
+    this.saveQueue();
+    this.startQueueTimer();
+
+    const waitingOn = reason === 'market_closed' ? `the next open (${entry.releaseAt})` : `${conflicts.length} conflicting orders`;
+    console.log(`${options.logPrefix || ''}Queued ${orderParams.side} ${orderParams.qty} ${orderParams.symbol} until ${waitingOn}`);
+    return {
+      queued: true,
+      queueId,
+      reason,
+      conflicts: entry.conflictingOrderIds,
+      releaseAt: entry.releaseAt,
+      expiresAt: entry.expiresAt
+    };
+  }
+
+  /**
+   * Settle a queue entry and persist the outcome
+   */
+  settleQueuedOrder(entry, status, error = null) {
+    entry.status = status;
+    entry.settledAt = new Date().toISOString();
+    if (error) entry.error = error;
+    this.saveQueue();
+  }
+
+  startQueueTimer() {
+    if (this.queueTimer) return;
+    this.queueTimer = setInterval(() => this.processQueue(), QUEUE_POLL_MS);
+    this.queueTimer.unref?.();
+  }
+
+  /**
+   * Submit queued orders whose conflicts have cleared or whose market has
+   * opened; expire stale ones
+   */
+  async processQueue() {
+    if (this.processingQueue) return;
+    this.processingQueue = true;
+
+    try {
+      await this.ready;
+      for (const entry of this.queuedOrders.values()) {
+        if (entry.status !== 'queued') continue;
+
+        if (Date.now() > new Date(entry.expiresAt).getTime()) {
+          this.settleQueuedOrder(entry, 'expired');
+          console.warn(`Queued order ${entry.id} for ${entry.orderParams.symbol} expired waiting on ${entry.reason === 'market_closed' ? 'the market open' : 'conflicting orders'}`);
+          continue;
+        }
+
+        if (entry.reason === 'market_closed') {
+          if (Date.now() < new Date(entry.releaseAt).getTime()) continue;
+          const clock = await this.getSessionClock();
+          if (clock && !clock.isOpen) continue;
+        }
+
+        // Halted orders wait in the queue until trading resumes or they expire
+        try {
+          await this.assertCanTrade(entry.options.agentId);
+        } catch (error) {
+          continue;
+        }
+
+        let conflicts;
+        try {
+          conflicts = await this.findConflicts(entry.orderParams);
+        } catch (error) {
+          continue;
+        }
+
+        // Orders held for the open handle conflicts with the policy they were submitted under
+        if (conflicts.length > 0) {
+          const policy = entry.reason === 'market_closed' ? this.resolvePolicy(entry.options.conflictPolicy) : 'queue';
+          if (policy === 'queue') continue;
+          if (policy === 'reject') {
+            this.settleQueuedOrder(entry, 'failed', 'Conflicting orders');
+            continue;
+          }
+          await this.cancelConflicts(conflicts, entry.options.logPrefix || '');
+        }
+
+        // The agent's sleeve may have spent its cash while the order waited
+        let sleeveCheck;
+        try {
+          sleeveCheck = await this.checkSleeve(entry.orderParams, entry.options.agentId);
+        } catch (error) {
+          this.settleQueuedOrder(entry, 'failed', error.details || error.message);
+          continue;
+        }
+
+        entry.status = 'submitting';
+        await this.saveQueue();
+        try {
+          await this.releaseExits(sleeveCheck, entry.orderParams, entry.options.logPrefix || '');
+          const order = await broker.createOrder(entry.orderParams);
+          entry.orderId = order.id;
+          this.settleQueuedOrder(entry, 'submitted');
+          await this.runPostTradeHooks(order, { ...entry.options, orderParams: entry.orderParams, queueId: entry.id, sleevePrice: sleeveCheck?.price });
+        } catch (error) {
+          this.settleQueuedOrder(entry, 'failed', this.normalizeError(error).message);
+          console.error(`Queued order ${entry.id} for ${entry.orderParams.symbol} failed:`, entry.error);
+        }
+      }
+
+      // Forget settled entries after an hour, stop polling once the queue is idle
+      const cutoff = Date.now() - 60 * 60 * 1000;
+      let pruned = false;
+      for (const [queueId, entry] of this.queuedOrders) {
+        if (entry.status !== 'queued' && new Date(entry.settledAt || entry.queuedAt).getTime() < cutoff) {
+          this.queuedOrders.delete(queueId);
+          pruned = true;
+        }
+      }
+      if (pruned) {
+        this.saveQueue();
+      }
+      if (![...this.queuedOrders.values()].some(entry => entry.status === 'queued')) {
+        clearInterval(this.queueTimer);
+        this.queueTimer = null;
+      }
+    } finally {
+      this.processingQueue = false;
+    }
+  }
+
+  /**
+   * List queued orders and their outcome
+   */
+  getQueuedOrders() {
+    return [...this.queuedOrders.values()].map(({ options, ...entry }) => ({
+      ...entry,
+      source: options.source || 'manual'
+    }));
+  }
+
+  /**
+   * Cancel an order that is still waiting in the queue
+   * @returns {boolean} - Whether the order was queued and is now canceled
+   */
+  cancelQueuedOrder(queueId) {
+    const entry = this.queuedOrders.get(queueId);
+    if (!entry || entry.status !== 'queued') {
+      return false;
+    }
+    this.settleQueuedOrder(entry, 'canceled');
+    return true;
+  }
+
+  /**
+   * Map a broker or pipeline error to an OrderExecutionError
+   */
+  normalizeError(error) {
+    if (error instanceof OrderExecutionError) {
+      return error;
+    }
+
+    const brokerError = error.response?.data;
+    const mapped = brokerError ? BROKER_ERRORS[brokerError.code] : null;
+    if (mapped) {
+      const normalized = new OrderExecutionError(mapped.statusCode, mapped.error, mapped.details, brokerError.code);
+      normalized.reason = brokerError.message;
+      return normalized;
+    }
+
+    return new OrderExecutionError(
+      500,
+      'Failed to place order',
+      brokerError?.message || error.message,
+      brokerError?.code || null
+    );
+  }
+
+  /**
+   * Register a hook run after every successful submission
+   * @param {Function} hook - async (order, context) => void
+   */
+  addPostTradeHook(hook) {
+    this.postTradeHooks.push(hook);
+  }
+
+  async runPostTradeHooks(order, context) {
+    for (const hook of this.postTradeHooks) {
+      try {
+        await hook(order, context);
+      } catch (error) {
+        console.error('Post-trade hook failed:', error);
+      }
+    }
+  }
+
+  async recordOrderEvent(order, context) {
+    orderEvents.recordSnapshot(order, 'api', { origin: context.source || 'manual' });
+  }
+
+  /**
+   * Attribute an agent's order to its capital sleeve
+   */
+  async attributeToSleeve(order, context) {
+    if (!context.agentId) return;
+    await capitalSleeves.attributeOrder(order, context.agentId, context.sleevePrice);
+  }
+
+  /**
+   * Record the decision in performance tracking when the caller asks for it
+   */
+  async recordPerformance(order, context) {
+    if (!context.performance) return;
+
+    const account = await broker.getAccount();
+    const portfolioData = {
+      totalValue: parseFloat(account.portfolio_value),
+      dayChange: parseFloat(account.unrealized_pl || 0),
+      buyingPower: parseFloat(account.buying_power)
+    };
+
+    await performanceTracking.recordTradingDecision(
+      context.performance.agentId,
+      context.performance.decision,
+      portfolioData
+    );
+  }
+
+  /**
+   * Add the order to the trace of the decision it carries out
+   */
+  async recordDecisionTrace(order, context) {
+    if (!context.decisionId) return;
+    await decisionTraces.recordOrder(context.decisionId, order, context.source);
+  }
+
+  /**
+   * Broadcast the trading decision to WebSocket clients for Decision History
+   */
+  async broadcastDecision(order, context) {
+    if (!context.tradingDecision || !global.wsIntegration) return;
+
+    global.wsIntegration.broadcastTradingDecision({
+      id: order.id,
+      symbol: order.symbol,
+      action: order.side,
+      quantity: order.qty,
+      timestamp: new Date().toISOString(),
+      ...context.tradingDecision
+    });
+  }
+}
+
+module.exports = new OrderExecutionService();
+module.exports.OrderExecutionError = OrderExecutionError;
+module.exports.CONFLICT_POLICIES = CONFLICT_POLICIES;
+module.exports.SESSION_POLICIES = SESSION_POLICIES;
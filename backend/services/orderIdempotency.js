@@ -0,0 +1,236 @@
+// SIRFA Agent Finance - Order Idempotency Service
+// Replays the original response for order requests retried with the same key
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const broker = require('./brokers');
+const config = require('../config');
+
+const MAX_KEY_LENGTH = 128; // Alpaca's client_order_id limit
+const PENDING_TIMEOUT_MS = 60 * 1000;
+
+// Sort object keys recursively so equal payloads serialize identically
+const canonicalize = (value) => {
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((sorted, key) => {
+      sorted[key] = canonicalize(value[key]);
+      return sorted;
+    }, {});
+  }
+  return value;
+};
+
+class OrderIdempotencyService {
+  constructor() {
+    this.entries = new Map();
+    this.windowMs = config.trading.idempotencyWindowHours * 60 * 60 * 1000;
+    this.dataFilePath = path.join(__dirname, '..', 'data', 'order-idempotency.json');
+    this.saving = Promise.resolve();
+    this.ready = this.loadEntries();
+  }
+
+  /**
+   * Load persisted key mappings from file
+   */
+  async loadEntries() {
+    try {
+      const data = await fs.readFile(this.dataFilePath, 'utf8');
+      this.entries = new Map(Object.entries(JSON.parse(data)));
+      this.pruneExpired();
+    } catch (error) {
+      // File doesn't exist or is corrupted, start fresh
+      this.entries = new Map();
+    }
+  }
+
+  /**
+   * Save key mappings to file (writes are serialized)
+   */
+  saveEntries() {
+    this.saving = this.saving.then(async () => {
+      try {
+        await fs.mkdir(path.dirname(this.dataFilePath), { recursive: true });
+        await fs.writeFile(this.dataFilePath, JSON.stringify(Object.fromEntries(this.entries), null, 2));
+      } catch (error) {
+        console.error('Failed to save order idempotency keys:', error);
+      }
+    });
+    return this.saving;
+  }
+
+  pruneExpired() {
+    const cutoff = Date.now() - this.windowMs;
+    for (const [key, entry] of this.entries) {
+      if (new Date(entry.createdAt).getTime() < cutoff) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Hash the request payload so a reused key with different parameters is caught
+   */
+  fingerprint(scope, body = {}) {
+    const { client_order_id, ...payload } = body;
+    return crypto.createHash('sha256').update(`${scope}:${JSON.stringify(canonicalize(payload))}`).digest('hex');
+  }
+
+  /**
+   * Client order ID sent to the broker for a key
+   */
+  clientOrderIdFor(key) {
+    return key.length <= MAX_KEY_LENGTH ? key : crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Reserve a key for a new request, or describe how to answer a repeat
+   * @param {string} scope - Route name ('order', 'execute', 'agent-trade')
+   * @param {string} key - Idempotency key
+   * @param {Object} body - Request body
+   * @returns {Promise<Object>} - { action: 'proceed'|'replay'|'in_progress'|'mismatch', entry }
+   */
+  async begin(scope, key, body) {
+    await this.ready;
+    this.pruneExpired();
+
+    const fingerprint = this.fingerprint(scope, body);
+    const existing = this.entries.get(key);
+
+    if (existing) {
+      if (existing.fingerprint !== fingerprint) {
+        return { action: 'mismatch', entry: existing };
+      }
+      if (existing.status === 'completed') {
+        return { action: 'replay', entry: existing };
+      }
+      if (Date.now() - new Date(existing.startedAt).getTime() < PENDING_TIMEOUT_MS) {
+        return { action: 'in_progress', entry: existing };
+      }
+
+      // A pending entry that never completed (e.g. the server restarted mid-request):
+      // the broker knows whether the order actually went through
+      const recovered = await this.findBrokerOrder(existing.clientOrderId);
+      if (recovered) {
+        existing.status = 'completed';
+        existing.orderId = recovered.id;
+        existing.response = {
+          statusCode: 200,
+          body: {
+            success: true,
+            order: {
+              id: recovered.id,
+              clientOrderId: recovered.client_order_id,
+              symbol: recovered.symbol,
+              qty: recovered.qty,
+              side: recovered.side,
+              type: recovered.order_type,
+              status: recovered.status,
+              submittedAt: recovered.submitted_at
+            }
+          }
+        };
+        await this.saveEntries();
+        return { action: 'replay', entry: existing };
+      }
+    }
+
+    const now = new Date().toISOString();
+    const entry = {
+      key,
+      scope,
+      fingerprint,
+      clientOrderId: this.clientOrderIdFor(key),
+      status: 'pending',
+      createdAt: existing?.createdAt || now,
+      startedAt: now
+    };
+    this.entries.set(key, entry);
+    await this.saveEntries();
+
+    return { action: 'proceed', entry };
+  }
+
+  /**
+   * Record the response for a completed request
+   */
+  async complete(key, statusCode, body) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+
+    entry.status = 'completed';
+    entry.orderId = body?.order?.id || null;
+    entry.response = { statusCode, body };
+    entry.completedAt = new Date().toISOString();
+    await this.saveEntries();
+  }
+
+  /**
+   * Release a key whose request failed so the client can retry it
+   */
+  async release(key) {
+    if (this.entries.get(key)?.status === 'pending') {
+      this.entries.delete(key);
+      await this.saveEntries();
+    }
+  }
+
+  async findBrokerOrder(clientOrderId) {
+    try {
+      return await broker.getOrderByClientOrderId(clientOrderId);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Express middleware for order routes. Reads the key from the
+   * Idempotency-Key header or body.client_order_id, exposes the broker client
+   * order ID as req.clientOrderId and replays completed responses.
+   * @param {string} scope - Route name used in the request fingerprint
+   */
+  middleware(scope) {
+    return async (req, res, next) => {
+      const key = req.get('Idempotency-Key') || req.body?.client_order_id;
+      if (!key) return next();
+
+      if (typeof key !== 'string' || key.length > 255) {
+        return res.status(400).json({ success: false, error: 'Idempotency key must be a string of at most 255 characters' });
+      }
+
+      try {
+        const { action, entry } = await this.begin(scope, key, req.body);
+
+        if (action === 'replay') {
+          res.set('Idempotent-Replayed', 'true');
+          return res.status(entry.response.statusCode).json({ ...entry.response.body, idempotentReplay: true });
+        }
+        if (action === 'in_progress') {
+          return res.status(409).json({ success: false, error: 'A request with this idempotency key is already in progress' });
+        }
+        if (action === 'mismatch') {
+          return res.status(422).json({ success: false, error: 'Idempotency key was already used with different order parameters' });
+        }
+
+        req.clientOrderId = entry.clientOrderId;
+
+        // Keep the response for successful submissions; free the key otherwise
+        const json = res.json.bind(res);
+        res.json = (body) => {
+          const succeeded = res.statusCode < 300 && body?.success !== false;
+          const settle = succeeded ? this.complete(key, res.statusCode, body) : this.release(key);
+          settle.catch(error => console.error('Failed to settle idempotency key:', error));
+          return json(body);
+        };
+
+        next();
+      } catch (error) {
+        console.error('Idempotency check failed:', error);
+        res.status(500).json({ success: false, error: 'Failed to check idempotency key' });
+      }
+    };
+  }
+}
+
+module.exports = new OrderIdempotencyService();
@@ -3,7 +3,7 @@
 
 const fs = require('fs').promises;
 const path = require('path');
-const { getAgentProfile } = require('../config/agentProfiles');
+const { getAgentProfile } = require('./agentRegistry');
 
 class PerformanceTrackingService {
   constructor() {
@@ -50,8 +50,9 @@ class PerformanceTrackingService {
 
   /**
    * Record a trading decision made by an agent
+   * @param {Object} prompt - Name and version of the prompt template the decision came from, if any
    */
-  async recordTradingDecision(agentId, decision, portfolioData, sessionId = null) {
+  async recordTradingDecision(agentId, decision, portfolioData, sessionId = null, prompt = null) {
     try {
       const timestamp = new Date().toISOString();
       const agent = getAgentProfile(agentId);
@@ -82,11 +83,13 @@ class PerformanceTrackingService {
         id: `${agentId}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
         timestamp,
         sessionId,
+        prompt: prompt ? { name: prompt.name, version: prompt.version } : null,
         decision: {
           action: decision.action,
           symbol: decision.symbol,
           quantity: decision.quantity,
           price: decision.price,
+          confidence: decision.confidence ?? null,
           reasoning: decision.reasoning
         },
         portfolioSnapshot: {
@@ -368,6 +371,69 @@ class PerformanceTrackingService {
     };
   }
 
+  /**
+   * Compare the decisions and trade results of each prompt template version
+   * @param {Object} filters - agentId and task (template name), both optional
+   * @returns {Object} - { versions: [{ name, version, agents, decisions, actions, averageConfidence,
+   *   executedTrades, successfulTrades, failedTrades, winRate, totalReturn, averageReturn }] }
+   */
+  getPromptVersionComparison({ agentId = null, task = null } = {}) {
+    const groups = new Map();
+
+    for (const [id, agentData] of this.performanceData) {
+      if (agentId && id !== agentId) continue;
+
+      for (const record of agentData.decisions) {
+        // Decisions recorded before prompt versioning, or placed without a prompt, aren't compared
+        if (!record.prompt || (task && record.prompt.name !== task)) continue;
+
+        const key = `${record.prompt.name}@${record.prompt.version}`;
+        if (!groups.has(key)) {
+          groups.set(key, {
+            name: record.prompt.name,
+            version: record.prompt.version,
+            agents: new Set(),
+            decisions: 0,
+            actions: { BUY: 0, SELL: 0, HOLD: 0 },
+            confidences: [],
+            returns: []
+          });
+        }
+
+        const group = groups.get(key);
+        group.agents.add(id);
+        group.decisions++;
+        if (group.actions[record.decision.action] !== undefined) group.actions[record.decision.action]++;
+        if (typeof record.decision.confidence === 'number') group.confidences.push(record.decision.confidence);
+        if (record.outcome?.executed && record.performance) group.returns.push(record.performance.profitLoss);
+      }
+    }
+
+    const versions = Array.from(groups.values()).map(group => {
+      const successfulTrades = group.returns.filter(pl => pl > 0).length;
+      const totalReturn = group.returns.reduce((sum, pl) => sum + pl, 0);
+      return {
+        name: group.name,
+        version: group.version,
+        agents: Array.from(group.agents),
+        decisions: group.decisions,
+        actions: group.actions,
+        averageConfidence: group.confidences.length > 0
+          ? group.confidences.reduce((sum, c) => sum + c, 0) / group.confidences.length
+          : null,
+        executedTrades: group.returns.length,
+        successfulTrades,
+        failedTrades: group.returns.filter(pl => pl < 0).length,
+        winRate: group.returns.length > 0 ? (successfulTrades / group.returns.length) * 100 : 0,
+        totalReturn,
+        averageReturn: group.returns.length > 0 ? totalReturn / group.returns.length : 0
+      };
+    });
+
+    versions.sort((a, b) => a.name.localeCompare(b.name) || a.version - b.version);
+    return { agentId, task, versions };
+  }
+
   /**
    * Get performance leaderboard
    */
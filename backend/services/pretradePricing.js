@@ -0,0 +1,153 @@
+// SIRFA Agent Finance - Pre-Trade Pricing Service
+// Resolves the price used by every pre-trade size, cash-reserve and concentration check
+
+const broker = require('./brokers');
+const config = require('../config');
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+class PreTradePricingService {
+  constructor() {
+    this.maxAgeSeconds = config.trading.priceMaxAgeSeconds;
+    this.slippageBps = config.trading.priceSlippageBps;
+  }
+
+  /**
+   * Build a pricing error the routes can map to a response
+   */
+  pricingError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Age of a broker timestamp in seconds (Infinity when unknown)
+   */
+  ageSeconds(timestamp) {
+    const time = timestamp ? new Date(timestamp).getTime() : NaN;
+    return isNaN(time) ? Infinity : Math.max(0, (Date.now() - time) / 1000);
+  }
+
+  isFresh(ageSeconds) {
+    return this.maxAgeSeconds <= 0 || ageSeconds <= this.maxAgeSeconds;
+  }
+
+  /**
+   * Resolve the live market price for one side of the book.
+   * Prefers the ask (buys) or bid (sells) from the latest quote and falls back
+   * to the latest trade; anything older than the staleness limit is ignored.
+   * @param {string} symbol - Ticker symbol
+   * @param {string} side - 'buy' or 'sell'
+   * @returns {Promise<Object>} - { symbol, marketPrice, source, timestamp, ageSeconds }
+   */
+  async getMarketPrice(symbol, side = 'buy') {
+    const upperSymbol = symbol.toUpperCase();
+    const [quoteResult, tradeResult] = await Promise.allSettled([
+      broker.getLatestQuote(upperSymbol),
+      broker.getLatestTrade(upperSymbol)
+    ]);
+
+    const candidates = [];
+    if (quoteResult.status === 'fulfilled') {
+      const quote = quoteResult.value;
+      candidates.push({
+        price: side === 'sell' ? quote.bidPrice : quote.askPrice,
+        source: side === 'sell' ? 'bid' : 'ask',
+        timestamp: quote.timestamp
+      });
+    }
+    if (tradeResult.status === 'fulfilled') {
+      const trade = tradeResult.value;
+      candidates.push({ price: trade.price, source: 'trade', timestamp: trade.timestamp });
+    }
+
+    const priced = candidates
+      .filter(candidate => parseFloat(candidate.price) > 0)
+      .map(candidate => ({ ...candidate, ageSeconds: this.ageSeconds(candidate.timestamp) }));
+
+    if (priced.length === 0) {
+      throw this.pricingError('PRICE_UNAVAILABLE', `No live quote or trade available for ${upperSymbol}`);
+    }
+
+    const fresh = priced.find(candidate => this.isFresh(candidate.ageSeconds));
+    if (!fresh) {
+      const newest = Math.min(...priced.map(candidate => candidate.ageSeconds));
+      throw this.pricingError(
+        'PRICE_STALE',
+        `Latest price for ${upperSymbol} is ${isFinite(newest) ? Math.round(newest) + 's' : 'of unknown age'}, older than the ${this.maxAgeSeconds}s limit`
+      );
+    }
+
+    return {
+      symbol: upperSymbol,
+      marketPrice: parseFloat(fresh.price),
+      source: fresh.source,
+      timestamp: fresh.timestamp,
+      ageSeconds: isFinite(fresh.ageSeconds) ? Math.round(fresh.ageSeconds) : null
+    };
+  }
+
+  /**
+   * Resolve the sizing price for an order.
+   * Limit orders are sized at their limit; market and stop orders are sized at
+   * the live price padded by the slippage buffer in the adverse direction.
+   * @param {Object} order - { symbol, side, type, limit_price, stop_price }
+   * @returns {Promise<Object>} - { symbol, price, marketPrice, source, timestamp, ageSeconds, slippageBps }
+   */
+  async priceOrder(order) {
+    const symbol = order.symbol.toUpperCase();
+    const side = String(order.side || 'buy').toLowerCase();
+    const type = String(order.type || 'market').toLowerCase();
+    const limitPrice = parseFloat(order.limit_price);
+    const stopPrice = parseFloat(order.stop_price);
+
+    if ((type === 'limit' || type === 'stop_limit') && limitPrice > 0) {
+      return { symbol, price: limitPrice, marketPrice: null, source: 'limit', timestamp: null, ageSeconds: null, slippageBps: 0 };
+    }
+
+    const market = await this.getMarketPrice(symbol, side);
+    let basePrice = market.marketPrice;
+
+    // A stop triggers no better than its stop price
+    if (type === 'stop' && stopPrice > 0) {
+      basePrice = side === 'sell' ? Math.min(basePrice, stopPrice) : Math.max(basePrice, stopPrice);
+    }
+
+    const buffer = this.slippageBps / 10000;
+    return {
+      ...market,
+      price: round(basePrice * (side === 'sell' ? 1 - buffer : 1 + buffer)),
+      slippageBps: this.slippageBps
+    };
+  }
+
+  /**
+   * Attach a live sizing price to an agent trading decision.
+   * Model-provided prices are not trusted for sizing and are replaced; a
+   * notional decision is converted to whole shares at that price.
+   * @param {Object} decision - { action, symbol, quantity|notional, limitPrice? }
+   * @returns {Promise<Object>} - Decision with price and pricing details
+   */
+  async priceDecision(decision) {
+    const action = String(decision?.action || '').toUpperCase();
+    if (!decision || !decision.symbol || (action !== 'BUY' && action !== 'SELL')) {
+      return decision;
+    }
+
+    const pricing = await this.priceOrder({
+      symbol: decision.symbol,
+      side: action.toLowerCase(),
+      type: decision.limitPrice ? 'limit' : 'market',
+      limit_price: decision.limitPrice
+    });
+
+    const priced = { ...decision, price: pricing.price, pricing };
+    if (!(parseFloat(decision.quantity) > 0) && decision.notional > 0) {
+      priced.quantity = Math.floor(decision.notional / pricing.price);
+    }
+    return priced;
+  }
+}
+
+module.exports = new PreTradePricingService();
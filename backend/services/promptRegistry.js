@@ -0,0 +1,213 @@
+// SIRFA Agent Finance - Prompt Template Registry
+// Renders the versioned templates in config/promptTemplates with variable validation and A/B version assignment
+
+const crypto = require('crypto');
+const config = require('../config');
+const { promptTemplates } = require('../config/promptTemplates');
+
+const PLACEHOLDER_PATTERN = /\{\{(\w+)\}\}/g;
+
+/**
+ * Error raised for unknown templates, invalid templates and invalid variables
+ */
+class PromptTemplateError extends Error {
+  constructor(statusCode, message, details = null, code = null) {
+    super(message);
+    this.name = 'PromptTemplateError';
+    this.statusCode = statusCode;
+    this.details = details;
+    this.code = code;
+  }
+}
+
+/**
+ * Placeholder names used in a template string
+ */
+function placeholdersIn(text) {
+  return [...text.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+}
+
+class PromptRegistryService {
+  constructor() {
+    this.templates = {};
+    for (const [name, template] of Object.entries(promptTemplates)) {
+      this.register(name, template);
+    }
+
+    for (const [name, version] of Object.entries(config.prompts.versions)) {
+      if (!this.templates[name]?.versions.some(candidate => candidate.version === Number(version))) {
+        console.warn(`PROMPT_VERSIONS pins ${name} to version ${version}, which is not registered; using weighted assignment`);
+      }
+    }
+  }
+
+  /**
+   * Register a task's templates, replacing any registered under the name
+   * @param {string} name - Task name, e.g. 'trading-decision'
+   * @param {Object} template - { description, variables: { name: { required } }, versions: [{ version, weight, agents, system, user }] }
+   * @throws {PromptTemplateError} - 400 when a version is malformed or uses an undeclared variable
+   */
+  register(name, template) {
+    const errors = [];
+    const variables = template.variables || {};
+    const versions = Array.isArray(template.versions) ? template.versions : [];
+    if (versions.length === 0) errors.push('versions must list at least one version');
+
+    const seen = new Set();
+    for (const entry of versions) {
+      const label = `version ${entry.version}`;
+      if (!Number.isInteger(entry.version) || entry.version < 1) errors.push(`${label}: version must be a positive integer`);
+      if (seen.has(entry.version)) errors.push(`${label}: version is defined twice`);
+      seen.add(entry.version);
+      if (entry.weight !== undefined && !(typeof entry.weight === 'number' && entry.weight >= 0)) {
+        errors.push(`${label}: weight must be a number of at least 0`);
+      }
+      if (entry.agents !== undefined && entry.agents !== null && !Array.isArray(entry.agents)) errors.push(`${label}: agents must be a list of agent IDs`);
+
+      for (const role of ['system', 'user']) {
+        if (typeof entry[role] !== 'string') {
+          errors.push(`${label}: ${role} must be a string`);
+          continue;
+        }
+        placeholdersIn(entry[role])
+          .filter(variable => !variables[variable])
+          .forEach(variable => errors.push(`${label}: ${role} uses undeclared variable ${variable}`));
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new PromptTemplateError(400, `Invalid prompt template ${name}`, errors, 'INVALID_TEMPLATE');
+    }
+
+    this.templates[name] = {
+      name,
+      description: template.description || '',
+      variables,
+      versions: versions.map(entry => ({ weight: 1, agents: null, ...entry }))
+    };
+  }
+
+  /**
+   * Add a version to a registered task, e.g. a candidate prompt under evaluation
+   * @throws {PromptTemplateError} - As for register, or 404 for an unknown task
+   */
+  addVersion(name, version) {
+    const template = this.getTemplate(name);
+    this.register(name, { ...template, versions: [...template.versions, version] });
+  }
+
+  /**
+   * Get a registered task's templates
+   * @throws {PromptTemplateError} - 404 for an unknown task
+   */
+  getTemplate(name) {
+    const template = this.templates[name];
+    if (!template) {
+      throw new PromptTemplateError(404, `Prompt template ${name} not found`, { name }, 'TEMPLATE_NOT_FOUND');
+    }
+    return template;
+  }
+
+  /**
+   * Registered tasks with their variables, versions and weights, and any pinned version
+   */
+  list() {
+    return Object.values(this.templates).map(template => ({
+      name: template.name,
+      description: template.description,
+      variables: Object.entries(template.variables).map(([name, { required }]) => ({ name, required: Boolean(required) })),
+      versions: template.versions.map(({ version, weight, agents }) => ({ version, weight, agents })),
+      pinnedVersion: config.prompts.versions[template.name] ? Number(config.prompts.versions[template.name]) : null
+    }));
+  }
+
+  /**
+   * Choose the version of a task's template to render for an agent. A version
+   * pinned in PROMPT_VERSIONS wins; otherwise each assignment unit (the agent,
+   * or e.g. a chat session) is hashed into the versions' weights so it keeps
+   * the same version for as long as the weights don't change.
+   * @returns {Object} - { entry, assignment ('requested', 'pinned', 'only' or 'weighted') }
+   * @throws {PromptTemplateError} - 404 for a requested version that isn't available, 500 when none is
+   */
+  selectVersion(template, { agentId = null, unitId = null, version = null } = {}) {
+    const candidates = template.versions.filter(entry => !entry.agents || entry.agents.includes(agentId));
+
+    if (version !== null) {
+      const entry = candidates.find(candidate => candidate.version === Number(version));
+      if (!entry) {
+        throw new PromptTemplateError(404, `Version ${version} of prompt template ${template.name} is not available`, { name: template.name, version, agentId }, 'TEMPLATE_VERSION_NOT_FOUND');
+      }
+      return { entry, assignment: 'requested' };
+    }
+
+    const pinned = config.prompts.versions[template.name];
+    const pinnedEntry = pinned && candidates.find(candidate => candidate.version === Number(pinned));
+    if (pinnedEntry) return { entry: pinnedEntry, assignment: 'pinned' };
+
+    const weighted = candidates.filter(candidate => candidate.weight > 0);
+    if (weighted.length === 0) {
+      throw new PromptTemplateError(500, `No version of prompt template ${template.name} is available`, { name: template.name, agentId }, 'TEMPLATE_VERSION_NOT_FOUND');
+    }
+    if (weighted.length === 1) return { entry: weighted[0], assignment: 'only' };
+
+    const totalWeight = weighted.reduce((sum, candidate) => sum + candidate.weight, 0);
+    const hash = crypto.createHash('sha256').update(`${template.name}:${unitId || agentId || ''}`).digest();
+    let point = (hash.readUInt32BE(0) / 0x100000000) * totalWeight;
+    const entry = weighted.find(candidate => (point -= candidate.weight) < 0) || weighted[weighted.length - 1];
+    return { entry, assignment: 'weighted' };
+  }
+
+  /**
+   * Check variables against a task's declarations
+   * @returns {Array} - Error messages, empty when valid
+   */
+  validateVariables(template, variables) {
+    const errors = [];
+    for (const [name, value] of Object.entries(variables)) {
+      if (!template.variables[name]) {
+        errors.push(`${name} is not a variable of ${template.name}`);
+      } else if (value !== undefined && value !== null && typeof value !== 'string' && typeof value !== 'number') {
+        errors.push(`${name} must be a string or number`);
+      }
+    }
+    for (const [name, { required }] of Object.entries(template.variables)) {
+      if (required && (variables[name] === undefined || variables[name] === null)) {
+        errors.push(`${name} is required`);
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Render a task's prompt for an agent
+   * @param {string} name - Task name
+   * @param {Object} variables - Values for the task's variables; optional ones may be left out
+   * @param {Object} options - agentId, unitId (A/B assignment unit, default the agent) and version (render this version)
+   * @returns {Object} - { name, version, assignment, messages } with the system and user messages
+   * @throws {PromptTemplateError} - 400 INVALID_PROMPT_VARIABLES, or as for getTemplate and selectVersion
+   */
+  render(name, variables, options = {}) {
+    const template = this.getTemplate(name);
+    const errors = this.validateVariables(template, variables);
+    if (errors.length > 0) {
+      throw new PromptTemplateError(400, `Invalid variables for prompt template ${name}`, errors, 'INVALID_PROMPT_VARIABLES');
+    }
+
+    const { entry, assignment } = this.selectVersion(template, options);
+    // One pass, so placeholders inside values (e.g. a user's message) are left as typed
+    const fill = text => text.replace(PLACEHOLDER_PATTERN, (match, variable) => String(variables[variable] ?? ''));
+
+    return {
+      name,
+      version: entry.version,
+      assignment,
+      messages: [
+        { role: 'system', content: fill(entry.system) },
+        { role: 'user', content: fill(entry.user) }
+      ]
+    };
+  }
+}
+
+module.exports = new PromptRegistryService();
+module.exports.PromptTemplateError = PromptTemplateError;
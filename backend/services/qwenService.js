@@ -1,279 +1,280 @@
-const axios = require('axios');
-const crypto = require('crypto');
-const paiService = require('./paiService');
-const ModelStudioService = require('./modelStudioService');
+const llm = require('./llm');
+const config = require('../config');
+const agentTools = require('./agentTools');
+const promptRegistry = require('./promptRegistry');
+const guardrails = require('./guardrails');
+const {
+  TRADING_DECISION_SCHEMA,
+  TRADE_SUGGESTIONS_SCHEMA,
+  REPLY_SUGGESTIONS_SCHEMA,
+  TradingDecisionError,
+  parseDecisionJSON,
+  validateDecision,
+  validateSuggestionReply,
+  suggestionsForReplyValidator,
+  buildRepairPrompt
+} = require('./tradingDecision');
+
+const MAX_LIVE_DATA_LENGTH = 12000;
+const ASSISTANT_SYSTEM_PROMPT = 'You are a professional financial AI assistant specialized in trading analysis and investment advice.';
 
 /**
- * AI Service for generating trading analysis and conversations
- * Primary: Alibaba Cloud Model Studio (DashScope)
- * Fallback: PAI EAS, then legacy QWEN DashScope API
+ * AI Service for generating trading analysis and conversations.
+ * Every request goes through the LLM gateway (services/llm), which tries the
+ * providers in LLM_PROVIDERS order: Model Studio, PAI EAS, DashScope and any
+ * OpenAI-compatible server such as llama.cpp or Ollama.
  */
 class QwenService {
   constructor() {
-    // Initialize Model Studio service (primary)
-    this.modelStudio = new ModelStudioService();
-    this.useModelStudio = process.env.DASHSCOPE_API_KEY;
-    
-    // PAI EAS fallback configuration
-    this.usePAI = process.env.PAI_EAS_SERVICE_URL && process.env.PAI_EAS_SERVICE_TOKEN;
-    
-    // Legacy DashScope fallback configuration
-    this.endpoint = process.env.QWEN_ENDPOINT || 'https://dashscope.aliyuncs.com/api/v1/services/aigc/text-generation/generation';
-    this.apiKey = process.env.QWEN_API_KEY;
-    this.model = process.env.QWEN_MODEL || 'qwen-turbo';
-    
-    if (this.useModelStudio) {
-      console.log('✅ AI Service initialized with Model Studio (primary)');
-    } else if (this.usePAI) {
-      console.log('✅ AI Service initialized with PAI EAS (fallback)');
-    } else if (this.apiKey) {
-      console.log('✅ AI Service initialized with legacy QWEN DashScope (fallback)');
-    } else {
-      console.warn('⚠️  No AI service configured. Features will use mock responses.');
-    }
+    this.gateway = llm;
   }
 
   /**
-   * Generate AI response using Model Studio (primary), PAI EAS (fallback), or legacy QWEN DashScope
+   * Generate a free-text response, falling back to a canned reply when no provider answers
    * @param {string} prompt - The prompt to send to AI service
-   * @param {Object} options - Additional options for the request
+   * @param {Object} options - temperature, maxTokens, topP, model, systemPrompt
    * @returns {Promise<string>} - AI generated response
    */
   async generateResponse(prompt, options = {}) {
-    // Try Model Studio first
-    if (this.useModelStudio) {
-      try {
-        const result = await this.modelStudio.generateConversation(prompt, [], options);
-        if (result.success) {
-          return result.content;
-        } else {
-          console.warn('Model Studio failed, trying PAI EAS fallback:', result.error);
-        }
-      } catch (error) {
-        console.warn('Model Studio failed, trying PAI EAS fallback:', error.message);
-      }
-    }
+    const { systemPrompt = ASSISTANT_SYSTEM_PROMPT, ...chatOptions } = options;
+    return this.generateChat([
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: prompt }
+    ], chatOptions);
+  }
 
-    // Try PAI EAS as fallback
-    if (this.usePAI) {
-      try {
-        return await paiService.generateResponse(prompt, options);
-      } catch (error) {
-        console.warn('PAI EAS failed, falling back to legacy DashScope:', error.message);
-        // Continue to legacy DashScope fallback
-      }
+  /**
+   * Run a chat completion through the gateway, falling back to a canned reply
+   * @param {Array} messages - Chat messages
+   * @param {Object} options - Gateway chat options
+   * @returns {Promise<string>} - Reply text
+   */
+  async generateChat(messages, options = {}) {
+    try {
+      const result = await this.gateway.chat(messages, {
+        temperature: 0.7,
+        maxTokens: 1000,
+        topP: 0.8,
+        ...options
+      });
+      return result.content.trim();
+    } catch (error) {
+      console.warn('No LLM provider answered, using fallback response:', error.message);
+      return this.getFallbackResponse();
     }
+  }
 
-    // Fallback to legacy QWEN DashScope
-    if (!this.apiKey) {
-      return this.getFallbackResponse(prompt);
-    }
+  /**
+   * Providers for JSON requests, in fallback order. Providers without a JSON
+   * mode are still used: the schema is in the prompt and replies are validated.
+   */
+  getStructuredProviders() {
+    return this.gateway.getProviders();
+  }
 
-    try {
-      const requestBody = {
-        model: this.model,
-        input: {
-          messages: [
-            {
-              role: 'system',
-              content: 'You are a professional financial AI assistant specialized in trading analysis and investment advice.'
-            },
-            {
-              role: 'user',
-              content: prompt
-            }
-          ]
-        },
-        parameters: {
-          temperature: options.temperature || 0.7,
-          max_tokens: options.maxTokens || 1000,
-          top_p: options.topP || 0.8
+  /**
+   * Request a JSON object from the structured providers in order and validate
+   * it. An invalid response is sent back with its validation errors for up to
+   * config.ai.decisionRepairAttempts repairs before the next provider is tried.
+   * @param {Array} messages - Initial chat messages
+   * @param {Function} validate - (parsed) => { valid, errors, decision }
+   * @param {Object} options - { requestOptions, label }; requestOptions.model may map provider names to
+   *   models, and agentId attributes the calls' usage to an agent
+   * @returns {Promise<Object>} - { value, source, provider, model, attempts, rawOutput, failedAttempts, cached }
+   * @throws {TradingDecisionError} - When no provider returns a valid object
+   * @throws {LLMGatewayError} - BUDGET_EXCEEDED when the daily LLM budget is spent
+   */
+  async generateValidatedJSON(messages, validate, { requestOptions = {}, label = 'response' } = {}) {
+    const { model, ...chatOptions } = requestOptions;
+    const failures = [];
+
+    for (const provider of this.getStructuredProviders()) {
+      const conversation = [...messages];
+
+      for (let attempt = 1; attempt <= config.ai.decisionRepairAttempts + 1; attempt++) {
+        let result;
+        try {
+          result = await this.gateway.callProvider(provider, conversation, {
+            ...chatOptions,
+            model: this.gateway.resolveModel(provider, model),
+            responseFormat: 'json'
+          });
+        } catch (error) {
+          if (error.code === 'BUDGET_EXCEEDED') throw error;
+          console.warn(`${provider.label} ${label} request failed:`, error.message);
+          failures.push({ provider: provider.label, attempt, error: error.message });
+          break;
         }
-      };
 
-      const response = await axios.post(this.endpoint, requestBody, {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json',
-          'X-DashScope-SSE': 'disable'
-        },
-        timeout: 30000
-      });
+        const parsed = parseDecisionJSON(result.content);
+        const validation = parsed.error
+          ? { valid: false, errors: [parsed.error] }
+          : validate(parsed.value);
 
-      if (response.data && response.data.output && response.data.output.choices) {
-        const choice = response.data.output.choices[0];
-        if (choice && choice.message && choice.message.content) {
-          return choice.message.content.trim();
+        if (validation.valid) {
+          return {
+            value: validation.decision,
+            source: provider.label,
+            provider: provider.name,
+            model: result.model || null,
+            attempts: failures.length + 1,
+            rawOutput: result.content,
+            failedAttempts: failures,
+            cached: result.cached
+          };
         }
+
+        // Never replay a rejected reply from the cache
+        this.gateway.cache.delete(result.cacheKey);
+
+        console.warn(`${provider.label} returned an invalid ${label} (attempt ${attempt}):`, validation.errors.join('; '));
+        failures.push({ provider: provider.label, attempt, errors: validation.errors, output: String(result.content).substring(0, 500) });
+        conversation.push(
+          { role: 'assistant', content: String(result.content) },
+          { role: 'user', content: buildRepairPrompt(validation.errors) }
+        );
       }
+    }
 
-      throw new Error('Invalid response format from QWEN API');
-    } catch (error) {
-      console.error('QWEN DashScope API Error:', {
-        message: error.message,
-        status: error.response?.status,
-        statusText: error.response?.statusText,
-        data: error.response?.data
-      });
-      return this.getFallbackResponse(prompt);
+    if (failures.some(failure => failure.errors)) {
+      throw new TradingDecisionError(502, `No valid ${label} was produced`, failures, 'INVALID_TRADING_DECISION');
     }
+    throw new TradingDecisionError(503, `No AI provider was available for a ${label}`, failures, 'AI_PROVIDER_UNAVAILABLE');
   }
 
   /**
-   * Generate trading analysis using Model Studio (primary), PAI EAS (fallback), or legacy DashScope
+   * Generate a schema-validated trading decision from the gateway's providers,
+   * each called in JSON mode where it supports one
    * @param {Object} marketData - Current market data
-   * @param {Object} agentProfile - Agent personality and risk profile
+   * @param {Object} agentProfile - Agent personality and risk profile; agentProfile.model selects the model
    * @param {Object} portfolioData - Current portfolio state
-   * @returns {Promise<Object>} - Trading analysis and recommendations
+   * @returns {Promise<Object>} - Trading analysis and recommendation
+   * @throws {TradingDecisionError} - When no provider returns a valid decision
    */
   async generateTradingAnalysis(marketData, agentProfile, portfolioData) {
-    // Try Model Studio first for enhanced trading analysis
-    if (this.useModelStudio) {
-      try {
-        const result = await this.modelStudio.generateTradingAnalysis(marketData, agentProfile);
-        if (result.success) {
-          return {
-            analysis: result.analysis,
-            recommendation: {
-              action: "HOLD",
-              symbol: null,
-              quantity: null,
-              confidence: 0.7
-            },
-            riskAssessment: "Market analysis completed using Model Studio",
-            reasoning: result.analysis,
-            agentId: agentProfile.id,
-            timestamp: result.timestamp
-          };
-        } else {
-          console.warn('Model Studio trading analysis failed, trying PAI EAS:', result.error);
-        }
-      } catch (error) {
-        console.warn('Model Studio trading analysis failed, trying PAI EAS:', error.message);
-      }
-    }
-
-    // Try PAI EAS as fallback for enhanced trading analysis
-    if (this.usePAI) {
-      try {
-        return await paiService.generateTradingAnalysis(marketData, agentProfile, portfolioData);
-      } catch (error) {
-        console.warn('PAI EAS trading analysis failed, using legacy DashScope fallback:', error.message);
-        // Continue to legacy DashScope fallback
-      }
-    }
-
-    // Fallback to legacy DashScope-based analysis
-    const prompt = this.buildTradingPrompt(marketData, agentProfile, portfolioData);
-    
-    try {
-      const response = await this.generateResponse(prompt, {
-        temperature: agentProfile.creativity || 0.7,
-        maxTokens: 1500,
-        topP: 0.9
-      });
-
-      return this.parseTradingResponse(response, agentProfile);
-    } catch (error) {
-      console.error('Trading analysis error:', error);
+    if (this.getStructuredProviders().length === 0) {
       return this.getFallbackTradingAnalysis(agentProfile);
     }
+
+    return this.requestTradingDecision(agentProfile, this.buildTradingPrompt(marketData, agentProfile, portfolioData));
   }
 
   /**
-   * Build trading analysis prompt
+   * Generate an agent's position on an investment committee's topic. In debate
+   * rounds the agent reads the other members' positions and may revise its own.
+   * @param {Object} agentProfile - Committee member
+   * @param {Object} context - marketData, portfolioData, topic (what the committee decides),
+   *   colleagues ([{ name, riskTolerance, recommendation, reasoning }], empty for opening positions)
+   *   and finalRound (the position is the member's vote)
+   * @returns {Promise<Object>} - As for generateTradingAnalysis
+   * @throws {TradingDecisionError} - When no provider returns a valid decision
    */
-  buildTradingPrompt(marketData, agentProfile, portfolioData) {
-    return `You are ${agentProfile.name}, a ${agentProfile.description}.
-
-Personality: ${agentProfile.personality}
-Risk Tolerance: ${agentProfile.riskTolerance}
-Investment Style: ${agentProfile.investmentStyle}
-
-Current Market Data:
-- S&P 500: ${marketData.sp500?.price || 'N/A'} (${marketData.sp500?.change || 'N/A'}%)
-- NASDAQ: ${marketData.nasdaq?.price || 'N/A'} (${marketData.nasdaq?.change || 'N/A'}%)
-- VIX: ${marketData.vix?.price || 'N/A'}
-
-Current Portfolio:
-- Total Value: $${portfolioData.totalValue || 0}
-- Buying Power: $${portfolioData.buyingPower || 0}
-- Day Change: ${portfolioData.dayChangePercent || 0}%
-- Positions: ${portfolioData.positions?.length || 0} holdings
+  async generateCommitteePosition(agentProfile, { marketData, portfolioData, topic, colleagues = [], finalRound = false }) {
+    let committee = `Investment Committee:
+You sit on an investment committee with other agents who have different styles and risk tolerances. ${topic}`;
+
+    if (colleagues.length > 0) {
+      committee += `\n\nYour colleagues' current positions:\n`;
+      committee += colleagues.map(colleague => {
+        const rec = colleague.recommendation;
+        const size = rec.quantity ? ` ${rec.quantity} shares` : rec.notional ? ` $${rec.notional}` : '';
+        return `- ${colleague.name} (${colleague.riskTolerance} risk): ${rec.action}${rec.symbol ? ` ${rec.symbol}` : ''}${size}, confidence ${rec.confidence}. ${colleague.reasoning}`;
+      }).join('\n');
+      committee += `\n\nWeigh their arguments against your own. In your reasoning, say where you agree or disagree with them and whether you changed your position.`;
+    }
+    if (finalRound) {
+      committee += ` This is the final round: your decision is your vote.`;
+    }
 
-Based on your investment philosophy and the current market conditions, provide:
-1. Market Analysis (2-3 sentences)
-2. Trading Recommendation (BUY/SELL/HOLD with specific symbols)
-3. Risk Assessment
-4. Reasoning (explain your decision in your characteristic style)
-
-Format your response as JSON:
-{
-  "analysis": "your market analysis",
-  "recommendation": {
-    "action": "BUY/SELL/HOLD",
-    "symbol": "stock symbol or null",
-    "quantity": number or null,
-    "confidence": 0.1-1.0
-  },
-  "riskAssessment": "risk level and concerns",
-  "reasoning": "your explanation in character"
-}`;
+    return this.requestTradingDecision(agentProfile, this.buildTradingPrompt(marketData, agentProfile, portfolioData, committee));
   }
 
   /**
-   * Parse trading response from QWEN
+   * Request a schema-validated trading decision for an agent
+   * @param {Object} agentProfile - Agent the decision is for
+   * @param {Object} prompt - Rendered trading-decision prompt from buildTradingPrompt
+   * @returns {Promise<Object>} - Decision with agentId, timestamp, provider details, the prompt
+   *   template's name and version, and trace (prompt, request options, raw model output and rejected attempts)
    */
-  parseTradingResponse(response, agentProfile) {
-    try {
-      // Try to extract JSON from response
-      const jsonMatch = response.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const parsed = JSON.parse(jsonMatch[0]);
-        return {
-          ...parsed,
-          agentId: agentProfile.id,
-          timestamp: new Date().toISOString()
-        };
-      }
-    } catch (error) {
-      console.error('Failed to parse QWEN response:', error);
-    }
+  async requestTradingDecision(agentProfile, prompt) {
+    const { messages } = prompt;
+
+    const requestOptions = {
+      temperature: agentProfile.creativity ?? 0.3,
+      maxTokens: 1500,
+      topP: 0.9,
+      model: agentProfile.model,
+      agentId: agentProfile.id
+    };
+    const result = await this.generateValidatedJSON(messages, validateDecision, {
+      label: 'trading decision',
+      requestOptions
+    });
 
-    // Fallback parsing
     return {
-      analysis: this.extractSection(response, 'analysis') || 'Market conditions require careful monitoring.',
-      recommendation: {
-        action: 'HOLD',
-        symbol: null,
-        quantity: null,
-        confidence: 0.5
-      },
-      riskAssessment: this.extractSection(response, 'risk') || 'Moderate risk environment.',
-      reasoning: this.extractSection(response, 'reasoning') || response.substring(0, 200),
+      ...result.value,
       agentId: agentProfile.id,
-      timestamp: new Date().toISOString()
+      timestamp: new Date().toISOString(),
+      source: result.source,
+      provider: result.provider,
+      model: result.model,
+      attempts: result.attempts,
+      cached: result.cached,
+      prompt: { name: prompt.name, version: prompt.version },
+      trace: {
+        prompt: { name: prompt.name, version: prompt.version, assignment: prompt.assignment, messages },
+        requestOptions,
+        rawOutput: result.rawOutput,
+        failedAttempts: result.failedAttempts
+      }
     };
   }
 
   /**
-   * Extract section from text response
+   * The agent's sector preferences, key metrics and trading universe, one line each
    */
-  extractSection(text, section) {
-    const patterns = {
-      analysis: /(?:analysis|market)[:\s]([^\n]+)/i,
-      risk: /(?:risk|assessment)[:\s]([^\n]+)/i,
-      reasoning: /(?:reasoning|explanation)[:\s]([^\n]+)/i
-    };
+  describeMandate(agentProfile) {
+    const lines = [];
+    if (agentProfile.preferredSectors?.length) lines.push(`Preferred Sectors: ${agentProfile.preferredSectors.join(', ')}`);
+    if (agentProfile.avoidedSectors?.length) lines.push(`Avoided Sectors: ${agentProfile.avoidedSectors.join(', ')}`);
+    if (agentProfile.keyMetrics?.length) lines.push(`Key Metrics: ${agentProfile.keyMetrics.join(', ')}`);
+    if (agentProfile.universe?.length) lines.push(`Trading Universe: only buy these symbols: ${agentProfile.universe.join(', ')}`);
+    return lines.join('\n');
+  }
 
-    const match = text.match(patterns[section]);
-    return match ? match[1].trim() : null;
+  /**
+   * Render the agent's trading-decision prompt
+   * @param {string} extraContext - Optional section placed before the instructions
+   * @returns {Object} - { name, version, assignment, messages } from promptRegistry.render
+   */
+  buildTradingPrompt(marketData, agentProfile, portfolioData, extraContext = '') {
+    const holdings = portfolioData.positions?.map(p => `${p.symbol} (${p.qty} shares)`).join(', ') || 'None';
+    const mandate = this.describeMandate(agentProfile);
+
+    return promptRegistry.render('trading-decision', {
+      agentName: agentProfile.name,
+      agentDescription: agentProfile.description,
+      personality: agentProfile.personality,
+      riskTolerance: agentProfile.riskTolerance,
+      investmentStyle: agentProfile.investmentStyle,
+      mandate: mandate ? `${mandate}\n` : '',
+      marketData: `- S&P 500 (${marketData.sp500?.symbol || 'index'}): ${marketData.sp500?.price ?? 'N/A'} (${marketData.sp500?.change ?? 'N/A'}%)
+- NASDAQ (${marketData.nasdaq?.symbol || 'index'}): ${marketData.nasdaq?.price ?? 'N/A'} (${marketData.nasdaq?.change ?? 'N/A'}%)
+- Volatility (${marketData.vix?.symbol || 'VIX'}): ${marketData.vix?.price ?? 'N/A'} (${marketData.vix?.change ?? 'N/A'}%)`,
+      portfolio: `- Total Value: $${portfolioData.totalValue || 0}
+- Buying Power: $${portfolioData.buyingPower || 0}
+- Day Change: ${portfolioData.dayChangePercent || 0}%
+- Positions: ${portfolioData.positions?.length || 0} holdings
+- Holdings: ${holdings}`,
+      extraContext: extraContext ? `\n${extraContext}\n` : '',
+      schema: JSON.stringify(TRADING_DECISION_SCHEMA)
+    }, { agentId: agentProfile.id });
   }
 
   /**
-   * Fallback response when AI services are unavailable
+   * Fallback response when no LLM provider is available
    */
-  getFallbackResponse(prompt) {
+  getFallbackResponse() {
     const responses = [
       "I'm currently analyzing the market conditions using advanced AI models. Please check back in a moment for detailed insights.",
       "Market analysis is in progress with our PAI-powered systems. I'll have comprehensive recommendations shortly.",
@@ -283,7 +284,7 @@ Format your response as JSON:
   }
 
   /**
-   * Fallback trading analysis
+   * Fallback trading analysis when no AI service is configured
    */
   getFallbackTradingAnalysis(agentProfile) {
     return {
@@ -292,128 +293,162 @@ Format your response as JSON:
         action: "HOLD",
         symbol: null,
         quantity: null,
-        confidence: 0.5
+        notional: null,
+        limitPrice: null,
+        stopPrice: null,
+        horizon: "short_term",
+        confidence: 0.5,
+        evidence: []
       },
       riskAssessment: "Moderate risk environment requires careful position management.",
       reasoning: `As ${agentProfile.name}, I recommend maintaining current positions while monitoring for better entry points.`,
       agentId: agentProfile.id,
-      timestamp: new Date().toISOString()
+      timestamp: new Date().toISOString(),
+      source: 'fallback'
     };
   }
 
   /**
-   * Health check for AI services (Model Studio + PAI EAS + DashScope)
+   * Health check for every configured LLM provider, from their last calls
+   * unless live asks for a test prompt to each
+   * @param {Object} options - live
    * @returns {Promise<Object>} - Combined health status
    */
-  async healthCheck() {
+  async healthCheck({ live = false } = {}) {
+    const { providers } = await this.gateway.healthCheck({ live });
     const healthStatus = {
       timestamp: new Date().toISOString(),
-      services: {}
+      order: providers.map(provider => provider.name),
+      services: Object.fromEntries(providers.map(provider => [provider.name, provider]))
     };
 
-    // Check Model Studio health
-    if (this.useModelStudio) {
+    // Healthy when the first configured provider answers (or has not been called yet),
+    // degraded when only a fallback does
+    const configured = providers.filter(provider => provider.configured);
+    const healthy = configured.find(provider => provider.status === 'healthy' || provider.status === 'idle');
+    if (!healthy) {
+      healthStatus.overall = 'unavailable';
+      healthStatus.primary = 'Mock responses only';
+    } else if (healthy === configured[0]) {
+      healthStatus.overall = 'healthy';
+      healthStatus.primary = healthy.label;
+    } else {
+      healthStatus.overall = 'degraded';
+      healthStatus.primary = `${healthy.label} (fallback)`;
+    }
+
+    return healthStatus;
+  }
+
+  /**
+   * Generate portfolio-aware conversational response with trade suggestions.
+   * Trading questions are answered in JSON mode so the model returns its
+   * suggestions explicitly, each quoting the sentence of the reply that
+   * justifies it; see tradeSuggestions.resolveSuggestions for pricing and sizing.
+   * @param {string} userMessage - User's message
+   * @param {Object} agentProfile - Agent personality
+   * @param {Object} context - Conversation context with portfolio data
+   * @returns {Promise<Object>} - { response, suggestions, toolCalls, prompt } with the model's unpriced
+   *   suggestions and the name and version of the prompt template used
+   */
+  async generatePortfolioAwareConversation(userMessage, agentProfile, context = {}) {
+    const { systemPrompt, enhancedPrompt, isTradingQuery, prompt } = this.buildConversationPrompts(userMessage, agentProfile, context);
+
+    // Let the model fetch live data it needs before answering
+    const live = await this.gatherLiveData(systemPrompt, enhancedPrompt, agentProfile);
+    if (live && !isTradingQuery) {
+      return { response: live.content, suggestions: [], toolCalls: live.toolCalls, prompt };
+    }
+    const toolCalls = live?.toolCalls || [];
+    const liveDataSection = live?.dataSection || '';
+
+    if (isTradingQuery && this.getStructuredProviders().length > 0) {
       try {
-        const result = await this.modelStudio.healthCheck();
-        healthStatus.services.modelStudio = {
-          status: result.success ? 'healthy' : 'error',
-          message: result.success ? 'Model Studio service operational' : result.error,
-          timestamp: new Date().toISOString()
-        };
+        const result = await this.generateValidatedJSON([
+          { role: 'system', content: `${systemPrompt} You reply with a single JSON object that matches the schema you are given, and nothing else.` },
+          { role: 'user', content: `${enhancedPrompt}${liveDataSection}\n\nPut your reply in response. List each BUY or SELL you recommend in suggestions, with justification copied verbatim from the sentence of your reply that recommends it; that sentence must name the ticker. Only suggest real US-listed tickers. Respond with a single JSON object matching this JSON schema:\n${JSON.stringify(TRADE_SUGGESTIONS_SCHEMA)}` }
+        ], validateSuggestionReply, {
+          label: 'chat reply',
+          requestOptions: { temperature: 0.7, maxTokens: 1000, model: agentProfile.model, agentId: agentProfile.id }
+        });
+        return { response: result.value.response, suggestions: result.value.suggestions, toolCalls, prompt };
       } catch (error) {
-        healthStatus.services.modelStudio = {
-          status: 'error',
-          message: `Model Studio health check failed: ${error.message}`,
-          timestamp: new Date().toISOString()
-        };
+        // A reply without suggestions beats no reply
+        console.warn('Structured chat reply failed, answering without trade suggestions:', error.message);
       }
-    } else {
-      healthStatus.services.modelStudio = {
-        status: 'unavailable',
-        message: 'Model Studio not configured',
-        timestamp: new Date().toISOString()
-      };
     }
 
-    // Check PAI EAS health
-    if (this.usePAI) {
+    const response = await this.generateChat([
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: enhancedPrompt }
+    ], { temperature: 0.8, maxTokens: 800, model: agentProfile.model, agentId: agentProfile.id });
+
+    return { response, suggestions: [], toolCalls, prompt };
+  }
+
+  /**
+   * Stream a portfolio-aware conversational response. The reply is streamed
+   * as prose; for trading questions its suggestions are then requested in
+   * JSON mode, each quoting a sentence of the streamed reply.
+   * @param {string} userMessage - User's message
+   * @param {Object} agentProfile - Agent personality
+   * @param {Object} context - Conversation context with portfolio data
+   * @param {Object} handlers - onDelta ((text) => void), onToolCall ((call) => void), signal (AbortSignal)
+   * @returns {Promise<Object>} - { response, suggestions, toolCalls, prompt } as for generatePortfolioAwareConversation
+   * @throws {LLMGatewayError} - REQUEST_CANCELLED when signal aborts, or when a provider fails mid-reply
+   */
+  async streamPortfolioAwareConversation(userMessage, agentProfile, context = {}, { onDelta = () => {}, onToolCall = () => {}, signal } = {}) {
+    const { systemPrompt, enhancedPrompt, isTradingQuery, prompt } = this.buildConversationPrompts(userMessage, agentProfile, context);
+
+    let response = null;
+    let toolCalls = [];
+    const live = await this.gatherLiveData(systemPrompt, enhancedPrompt, agentProfile, { onDelta, onToolCall, signal });
+    if (live) {
+      response = live.content;
+      toolCalls = live.toolCalls;
+    } else {
       try {
-        healthStatus.services.pai = await paiService.healthCheck();
+        const result = await this.gateway.chatStream([
+          { role: 'system', content: systemPrompt },
+          { role: 'user', content: enhancedPrompt }
+        ], { temperature: 0.8, maxTokens: 800, model: agentProfile.model, agentId: agentProfile.id, onDelta, signal });
+        response = result.content;
       } catch (error) {
-        healthStatus.services.pai = {
-          status: 'error',
-          message: `PAI EAS health check failed: ${error.message}`,
-          timestamp: new Date().toISOString()
-        };
+        // Nothing has been streamed when every provider failed outright
+        if (error.code === 'REQUEST_CANCELLED' || error.details?.some(failure => failure.streamed)) throw error;
+        console.warn('No LLM provider streamed a reply, using fallback response:', error.message);
+        response = this.getFallbackResponse();
+        onDelta(response);
       }
-    } else {
-      healthStatus.services.pai = {
-        status: 'unavailable',
-        message: 'PAI EAS not configured',
-        timestamp: new Date().toISOString()
-      };
     }
 
-    // Check DashScope health
-    if (this.apiKey) {
+    let suggestions = [];
+    if (isTradingQuery && this.getStructuredProviders().length > 0) {
       try {
-        const testResponse = await this.generateResponse('Health check test', {
-          maxTokens: 50,
-          temperature: 0.1
+        const result = await this.generateValidatedJSON([
+          { role: 'system', content: `${systemPrompt} You reply with a single JSON object that matches the schema you are given, and nothing else.` },
+          { role: 'user', content: enhancedPrompt },
+          { role: 'assistant', content: response },
+          { role: 'user', content: `List each BUY or SELL your response above recommends in suggestions, with justification copied verbatim from the sentence of the response that recommends it; that sentence must name the ticker. Use an empty list if it recommends no trade. Only suggest real US-listed tickers. Respond with a single JSON object matching this JSON schema:\n${JSON.stringify(REPLY_SUGGESTIONS_SCHEMA)}` }
+        ], suggestionsForReplyValidator(response), {
+          label: 'chat reply suggestions',
+          requestOptions: { temperature: 0.2, maxTokens: 600, model: agentProfile.model, agentId: agentProfile.id, signal }
         });
-        healthStatus.services.dashscope = {
-          status: 'healthy',
-          message: 'DashScope service operational',
-          model: this.model,
-          endpoint: this.endpoint,
-          timestamp: new Date().toISOString(),
-          testResponse: testResponse.substring(0, 100)
-        };
+        suggestions = result.value.suggestions;
       } catch (error) {
-        healthStatus.services.dashscope = {
-          status: 'error',
-          message: `DashScope error: ${error.message}`,
-          timestamp: new Date().toISOString()
-        };
+        if (signal?.aborted) throw this.gateway.cancelledError();
+        console.warn('Suggestions for the streamed reply failed, answering without trade suggestions:', error.message);
       }
-    } else {
-      healthStatus.services.dashscope = {
-        status: 'unavailable',
-        message: 'DashScope API key not configured',
-        timestamp: new Date().toISOString()
-      };
-    }
-
-    // Determine overall status
-    const modelStudioHealthy = healthStatus.services.modelStudio.status === 'healthy';
-    const paiHealthy = healthStatus.services.pai.status === 'healthy';
-    const dashscopeHealthy = healthStatus.services.dashscope.status === 'healthy';
-    
-    if (modelStudioHealthy) {
-      healthStatus.overall = 'healthy';
-      healthStatus.primary = 'Model Studio';
-    } else if (paiHealthy) {
-      healthStatus.overall = 'degraded';
-      healthStatus.primary = 'PAI EAS (fallback)';
-    } else if (dashscopeHealthy) {
-      healthStatus.overall = 'degraded';
-      healthStatus.primary = 'DashScope (fallback)';
-    } else {
-      healthStatus.overall = 'unavailable';
-      healthStatus.primary = 'Mock responses only';
     }
 
-    return healthStatus;
+    return { response: response.trim(), suggestions, toolCalls, prompt };
   }
 
   /**
-   * Generate portfolio-aware conversational response with trade suggestions
-   * @param {string} userMessage - User's message
-   * @param {Object} agentProfile - Agent personality
-   * @param {Object} context - Conversation context with portfolio data
-   * @returns {Promise<Object>} - Agent's response with potential trade suggestions
+   * Prompts shared by the buffered and streaming portfolio conversations
+   * @returns {Object} - { systemPrompt, enhancedPrompt, isTradingQuery, prompt (the template's name and version) }
    */
-  async generatePortfolioAwareConversation(userMessage, agentProfile, context = {}) {
+  buildConversationPrompts(userMessage, agentProfile, context = {}) {
     // Build comprehensive portfolio context
     const portfolioContext = this.buildPortfolioContext(context.portfolioData);
     
@@ -421,59 +456,79 @@ Format your response as JSON:
     const isTradingQuery = this.detectTradingIntent(userMessage);
     
     // Create enhanced prompt with portfolio awareness and trade suggestion capability
-    const enhancedPrompt = this.buildPortfolioAwarePrompt(userMessage, agentProfile, portfolioContext, context, isTradingQuery);
-    
-    let response;
-    
-    // Try Model Studio first for enhanced conversation
-    if (this.useModelStudio) {
-      try {
-        const messages = [
-          {
-            role: 'system',
-            content: `You are ${agentProfile.name}, ${agentProfile.description}. You have access to the user's complete portfolio data and should provide personalized advice based on their actual holdings, performance, and risk profile. ${isTradingQuery ? 'The user is asking for trading advice - provide specific trade suggestions when appropriate.' : ''}`
-          },
-          {
-            role: 'user',
-            content: enhancedPrompt
-          }
-        ];
-        
-        const result = await this.modelStudio.generateConversation(enhancedPrompt, messages, agentProfile);
-        if (result.success) {
-          response = result.content;
-        } else {
-          console.warn('Model Studio portfolio conversation failed, trying PAI EAS:', result.error);
-        }
-      } catch (error) {
-        console.warn('Model Studio portfolio conversation failed, trying PAI EAS:', error.message);
-      }
-    }
+    const rendered = this.buildPortfolioAwarePrompt(userMessage, agentProfile, portfolioContext, context, isTradingQuery);
+    const [system, user] = rendered.messages;
 
-    // Try PAI EAS as fallback
-    if (!response && this.usePAI) {
-      try {
-        response = await paiService.generateConversation(enhancedPrompt, agentProfile, context);
-      } catch (error) {
-        console.warn('PAI EAS portfolio conversation failed, using legacy DashScope fallback:', error.message);
-      }
+    return {
+      systemPrompt: system.content,
+      enhancedPrompt: user.content,
+      isTradingQuery,
+      prompt: { name: rendered.name, version: rendered.version }
+    };
+  }
+
+  /**
+   * Run a tool-calling round trip on the first tool-capable provider so the
+   * agent can look up quotes, bars, fundamentals, news, its positions and its risk limits
+   * @param {string} systemPrompt - Agent system prompt
+   * @param {string} prompt - User prompt
+   * @param {Object} agentProfile - Agent the tools act for
+   * @param {Object} handlers - Optional onDelta to stream the answer, onToolCall, signal
+   * @returns {Promise<Object|null>} - { content, toolCalls, dataSection }, or null when tools are unavailable;
+   *   successful search_news calls carry the articleIds (URLs) they returned
+   * @throws {LLMGatewayError} - Only when cancelled or when a provider fails after streaming
+   */
+  async gatherLiveData(systemPrompt, prompt, agentProfile, { onDelta, onToolCall = () => {}, signal } = {}) {
+    if (!this.gateway.isAvailable({ tools: true }) || config.ai.toolCallRounds <= 0) {
+      return null;
     }
 
-    // Fallback to legacy DashScope with enhanced prompt
-    if (!response) {
-      response = await this.generateResponse(enhancedPrompt, { temperature: 0.8, maxTokens: 800 });
+    let outcomes = [];
+    let result;
+    try {
+      result = await this.gateway.chatWithTools(
+        [
+          { role: 'system', content: `${systemPrompt} Use the tools to look up live quotes, price history, fundamentals, news, your positions and your risk limits instead of guessing. Base every figure you cite on the portfolio data or a tool result.` },
+          { role: 'user', content: prompt }
+        ],
+        agentTools.getDefinitions(),
+        async (name, args) => {
+          const outcome = await agentTools.execute(name, args, { agentId: agentProfile.id });
+          // Tool results carry third-party text such as news; ones with instructions are withheld
+          const content = guardrails.screenToolResult(name, agentTools.formatResult(outcome), { agentId: agentProfile.id });
+          // News articles are identified by URL in decision traces
+          const articleIds = name === 'search_news' && outcome.ok
+            ? outcome.result.articles.map(article => article.url).filter(Boolean)
+            : undefined;
+          outcomes.push({ ok: outcome.ok, error: outcome.error, content, articleIds });
+          onToolCall({ name, arguments: args, ok: outcome.ok, error: outcome.error });
+          return content;
+        },
+        { maxRounds: config.ai.toolCallRounds, maxTokens: 1000, model: agentProfile.model, agentId: agentProfile.id, onDelta, signal }
+      );
+    } catch (error) {
+      if (error.code === 'REQUEST_CANCELLED' || error.details?.some(failure => failure.streamed)) throw error;
+      console.warn('Tool calling failed, answering from the prompt snapshot:', error.message);
+      return null;
     }
 
-    // If this is a trading query, try to extract trade suggestions from the response
-    if (isTradingQuery) {
-      const tradeSuggestions = this.extractTradeSuggestions(response, agentProfile, context.portfolioData);
-      return {
-        response,
-        tradeSuggestions
-      };
+    // A provider that failed mid-conversation may have run tools before the one that answered
+    outcomes = outcomes.slice(outcomes.length - result.toolCalls.length);
+    const toolCalls = result.toolCalls.map((call, index) => ({
+      ...call,
+      ok: outcomes[index]?.ok ?? false,
+      error: outcomes[index]?.error,
+      ...(outcomes[index]?.articleIds && { articleIds: outcomes[index].articleIds })
+    }));
+
+    // Tool results carried into the structured reply, capped to keep the prompt bounded
+    let dataSection = '';
+    if (toolCalls.length > 0) {
+      const lines = toolCalls.map((call, index) => `${call.name}(${call.arguments || ''}): ${outcomes[index]?.content}`);
+      dataSection = `\n\n=== LIVE DATA (retrieved just now with tools) ===\n${lines.join('\n').substring(0, MAX_LIVE_DATA_LENGTH)}\n`;
     }
 
-    return { response, tradeSuggestions: [] };
+    return { content: result.content, toolCalls, dataSection };
   }
 
   /**
@@ -537,88 +592,80 @@ Format your response as JSON:
    * @param {string} portfolioContext - Formatted portfolio context
    * @param {Object} context - Additional context
    * @param {boolean} isTradingQuery - Whether this is a trading-related query
-   * @returns {string} - Enhanced prompt
+   * @returns {Object} - Rendered portfolio-chat prompt: { name, version, assignment, messages }
    */
   buildPortfolioAwarePrompt(userMessage, agentProfile, portfolioContext, context, isTradingQuery = false) {
-    let prompt = `You are ${agentProfile.name}, ${agentProfile.description}.\n\n`;
-    prompt += `Personality: ${agentProfile.personality}\n`;
-    prompt += `Investment Style: ${agentProfile.investmentStyle}\n`;
-    prompt += `Risk Tolerance: ${agentProfile.riskTolerance}\n\n`;
-    
-    prompt += `IMPORTANT: You have access to the user's complete portfolio data below. Use this information to provide personalized, specific advice based on their actual holdings, performance, and risk profile.\n`;
-    prompt += portfolioContext;
-    
+    const mandate = this.describeMandate(agentProfile);
+    // Everything the user wrote, or that was derived from it, is marked untrusted;
+    // earlier messages were screened when they were sent
+    const untrusted = (text, source, options = {}) => guardrails.markUntrusted(text, source, { agentId: agentProfile.id, log: false, ...options });
+    let memoryFacts = '';
+    if (context.memoryFacts && context.memoryFacts.length > 0) {
+      memoryFacts = `\n=== WHAT THE USER HAS TOLD YOU BEFORE ===\n`;
+      memoryFacts += `${untrusted(context.memoryFacts.map(fact => `- ${fact}`).join('\n'), 'memory facts')}\n`;
+      memoryFacts += `Respect these preferences; never suggest anything that conflicts with them.\n`;
+    }
+
+    let recentMessages = '';
     if (context.recentMessages && context.recentMessages.length > 0) {
-      prompt += `\n=== RECENT CONVERSATION ===\n`;
-      context.recentMessages.forEach(msg => {
-        prompt += `User: ${msg.userMessage}\n`;
-        prompt += `You: ${msg.agentResponse}\n`;
-      });
+      recentMessages = `\n=== RECENT CONVERSATION ===\n`;
+      recentMessages += `${untrusted(context.recentMessages.map(msg => `User: ${msg.userMessage}\nYou: ${msg.agentResponse}`).join('\n'), 'recent conversation', { maxLength: null })}\n`;
     }
-    
-    prompt += `\n=== CURRENT USER MESSAGE ===\n`;
-    prompt += `User: "${userMessage}"\n\n`;
-    
+
+    let tradingRequest = '';
     if (isTradingQuery) {
-      prompt += `TRADING ADVICE REQUEST: The user is asking for trading advice. Based on their portfolio and your investment philosophy, provide specific trade recommendations if appropriate. Include:\n`;
-      prompt += `- Specific stock symbols to consider\n`;
-      prompt += `- Whether to BUY, SELL, or HOLD\n`;
-      prompt += `- Suggested quantities based on their portfolio size and risk tolerance\n`;
-      prompt += `- Clear reasoning for each recommendation\n\n`;
+      tradingRequest = `TRADING ADVICE REQUEST: The user is asking for trading advice. Based on their portfolio and your investment philosophy, provide specific trade recommendations if appropriate. Include:\n`;
+      tradingRequest += `- Specific stock symbols to consider\n`;
+      tradingRequest += `- Whether to BUY, SELL, or HOLD\n`;
+      tradingRequest += `- Suggested quantities based on their portfolio size and risk tolerance\n`;
+      tradingRequest += `- Clear reasoning for each recommendation\n\n`;
     }
-    
-    prompt += `Respond as ${agentProfile.name} with specific, actionable advice based on the user's actual portfolio. Reference specific positions, performance, and risk metrics when relevant. Keep your response conversational but professional, and always remind users that this is not personalized financial advice.`;
-    
-    return prompt;
+
+    return promptRegistry.render('portfolio-chat', {
+      agentName: agentProfile.name,
+      agentDescription: agentProfile.description,
+      personality: agentProfile.personality,
+      investmentStyle: agentProfile.investmentStyle,
+      riskTolerance: agentProfile.riskTolerance,
+      mandate: mandate ? `${mandate}\n` : '',
+      portfolioContext,
+      memoryFacts,
+      conversationSummary: context.conversationSummary
+        ? `\n=== EARLIER IN THIS CONVERSATION (summary) ===\n${untrusted(context.conversationSummary, 'conversation summary')}\n`
+        : '',
+      recentMessages,
+      userMessage: untrusted(userMessage, 'user message', { log: true }),
+      memoryInstruction: context.memoryFacts?.length ? 'Honor the preferences the user has told you about. ' : '',
+      tradingInstruction: isTradingQuery ? 'The user is asking for trading advice - provide specific trade suggestions when appropriate.' : '',
+      tradingRequest
+    }, { agentId: agentProfile.id });
   }
 
   /**
-   * Generate conversational response using Model Studio (primary), PAI EAS (fallback), or QWEN DashScope (fallback)
+   * Generate an in-character conversational response
    * @param {string} userMessage - User's message
    * @param {Object} agentProfile - Agent personality
    * @param {Object} context - Conversation context
    * @returns {Promise<string>} - Agent's response
    */
   async generateConversation(userMessage, agentProfile, context = {}) {
-    // Try Model Studio first for enhanced conversation
-    if (this.useModelStudio) {
-      try {
-        const result = await this.modelStudio.generateConversation(userMessage, [], agentProfile);
-        if (result.success) {
-          return result.content;
-        } else {
-          console.warn('Model Studio conversation failed, trying PAI EAS:', result.error);
-        }
-      } catch (error) {
-        console.warn('Model Studio conversation failed, trying PAI EAS:', error.message);
-      }
-    }
-
-    // Try PAI EAS as fallback for enhanced conversation
-    if (this.usePAI) {
-      try {
-        return await paiService.generateConversation(userMessage, agentProfile, context);
-      } catch (error) {
-        console.warn('PAI EAS conversation failed, using legacy DashScope fallback:', error.message);
-        // Continue to legacy DashScope fallback
-      }
-    }
-
-    // Fallback to legacy DashScope-based conversation
-    const prompt = `You are ${agentProfile.name}, ${agentProfile.description}.\n\nPersonality: ${agentProfile.personality}
-Speaking Style: ${agentProfile.speakingStyle || 'Professional but approachable'}
-Expertise: ${agentProfile.investmentStyle} investing with ${agentProfile.riskTolerance} risk tolerance
-
-User says: "${userMessage}"
-
-Context: ${JSON.stringify(context, null, 2)}
-
-Respond in character as ${agentProfile.name}. Keep it conversational, helpful, and true to your investment philosophy and personality. Provide practical financial advice when appropriate, but always remind users that this is not personalized financial advice and they should consult with a qualified financial advisor for their specific situation.`;
-
-    return await this.generateResponse(prompt, {
+    const { messages } = promptRegistry.render('conversation', {
+      agentName: agentProfile.name,
+      agentDescription: agentProfile.description,
+      personality: agentProfile.personality,
+      speakingStyle: agentProfile.speakingStyle || 'Professional but approachable',
+      investmentStyle: agentProfile.investmentStyle,
+      riskTolerance: agentProfile.riskTolerance,
+      userMessage: guardrails.markUntrusted(userMessage, 'user message', { agentId: agentProfile.id }),
+      context: guardrails.markUntrusted(JSON.stringify(context, null, 2), 'conversation context', { agentId: agentProfile.id })
+    }, { agentId: agentProfile.id });
+
+    return await this.generateChat(messages, {
       temperature: 0.8,
       maxTokens: 500,
-      topP: 0.9
+      topP: 0.9,
+      model: agentProfile.model,
+      agentId: agentProfile.id
     });
   }
 
@@ -637,82 +684,6 @@ Respond in character as ${agentProfile.name}. Keep it conversational, helpful, a
     const message = userMessage.toLowerCase();
     return tradingKeywords.some(keyword => message.includes(keyword));
   }
-
-  /**
-   * Extract trade suggestions from AI response
-   * @param {string} response - AI response text
-   * @param {Object} agentProfile - Agent profile
-   * @param {Object} portfolioData - Portfolio data
-   * @returns {Array} - Array of trade suggestions
-   */
-  extractTradeSuggestions(response, agentProfile, portfolioData) {
-    const suggestions = [];
-    
-    console.log('Extracting trade suggestions from response...');
-    
-    // Define common dividend stocks and their mappings
-    const stockMentions = {
-      'johnson': 'JNJ',
-      'jnj': 'JNJ',
-      'coca cola': 'KO',
-      'coca-cola': 'KO',
-      'ko': 'KO',
-      'procter': 'PG',
-      'gamble': 'PG',
-      'pg': 'PG',
-      'microsoft': 'MSFT',
-      'msft': 'MSFT',
-      'apple': 'AAPL',
-      'aapl': 'AAPL',
-      'dividend': ['JNJ', 'KO', 'PG'],
-      'utility': ['NEE', 'D', 'SO'],
-      'tech': ['AAPL', 'MSFT', 'GOOGL']
-    };
-    
-    const responseText = response.toLowerCase();
-    const portfolioValue = portfolioData?.totalValue || 100000;
-    const suggestedAmount = Math.min(portfolioValue * 0.05, 5000);
-    const baseQuantity = Math.floor(suggestedAmount / 100) || 10;
-    
-    // Check for specific stock mentions
-    Object.keys(stockMentions).forEach(keyword => {
-      if (responseText.includes(keyword)) {
-        const symbols = Array.isArray(stockMentions[keyword]) ? stockMentions[keyword] : [stockMentions[keyword]];
-        symbols.forEach(symbol => {
-          if (!suggestions.find(s => s.symbol === symbol)) {
-            suggestions.push({
-               action: 'buy',
-               symbol: symbol,
-               quantity: baseQuantity.toString(),
-               reasoning: `${agentProfile.name} recommends ${symbol} based on your investment criteria`,
-               confidence: 0.8,
-               agentId: agentProfile.id
-             });
-             console.log(`Added suggestion: BUY ${symbol} x${baseQuantity}`);
-          }
-        });
-      }
-    });
-    
-    // If no specific mentions found, provide default dividend recommendations
-    if (suggestions.length === 0 && (responseText.includes('dividend') || responseText.includes('income') || responseText.includes('stable'))) {
-      const defaultDividendStocks = ['JNJ', 'KO', 'PG'];
-      defaultDividendStocks.forEach(symbol => {
-         suggestions.push({
-           action: 'buy',
-           symbol: symbol,
-           quantity: baseQuantity.toString(),
-           reasoning: `${agentProfile.name} recommends ${symbol} as a quality dividend stock`,
-           confidence: 0.7,
-           agentId: agentProfile.id
-         });
-         console.log(`Added default suggestion: BUY ${symbol} x${baseQuantity}`);
-       });
-    }
-    
-    // Limit to 3 suggestions
-    return suggestions.slice(0, 3);
-  }
 }
 
 module.exports = new QwenService();
\ No newline at end of file
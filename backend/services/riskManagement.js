@@ -1,51 +1,26 @@
 // SIRFA Agent Finance - Risk Management Service
 // Enforces agent-specific risk limits and position sizing
 
-const { getAgentProfile } = require('../config/agentProfiles');
+const { getAgentProfile } = require('./agentRegistry');
+const alphaVantageService = require('./alphaVantageService');
 const config = require('../config');
 
 class RiskManagementService {
-  constructor() {
-    this.positionLimits = {
-      'wharton-buffest': {
-        maxPositionSize: 0.05, // 5% of portfolio per position
-        maxDailyRisk: 0.02, // 2% daily risk limit
-        maxDrawdown: 0.10, // 10% maximum drawdown
-        maxLeverage: 1.0, // No leverage
-        sectorConcentration: 0.25, // Max 25% in any sector
-        minCashReserve: 0.20 // Keep 20% cash
-      },
-      'melvin-arck': {
-        maxPositionSize: 0.15, // 15% of portfolio per position
-        maxDailyRisk: 0.08, // 8% daily risk limit
-        maxDrawdown: 0.25, // 25% maximum drawdown
-        maxLeverage: 2.0, // 2x leverage allowed
-        sectorConcentration: 0.50, // Max 50% in any sector
-        minCashReserve: 0.05 // Keep 5% cash
-      },
-      'jane-quant': {
-        maxPositionSize: 0.10, // 10% of portfolio per position
-        maxDailyRisk: 0.05, // 5% daily risk limit
-        maxDrawdown: 0.15, // 15% maximum drawdown
-        maxLeverage: 1.5, // 1.5x leverage allowed
-        sectorConcentration: 0.60, // Max 60% in tech sector
-        minCashReserve: 0.10 // Keep 10% cash
-      }
-    };
-  }
-
   /**
    * Validate a trading decision against risk limits
    * @param {string} agentId - The agent making the decision
    * @param {Object} tradingDecision - The proposed trading decision
    * @param {Object} portfolioData - Current portfolio data
+   * @param {Object} options - limits: check against these instead of the agent's own (e.g. getStrictestLimits);
+   *   universe: symbols a BUY is restricted to instead of the agent's own universe;
+   *   avoidedSectors: sectors a BUY is blocked in instead of the agent's own avoidedSectors
    * @returns {Object} Validation result with approval status and reasons
    */
-  validateTradingDecision(agentId, tradingDecision, portfolioData) {
+  validateTradingDecision(agentId, tradingDecision, portfolioData, options = {}) {
     try {
       const agent = getAgentProfile(agentId);
-      const limits = this.positionLimits[agentId];
-      
+      const limits = options.limits || agent?.riskLimits;
+
       if (!agent || !limits) {
         return {
           approved: false,
@@ -54,6 +29,39 @@ class RiskManagementService {
         };
       }
 
+      // Agents with a universe only open positions in it; an empty universe allows any symbol.
+      // Selling out of anything is allowed.
+      const action = String(tradingDecision.action || '').toUpperCase();
+      const universe = options.universe || (agent.universe?.length > 0 ? agent.universe : null);
+      const symbol = String(tradingDecision.symbol || '').toUpperCase();
+      if (action === 'BUY' && universe && !universe.includes(symbol)) {
+        return {
+          approved: false,
+          reason: `${symbol || 'Symbol'} is outside ${options.universe ? 'the allowed' : `${agent.name}'s`} trading universe`,
+          adjustedDecision: null
+        };
+      }
+
+      // Agents never open positions in the sectors they avoid
+      const avoidedSectors = options.avoidedSectors || agent.avoidedSectors || [];
+      const sector = action === 'BUY' ? this.getSector(symbol) : null;
+      if (sector && avoidedSectors.some(avoided => avoided.toLowerCase() === sector.toLowerCase())) {
+        return {
+          approved: false,
+          reason: `${symbol} is in the ${sector} sector, which ${options.avoidedSectors ? 'is avoided' : `${agent.name} avoids`}`,
+          adjustedDecision: null
+        };
+      }
+
+      // Size checks need a live price (see pretradePricing.priceDecision)
+      if ((action === 'BUY' || action === 'SELL') && tradingDecision.quantity && !(tradingDecision.price > 0)) {
+        return {
+          approved: false,
+          reason: `No live price available for ${tradingDecision.symbol}; trade cannot be sized`,
+          adjustedDecision: null
+        };
+      }
+
       const validationResults = [];
       let adjustedDecision = { ...tradingDecision };
 
@@ -128,12 +136,12 @@ class RiskManagementService {
     }
 
     const portfolioValue = portfolioData.totalValue || 100000;
-    const proposedValue = tradingDecision.quantity * (tradingDecision.price || 100);
+    const proposedValue = tradingDecision.quantity * tradingDecision.price;
     const positionPercentage = proposedValue / portfolioValue;
 
     if (positionPercentage > limits.maxPositionSize) {
       const maxQuantity = Math.floor(
-        (portfolioValue * limits.maxPositionSize) / (tradingDecision.price || 100)
+        (portfolioValue * limits.maxPositionSize) / tradingDecision.price
       );
       
       return {
@@ -198,13 +206,13 @@ class RiskManagementService {
 
     const portfolioValue = portfolioData.totalValue || 100000;
     const currentCash = portfolioData.buyingPower || portfolioValue * 0.1;
-    const proposedSpend = tradingDecision.quantity * (tradingDecision.price || 100);
+    const proposedSpend = tradingDecision.quantity * tradingDecision.price;
     const remainingCash = currentCash - proposedSpend;
     const cashPercentage = remainingCash / portfolioValue;
 
     if (cashPercentage < limits.minCashReserve) {
       const maxSpend = currentCash - (portfolioValue * limits.minCashReserve);
-      const maxQuantity = Math.floor(maxSpend / (tradingDecision.price || 100));
+      const maxQuantity = Math.floor(maxSpend / tradingDecision.price);
       
       if (maxQuantity <= 0) {
         return {
@@ -229,22 +237,53 @@ class RiskManagementService {
   }
 
   /**
-   * Validate sector concentration limits
+   * Sector of a symbol from SECTOR_MAP, else from company overview data already
+   * fetched (e.g. by the get_company_overview tool)
+   * @returns {string|null} - null when neither source knows the symbol
+   */
+  getSector(symbol) {
+    const upper = String(symbol || '').toUpperCase();
+    const sector = config.trading.sectorMap[upper] || alphaVantageService.getCachedData(`overview_${upper}`)?.sector;
+    return sector && sector !== 'None' ? sector : null;
+  }
+
+  /**
+   * Validate sector concentration limits; the check is skipped when the symbol's sector is unknown
    */
   validateSectorConcentration(tradingDecision, portfolioData, limits) {
-    // Simplified sector validation - would need real sector data
-    // For now, assume tech concentration for Jane Quant
-    if (tradingDecision.action !== 'BUY') {
+    if (tradingDecision.action !== 'BUY' || limits.sectorConcentration >= 1.0) {
       return { valid: true };
     }
 
-    // This would be enhanced with real sector classification
-    const isTechStock = tradingDecision.symbol && 
-      ['AAPL', 'GOOGL', 'MSFT', 'AMZN', 'TSLA', 'NVDA', 'META'].includes(tradingDecision.symbol);
-    
-    if (isTechStock && limits.sectorConcentration < 1.0) {
-      // Simplified check - in real implementation, would calculate actual sector exposure
-      return { valid: true }; // Allow for now, would implement proper sector tracking
+    const sector = this.getSector(tradingDecision.symbol);
+    if (!sector) {
+      console.warn(`No sector data for ${tradingDecision.symbol}; sector concentration check skipped`);
+      return { valid: true };
+    }
+
+    // Holdings with an unknown sector are not counted toward any sector
+    const portfolioValue = portfolioData.totalValue || 100000;
+    const currentExposure = (portfolioData.positions || [])
+      .filter(position => this.getSector(position.symbol)?.toLowerCase() === sector.toLowerCase())
+      .reduce((sum, position) => sum + Math.abs(parseFloat(position.market_value) || 0), 0);
+    const proposedValue = tradingDecision.quantity * tradingDecision.price;
+    const concentration = (currentExposure + proposedValue) / portfolioValue;
+
+    if (concentration > limits.sectorConcentration) {
+      const maxSpend = portfolioValue * limits.sectorConcentration - currentExposure;
+      const maxQuantity = Math.floor(maxSpend / tradingDecision.price);
+
+      return {
+        valid: false,
+        reason: `${sector} sector concentration ${(concentration * 100).toFixed(1)}% exceeds limit of ${(limits.sectorConcentration * 100).toFixed(1)}%`,
+        adjustedDecision: maxQuantity > 0
+          ? {
+            ...tradingDecision,
+            quantity: maxQuantity,
+            reasoning: tradingDecision.reasoning + ` (Quantity adjusted for sector concentration)`
+          }
+          : { ...tradingDecision, action: 'HOLD' }
+      };
     }
 
     return { valid: true };
@@ -263,8 +302,8 @@ class RiskManagementService {
       dailyVolatility: volatility,
       cashReserve: (portfolioData.buyingPower || 0) / portfolioValue,
       dayChangePercent: (dayChange / portfolioValue) * 100,
-      proposedTradeSize: tradingDecision.quantity * (tradingDecision.price || 100),
-      proposedTradePercent: ((tradingDecision.quantity * (tradingDecision.price || 100)) / portfolioValue) * 100
+      proposedTradeSize: tradingDecision.quantity * (tradingDecision.price || 0),
+      proposedTradePercent: ((tradingDecision.quantity * (tradingDecision.price || 0)) / portfolioValue) * 100
     };
   }
 
@@ -272,18 +311,30 @@ class RiskManagementService {
    * Get risk limits for an agent
    */
   getRiskLimits(agentId) {
-    return this.positionLimits[agentId] || null;
+    return getAgentProfile(agentId)?.riskLimits || null;
   }
 
   /**
-   * Update risk limits for an agent (for dynamic risk management)
+   * The strictest of several agents' limits: the lowest of each cap and the
+   * highest cash reserve. Agents without limits are ignored.
+   * @param {string[]} agentIds - Agent profile IDs
+   * @returns {Object|null} - Combined limits, or null when none of the agents has any
    */
-  updateRiskLimits(agentId, newLimits) {
-    if (this.positionLimits[agentId]) {
-      this.positionLimits[agentId] = { ...this.positionLimits[agentId], ...newLimits };
-      return true;
+  getStrictestLimits(agentIds) {
+    const limits = agentIds.map(agentId => this.getRiskLimits(agentId)).filter(Boolean);
+    if (limits.length === 0) {
+      return null;
     }
-    return false;
+
+    const lowest = (key) => Math.min(...limits.map(limit => limit[key]));
+    return {
+      maxPositionSize: lowest('maxPositionSize'),
+      maxDailyRisk: lowest('maxDailyRisk'),
+      maxDrawdown: lowest('maxDrawdown'),
+      maxLeverage: lowest('maxLeverage'),
+      sectorConcentration: lowest('sectorConcentration'),
+      minCashReserve: Math.max(...limits.map(limit => limit.minCashReserve))
+    };
   }
 }
 
@@ -0,0 +1,233 @@
+// SIRFA Agent Finance - Trade Suggestion Service
+// Turns model-proposed chat suggestions into validated, live-priced and risk-sized trades
+
+const { v4: uuidv4 } = require('uuid');
+const broker = require('./brokers');
+const pretradePricing = require('./pretradePricing');
+const riskManagement = require('./riskManagement');
+const capitalSleeves = require('./capitalSleeves');
+const agentAnalysis = require('./agentAnalysis');
+const guardrails = require('./guardrails');
+const decisionTraces = require('./decisionTraces');
+const { getAgentProfile } = require('./agentRegistry');
+
+const MAX_SIZING_PASSES = 4;
+
+class TradeSuggestionService {
+  /**
+   * Confirm the symbol is a known, active and tradable asset
+   * @returns {Promise<string|null>} - Rejection reason, or null when tradable
+   */
+  async checkAsset(symbol) {
+    try {
+      const asset = await broker.getAsset(symbol);
+      if (asset.status !== 'active' || !asset.tradable) {
+        return `${symbol} is not tradable`;
+      }
+      return null;
+    } catch (error) {
+      return `${symbol} is not a known symbol`;
+    }
+  }
+
+  /**
+   * Size one suggestion: the model's quantity or notional when given, else the
+   * agent's full position-size limit, then adjusted by the agent's risk checks.
+   * Sells never exceed the shares held.
+   * @returns {Object} - { quantity, reason }
+   */
+  sizeSuggestion(agentId, suggestion, price, portfolioData) {
+    const limits = riskManagement.getRiskLimits(agentId);
+    const held = (portfolioData.positions || [])
+      .filter(position => position.symbol === suggestion.symbol)
+      .reduce((sum, position) => sum + (parseFloat(position.qty) || 0), 0);
+
+    let requested;
+    if (suggestion.quantity) {
+      requested = Math.floor(suggestion.quantity);
+    } else if (suggestion.notional) {
+      requested = Math.floor(suggestion.notional / price);
+    } else if (suggestion.action === 'SELL') {
+      requested = Math.floor(held);
+    } else {
+      requested = limits ? Math.floor((portfolioData.totalValue || 0) * limits.maxPositionSize / price) : 0;
+    }
+
+    if (suggestion.action === 'SELL') {
+      if (!(held > 0)) {
+        return { quantity: 0, reason: `No ${suggestion.symbol} position to sell` };
+      }
+      requested = Math.min(requested, Math.floor(held));
+    }
+    if (!(requested >= 1)) {
+      return { quantity: 0, reason: `Suggested size is under one share at $${price}` };
+    }
+
+    // Each risk check adjusts the original size independently, so an adjusted
+    // size is re-validated until every check passes
+    let quantity = requested;
+    const reasons = [];
+    for (let pass = 0; pass < MAX_SIZING_PASSES; pass++) {
+      const decision = { action: suggestion.action, symbol: suggestion.symbol, quantity, price, reasoning: '' };
+      const validation = riskManagement.validateTradingDecision(agentId, decision, portfolioData);
+      if (validation.approved) {
+        return { quantity, requested, reason: reasons.join('; ') || null };
+      }
+
+      const adjusted = validation.adjustedDecision;
+      if (!adjusted || adjusted.action === 'HOLD' || !(adjusted.quantity >= 1) || adjusted.quantity >= quantity) {
+        return { quantity: 0, reason: validation.reason };
+      }
+      reasons.push(validation.reason);
+      quantity = Math.floor(adjusted.quantity);
+    }
+    return { quantity: 0, reason: reasons.join('; ') };
+  }
+
+  /**
+   * Resolve model-proposed suggestions for an agent. Suggestions the output
+   * policy blocks (see guardrails.checkOrder) are rejected before pricing.
+   * Each resolved suggestion gets a decisionId with a decision trace, so an
+   * order placed for it is linked to the reply, its tool calls and news.
+   * @param {string} agentId - Agent profile ID
+   * @param {Array} suggestions - From qwenService.generatePortfolioAwareConversation
+   * @param {Object} sources - userMessage and toolCalls of the reply, for the symbols it may trade,
+   *   and prompt (the reply's template name and version) for the trace
+   * @returns {Promise<Object>} - { suggestions, rejected }
+   */
+  async resolveSuggestions(agentId, suggestions = [], { userMessage = null, toolCalls = [], prompt = null } = {}) {
+    if (suggestions.length === 0) {
+      return { suggestions: [], rejected: [] };
+    }
+
+    // Size against the agent's capital sleeve when it has one, as for analysis
+    let portfolioData;
+    try {
+      portfolioData = await capitalSleeves.getPortfolioData(agentId) || await agentAnalysis.getPortfolioData();
+    } catch (error) {
+      console.error('Error fetching portfolio data for trade suggestions:', error.message);
+      return {
+        suggestions: [],
+        rejected: suggestions.map(suggestion => ({
+          action: suggestion.action.toLowerCase(),
+          symbol: suggestion.symbol,
+          reason: 'Portfolio data is unavailable to size the trade',
+          citation: suggestion.citation
+        }))
+      };
+    }
+    const trustedSymbols = await guardrails.trustedSymbols({ agent: getAgentProfile(agentId), portfolioData, userMessage, toolCalls });
+    const resolved = [];
+    const rejected = [];
+
+    for (const suggestion of suggestions) {
+      const reject = (reason) => rejected.push({
+        action: suggestion.action.toLowerCase(),
+        symbol: suggestion.symbol,
+        reason,
+        citation: suggestion.citation
+      });
+
+      const policy = guardrails.checkOrder(suggestion, { agentId, source: 'chat suggestion', trustedSymbols });
+      if (!policy.allowed) {
+        reject(policy.reasons.join('; '));
+        continue;
+      }
+
+      const assetIssue = await this.checkAsset(suggestion.symbol);
+      if (assetIssue) {
+        reject(assetIssue);
+        continue;
+      }
+
+      let pricing;
+      try {
+        pricing = await pretradePricing.priceOrder({
+          symbol: suggestion.symbol,
+          side: suggestion.action.toLowerCase(),
+          type: 'market'
+        });
+      } catch (error) {
+        reject(error.message);
+        continue;
+      }
+
+      const sizing = this.sizeSuggestion(agentId, suggestion, pricing.price, portfolioData);
+      if (!(sizing.quantity >= 1)) {
+        reject(sizing.reason);
+        continue;
+      }
+
+      const decisionId = await this.recordTrace(agentId, suggestion, {
+        pricing,
+        sizing,
+        policy,
+        portfolioData,
+        toolCalls,
+        prompt
+      });
+
+      resolved.push({
+        decisionId,
+        action: suggestion.action.toLowerCase(),
+        symbol: suggestion.symbol,
+        quantity: sizing.quantity,
+        price: pricing.price,
+        estimatedValue: Math.round(sizing.quantity * pricing.price * 100) / 100,
+        confidence: suggestion.confidence,
+        reasoning: suggestion.citation.sentence,
+        citation: suggestion.citation,
+        sizing: {
+          requested: sizing.requested,
+          adjusted: sizing.quantity !== sizing.requested,
+          reason: sizing.reason
+        },
+        pricing: {
+          marketPrice: pricing.marketPrice,
+          source: pricing.source,
+          timestamp: pricing.timestamp
+        },
+        agentId
+      });
+    }
+
+    return { suggestions: resolved, rejected };
+  }
+
+  /**
+   * Record the decision trace of a resolved suggestion
+   * @returns {Promise<string>} - Decision ID
+   */
+  async recordTrace(agentId, suggestion, { pricing, sizing, policy, portfolioData, toolCalls, prompt }) {
+    const decisionId = uuidv4();
+    const proposedDecision = {
+      action: suggestion.action,
+      symbol: suggestion.symbol,
+      quantity: sizing.requested,
+      notional: suggestion.notional ?? null,
+      confidence: suggestion.confidence,
+      price: pricing.price,
+      pricing
+    };
+
+    await decisionTraces.record({
+      decisionId,
+      agentId,
+      source: 'chat suggestion',
+      analysis: { prompt, toolCalls, reasoning: suggestion.citation.sentence },
+      inputs: {
+        marketData: null,
+        portfolio: portfolioData,
+        newsIds: [...new Set(toolCalls.flatMap(call => call.articleIds || []))]
+      },
+      proposedDecision,
+      riskValidation: { approved: sizing.quantity === sizing.requested, reason: sizing.reason },
+      limits: riskManagement.getRiskLimits(agentId),
+      outputPolicy: policy,
+      finalDecision: { ...proposedDecision, quantity: sizing.quantity }
+    });
+    return decisionId;
+  }
+}
+
+module.exports = new TradeSuggestionService();
@@ -0,0 +1,426 @@
+// SIRFA Agent Finance - Trading Decision Schema
+// JSON schemas, parsing and validation for model-produced trading decisions and chat trade suggestions
+
+const ACTIONS = ['BUY', 'SELL', 'HOLD'];
+const HORIZONS = ['intraday', 'short_term', 'medium_term', 'long_term'];
+const EVIDENCE_SOURCES = ['market_data', 'portfolio', 'agent_profile', 'news'];
+const MAX_EVIDENCE = 10;
+const SYMBOL_PATTERN = /^[A-Z][A-Z.]{0,5}$/;
+
+const nullable = (schema) => ({ anyOf: [schema, { type: 'null' }] });
+
+/**
+ * JSON schema sent to the model with every trading decision request
+ */
+const TRADING_DECISION_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'TradingDecision',
+  type: 'object',
+  additionalProperties: false,
+  required: ['analysis', 'recommendation', 'riskAssessment', 'reasoning'],
+  properties: {
+    analysis: { type: 'string', minLength: 1, description: 'Market analysis in 2-3 sentences' },
+    recommendation: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['action', 'symbol', 'quantity', 'notional', 'limitPrice', 'stopPrice', 'horizon', 'confidence', 'evidence'],
+      properties: {
+        action: { type: 'string', enum: ACTIONS },
+        symbol: nullable({ type: 'string', pattern: SYMBOL_PATTERN.source, description: 'Ticker; required for BUY and SELL' }),
+        quantity: nullable({ type: 'number', exclusiveMinimum: 0, description: 'Shares; give quantity or notional for BUY and SELL, not both' }),
+        notional: nullable({ type: 'number', exclusiveMinimum: 0, description: 'Dollar amount; give quantity or notional for BUY and SELL, not both' }),
+        limitPrice: nullable({ type: 'number', exclusiveMinimum: 0, description: 'Limit price, or null for a market order' }),
+        stopPrice: nullable({ type: 'number', exclusiveMinimum: 0, description: 'Protective stop price; below the limit price for BUY' }),
+        horizon: { type: 'string', enum: HORIZONS },
+        confidence: { type: 'number', minimum: 0, maximum: 1 },
+        evidence: {
+          type: 'array',
+          maxItems: MAX_EVIDENCE,
+          description: 'Facts from the provided data that support the decision; at least one for BUY and SELL',
+          items: {
+            type: 'object',
+            additionalProperties: false,
+            required: ['source', 'detail'],
+            properties: {
+              source: { type: 'string', enum: EVIDENCE_SOURCES },
+              detail: { type: 'string', minLength: 1 }
+            }
+          }
+        }
+      }
+    },
+    riskAssessment: { type: 'string', minLength: 1 },
+    reasoning: { type: 'string', minLength: 1 }
+  }
+};
+
+/**
+ * Raised when no provider returns a decision that passes validation
+ */
+class TradingDecisionError extends Error {
+  constructor(statusCode, message, details = null, code = null) {
+    super(message);
+    this.name = 'TradingDecisionError';
+    this.statusCode = statusCode;
+    this.details = details;
+    this.code = code;
+  }
+}
+
+/**
+ * Parse a JSON-mode response. Markdown code fences are tolerated; any other
+ * text around the object is a validation error for the repair prompt.
+ * @param {string} content - Raw model output
+ * @returns {Object} - { value } or { error }
+ */
+function parseDecisionJSON(content) {
+  const text = String(content ?? '').trim()
+    .replace(/^```(?:json)?\s*/i, '')
+    .replace(/\s*```$/, '');
+
+  try {
+    return { value: JSON.parse(text) };
+  } catch (error) {
+    return { error: `Response is not valid JSON: ${error.message}` };
+  }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isPositiveNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+function checkUnknownKeys(object, allowed, prefix, errors) {
+  for (const key of Object.keys(object)) {
+    if (!allowed.includes(key)) {
+      errors.push(`${prefix}${key} is not an allowed property`);
+    }
+  }
+}
+
+function checkOptionalPrice(recommendation, field, errors) {
+  const value = recommendation[field];
+  if (value !== null && value !== undefined && !isPositiveNumber(value)) {
+    errors.push(`recommendation.${field} must be a positive number or null`);
+  }
+}
+
+/**
+ * Validate a parsed decision against TRADING_DECISION_SCHEMA plus the rules
+ * the schema cannot express (sizing, symbol and evidence requirements for trades).
+ * Action and symbol casing is normalized; nothing else is coerced.
+ * @param {*} candidate - Parsed model output
+ * @returns {Object} - { valid, errors, decision }
+ */
+function validateDecision(candidate) {
+  const errors = [];
+
+  if (!isPlainObject(candidate)) {
+    return { valid: false, errors: ['Response must be a JSON object'], decision: null };
+  }
+
+  const properties = Object.keys(TRADING_DECISION_SCHEMA.properties);
+  checkUnknownKeys(candidate, properties, '', errors);
+  for (const field of ['analysis', 'riskAssessment', 'reasoning']) {
+    if (!isNonEmptyString(candidate[field])) {
+      errors.push(`${field} must be a non-empty string`);
+    }
+  }
+
+  const recommendation = candidate.recommendation;
+  if (!isPlainObject(recommendation)) {
+    errors.push('recommendation must be an object');
+    return { valid: false, errors, decision: null };
+  }
+
+  const recommendationSchema = TRADING_DECISION_SCHEMA.properties.recommendation;
+  checkUnknownKeys(recommendation, Object.keys(recommendationSchema.properties), 'recommendation.', errors);
+  for (const field of recommendationSchema.required) {
+    if (!(field in recommendation)) {
+      errors.push(`recommendation.${field} is required (use null when it does not apply)`);
+    }
+  }
+
+  const action = typeof recommendation.action === 'string' ? recommendation.action.trim().toUpperCase() : null;
+  if (!ACTIONS.includes(action)) {
+    errors.push(`recommendation.action must be one of ${ACTIONS.join(', ')}`);
+  }
+  const trade = action === 'BUY' || action === 'SELL';
+
+  const symbol = typeof recommendation.symbol === 'string' ? recommendation.symbol.trim().toUpperCase() : recommendation.symbol;
+  if (symbol !== null && symbol !== undefined && !(typeof symbol === 'string' && SYMBOL_PATTERN.test(symbol))) {
+    errors.push('recommendation.symbol must be a ticker such as "AAPL" or null');
+  } else if (trade && !symbol) {
+    errors.push(`recommendation.symbol is required for ${action}`);
+  }
+
+  for (const field of ['quantity', 'notional', 'limitPrice', 'stopPrice']) {
+    checkOptionalPrice(recommendation, field, errors);
+  }
+  const hasQuantity = isPositiveNumber(recommendation.quantity);
+  const hasNotional = isPositiveNumber(recommendation.notional);
+  if (trade && hasQuantity === hasNotional) {
+    errors.push(`${action} requires exactly one of recommendation.quantity or recommendation.notional`);
+  }
+  if (action === 'BUY' && isPositiveNumber(recommendation.limitPrice) && isPositiveNumber(recommendation.stopPrice)
+    && recommendation.stopPrice >= recommendation.limitPrice) {
+    errors.push('recommendation.stopPrice must be below recommendation.limitPrice for BUY');
+  }
+
+  if (!HORIZONS.includes(recommendation.horizon)) {
+    errors.push(`recommendation.horizon must be one of ${HORIZONS.join(', ')}`);
+  }
+
+  const confidence = recommendation.confidence;
+  if (typeof confidence !== 'number' || !(confidence >= 0 && confidence <= 1)) {
+    errors.push('recommendation.confidence must be a number from 0 to 1');
+  }
+
+  const evidence = recommendation.evidence;
+  if (!Array.isArray(evidence)) {
+    errors.push('recommendation.evidence must be an array');
+  } else {
+    if (evidence.length > MAX_EVIDENCE) {
+      errors.push(`recommendation.evidence must have at most ${MAX_EVIDENCE} items`);
+    }
+    if (trade && evidence.length === 0) {
+      errors.push(`recommendation.evidence must cite at least one fact for ${action}`);
+    }
+    evidence.forEach((item, index) => {
+      if (!isPlainObject(item) || !EVIDENCE_SOURCES.includes(item.source) || !isNonEmptyString(item.detail)) {
+        errors.push(`recommendation.evidence[${index}] must be { source: ${EVIDENCE_SOURCES.join('|')}, detail: non-empty string }`);
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors, decision: null };
+  }
+
+  return {
+    valid: true,
+    errors: [],
+    decision: {
+      analysis: candidate.analysis.trim(),
+      recommendation: {
+        action,
+        symbol: symbol || null,
+        // Holds carry no size
+        quantity: trade && hasQuantity ? recommendation.quantity : null,
+        notional: trade && hasNotional ? recommendation.notional : null,
+        limitPrice: trade ? recommendation.limitPrice ?? null : null,
+        stopPrice: trade ? recommendation.stopPrice ?? null : null,
+        horizon: recommendation.horizon,
+        confidence,
+        evidence: evidence.map(item => ({ source: item.source, detail: item.detail.trim() }))
+      },
+      riskAssessment: candidate.riskAssessment.trim(),
+      reasoning: candidate.reasoning.trim()
+    }
+  };
+}
+
+const MAX_SUGGESTIONS = 3;
+
+/**
+ * JSON schema for a chat reply that may carry trade suggestions
+ */
+const TRADE_SUGGESTIONS_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'ChatReplyWithSuggestions',
+  type: 'object',
+  additionalProperties: false,
+  required: ['response', 'suggestions'],
+  properties: {
+    response: { type: 'string', minLength: 1, description: 'The reply shown to the user' },
+    suggestions: {
+      type: 'array',
+      maxItems: MAX_SUGGESTIONS,
+      description: 'Trades the reply recommends; empty when it recommends none',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['action', 'symbol', 'quantity', 'notional', 'confidence', 'justification'],
+        properties: {
+          action: { type: 'string', enum: ['BUY', 'SELL'] },
+          symbol: { type: 'string', pattern: SYMBOL_PATTERN.source },
+          quantity: nullable({ type: 'number', exclusiveMinimum: 0, description: 'Shares; leave quantity and notional null to size by risk limits' }),
+          notional: nullable({ type: 'number', exclusiveMinimum: 0, description: 'Dollar amount; not together with quantity' }),
+          confidence: { type: 'number', minimum: 0, maximum: 1 },
+          justification: { type: 'string', minLength: 1, description: 'The sentence of response that recommends this trade and names its ticker, copied verbatim' }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Locate a quoted sentence in a reply and widen it to the full sentence
+ * @returns {Object|null} - { sentence, start, end } with offsets into text
+ */
+function locateSentence(text, quote) {
+  const needle = quote.trim();
+  let index = text.indexOf(needle);
+  if (index === -1) {
+    index = text.toLowerCase().indexOf(needle.toLowerCase());
+  }
+  if (index === -1 || needle.length === 0) return null;
+
+  // A period inside "$182.50" or "e.g." is not a boundary; one followed by whitespace is
+  const isBoundary = (position) => text[position - 1] === '\n'
+    || (/[.!?]/.test(text[position - 1]) && (position === text.length || /\s/.test(text[position])));
+
+  let start = index;
+  while (start > 0 && !isBoundary(start)) start--;
+  let end = index + needle.length;
+  while (end < text.length && !isBoundary(end)) end++;
+
+  const sentence = text.slice(start, end);
+  const leading = sentence.length - sentence.trimStart().length;
+  return {
+    sentence: sentence.trim(),
+    start: start + leading,
+    end: start + leading + sentence.trim().length
+  };
+}
+
+/**
+ * Validate a chat reply against TRADE_SUGGESTIONS_SCHEMA. Every suggestion
+ * must quote the sentence of the reply that justifies it; the quote is
+ * resolved to a citation with offsets into the reply.
+ * @param {*} candidate - Parsed model output
+ * @returns {Object} - { valid, errors, decision: { response, suggestions } }
+ */
+function validateSuggestionReply(candidate) {
+  const errors = [];
+
+  if (!isPlainObject(candidate)) {
+    return { valid: false, errors: ['Response must be a JSON object'], decision: null };
+  }
+
+  checkUnknownKeys(candidate, Object.keys(TRADE_SUGGESTIONS_SCHEMA.properties), '', errors);
+  if (!isNonEmptyString(candidate.response)) {
+    errors.push('response must be a non-empty string');
+  }
+  if (!Array.isArray(candidate.suggestions)) {
+    errors.push('suggestions must be an array');
+    return { valid: false, errors, decision: null };
+  }
+  if (candidate.suggestions.length > MAX_SUGGESTIONS) {
+    errors.push(`suggestions must have at most ${MAX_SUGGESTIONS} items`);
+  }
+
+  const itemSchema = TRADE_SUGGESTIONS_SCHEMA.properties.suggestions.items;
+  const suggestions = candidate.suggestions.map((item, index) => {
+    const prefix = `suggestions[${index}].`;
+    if (!isPlainObject(item)) {
+      errors.push(`suggestions[${index}] must be an object`);
+      return null;
+    }
+    checkUnknownKeys(item, Object.keys(itemSchema.properties), prefix, errors);
+
+    const action = typeof item.action === 'string' ? item.action.trim().toUpperCase() : null;
+    if (action !== 'BUY' && action !== 'SELL') {
+      errors.push(`${prefix}action must be BUY or SELL`);
+    }
+    const symbol = typeof item.symbol === 'string' ? item.symbol.trim().toUpperCase() : null;
+    if (!symbol || !SYMBOL_PATTERN.test(symbol)) {
+      errors.push(`${prefix}symbol must be a ticker such as "AAPL"`);
+    }
+    for (const field of ['quantity', 'notional']) {
+      if (item[field] !== null && item[field] !== undefined && !isPositiveNumber(item[field])) {
+        errors.push(`${prefix}${field} must be a positive number or null`);
+      }
+    }
+    if (isPositiveNumber(item.quantity) && isPositiveNumber(item.notional)) {
+      errors.push(`${prefix}quantity and notional cannot both be set`);
+    }
+    if (typeof item.confidence !== 'number' || !(item.confidence >= 0 && item.confidence <= 1)) {
+      errors.push(`${prefix}confidence must be a number from 0 to 1`);
+    }
+
+    const citation = isNonEmptyString(item.justification) && isNonEmptyString(candidate.response)
+      ? locateSentence(candidate.response, item.justification)
+      : null;
+    if (!citation) {
+      errors.push(`${prefix}justification must copy a sentence of response verbatim`);
+    } else if (symbol && !new RegExp(`\\b${symbol.replace('.', '\\.')}\\b`, 'i').test(citation.sentence)) {
+      errors.push(`${prefix}justification must be a sentence of response that names ${symbol}`);
+    }
+
+    return {
+      action,
+      symbol,
+      quantity: isPositiveNumber(item.quantity) ? item.quantity : null,
+      notional: isPositiveNumber(item.notional) ? item.notional : null,
+      confidence: item.confidence,
+      citation
+    };
+  });
+
+  if (errors.length > 0) {
+    return { valid: false, errors, decision: null };
+  }
+
+  return {
+    valid: true,
+    errors: [],
+    decision: { response: candidate.response.trim(), suggestions }
+  };
+}
+
+/**
+ * Suggestions listed for a reply that was already written, e.g. streamed to the user
+ */
+const REPLY_SUGGESTIONS_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'SuggestionsForReply',
+  type: 'object',
+  additionalProperties: false,
+  required: ['suggestions'],
+  properties: {
+    suggestions: TRADE_SUGGESTIONS_SCHEMA.properties.suggestions
+  }
+};
+
+/**
+ * Build a validator for REPLY_SUGGESTIONS_SCHEMA output; justifications are
+ * checked against the given reply
+ * @param {string} reply - The reply the suggestions were listed for
+ * @returns {Function} - (candidate) => { valid, errors, decision }
+ */
+function suggestionsForReplyValidator(reply) {
+  return (candidate) => {
+    if (!isPlainObject(candidate)) {
+      return { valid: false, errors: ['Response must be a JSON object'], decision: null };
+    }
+    return validateSuggestionReply({ response: reply, suggestions: candidate.suggestions });
+  };
+}
+
+/**
+ * Follow-up message asking the model to fix its previous output
+ * @param {string[]} errors - Validation errors
+ * @returns {string} - Repair prompt
+ */
+function buildRepairPrompt(errors) {
+  return `Your previous response was rejected:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Return the corrected trading decision as a single JSON object that matches the schema. Do not include any text outside the JSON.`;
+}
+
+module.exports = {
+  ACTIONS,
+  SYMBOL_PATTERN,
+  HORIZONS,
+  EVIDENCE_SOURCES,
+  TRADING_DECISION_SCHEMA,
+  TRADE_SUGGESTIONS_SCHEMA,
+  REPLY_SUGGESTIONS_SCHEMA,
+  TradingDecisionError,
+  parseDecisionJSON,
+  validateDecision,
+  validateSuggestionReply,
+  suggestionsForReplyValidator,
+  buildRepairPrompt
+};
@@ -0,0 +1,273 @@
+// SIRFA Agent Finance - Trading Halt Service
+// Runtime kill switch plus per-agent circuit breakers on drawdown and daily loss
+
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const broker = require('./brokers');
+const riskManagement = require('./riskManagement');
+const capitalSleeves = require('./capitalSleeves');
+const { getAllAgents } = require('./agentRegistry');
+
+const BREAKER_CHECK_MS = 60 * 1000;
+const METRICS_CACHE_MS = 5000;
+const FILL_CHECK_DELAY_MS = 1000;
+const MAX_HISTORY = 500;
+
+const today = () => new Date().toISOString().split('T')[0];
+const percent = (value) => `${(value * 100).toFixed(1)}%`;
+
+class TradingHaltService extends EventEmitter {
+  constructor() {
+    super();
+    this.state = { global: null, agents: {}, history: [] };
+    this.metricsCache = null;
+    this.breakerTimer = null;
+    this.fillCheckTimer = null;
+    this.dataFilePath = path.join(__dirname, '..', 'data', 'trading-halts.json');
+    this.saving = Promise.resolve();
+    this.ready = this.loadState();
+
+    // Losses are realized on fills, so re-check the breakers shortly after one
+    broker.on('trade_update', ({ event }) => {
+      if (event === 'fill' || event === 'partial_fill') {
+        this.scheduleFillCheck();
+      }
+    });
+  }
+
+  /**
+   * Load halt state from file
+   */
+  async loadState() {
+    try {
+      const data = await fs.readFile(this.dataFilePath, 'utf8');
+      this.state = { global: null, agents: {}, history: [], ...JSON.parse(data) };
+    } catch (error) {
+      // File doesn't exist or is corrupted, start fresh
+    }
+  }
+
+  /**
+   * Save halt state to file (writes are serialized)
+   */
+  saveState() {
+    this.saving = this.saving.then(async () => {
+      try {
+        await fs.mkdir(path.dirname(this.dataFilePath), { recursive: true });
+        await fs.writeFile(this.dataFilePath, JSON.stringify(this.state, null, 2));
+      } catch (error) {
+        console.error('Failed to save trading halt state:', error);
+      }
+    });
+    return this.saving;
+  }
+
+  /**
+   * Periodically evaluate every agent's circuit breaker
+   */
+  startMonitoring() {
+    if (this.breakerTimer) return;
+    this.breakerTimer = setInterval(() => this.evaluateAllAgents(), BREAKER_CHECK_MS);
+    this.breakerTimer.unref?.();
+  }
+
+  stopMonitoring() {
+    clearInterval(this.breakerTimer);
+    this.breakerTimer = null;
+  }
+
+  scheduleFillCheck() {
+    if (this.fillCheckTimer) return;
+    this.fillCheckTimer = setTimeout(() => {
+      this.fillCheckTimer = null;
+      this.metricsCache = null;
+      this.evaluateAllAgents();
+    }, FILL_CHECK_DELAY_MS);
+    this.fillCheckTimer.unref?.();
+  }
+
+  /**
+   * Halt trading for everyone, or for one agent when agentId is given
+   * @param {Object} params - { agentId, reason, actor, trigger }
+   * @returns {Promise<Object>} - The halt record
+   */
+  async halt({ agentId = null, reason, actor = 'unknown', trigger = null }) {
+    await this.ready;
+
+    const record = {
+      scope: agentId ? 'agent' : 'global',
+      agentId,
+      reason: reason || 'No reason given',
+      actor,
+      trigger,
+      haltedAt: new Date().toISOString()
+    };
+
+    if (agentId) {
+      this.state.agents[agentId] = record;
+    } else {
+      this.state.global = record;
+    }
+    this.addHistory('halt', record);
+    await this.saveState();
+
+    console.warn(`Trading halted${agentId ? ` for ${agentId}` : ''} by ${actor}: ${record.reason}`);
+    this.emit('halt', record);
+    return record;
+  }
+
+  /**
+   * Lift a global or per-agent halt. Resuming an agent stopped by its circuit
+   * breaker disarms that breaker for the rest of the day.
+   * @param {Object} params - { agentId, reason, actor }
+   * @returns {Promise<Object|null>} - The lifted halt, or null if none was active
+   */
+  async resume({ agentId = null, reason = null, actor = 'unknown' }) {
+    await this.ready;
+
+    const active = agentId ? this.state.agents[agentId] : this.state.global;
+    if (!active) return null;
+
+    const record = {
+      ...active,
+      resumedAt: new Date().toISOString(),
+      resumedBy: actor,
+      resumeReason: reason
+    };
+
+    if (agentId) {
+      delete this.state.agents[agentId];
+      if (active.trigger) {
+        this.state.breakerOverrides = { ...this.state.breakerOverrides, [agentId]: today() };
+      }
+    } else {
+      this.state.global = null;
+    }
+    this.addHistory('resume', record);
+    await this.saveState();
+
+    console.log(`Trading resumed${agentId ? ` for ${agentId}` : ''} by ${actor}`);
+    this.emit('resume', record);
+    return record;
+  }
+
+  addHistory(action, record) {
+    this.state.history.push({ action, ...record, recordedAt: new Date().toISOString() });
+    if (this.state.history.length > MAX_HISTORY) {
+      this.state.history.splice(0, this.state.history.length - MAX_HISTORY);
+    }
+  }
+
+  /**
+   * The halt that blocks an order, if any
+   * @param {string} agentId - Agent placing the order (optional)
+   * @returns {Promise<Object|null>} - Global halt first, then the agent's own
+   */
+  async getBlockingHalt(agentId = null) {
+    await this.ready;
+    if (this.state.global) return this.state.global;
+    if (!agentId) return null;
+
+    await this.evaluateAgent(agentId);
+    return this.state.agents[agentId] || null;
+  }
+
+  /**
+   * Account drawdown from its high water mark and today's loss
+   */
+  async getRiskMetrics() {
+    if (this.metricsCache && Date.now() - this.metricsCache.fetchedAt < METRICS_CACHE_MS) {
+      return this.metricsCache.metrics;
+    }
+
+    const [account, history] = await Promise.all([
+      broker.getAccount(),
+      broker.getPortfolioHistory({ period: '1M', timeframe: '1D' }).catch(() => null)
+    ]);
+
+    const equity = parseFloat(account.equity || account.portfolio_value);
+    const lastEquity = parseFloat(account.last_equity) || equity;
+    const highWaterMark = Math.max(equity, ...((history && history.equity) || []).map(Number).filter(value => value > 0));
+
+    const metrics = {
+      equity,
+      highWaterMark,
+      drawdown: highWaterMark > 0 ? Math.max(0, (highWaterMark - equity) / highWaterMark) : 0,
+      dailyLoss: lastEquity > 0 ? Math.max(0, (lastEquity - equity) / lastEquity) : 0
+    };
+    this.metricsCache = { metrics, fetchedAt: Date.now() };
+    return metrics;
+  }
+
+  /**
+   * Drawdown and daily loss for an agent: its capital sleeve when it has one,
+   * otherwise the shared account
+   */
+  async getAgentRiskMetrics(agentId) {
+    const sleeve = await capitalSleeves.getSleeve(agentId);
+    if (sleeve) {
+      return { equity: sleeve.equity, highWaterMark: sleeve.highWaterMark, drawdown: sleeve.drawdown, dailyLoss: sleeve.dailyLoss, sleeve: true };
+    }
+    return this.getRiskMetrics();
+  }
+
+  /**
+   * Trip the agent's circuit breaker if it breaches maxDrawdown or its daily
+   * loss limit (maxDailyRisk), measured on the agent's capital sleeve.
+   * Agents without a sleeve are measured on the shared account.
+   * @returns {Promise<Object|null>} - The new halt, if the breaker tripped
+   */
+  async evaluateAgent(agentId) {
+    const limits = riskManagement.getRiskLimits(agentId);
+    if (!limits || this.state.agents[agentId]) return null;
+    if (this.state.breakerOverrides?.[agentId] === today()) return null;
+
+    let metrics;
+    try {
+      metrics = await this.getAgentRiskMetrics(agentId);
+    } catch (error) {
+      console.warn(`Circuit breaker check failed for ${agentId}:`, error.message);
+      return null;
+    }
+
+    let trigger = null;
+    if (limits.maxDrawdown && metrics.drawdown > limits.maxDrawdown) {
+      trigger = { type: 'max_drawdown', value: metrics.drawdown, limit: limits.maxDrawdown };
+    } else if (limits.maxDailyRisk && metrics.dailyLoss > limits.maxDailyRisk) {
+      trigger = { type: 'daily_loss', value: metrics.dailyLoss, limit: limits.maxDailyRisk };
+    }
+    if (!trigger) return null;
+
+    trigger.basis = metrics.sleeve ? 'sleeve' : 'account';
+    const label = `${metrics.sleeve ? 'Sleeve' : 'Account'} ${trigger.type === 'max_drawdown' ? 'drawdown' : 'daily loss'}`;
+    return this.halt({
+      agentId,
+      reason: `${label} ${percent(trigger.value)} exceeds limit of ${percent(trigger.limit)}`,
+      actor: 'circuit_breaker',
+      trigger
+    });
+  }
+
+  async evaluateAllAgents() {
+    await this.ready;
+    for (const { id } of getAllAgents()) {
+      await this.evaluateAgent(id);
+    }
+  }
+
+  /**
+   * Current halts and recent history
+   */
+  async getStatus() {
+    await this.ready;
+    return {
+      halted: !!this.state.global,
+      global: this.state.global,
+      agents: { ...this.state.agents },
+      history: this.state.history.slice(-50).reverse()
+    };
+  }
+}
+
+module.exports = new TradingHaltService();
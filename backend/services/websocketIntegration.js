@@ -3,6 +3,18 @@
 
 const EventEmitter = require('events');
 const config = require('../config');
+const broker = require('./brokers');
+const orderExecution = require('./orderExecution');
+const executionAlgorithms = require('./executionAlgorithms');
+const tradingHalt = require('./tradingHalt');
+const { buildOrderClassParams } = require('./orderClasses');
+const agentChat = require('./agentChat');
+const { getAgentProfile } = require('./agentRegistry');
+const usageMeter = require('./llm/usageMeter');
+
+// Trade update events that change positions or cash
+const FILL_EVENTS = ['fill', 'partial_fill'];
+const PORTFOLIO_REFRESH_DELAY_MS = 500;
 
 class WebSocketIntegration extends EventEmitter {
   constructor(wsServer) {
@@ -12,6 +24,12 @@ class WebSocketIntegration extends EventEmitter {
     this.updateIntervals = new Map();
     this.lastPortfolioData = null;
     this.lastMarketData = null;
+    this.tradeUpdateHandler = null;
+    this.executionProgressHandler = null;
+    this.haltHandlers = null;
+    this.portfolioRefreshTimer = null;
+    // Streamed agent chats in flight, by client ID
+    this.clientAgentChats = new Map();
   }
 
   /**
@@ -29,6 +47,16 @@ class WebSocketIntegration extends EventEmitter {
     this.setupMarketDataUpdates();
     this.setupNewsUpdates();
 
+    // Stream broker order updates and fills
+    this.setupTradeUpdates();
+
+    // Relay parent order progress from the execution algorithms
+    this.executionProgressHandler = (progress) => this.broadcastExecutionProgress(progress);
+    executionAlgorithms.on('progress', this.executionProgressHandler);
+
+    // Surface kill switch and circuit breaker changes as system alerts
+    this.setupHaltAlerts();
+
     // Set up event listeners for real-time updates
     this.setupEventListeners();
 
@@ -92,6 +120,98 @@ class WebSocketIntegration extends EventEmitter {
     this.updateIntervals.set('news', interval);
   }
 
+  /**
+   * Relay broker trade updates (Alpaca trade_updates stream or the simulated
+   * broker's events) to the trading room
+   */
+  setupTradeUpdates() {
+    this.tradeUpdateHandler = (update) => {
+      try {
+        this.handleTradeUpdate(update);
+      } catch (error) {
+        console.error('Error handling trade update:', error);
+      }
+    };
+    broker.on('trade_update', this.tradeUpdateHandler);
+
+    broker.startTradeUpdates().catch(error => {
+      console.error('Failed to start broker trade updates:', error);
+    });
+  }
+
+  /**
+   * Relay trading halts and resumes to every client
+   */
+  setupHaltAlerts() {
+    this.haltHandlers = {
+      halt: (halt) => this.broadcastSystemAlert({
+        severity: 'critical',
+        title: halt.agentId ? `Trading halted for ${halt.agentId}` : 'Trading halted',
+        message: halt.reason,
+        event: 'trading_halted',
+        ...halt
+      }),
+      resume: (halt) => this.broadcastSystemAlert({
+        severity: 'info',
+        title: halt.agentId ? `Trading resumed for ${halt.agentId}` : 'Trading resumed',
+        message: halt.resumeReason || `Resumed by ${halt.resumedBy}`,
+        event: 'trading_resumed',
+        ...halt
+      })
+    };
+    tradingHalt.on('halt', this.haltHandlers.halt);
+    tradingHalt.on('resume', this.haltHandlers.resume);
+  }
+
+  /**
+   * Publish an order update, plus a fill and a portfolio refresh for executions
+   */
+  handleTradeUpdate({ event, order, timestamp, price, qty, position_qty }) {
+    if (!order) return;
+
+    const orderUpdate = {
+      event,
+      orderId: order.id,
+      clientOrderId: order.client_order_id,
+      symbol: order.symbol,
+      side: order.side,
+      type: order.order_type,
+      orderClass: order.order_class,
+      status: order.status,
+      qty: order.qty,
+      filledQty: order.filled_qty,
+      filledAvgPrice: order.filled_avg_price,
+      limitPrice: order.limit_price,
+      stopPrice: order.stop_price,
+      eventTime: timestamp
+    };
+    this.broadcastOrderUpdate(orderUpdate);
+
+    if (FILL_EVENTS.includes(event)) {
+      this.broadcastFill({
+        ...orderUpdate,
+        price: parseFloat(price),
+        fillQty: parseFloat(qty),
+        positionQty: parseFloat(position_qty)
+      });
+      this.schedulePortfolioRefresh();
+    }
+  }
+
+  /**
+   * Push fresh portfolio data after fills, coalescing bursts of executions
+   */
+  schedulePortfolioRefresh() {
+    if (this.portfolioRefreshTimer) return;
+    this.portfolioRefreshTimer = setTimeout(async () => {
+      this.portfolioRefreshTimer = null;
+      const portfolioData = await this.fetchPortfolioData();
+      if (portfolioData) {
+        this.broadcastPortfolioChange(portfolioData);
+      }
+    }, PORTFOLIO_REFRESH_DELAY_MS);
+  }
+
   /**
    * Set up event listeners for real-time updates
    */
@@ -104,6 +224,19 @@ class WebSocketIntegration extends EventEmitter {
       });
     });
 
+    // Listen for broker order updates and fills
+    this.on('order_update', (orderUpdate) => {
+      this.wsServer.broadcastOrderUpdate(orderUpdate);
+    });
+
+    this.on('fill', (fill) => {
+      this.wsServer.broadcastFill(fill);
+    });
+
+    this.on('execution_progress', (progress) => {
+      this.wsServer.broadcastExecutionProgress(progress);
+    });
+
     // Listen for portfolio changes
     this.on('portfolio_change', (portfolioData) => {
       this.lastPortfolioData = portfolioData;
@@ -234,6 +367,27 @@ class WebSocketIntegration extends EventEmitter {
     this.emit('trading_decision', decision);
   }
 
+  /**
+   * Broadcast order update
+   */
+  broadcastOrderUpdate(orderUpdate) {
+    this.emit('order_update', orderUpdate);
+  }
+
+  /**
+   * Broadcast order fill
+   */
+  broadcastFill(fill) {
+    this.emit('fill', fill);
+  }
+
+  /**
+   * Broadcast TWAP/VWAP/iceberg parent order progress
+   */
+  broadcastExecutionProgress(progress) {
+    this.emit('execution_progress', progress);
+  }
+
   /**
    * Broadcast portfolio change
    */
@@ -314,6 +468,72 @@ class WebSocketIntegration extends EventEmitter {
     }
   }
 
+  /**
+   * Stream an agent chat reply to a WebSocket client. Each event is sent as an
+   * agent_chat_<event> message (start, tool_call, delta, suggestions, done,
+   * cancelled or error) carrying the client's requestId.
+   */
+  async handleAgentChat(clientId, chatData) {
+    const { agentId, message, sessionId, userId } = chatData;
+    const requestId = chatData.requestId || Date.now().toString();
+    const send = (event, data) => this.wsServer.sendToClient(clientId, {
+      type: `agent_chat_${event}`,
+      data: { requestId, ...data },
+      timestamp: new Date().toISOString()
+    });
+
+    if (!message || !agentId) {
+      send('error', { error: 'agentId and message are required' });
+      return;
+    }
+    if (!getAgentProfile(agentId)) {
+      send('error', { error: 'Agent not found' });
+      return;
+    }
+
+    const streamId = `${clientId}:${requestId}`;
+    if (!this.clientAgentChats.has(clientId)) {
+      this.clientAgentChats.set(clientId, new Set());
+    }
+    this.clientAgentChats.get(clientId).add(streamId);
+
+    send('start', { agentId, sessionId: sessionId || null });
+    try {
+      await usageMeter.run({ endpoint: 'WS agent_chat' }, () =>
+        agentChat.streamChat(agentId, message, sessionId, { streamId, onEvent: send, userId })
+      );
+    } catch (error) {
+      if (error.code === 'REQUEST_CANCELLED') {
+        send('cancelled', {});
+      } else {
+        console.error('Error streaming agent chat:', error);
+        send('error', { error: 'Failed to process chat message', message: error.message, code: error.code });
+      }
+    } finally {
+      const streams = this.clientAgentChats.get(clientId);
+      streams?.delete(streamId);
+      if (streams?.size === 0) {
+        this.clientAgentChats.delete(clientId);
+      }
+    }
+  }
+
+  /**
+   * Cancel one of a client's streamed agent chats
+   */
+  cancelAgentChat(clientId, { requestId }) {
+    return agentChat.cancel(`${clientId}:${requestId}`);
+  }
+
+  /**
+   * Cancel every streamed agent chat of a client, e.g. when it disconnects
+   */
+  cancelClientAgentChats(clientId) {
+    for (const streamId of this.clientAgentChats.get(clientId) || []) {
+      agentChat.cancel(streamId);
+    }
+  }
+
   /**
    * Validate trading action data
    */
@@ -323,17 +543,86 @@ class WebSocketIntegration extends EventEmitter {
   }
 
   /**
-   * Process trading action
+   * Process trading action through the shared order execution pipeline
    */
   async processTradingAction(actionData) {
     try {
-      const tradingService = require('./trading');
-      return await tradingService.executeTrade(actionData);
+      await orderExecution.assertCanTrade(actionData.agentId);
+
+      const orderParams = {
+        symbol: String(actionData.symbol).toUpperCase(),
+        qty: Math.abs(parseFloat(actionData.quantity)),
+        side: String(actionData.action).toLowerCase(),
+        type: (actionData.orderType || 'market').toLowerCase(),
+        time_in_force: actionData.timeInForce || 'day'
+      };
+      if (orderParams.type === 'limit' && actionData.limitPrice) {
+        orderParams.limit_price = parseFloat(actionData.limitPrice);
+      }
+
+      const pricing = await orderExecution.priceOrder(orderParams);
+
+      // Agent entries are always protected by a bracket, as on the REST routes and in the scheduler
+      if ((actionData.agentId || actionData.decisionId) && orderParams.side === 'buy') {
+        const orderClass = buildOrderClassParams(orderParams, { order_class: 'bracket' }, orderParams.limit_price || pricing.marketPrice || pricing.price);
+        if (!orderClass.valid) {
+          return {
+            executed: false,
+            outcome: 'blocked',
+            error: 'Agent entry cannot be protected by a bracket',
+            details: orderClass.reason,
+            code: 'INVALID_ORDER_CLASS'
+          };
+        }
+        Object.assign(orderParams, orderClass.orderParams);
+      }
+
+      orderExecution.checkPositionSize(orderParams, pricing);
+
+      const result = await orderExecution.submitOrder(orderParams, {
+        source: 'websocket',
+        conflictPolicy: actionData.conflictPolicy,
+        sessionPolicy: actionData.sessionPolicy,
+        agentId: actionData.agentId,
+        decisionId: actionData.decisionId,
+        logPrefix: 'WebSocket: '
+      });
+
+      if (result.queued) {
+        return {
+          executed: false,
+          queued: true,
+          queueId: result.queueId,
+          reason: result.reason,
+          releaseAt: result.releaseAt,
+          conflictingOrders: result.conflicts,
+          expiresAt: result.expiresAt
+        };
+      }
+
+      const { order } = result;
+      return {
+        executed: true,
+        order: {
+          id: order.id,
+          clientOrderId: order.client_order_id,
+          symbol: order.symbol,
+          qty: order.qty,
+          side: order.side,
+          type: order.order_type,
+          orderClass: order.order_class,
+          status: order.status,
+          submittedAt: order.submitted_at
+        }
+      };
     } catch (error) {
       console.error('Error processing trading action:', error);
+      const normalized = orderExecution.normalizeError(error);
       return {
         executed: false,
-        error: error.message
+        error: normalized.message,
+        details: normalized.details,
+        code: normalized.code
       };
     }
   }
@@ -364,6 +653,24 @@ class WebSocketIntegration extends EventEmitter {
     });
     this.updateIntervals.clear();
 
+    // Stop relaying trade updates
+    if (this.haltHandlers) {
+      tradingHalt.off('halt', this.haltHandlers.halt);
+      tradingHalt.off('resume', this.haltHandlers.resume);
+      this.haltHandlers = null;
+    }
+    if (this.executionProgressHandler) {
+      executionAlgorithms.off('progress', this.executionProgressHandler);
+      this.executionProgressHandler = null;
+    }
+    if (this.tradeUpdateHandler) {
+      broker.off('trade_update', this.tradeUpdateHandler);
+      this.tradeUpdateHandler = null;
+    }
+    clearTimeout(this.portfolioRefreshTimer);
+    this.portfolioRefreshTimer = null;
+    await broker.stopTradeUpdates();
+
     // Remove all event listeners
     this.removeAllListeners();
 
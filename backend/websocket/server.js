@@ -130,6 +130,12 @@ class WebSocketServer {
         case 'trading_action':
           this.handleTradingAction(clientId, message.data);
           break;
+        case 'agent_chat':
+          this.handleAgentChat(clientId, message.data);
+          break;
+        case 'agent_chat_cancel':
+          this.integration?.cancelAgentChat(clientId, message.data || {});
+          break;
         default:
           console.warn(`Unknown message type from client ${clientId}:`, message.type);
       }
@@ -224,6 +230,26 @@ class WebSocketServer {
     }
   }
 
+  /**
+   * Handle streamed agent chat requests from clients
+   */
+  async handleAgentChat(clientId, chatData) {
+    if (!this.integration) {
+      console.warn('WebSocket integration not available for agent chat');
+      this.sendToClient(clientId, {
+        type: 'agent_chat_error',
+        data: { requestId: chatData?.requestId, error: 'Agent chat is not available' }
+      });
+      return;
+    }
+
+    try {
+      await this.integration.handleAgentChat(clientId, chatData || {});
+    } catch (error) {
+      console.error('Error in integration handleAgentChat:', error);
+    }
+  }
+
   /**
    * Handle client disconnections
    */
@@ -231,6 +257,9 @@ class WebSocketServer {
     const client = this.clients.get(clientId);
     if (!client) return;
 
+    // Stop generating replies nobody will receive
+    this.integration?.cancelClientAgentChats(clientId);
+
     // Remove from all rooms
     client.subscriptions.forEach(channel => {
       this.removeFromRoom(channel, clientId);
@@ -434,6 +463,39 @@ class WebSocketServer {
     });
   }
 
+  /**
+   * Broadcast order status changes (new, canceled, replaced, rejected, ...)
+   */
+  broadcastOrderUpdate(orderUpdate) {
+    return this.broadcastToRoom('trading', {
+      type: 'order_update',
+      data: orderUpdate,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Broadcast order fills and partial fills
+   */
+  broadcastFill(fillData) {
+    return this.broadcastToRoom('trading', {
+      type: 'fill',
+      data: fillData,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Broadcast execution algorithm (TWAP/VWAP/iceberg) progress
+   */
+  broadcastExecutionProgress(progress) {
+    return this.broadcastToRoom('trading', {
+      type: 'execution_progress',
+      data: progress,
+      timestamp: new Date().toISOString()
+    });
+  }
+
   /**
    * Broadcast market data updates
    */
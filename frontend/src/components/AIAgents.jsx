@@ -13,15 +13,17 @@ const AIAgents = () => {
   const [tradeHistory, setTradeHistory] = useState([]);
   const [autoTradeActive, setAutoTradeActive] = useState(false);
   const [showFundAllocation, setShowFundAllocation] = useState(false);
-  const [allocatedFunds, setAllocatedFunds] = useState(0);
+  const [sleeve, setSleeve] = useState(null);
   const [fundInput, setFundInput] = useState('');
   const [tradingProgress, setTradingProgress] = useState({ active: false, message: '', progress: 0 });
+  const [tradingStatus, setTradingStatus] = useState('inactive');
   const [showAIModal, setShowAIModal] = useState(false);
   const [aiModalData, setAiModalData] = useState(null);
   const [aiModalType, setAiModalType] = useState(null);
+  const [marketNotice, setMarketNotice] = useState(null);
   const tradeIntervalRef = useRef(null);
-  const progressIntervalRef = useRef(null);
   const messagesEndRef = useRef(null);
+  const chatAbortRef = useRef(null);
 
   console.log('AIAgents component rendered, agents:', agents.length);
 
@@ -93,226 +95,155 @@ const AIAgents = () => {
     }
   };
 
-  // Real paper trading integration
-  const getAgentStocks = (agentName) => {
-    const stockLists = {
-      'Warren Buffett': ['JNJ', 'KO', 'PG', 'BRK.B', 'AAPL', 'BAC', 'WFC', 'AXP'],
-      'Peter Lynch': ['AMZN', 'GOOGL', 'MSFT', 'NVDA', 'TSLA', 'META', 'NFLX', 'CRM'],
-      'Ray Dalio': ['SPY', 'GLD', 'TLT', 'VTI', 'EEM', 'IWM', 'QQQ', 'VEA'],
-      'Benjamin Graham': ['JNJ', 'PG', 'WMT', 'IBM', 'T', 'VZ', 'PFE', 'XOM'],
-      'George Soros': ['SPY', 'QQQ', 'IWM', 'GLD', 'SLV', 'TLT', 'EFA', 'EEM']
-    };
-    return stockLists[agentName] || stockLists['Warren Buffett'];
+  // Auto trading runs on the backend scheduler; the panel mirrors its run state
+  const STATUS_POLL_MS = 10000;
+
+  const cycleToTrade = (cycle, agentName) => ({
+    id: cycle.orderId || cycle.queueId || cycle.id,
+    symbol: cycle.symbol,
+    action: cycle.action.toUpperCase(),
+    quantity: cycle.qty,
+    price: cycle.price ? cycle.price.toFixed(2) : '—',
+    confidence: Math.round((cycle.confidence || 0) * 100),
+    timestamp: cycle.finishedAt,
+    status: cycle.orderStatus || cycle.outcome,
+    reasoning: cycle.reasoning,
+    agent: agentName
+  });
+
+  const applyRunStatus = (run) => {
+    const active = run?.status === 'active';
+    setAutoTradeActive(active);
+    setTradingStatus(run?.status || 'inactive');
+
+    if (!run) {
+      setMarketNotice(null);
+      setTradingProgress({ active: false, message: '', progress: 0 });
+      return;
+    }
+
+    const trades = (run.history || [])
+      .filter(cycle => cycle.outcome === 'ordered' || cycle.outcome === 'queued')
+      .map(cycle => cycleToTrade(cycle, selectedAgent?.name));
+    setTradeHistory(trades);
+
+    if (run.status === 'paused') {
+      setMarketNotice(`Auto trading paused: ${run.pauseReason}`);
+    } else if (active && run.lastCycle?.outcome === 'skipped') {
+      setMarketNotice(`Waiting to trade: ${run.lastCycle.reason}`);
+    } else {
+      setMarketNotice(null);
+    }
+
+    if (run.running) {
+      setTradingProgress({ active: true, message: 'Analyzing market and validating risk...', progress: 50 });
+    } else if (active && run.nextRunAt) {
+      const remaining = new Date(run.nextRunAt).getTime() - Date.now();
+      const progress = Math.min(100, Math.max(0, (1 - remaining / run.intervalMs) * 100));
+      setTradingProgress({
+        active: true,
+        message: `Next analysis at ${new Date(run.nextRunAt).toLocaleTimeString()}`,
+        progress
+      });
+    } else {
+      setTradingProgress({ active: false, message: '', progress: 0 });
+    }
   };
 
-  const executeRealTrade = async (agentName) => {
+  const fetchSleeve = async (agentId) => {
     try {
-      console.log('🚀 Starting trade execution for agent:', agentName);
-      const stocks = getAgentStocks(agentName);
-      const symbol = stocks[Math.floor(Math.random() * stocks.length)];
-      const side = Math.random() > 0.5 ? 'buy' : 'sell';
-      const qty = Math.floor(Math.random() * 10) + 1; // Smaller quantities for realistic trading
-      const confidence = Math.floor(Math.random() * 30) + 70;
-      
-      console.log('📊 Trade parameters:', { symbol, side, qty, confidence });
-      
-      // Get current quote for the symbol
-      console.log('💰 Fetching quote for:', symbol);
-      const quoteResponse = await fetch(`/api/trading/quote/${symbol}`);
-      console.log('📈 Quote response status:', quoteResponse.status);
-      
-      const quoteData = await quoteResponse.json();
-      console.log('📈 Quote data:', quoteData);
-      
-      // Check if quote data is valid (API returns direct object with price)
-      if (!quoteData.price && !quoteData.symbol) {
-        console.error('❌ Failed to get quote for', symbol, quoteData);
-        return null;
-      }
-      
-      const currentPrice = quoteData.price || 100; // Fallback price if needed
-      console.log('💵 Current price:', currentPrice);
-      
-      const tradePayload = {
-        symbol,
-        action: side,
-        confidence: confidence / 100, // Convert percentage to decimal
-        reasoning: `${agentName} auto-trade based on ${agentName === 'Warren Buffett' ? 'value investing principles' : agentName === 'Peter Lynch' ? 'growth potential analysis' : 'diversification strategy'}`,
-        riskLevel: 'medium'
-      };
-      
-      console.log('🎯 Sending trade request with payload:', tradePayload);
-      
-      // Execute the trade via AI agent endpoint
-      const tradeResponse = await fetch('/api/trading/agent-trade', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(tradePayload)
-      });
-      
-      console.log('📡 Trade response status:', tradeResponse.status);
-      console.log('📡 Trade response headers:', Object.fromEntries(tradeResponse.headers.entries()));
-      
-      const tradeData = await tradeResponse.json();
-      console.log('📊 Trade response data:', tradeData);
-      
-      if (tradeData.success) {
-        console.log('✅ Trade executed successfully!');
-        const trade = {
-          id: tradeData.order.id,
-          symbol: tradeData.order.symbol,
-          action: tradeData.order.side.toUpperCase(),
-          quantity: parseInt(tradeData.order.qty),
-          price: currentPrice,
-          confidence,
-          timestamp: new Date().toISOString(),
-          status: tradeData.order.status,
-          agent: agentName
-        };
-        
-        console.log('📋 Formatted trade object:', trade);
-        return trade;
-      } else {
-        console.error('❌ Trade execution failed:', tradeData);
-        return null;
+      const response = await fetch(`/api/agents/${agentId}/sleeve`);
+      const data = await response.json();
+      if (data.success) {
+        setSleeve(data.sleeve);
       }
     } catch (error) {
-      console.error('💥 Error executing real trade:', error);
-      console.error('💥 Error stack:', error.stack);
-      return null;
+      console.error('Error fetching capital sleeve:', error);
     }
   };
 
-  // Progress indicator messages
-  const progressMessages = [
-    'Analyzing market sentiment...',
-    'Checking Yahoo Finance data...',
-    'Scanning r/WSB for trends...',
-    'Evaluating technical indicators...',
-    'Reviewing news headlines...',
-    'Calculating risk metrics...',
-    'Finalizing trade decision...'
-  ];
-
-  const startProgressIndicator = (duration) => {
-    setTradingProgress({ active: true, message: progressMessages[0], progress: 0 });
-    
-    let currentStep = 0;
-    const totalSteps = progressMessages.length;
-    const stepDuration = duration / totalSteps;
-    
-    const updateProgress = () => {
-      if (currentStep < totalSteps) {
-        setTradingProgress({
-          active: true,
-          message: progressMessages[currentStep],
-          progress: ((currentStep + 1) / totalSteps) * 100
-        });
-        currentStep++;
-        progressIntervalRef.current = setTimeout(updateProgress, stepDuration);
-      } else {
-        setTradingProgress({ active: false, message: '', progress: 0 });
+  const fetchTradingStatus = async (agentId) => {
+    try {
+      const response = await fetch(`/api/agent/trading-status/${agentId}`);
+      const data = await response.json();
+      if (data.success) {
+        applyRunStatus(data.run);
       }
-    };
-    
-    progressIntervalRef.current = setTimeout(updateProgress, stepDuration);
-  };
-
-  const stopProgressIndicator = () => {
-    if (progressIntervalRef.current) {
-      clearTimeout(progressIntervalRef.current);
-      progressIntervalRef.current = null;
+    } catch (error) {
+      console.error('Error fetching trading status:', error);
     }
-    setTradingProgress({ active: false, message: '', progress: 0 });
   };
 
-  const startAutoTrading = () => {
-    console.log('🚀 STARTING AUTO TRADING for agent:', selectedAgent.name);
-    console.log('🚀 Allocated funds:', allocatedFunds);
-    console.log('🚀 Current autoTradeActive status:', autoTradeActive);
-    
-    if (!selectedAgent) {
-      console.log('❌ No selected agent, cannot start auto trading');
-      return;
-    }
-    
-    if (autoTradeActive) {
-      console.log('⚠️ Auto trading already active, stopping current session first');
-      stopAutoTrading();
-    }
-    
-    console.log('🚀 Setting autoTradeActive to true');
-    setAutoTradeActive(true);
-    
-    // Start progress indicator immediately
-    startProgressIndicator(13000); // 13 seconds for first trade
-    
-    // Set up interval for real trades (every 30-120 seconds for more realistic trading)
-    const executeTrade = async () => {
-      try {
-        console.log('🎯 EXECUTING TRADE for agent:', selectedAgent.name);
-        console.log('🎯 Auto trade active status:', autoTradeActive);
-        const trade = await executeRealTrade(selectedAgent.name);
-        if (trade) {
-          console.log('✅ Trade executed successfully:', trade);
-          setTradeHistory(prev => [trade, ...prev.slice(0, 49)]); // Keep last 50 trades
-        } else {
-          console.log('❌ Trade execution failed or returned null');
-        }
-      } catch (error) {
-        console.error('💥 Error in executeTrade:', error);
-        console.error('💥 Error stack:', error.stack);
+  const postTradingAction = async (action) => {
+    if (!selectedAgent) return;
+    try {
+      const response = await fetch(`/api/agent/${action}/${selectedAgent.id}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ actor: 'dashboard' })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setMarketNotice(data.details || data.error || `Failed to ${action.replace('-', ' ')}`);
+        return;
       }
-      
-      // Schedule next trade with longer intervals
-      const nextInterval = Math.random() * 90000 + 30000; // 30-120 seconds
-      console.log('⏰ Next trade scheduled in', Math.round(nextInterval/1000), 'seconds');
-      
-      // Start progress indicator for next trade
-      const nextTradeDuration = Math.random() * 8000 + 7000; // 7-15 seconds for analysis
-      
-      tradeIntervalRef.current = setTimeout(() => {
-        console.log('⏰ Timeout triggered, checking if auto trade still active:', autoTradeActive);
-        if (autoTradeActive) { // Check if still active
-          console.log('⏰ Starting next trade cycle');
-          startProgressIndicator(nextTradeDuration);
-          setTimeout(executeTrade, nextTradeDuration);
-        } else {
-          console.log('⏰ Auto trading stopped, not executing next trade');
-        }
-      }, nextInterval);
-    };
-    
-    // Execute first trade after 13 seconds
-    console.log('⏰ Setting timeout for first trade in 13 seconds');
-    setTimeout(() => {
-      console.log('⏰ First trade timeout triggered, executing trade');
-      executeTrade();
-    }, 13000);
+      applyRunStatus(data.run);
+    } catch (error) {
+      console.error(`Error calling ${action}:`, error);
+      setMarketNotice(`Auto trading request failed: ${error.message}`);
+    }
   };
 
-  const stopAutoTrading = () => {
-    setAutoTradeActive(false);
-    if (tradeIntervalRef.current) {
-      clearTimeout(tradeIntervalRef.current);
+  const startAutoTrading = () => postTradingAction('start-trading');
+  const stopAutoTrading = () => postTradingAction('stop-trading');
+  const pauseAutoTrading = () => postTradingAction('pause-trading');
+  const resumeAutoTrading = () => postTradingAction('resume-trading');
+
+  // Poll the selected agent's scheduler state
+  useEffect(() => {
+    if (!selectedAgent) return undefined;
+
+    const refresh = () => {
+      fetchTradingStatus(selectedAgent.id);
+      fetchSleeve(selectedAgent.id);
+    };
+    refresh();
+    tradeIntervalRef.current = setInterval(refresh, STATUS_POLL_MS);
+    return () => {
+      clearInterval(tradeIntervalRef.current);
       tradeIntervalRef.current = null;
-    }
-    stopProgressIndicator();
-  };
+    };
+  }, [selectedAgent]);
 
-  const handleFundAllocation = () => {
+  // Allocated capital lives in the agent's backend sleeve, which sizes and limits its trades
+  const handleFundAllocation = async () => {
     const amount = parseFloat(fundInput);
     console.log('💰 Fund allocation requested:', amount);
-    if (amount > 0) {
-      console.log('💰 Setting allocated funds and starting auto trading');
-      setAllocatedFunds(amount);
-      setShowFundAllocation(false);
-      setFundInput('');
-      startAutoTrading();
-    } else {
+    if (!(amount > 0)) {
       console.log('💰 Invalid fund amount:', amount);
+      return;
+    }
+
+    setShowFundAllocation(false);
+    setFundInput('');
+    try {
+      const response = await fetch(`/api/agents/${selectedAgent.id}/sleeve/allocate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ amount, actor: 'dashboard' })
+      });
+      const data = await response.json();
+      if (!data.success) {
+        setMarketNotice(data.details || data.error || 'Failed to allocate funds');
+        return;
+      }
+      setSleeve(data.sleeve);
+      if (tradingStatus === 'inactive') {
+        startAutoTrading();
+      }
+    } catch (error) {
+      console.error('Error allocating funds:', error);
+      setMarketNotice(`Failed to allocate funds: ${error.message}`);
     }
   };
 
@@ -320,13 +251,11 @@ const AIAgents = () => {
     try {
       setLoading(true);
       
-      // Stop any existing auto trading
-      stopAutoTrading();
-      
+      // Agents keep trading on the server; the status poll picks up the new agent
       setSelectedAgent(agent);
       setMessages([]);
       setTradeHistory([]);
-      setAllocatedFunds(0);
+      setSleeve(null);
       
       // Start a new session
       const response = await fetch(`/api/agents/${agent.id}/session/start`, {
@@ -386,6 +315,12 @@ const AIAgents = () => {
     }
   };
 
+  const updateStreamingMessage = (streamKey, update) => {
+    setMessages(prev => prev.map(message =>
+      message.streamKey === streamKey ? { ...message, ...update(message) } : message
+    ));
+  };
+
   const sendMessage = async () => {
     if (!inputMessage.trim() || !selectedAgent || loading) return;
 
@@ -394,13 +329,17 @@ const AIAgents = () => {
       content: inputMessage,
       timestamp: new Date().toISOString()
     };
+    const streamKey = `${Date.now()}`;
 
     setMessages(prev => [...prev, userMessage]);
     setInputMessage('');
     setLoading(true);
 
+    const controller = new AbortController();
+    chatAbortRef.current = controller;
+
     try {
-      const response = await fetch(`/api/agents/${selectedAgent.id}/chat`, {
+      const response = await fetch(`/api/agents/${selectedAgent.id}/chat/stream`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
@@ -408,39 +347,87 @@ const AIAgents = () => {
         body: JSON.stringify({
           message: inputMessage + " (Please keep your response brief and conversational, under 100 words)",
           sessionId
-        })
+        }),
+        signal: controller.signal
       });
+      if (!response.ok || !response.body) {
+        throw new Error(`Chat request failed with status ${response.status}`);
+      }
 
-      const data = await response.json();
-      if (data.success) {
-        const agentMessage = {
-          type: 'agent',
-          content: data.response,
-          timestamp: data.timestamp
-        };
-        setMessages(prev => [...prev, agentMessage]);
-        
-        // Auto-scroll to bottom after new message
-        setTimeout(() => {
-          const chatContainer = document.querySelector('.messages-container');
-          if (chatContainer) {
-            chatContainer.scrollTop = chatContainer.scrollHeight;
+      setMessages(prev => [...prev, {
+        type: 'agent',
+        content: '',
+        timestamp: new Date().toISOString(),
+        streamKey,
+        streaming: true
+      }]);
+
+      const handleEvent = (event, data) => {
+        switch (event) {
+          case 'delta':
+            updateStreamingMessage(streamKey, message => ({ content: message.content + data.text }));
+            break;
+          case 'suggestions':
+            updateStreamingMessage(streamKey, () => ({ tradeSuggestions: data.tradeSuggestions }));
+            break;
+          case 'done':
+            updateStreamingMessage(streamKey, () => ({ content: data.response, timestamp: data.timestamp, streaming: false }));
+            break;
+          case 'error':
+            updateStreamingMessage(streamKey, message => ({
+              content: message.content || 'Sorry, I\'m having trouble responding right now. Please try again.',
+              streaming: false
+            }));
+            break;
+          default:
+            break;
+        }
+      };
+
+      // Server-sent events: "event: <name>\ndata: <json>" blocks separated by a blank line
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+        for (const block of blocks) {
+          const event = /^event: (.*)$/m.exec(block)?.[1];
+          const data = /^data: (.*)$/m.exec(block)?.[1];
+          if (event && data) {
+            handleEvent(event, JSON.parse(data));
           }
-        }, 100);
+        }
       }
     } catch (error) {
-      console.error('Error sending message:', error);
-      const errorMessage = {
-        type: 'agent',
-        content: 'Sorry, I\'m having trouble responding right now. Please try again.',
-        timestamp: new Date().toISOString()
-      };
-      setMessages(prev => [...prev, errorMessage]);
+      if (error.name === 'AbortError') {
+        updateStreamingMessage(streamKey, message => ({
+          content: message.content ? `${message.content} …` : 'Stopped.',
+          streaming: false
+        }));
+      } else {
+        console.error('Error sending message:', error);
+        const errorMessage = {
+          type: 'agent',
+          content: 'Sorry, I\'m having trouble responding right now. Please try again.',
+          timestamp: new Date().toISOString()
+        };
+        setMessages(prev => [...prev.filter(message => message.streamKey !== streamKey || message.content), errorMessage]);
+      }
     } finally {
+      updateStreamingMessage(streamKey, () => ({ streaming: false }));
+      chatAbortRef.current = null;
       setLoading(false);
     }
   };
 
+  const stopMessage = () => {
+    chatAbortRef.current?.abort();
+  };
+
   const getAnalysis = async () => {
     if (!selectedAgent || loading) return;
 
@@ -499,15 +486,6 @@ const AIAgents = () => {
     }
   };
 
-  // Cleanup on unmount
-  useEffect(() => {
-    return () => {
-      if (tradeIntervalRef.current) {
-        clearTimeout(tradeIntervalRef.current);
-      }
-    };
-  }, []);
-
   return (
     <div className="ai-agents">
       {!selectedAgent ? (
@@ -565,11 +543,10 @@ const AIAgents = () => {
             <button 
               className="back-btn"
               onClick={() => {
-                stopAutoTrading();
                 setSelectedAgent(null);
                 setMessages([]);
                 setTradeHistory([]);
-                setAllocatedFunds(0);
+                setSleeve(null);
               }}
             >
               ← Back to Agents
@@ -588,25 +565,54 @@ const AIAgents = () => {
             <div className="left-panel">
               <div className="trade-controls">
                 <div className="fund-info">
-                  {allocatedFunds > 0 && (
+                  {sleeve && (
                     <div className="allocated-funds">
-                      <span>Allocated: ${allocatedFunds.toLocaleString()}</span>
+                      <span>Allocated: ${sleeve.allocated.toLocaleString()}</span>
                       <span className={`status ${autoTradeActive ? 'active' : 'inactive'}`}>
                         {autoTradeActive ? 'Auto Trading Active' : 'Auto Trading Inactive'}
                       </span>
                     </div>
                   )}
+                  {sleeve && (
+                    <div className="sleeve-stats">
+                      <span>Equity: ${sleeve.equity.toLocaleString()}</span>
+                      <span>Buying power: ${sleeve.buyingPower.toLocaleString()}</span>
+                      <span className={sleeve.realizedPL + sleeve.unrealizedPL >= 0 ? 'positive' : 'negative'}>
+                        P/L: ${(sleeve.realizedPL + sleeve.unrealizedPL).toFixed(2)}
+                      </span>
+                      <button className="add-funds-btn" onClick={() => setShowFundAllocation(true)}>
+                        Add Funds
+                      </button>
+                    </div>
+                  )}
                 </div>
                 
                 <div className="trade-buttons">
-                  {!autoTradeActive ? (
+                  {tradingStatus === 'inactive' && (
                     <button 
                       className="auto-trade-btn"
-                      onClick={() => setShowFundAllocation(true)}
+                      onClick={() => (sleeve ? startAutoTrading() : setShowFundAllocation(true))}
                     >
                       Start Auto Trade
                     </button>
-                  ) : (
+                  )}
+                  {tradingStatus === 'active' && (
+                    <button 
+                      className="pause-trade-btn"
+                      onClick={pauseAutoTrading}
+                    >
+                      Pause
+                    </button>
+                  )}
+                  {tradingStatus === 'paused' && (
+                    <button 
+                      className="auto-trade-btn"
+                      onClick={resumeAutoTrading}
+                    >
+                      Resume Auto Trade
+                    </button>
+                  )}
+                  {tradingStatus !== 'inactive' && (
                     <button 
                       className="stop-trade-btn"
                       onClick={stopAutoTrading}
@@ -615,6 +621,10 @@ const AIAgents = () => {
                     </button>
                   )}
                 </div>
+
+                {marketNotice && (
+                  <div className="market-notice">{marketNotice}</div>
+                )}
                 
                 {(autoTradeActive || tradingProgress.active) && (
                   <div className="trading-progress">
@@ -685,13 +695,26 @@ const AIAgents = () => {
                       </div>
                       <div className="message-content">
                         <div className="message-text">{message.content}</div>
+                        {message.tradeSuggestions?.length > 0 && (
+                          <div className="trade-suggestions">
+                            {message.tradeSuggestions.map((suggestion, suggestionIndex) => (
+                              <div key={suggestionIndex} className="trade-suggestion">
+                                <span className={`action ${suggestion.action.toLowerCase()}`}>
+                                  {suggestion.action.toUpperCase()}
+                                </span>
+                                <span className="symbol">{suggestion.symbol}</span>
+                                {suggestion.quantity && <span>Qty: {suggestion.quantity}</span>}
+                              </div>
+                            ))}
+                          </div>
+                        )}
                         <div className="message-time">
                           {new Date(message.timestamp).toLocaleTimeString()}
                         </div>
                       </div>
                     </div>
                   ))}
-                  {loading && (
+                  {loading && !messages.some(message => message.streaming && message.content) && (
                     <div className="message agent">
                       <div className="message-avatar">{selectedAgent.avatar}</div>
                       <div className="message-content typing">
@@ -711,13 +734,22 @@ const AIAgents = () => {
                     disabled={loading}
                     rows={3}
                   />
-                  <button 
-                    onClick={sendMessage}
-                    disabled={!inputMessage.trim() || loading}
-                    className="send-btn"
-                  >
-                    Send
-                  </button>
+                  {loading && chatAbortRef.current ? (
+                    <button
+                      onClick={stopMessage}
+                      className="send-btn stop"
+                    >
+                      Stop
+                    </button>
+                  ) : (
+                    <button 
+                      onClick={sendMessage}
+                      disabled={!inputMessage.trim() || loading}
+                      className="send-btn"
+                    >
+                      Send
+                    </button>
+                  )}
                 </div>
               </div>
             </div>
@@ -731,6 +763,9 @@ const AIAgents = () => {
           <div className="fund-allocation-modal">
             <h3>Allocate Funds for Auto Trading</h3>
             <p>How much would you like to allocate to {selectedAgent.name}?</p>
+            {sleeve && (
+              <p>Adds to the ${sleeve.allocated.toLocaleString()} already allocated.</p>
+            )}
             <div className="fund-input-group">
               <span className="currency-symbol">$</span>
               <input
@@ -757,7 +792,7 @@ const AIAgents = () => {
                 onClick={handleFundAllocation}
                 disabled={!fundInput || parseFloat(fundInput) < 100}
               >
-                Start Trading
+                {tradingStatus === 'inactive' ? 'Start Trading' : 'Allocate'}
               </button>
             </div>
           </div>
@@ -2,7 +2,7 @@
 // Real-time trading decisions and actions with WebSocket integration
 
 import React, { useState, useEffect } from 'react';
-import { useTradingDecisions, useTradingActions, useWebSocket } from '../hooks/useWebSocket';
+import { useTradingDecisions, useTradingActions, useOrderUpdates, useWebSocket } from '../hooks/useWebSocket';
 import StockChart from './charts/StockChart';
 import PortfolioChart from './charts/PortfolioChart';
 import AIAnalysisModal from './AIAnalysisModal';
@@ -24,6 +24,8 @@ const TradingDashboard = () => {
     orderType: 'market'
   });
   const [manualTradeResult, setManualTradeResult] = useState(null);
+  // Reused when the same manual trade is resubmitted so the backend can dedupe it
+  const [manualTradeKey, setManualTradeKey] = useState(() => crypto.randomUUID());
   const [portfolioPerformanceData, setPortfolioPerformanceData] = useState(null);
   const [performanceLoading, setPerformanceLoading] = useState(true);
   const [showAIModal, setShowAIModal] = useState(false);
@@ -36,6 +38,15 @@ const TradingDashboard = () => {
   });
   const { sendTradingAction, pendingActions } = useTradingActions();
 
+  // Keep the manual trade result in sync with broker fills and cancels
+  useOrderUpdates((update) => {
+    setManualTradeResult(prev => (
+      prev?.order?.id === update.orderId
+        ? { ...prev, order: { ...prev.order, status: update.status, filledQty: update.filledQty, filledAvgPrice: update.filledAvgPrice } }
+        : prev
+    ));
+  });
+
   // Fetch portfolio performance data
   useEffect(() => {
     const fetchPortfolioPerformance = async () => {
@@ -209,6 +220,7 @@ const TradingDashboard = () => {
       ...prev,
       [name]: value
     }));
+    setManualTradeKey(crypto.randomUUID());
   };
 
   const handleManualTrade = async (e) => {
@@ -220,6 +232,7 @@ const TradingDashboard = () => {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          'Idempotency-Key': manualTradeKey
         },
         body: JSON.stringify({
           symbol: manualTradeForm.symbol.toUpperCase(),
@@ -233,6 +246,7 @@ const TradingDashboard = () => {
       const result = await response.json();
       
       if (response.ok && result.success) {
+        setManualTradeKey(crypto.randomUUID());
         setManualTradeResult({
           success: true,
           message: `Manual trade placed successfully!`,
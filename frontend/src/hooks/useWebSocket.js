@@ -141,6 +141,34 @@ export const useTradingDecisions = (onDecision) => {
   return { decisions, lastDecision };
 };
 
+/**
+ * Hook for real-time order status changes and fills
+ */
+export const useOrderUpdates = (onUpdate) => {
+  const [orderUpdates, setOrderUpdates] = useState([]);
+  const [lastFill, setLastFill] = useState(null);
+
+  useWebSocketSubscription('order_update', (data) => {
+    setOrderUpdates(prev => [data, ...prev.slice(0, 99)]); // Keep last 100 updates
+    if (onUpdate) {
+      onUpdate(data);
+    }
+  }, [onUpdate]);
+
+  useWebSocketSubscription('fill', (data) => {
+    setLastFill(data);
+  });
+
+  useEffect(() => {
+    wsClient.subscribe(['trading']);
+    return () => {
+      wsClient.unsubscribe(['trading']);
+    };
+  }, []);
+
+  return { orderUpdates, lastFill };
+};
+
 /**
  * Hook for real-time market data
  */
@@ -346,4 +374,95 @@ export const useWebSocketStatus = () => {
     reconnectAttempts,
     forceReconnect
   };
-};
\ No newline at end of file
+};
+
+/**
+ * Hook for streamed agent chat over the WebSocket connection.
+ * Reply text builds up in `reply` as deltas arrive; suggestions arrive once the reply is complete.
+ */
+export const useAgentChat = (onDone) => {
+  const [reply, setReply] = useState('');
+  const [toolCalls, setToolCalls] = useState([]);
+  const [suggestions, setSuggestions] = useState(null);
+  const [streaming, setStreaming] = useState(false);
+  const [error, setError] = useState(null);
+  const requestIdRef = useRef(null);
+
+  const isCurrent = (data) => data?.requestId && data.requestId === requestIdRef.current;
+
+  useWebSocketSubscription('agent_chat_tool_call', (data) => {
+    if (isCurrent(data)) setToolCalls(prev => [...prev, data]);
+  });
+
+  useWebSocketSubscription('agent_chat_delta', (data) => {
+    if (isCurrent(data)) setReply(prev => prev + data.text);
+  });
+
+  useWebSocketSubscription('agent_chat_suggestions', (data) => {
+    if (isCurrent(data)) setSuggestions(data);
+  });
+
+  useWebSocketSubscription('agent_chat_done', (data) => {
+    if (!isCurrent(data)) return;
+    requestIdRef.current = null;
+    setStreaming(false);
+    if (onDone) {
+      onDone(data);
+    }
+  }, [onDone]);
+
+  useWebSocketSubscription('agent_chat_cancelled', (data) => {
+    if (!isCurrent(data)) return;
+    requestIdRef.current = null;
+    setStreaming(false);
+  });
+
+  useWebSocketSubscription('agent_chat_error', (data) => {
+    if (!isCurrent(data)) return;
+    requestIdRef.current = null;
+    setStreaming(false);
+    setError(data.message || data.error);
+  });
+
+  const cancel = useCallback(() => {
+    if (!requestIdRef.current) return false;
+    return wsClient.send({
+      type: 'agent_chat_cancel',
+      data: { requestId: requestIdRef.current }
+    });
+  }, []);
+
+  const sendAgentChat = useCallback((agentId, message, sessionId) => {
+    if (requestIdRef.current) {
+      cancel();
+    }
+
+    const requestId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    requestIdRef.current = requestId;
+    setReply('');
+    setToolCalls([]);
+    setSuggestions(null);
+    setError(null);
+
+    const success = wsClient.send({
+      type: 'agent_chat',
+      data: { requestId, agentId, message, sessionId }
+    });
+    if (!success) {
+      requestIdRef.current = null;
+      setError('WebSocket is not connected');
+    }
+    setStreaming(success);
+    return { requestId, success };
+  }, [cancel]);
+
+  return {
+    reply,
+    toolCalls,
+    suggestions,
+    streaming,
+    error,
+    sendAgentChat,
+    cancel
+  };
+};